@@ -3,6 +3,68 @@
  * Manages fetching, caching, and loading of infinite world chunks
  */
 
+import { decodeChunk as decodeChunkData } from './svdagCodec.js';
+
+// Coarsest LOD the server builds (?lod=n, 32·2ⁿ blocks per chunk - one region at 4)
+export const MAX_LOD = 4;
+
+// LOD n is used from LOD_DISTANCES[n - 1] LOD-0 chunks away
+export const LOD_DISTANCES = [4, 8, 16, 32];
+
+/**
+ * Distance from a world position to the nearest point of an LOD chunk, in LOD-0 chunks
+ */
+export function getLodDistance(cx, cy, cz, lod, position, chunkSize = 32) {
+  const extent = chunkSize << lod;
+  const axis = (c, p) => Math.max(c * extent - p, 0, p - (c + 1) * extent);
+  const dx = axis(cx, position[0]);
+  const dy = axis(cy, position[1]);
+  const dz = axis(cz, position[2]);
+  return Math.sqrt(dx * dx + dy * dy + dz * dz) / chunkSize;
+}
+
+/**
+ * LOD to draw an LOD-0 chunk at: the coarsest LOD whose chunk containing it
+ * is far enough from the camera for that LOD
+ * @returns {number} 0..MAX_LOD
+ */
+export function selectLod(cx, cy, cz, position, lodDistances = LOD_DISTANCES, chunkSize = 32) {
+  for (let lod = Math.min(MAX_LOD, lodDistances.length); lod > 0; lod--) {
+    const distance = getLodDistance(cx >> lod, cy >> lod, cz >> lod, lod, position, chunkSize);
+    if (distance >= lodDistances[lod - 1]) return lod;
+  }
+  return 0;
+}
+
+/**
+ * Chunks to load for LOD-0 chunk requests: each at the LOD selectLod picks for
+ * it, requests falling in the same LOD chunk merged into one (coordinates in
+ * that LOD's units, counts summed)
+ * @param {Array<{cx, cy, cz}>} requests - LOD-0 chunks, each with a count
+ * @param {string} countKey - The count to sum ('rayCount', 'requestCount')
+ * @returns {Array<{cx, cy, cz, lod}>}
+ */
+export function assignLods(requests, position, countKey, lodDistances = LOD_DISTANCES, chunkSize = 32) {
+  const byKey = new Map();
+  
+  for (const request of requests) {
+    const lod = selectLod(request.cx, request.cy, request.cz, position, lodDistances, chunkSize);
+    const cx = request.cx >> lod;
+    const cy = request.cy >> lod;
+    const cz = request.cz >> lod;
+    const key = `${lod}:${cx},${cy},${cz}`;
+    
+    const existing = byKey.get(key);
+    if (existing) {
+      existing[countKey] += request[countKey];
+    } else {
+      byKey.set(key, { cx, cy, cz, lod, [countKey]: request[countKey] });
+    }
+  }
+  
+  return Array.from(byKey.values());
+}
+
 export class ChunkManager {
   constructor(worldId, device) {
     this.worldId = worldId;
@@ -49,24 +111,60 @@ export class ChunkManager {
     this.svdagPool = new Map();  // hash → {id, nodes, leaves, refCount}
     this.nextPoolId = 0;
     
+    // Region node pools - HTTP chunks arrive as a root into the server's per-region
+    // deduplicated node pool, plus only the pool words we don't hold yet
+    this.usePool = true;
+    this.nodePools = new Map();    // "regionX_regionZ:poolId" → { regionX, regionZ, poolId, pageWords, pages, length, refCount, revision }
+    this.currentPools = new Map(); // "regionX_regionZ" → key of the newest pool seen for the region
+    
+    // Level of detail - distant terrain as coarse chunks (GET ?lod=n), swapped for
+    // finer ones as the camera approaches (see updateLods)
+    this.lodChunks = new Map();         // "lod:x,y,z" → chunk (LOD ≥ 1; LOD 0 lives in this.chunks)
+    this.useLod = true;                 // Request distant misses as LOD chunks (see assignLods)
+    this.lodDistances = LOD_DISTANCES;
+    this.lodMode = 'surface';           // Server material selection: 'surface' | 'majority'
+    this.lodHysteresis = 1.25;          // Merge back to a coarser LOD only this far past its distance
+    this.maxLodDistance = 128;          // Drop LOD chunks farther than this (LOD-0 chunks)
+    
     // Protection settings
     this.minChunkAgeMs = 2000;      // Don't evict chunks < 2 seconds old
     this.cameraProtectionRadius = 3; // Never evict chunks within 3 chunks of camera
     
+    // Server push (invalidations) - see connectEvents() / attachStream()
+    this.eventSource = null;
+    this.stream = null; // ChunkStream (WebSocket), preferred over HTTP when open
+    
+    // Batch endpoint - used when many chunks miss in one frame (see loadChunks)
+    this.batchThreshold = 16;  // Misses before switching to POST .../chunks/batch
+    this.maxBatchSize = 128;   // Chunks per batch request (server max 256)
+    this.pushFlushTimer = null;
+    this.onChunksChanged = null; // Called after chunks are replaced in place
+    
     // Statistics
     this.stats = {
       chunksLoaded: 0,
       chunksFetched: 0,
       cacheHits: 0,
-      networkErrors: 0
+      networkErrors: 0,
+      batchRequests: 0,
+      invalidations: 0,
+      chunksPushed: 0,
+      poolWordsReceived: 0
     };
   }
 
   /**
-   * Get chunk key for coordinates
+   * Get chunk key for coordinates (LOD chunks: "lod:x,y,z")
+   */
+  getChunkKey(cx, cy, cz, lod = 0) {
+    return lod > 0 ? `${lod}:${cx},${cy},${cz}` : `${cx},${cy},${cz}`;
+  }
+
+  /**
+   * Chunk map holding an LOD's chunks
    */
-  getChunkKey(cx, cy, cz) {
-    return `${cx},${cy},${cz}`;
+  getChunkMap(lod = 0) {
+    return lod > 0 ? this.lodChunks : this.chunks;
   }
 
   /**
@@ -90,9 +188,36 @@ export class ChunkManager {
 
   /**
    * Fetch chunk from server
+   * LOD chunks (lod > 0) always come over HTTP, standalone (no node pool)
    */
-  async fetchChunk(cx, cy, cz) {
-    const url = `/api/v2/worlds/${this.worldId}/chunks/${cx}/${cy}/${cz}`;
+  async fetchChunk(cx, cy, cz, lod = 0) {
+    if (lod === 0 && this.stream && this.stream.isOpen()) {
+      try {
+        const arrayBuffer = await this.stream.fetch(cx, cy, cz);
+        const chunkData = this.decodeChunk(arrayBuffer, cx, cy, cz);
+        this.stats.chunksFetched++;
+        return {
+          ...chunkData,
+          metadata: {
+            size: arrayBuffer.byteLength,
+            materialNodes: chunkData.materialSVDAG.nodes.length,
+            materialLeaves: chunkData.materialSVDAG.leaves.length,
+            opaqueNodes: chunkData.opaqueSVDAG.nodes.length,
+            opaqueLeaves: chunkData.opaqueSVDAG.leaves.length
+          }
+        };
+      } catch (error) {
+        console.warn(`⚠️ Stream fetch failed (${cx}, ${cy}, ${cz}), using HTTP:`, error.message);
+      }
+    }
+    
+    let url = `/api/v2/worlds/${this.worldId}/chunks/${cx}/${cy}/${cz}`;
+    if (lod > 0) {
+      url += `?lod=${lod}&lodMode=${this.lodMode}`;
+    } else if (this.usePool) {
+      const { poolId, have } = this.getPoolHave(this.getRegionKey(cx, cz));
+      url += `?pool&poolId=${poolId}&have=${have}`;
+    }
     
     try {
       // Fetching chunk...
@@ -102,6 +227,12 @@ export class ChunkManager {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
       
+      // 204 = all-air chunk, nothing to decode
+      if (response.status === 204) {
+        this.stats.chunksFetched++;
+        return { ...this.createUniformChunk(0), metadata: { size: 0, uniform: true } };
+      }
+      
       // Get metadata from headers
       const metadata = {
         size: parseInt(response.headers.get('Content-Length') || '0'),
@@ -113,7 +244,7 @@ export class ChunkManager {
       };
       
       const arrayBuffer = await response.arrayBuffer();
-      const chunkData = this.decodeChunk(arrayBuffer);
+      const chunkData = this.decodeChunk(arrayBuffer, cx, cy, cz);
       
       this.stats.chunksFetched++;
       
@@ -125,83 +256,220 @@ export class ChunkManager {
       };
       
     } catch (error) {
-      console.error(`❌ Failed to fetch chunk (${cx}, ${cy}, ${cz}):`, error);
+      console.error(`❌ Failed to fetch chunk (${cx}, ${cy}, ${cz})${lod > 0 ? ` LOD ${lod}` : ''}:`, error);
       this.stats.networkErrors++;
       return null;
     }
   }
 
   /**
-   * Decode binary chunk format
+   * Fetch many chunks with one POST .../chunks/batch request
+   * @param {Array<{cx, cy, cz}>} coords
+   * @returns {Promise<Map<string, object|null>>} key → chunk data (null if missing)
    */
-  decodeChunk(arrayBuffer) {
-    const view = new DataView(arrayBuffer);
-    let offset = 0;
-
-    // Read header (40 bytes)
-    const magic = view.getUint32(offset, true); offset += 4;
-    if (magic !== 0x53564441) { // 'SVDA'
-      throw new Error(`Invalid chunk magic number: ${magic.toString(16)}`);
+  async fetchChunkBatch(coords) {
+    const url = `/api/v2/worlds/${this.worldId}/chunks/batch`;
+    const results = new Map();
+    
+    const body = { chunks: coords.map(c => [c.cx, c.cy, c.cz]) };
+    if (this.usePool) {
+      body.pool = {};
+      for (const c of coords) {
+        const regionKey = this.getRegionKey(c.cx, c.cz);
+        if (!body.pool[regionKey]) body.pool[regionKey] = this.getPoolHave(regionKey);
+      }
+    }
+    
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      
+      const arrayBuffer = await response.arrayBuffer();
+      const view = new DataView(arrayBuffer);
+      if (arrayBuffer.byteLength < 12 || view.getUint32(0, true) !== 0x53564442) { // 'SVDB'
+        throw new Error('Invalid batch response');
+      }
+      
+      const count = view.getUint32(8, true);
+      let offset = 12;
+      for (let i = 0; i < count && offset + 20 <= arrayBuffer.byteLength; i++) {
+        const cx = view.getInt32(offset, true);
+        const cy = view.getInt32(offset + 4, true);
+        const cz = view.getInt32(offset + 8, true);
+        const status = view.getUint32(offset + 12, true);
+        const byteLength = view.getUint32(offset + 16, true);
+        offset += 20;
+        
+        const key = this.getChunkKey(cx, cy, cz);
+        if (status === 0) {        // OK
+          try {
+            const chunkData = this.decodeChunk(arrayBuffer.slice(offset, offset + byteLength), cx, cy, cz);
+            results.set(key, { ...chunkData, metadata: { size: byteLength } });
+          } catch (error) {
+            console.warn(`⚠️ Bad chunk (${cx}, ${cy}, ${cz}) in batch:`, error.message);
+            results.set(key, null);
+          }
+        } else if (status === 1) { // EMPTY
+          results.set(key, { ...this.createUniformChunk(0), metadata: { size: 0 } });
+        } else {                   // MISSING
+          results.set(key, null);
+        }
+        offset += byteLength;
+      }
+      
+      this.stats.batchRequests++;
+      this.stats.chunksFetched += results.size;
+      
+    } catch (error) {
+      console.error(`❌ Failed to fetch batch of ${coords.length} chunks:`, error);
+      this.stats.networkErrors++;
     }
+    
+    return results;
+  }
 
-    const version = view.getUint32(offset, true); offset += 4;
-    const chunkSize = view.getUint32(offset, true); offset += 4;
-    const matNodeCount = view.getUint32(offset, true); offset += 4;
-    const matLeafCount = view.getUint32(offset, true); offset += 4;
-    const matRootIdx = view.getUint32(offset, true); offset += 4;
-    const flags = view.getUint32(offset, true); offset += 4;
-    const checksum = view.getUint32(offset, true); offset += 4;
-    const opqRootIdx = view.getUint32(offset, true); offset += 4;
-    const opqNodeCount = view.getUint32(offset, true); offset += 4;
+  /**
+   * Chunk data for a chunk filled with one material (0 = all air)
+   * No SVDAG - the renderer draws it from uniformMaterial alone
+   */
+  createUniformChunk(material) {
+    return {
+      version: 2,
+      chunkSize: this.chunkSize,
+      uniformMaterial: material,
+      materialSVDAG: { nodes: new Uint32Array(0), leaves: new Uint32Array(0), rootIdx: 0 },
+      opaqueSVDAG: { nodes: new Uint32Array(0), leaves: new Uint32Array(0), rootIdx: 0 }
+    };
+  }
 
-    // Read material nodes (copy to avoid offset issues)
-    const matNodes = new Uint32Array(matNodeCount);
-    for (let i = 0; i < matNodeCount; i++) {
-      matNodes[i] = view.getUint32(offset, true);
-      offset += 4;
+  /**
+   * Decode binary chunk format (v2, v3 or uniform - see svdagCodec.js)
+   * Both SVDAGs are exposed: materialSVDAG (every block) and opaqueSVDAG (water
+   * and other transparent blocks left out, for shadow rays). opaqueShared is
+   * true when they are the same object - the chunk has no transparent blocks
+   * Throws on corrupt/truncated data, or if a v3 chunk names other coordinates
+   */
+  decodeChunk(arrayBuffer, cx, cy, cz) {
+    const chunk = decodeChunkData(arrayBuffer);
+    
+    const { position } = chunk;
+    if (position && cx !== undefined && (position.cx !== cx || position.cy !== cy || position.cz !== cz)) {
+      throw new Error(`Chunk (${cx}, ${cy}, ${cz}) payload is for (${position.cx}, ${position.cy}, ${position.cz})`);
     }
+    
+    chunk.opaqueShared = chunk.opaqueSVDAG === chunk.materialSVDAG;
+    return chunk;
+  }
 
-    // Read material leaves
-    const matLeaves = new Uint32Array(matLeafCount);
-    for (let i = 0; i < matLeafCount; i++) {
-      matLeaves[i] = view.getUint32(offset, true);
-      offset += 4;
-    }
+  /**
+   * Region a chunk belongs to ("regionX_regionZ", 512-block origins - server naming)
+   */
+  getRegionKey(cx, cz) {
+    const regionX = Math.floor(cx * this.chunkSize / 512) * 512;
+    const regionZ = Math.floor(cz * this.chunkSize / 512) * 512;
+    return `${regionX}_${regionZ}`;
+  }
 
-    // Read opaque nodes
-    const opqNodes = new Uint32Array(opqNodeCount);
-    for (let i = 0; i < opqNodeCount; i++) {
-      opqNodes[i] = view.getUint32(offset, true);
-      offset += 4;
+  /**
+   * What we hold of a region's newest node pool, for ?poolId=&have=
+   * @returns {{poolId: number, have: string}} have: full pages "0-3,7", partial pages "9:1234"
+   */
+  getPoolHave(regionKey) {
+    const pool = this.nodePools.get(this.currentPools.get(regionKey));
+    if (!pool) return { poolId: 0, have: '' };
+    
+    const parts = [];
+    let runStart = -1;
+    let runEnd = -1;
+    const flushRun = () => {
+      if (runStart < 0) return;
+      parts.push(runStart === runEnd ? `${runStart}` : `${runStart}-${runEnd}`);
+      runStart = -1;
+    };
+    
+    const ids = Array.from(pool.pages.keys()).sort((a, b) => a - b);
+    for (const id of ids) {
+      const words = pool.pages.get(id).length;
+      if (words < pool.pageWords) {
+        flushRun();
+        parts.push(`${id}:${words}`);
+      } else if (runStart >= 0 && id === runEnd + 1) {
+        runEnd = id;
+      } else {
+        flushRun();
+        runStart = runEnd = id;
+      }
     }
+    flushRun();
+    
+    return { poolId: pool.poolId, have: parts.join(',') };
+  }
 
-    // Read opaque leaves
-    const remainingBytes = arrayBuffer.byteLength - offset;
-    const opqLeafCount = Math.floor(remainingBytes / 4);
-    const opqLeaves = new Uint32Array(opqLeafCount);
-    for (let i = 0; i < opqLeafCount; i++) {
-      opqLeaves[i] = view.getUint32(offset, true);
-      offset += 4;
+  /**
+   * Merge the page fragments of a pooled chunk into its region pool
+   * @returns {string|null} Pool key, or null if the chunk's pages are incomplete
+   */
+  mergePoolPages({ regionX, regionZ, poolId, pageWords, dependencies, pages }) {
+    const regionKey = `${regionX}_${regionZ}`;
+    const poolKey = `${regionKey}:${poolId}`;
+    
+    let pool = this.nodePools.get(poolKey);
+    if (!pool) {
+      pool = { regionX, regionZ, poolId, pageWords, pages: new Map(), length: 0, refCount: 0, revision: 0, nodes: null };
+      this.nodePools.set(poolKey, pool);
     }
-
-    const result = {
-      version,
-      chunkSize,
-      materialSVDAG: {
-        nodes: matNodes,
-        leaves: matLeaves,
-        rootIdx: matRootIdx
-      },
-      opaqueSVDAG: {
-        nodes: opqNodes,
-        leaves: opqLeaves,
-        rootIdx: opqRootIdx
+    this.currentPools.set(regionKey, poolKey);
+    
+    for (const { id, start, words } of pages) {
+      const held = pool.pages.get(id) || new Uint32Array(0);
+      if (start > held.length) {
+        console.warn(`⚠️ Node pool ${poolKey} page ${id}: fragment at ${start}, only ${held.length} words held`);
+        return null;
       }
-    };
+      if (start + words.length <= held.length) continue;
+      
+      const page = new Uint32Array(start + words.length);
+      page.set(held.subarray(0, start));
+      page.set(words, start);
+      pool.pages.set(id, page);
+      pool.length = Math.max(pool.length, id * pageWords + page.length);
+      pool.revision++;
+      this.stats.poolWordsReceived += words.length;
+    }
     
-    // Empty chunk logging disabled
+    for (const id of dependencies) {
+      if (!pool.pages.has(id)) {
+        console.warn(`⚠️ Node pool ${poolKey} is missing page ${id}`);
+        return null;
+      }
+    }
     
-    return result;
+    return poolKey;
+  }
+
+  /**
+   * Contiguous node words of a pool (unreceived pages are zero - no chunk we hold points there)
+   * @returns {Uint32Array}
+   */
+  getPoolNodes(poolKey) {
+    const pool = this.nodePools.get(poolKey);
+    if (!pool) return new Uint32Array(0);
+    
+    if (!pool.nodes || pool.nodesRevision !== pool.revision) {
+      pool.nodes = new Uint32Array(pool.length);
+      for (const [id, page] of pool.pages) {
+        pool.nodes.set(page, id * pool.pageWords);
+      }
+      pool.nodesRevision = pool.revision;
+    }
+    return pool.nodes;
   }
 
   /**
@@ -229,13 +497,14 @@ export class ChunkManager {
   /**
    * Load chunk (fetch if needed, cache if possible)
    */
-  async loadChunk(cx, cy, cz) {
-    const key = this.getChunkKey(cx, cy, cz);
+  async loadChunk(cx, cy, cz, lod = 0) {
+    const key = this.getChunkKey(cx, cy, cz, lod);
+    const chunks = this.getChunkMap(lod);
     
     // Already loaded?
-    if (this.chunks.has(key)) {
+    if (chunks.has(key)) {
       this.stats.cacheHits++;
-      return this.chunks.get(key);
+      return chunks.get(key);
     }
     
     // Already loading?
@@ -243,9 +512,9 @@ export class ChunkManager {
       // Wait for existing load to complete
       return new Promise((resolve) => {
         const checkInterval = setInterval(() => {
-          if (this.chunks.has(key)) {
+          if (chunks.has(key)) {
             clearInterval(checkInterval);
-            resolve(this.chunks.get(key));
+            resolve(chunks.get(key));
           }
         }, 50);
       });
@@ -256,58 +525,15 @@ export class ChunkManager {
     
     try {
       // Fetch from server
-      const chunkData = await this.fetchChunk(cx, cy, cz);
+      const chunkData = await this.fetchChunk(cx, cy, cz, lod);
       
       if (chunkData) {
-        const now = Date.now();
-        
-        // Stage 7a: Hash the Material SVDAG for deduplication
-        const hash = this.hashSVDAG(chunkData.materialSVDAG.nodes, chunkData.materialSVDAG.leaves);
-        
-        // Check if we've seen this SVDAG pattern before
-        let poolId;
-        if (this.svdagPool.has(hash)) {
-          // DUPLICATE! Reuse existing SVDAG
-          const poolEntry = this.svdagPool.get(hash);
-          poolEntry.refCount++;
-          poolId = poolEntry.id;
-          // Dedup (silent)
-        } else {
-          // NEW PATTERN! Add to pool
-          poolId = this.nextPoolId++;
-          this.svdagPool.set(hash, {
-            id: poolId,
-            nodes: chunkData.materialSVDAG.nodes,
-            leaves: chunkData.materialSVDAG.leaves,
-            refCount: 1
-          });
-          // New SVDAG (silent)
-        }
-        
-        // Store chunk data with SVDAG reference
-        // CRITICAL: Set timestamps AFTER spread to avoid being overwritten
-        const chunkObject = {
-          cx, cy, cz, 
-          ...chunkData,
-          svdagHash: hash,
-          svdagPoolId: poolId
-        };
-        // Force correct timestamps (don't let server data override)
-        chunkObject.loadedFrame = now;
-        chunkObject.lastSeenFrame = now;
-        this.chunks.set(key, chunkObject);
-        
-        // DEBUG: Verify timestamp was set correctly
-        const storedChunk = this.chunks.get(key);
-        if (!storedChunk.lastSeenFrame || storedChunk.lastSeenFrame < 1000) {
-          console.error(`🐛 BUG: Chunk ${key} has invalid lastSeenFrame: ${storedChunk.lastSeenFrame} (should be ${now})`);
-        }
-        
+        this.storeChunk(cx, cy, cz, chunkData, lod);
         this.stats.chunksLoaded++;
         
         // NOTE: Eviction moved to renderer (once per frame, not per chunk)
         
-        return this.chunks.get(key);
+        return chunks.get(key);
       }
       
       return null;
@@ -317,6 +543,372 @@ export class ChunkManager {
     }
   }
 
+  /**
+   * Load many chunks (one frame's misses)
+   * Few misses (or an open stream) load one by one; many go through the batch endpoint
+   * LOD chunks ({ lod > 0 }) always load one by one - the batch endpoint is LOD 0 only
+   * @param {Array<{cx, cy, cz, lod?}>} coords
+   * @returns {Promise<number>} Number of chunks loaded
+   */
+  async loadChunks(coords) {
+    const needed = coords.filter(c => {
+      const key = this.getChunkKey(c.cx, c.cy, c.cz, c.lod);
+      return !this.getChunkMap(c.lod).has(key) && !this.loading.has(key);
+    });
+    let single = needed.filter(c => c.lod > 0);
+    let full = needed.filter(c => !(c.lod > 0));
+    let loaded = 0;
+    
+    if (full.length < this.batchThreshold || (this.stream && this.stream.isOpen())) {
+      single = single.concat(full);
+      full = [];
+    }
+    
+    const maxParallel = 8;
+    for (let i = 0; i < single.length; i += maxParallel) {
+      const batch = single.slice(i, i + maxParallel);
+      await Promise.all(batch.map(c =>
+        this.loadChunk(c.cx, c.cy, c.cz, c.lod)
+          .then(chunk => { if (chunk) loaded++; })
+          .catch(err => console.warn(`Failed to load chunk (${c.cx},${c.cy},${c.cz}):`, err))
+      ));
+    }
+    
+    for (let i = 0; i < full.length; i += this.maxBatchSize) {
+      const batch = full.slice(i, i + this.maxBatchSize);
+      const keys = batch.map(c => this.getChunkKey(c.cx, c.cy, c.cz));
+      keys.forEach(key => this.loading.add(key));
+      
+      try {
+        const results = await this.fetchChunkBatch(batch);
+        for (const c of batch) {
+          const chunkData = results.get(this.getChunkKey(c.cx, c.cy, c.cz));
+          if (chunkData) {
+            this.storeChunk(c.cx, c.cy, c.cz, chunkData);
+            this.stats.chunksLoaded++;
+            loaded++;
+          }
+        }
+      } finally {
+        keys.forEach(key => this.loading.delete(key));
+      }
+    }
+    
+    return loaded;
+  }
+
+  /**
+   * Add fetched chunk data to the cache, sharing identical SVDAGs via the pool
+   */
+  storeChunk(cx, cy, cz, chunkData, lod = 0) {
+    const key = this.getChunkKey(cx, cy, cz, lod);
+    const now = Date.now();
+    
+    // LOD chunks stand alone (no pools) and record the blocks they cover per axis
+    if (lod > 0) {
+      const chunkObject = { cx, cy, cz, ...chunkData, lod, extent: this.chunkSize << lod, svdagHash: null, svdagPoolId: -1 };
+      chunkObject.loadedFrame = now;
+      chunkObject.lastSeenFrame = now;
+      this.lodChunks.set(key, chunkObject);
+      return;
+    }
+    
+    // Pooled chunks share their region's node pool instead of owning nodes
+    if (chunkData.pool) {
+      const { pool, ...data } = chunkData;
+      const poolKey = this.mergePoolPages(pool);
+      if (!poolKey) return;
+      this.nodePools.get(poolKey).refCount++;
+      
+      const chunkObject = { cx, cy, cz, ...data, svdagHash: null, svdagPoolId: -1, nodePool: poolKey };
+      chunkObject.loadedFrame = now;
+      chunkObject.lastSeenFrame = now;
+      this.chunks.set(key, chunkObject);
+      return;
+    }
+    
+    // Uniform chunks have no SVDAG to share
+    if (chunkData.uniformMaterial !== null && chunkData.uniformMaterial !== undefined) {
+      const chunkObject = { cx, cy, cz, ...chunkData, svdagHash: null, svdagPoolId: -1 };
+      chunkObject.loadedFrame = now;
+      chunkObject.lastSeenFrame = now;
+      this.chunks.set(key, chunkObject);
+      return;
+    }
+    
+    // Stage 7a: Hash the Material SVDAG for deduplication
+    const hash = this.hashSVDAG(chunkData.materialSVDAG.nodes, chunkData.materialSVDAG.leaves);
+    
+    // Check if we've seen this SVDAG pattern before
+    let poolId;
+    if (this.svdagPool.has(hash)) {
+      // DUPLICATE! Reuse existing SVDAG
+      const poolEntry = this.svdagPool.get(hash);
+      poolEntry.refCount++;
+      poolId = poolEntry.id;
+      // Dedup (silent)
+    } else {
+      // NEW PATTERN! Add to pool
+      poolId = this.nextPoolId++;
+      this.svdagPool.set(hash, {
+        id: poolId,
+        nodes: chunkData.materialSVDAG.nodes,
+        leaves: chunkData.materialSVDAG.leaves,
+        refCount: 1
+      });
+      // New SVDAG (silent)
+    }
+    
+    // Store chunk data with SVDAG reference
+    // CRITICAL: Set timestamps AFTER spread to avoid being overwritten
+    const chunkObject = {
+      cx, cy, cz, 
+      ...chunkData,
+      svdagHash: hash,
+      svdagPoolId: poolId
+    };
+    // Force correct timestamps (don't let server data override)
+    chunkObject.loadedFrame = now;
+    chunkObject.lastSeenFrame = now;
+    this.chunks.set(key, chunkObject);
+    
+    // DEBUG: Verify timestamp was set correctly
+    const storedChunk = this.chunks.get(key);
+    if (!storedChunk.lastSeenFrame || storedChunk.lastSeenFrame < 1000) {
+      console.error(`🐛 BUG: Chunk ${key} has invalid lastSeenFrame: ${storedChunk.lastSeenFrame} (should be ${now})`);
+    }
+  }
+
+  /**
+   * Remove a chunk and release its SVDAG pool / node pool reference
+   */
+  releaseChunk(key) {
+    // LOD chunks hold no pool references
+    if (this.lodChunks.delete(key)) return;
+    
+    const chunk = this.chunks.get(key);
+    if (!chunk) return;
+    
+    if (chunk.svdagHash) {
+      const poolEntry = this.svdagPool.get(chunk.svdagHash);
+      if (poolEntry) {
+        poolEntry.refCount--;
+        if (poolEntry.refCount === 0) {
+          this.svdagPool.delete(chunk.svdagHash);
+        }
+      }
+    }
+    
+    if (chunk.nodePool) {
+      const pool = this.nodePools.get(chunk.nodePool);
+      if (pool && --pool.refCount === 0) {
+        this.nodePools.delete(chunk.nodePool);
+        const regionKey = `${pool.regionX}_${pool.regionZ}`;
+        if (this.currentPools.get(regionKey) === chunk.nodePool) {
+          this.currentPools.delete(regionKey);
+        }
+      }
+    }
+    
+    this.chunks.delete(key);
+  }
+
+  /**
+   * Listen for server invalidation events (SSE, reconnects automatically)
+   */
+  connectEvents() {
+    if (this.eventSource || this.stream || typeof EventSource === 'undefined') return;
+    
+    this.eventSource = new EventSource(`/api/v2/worlds/${this.worldId}/events`);
+    this.eventSource.addEventListener('invalidate', (e) => {
+      const event = JSON.parse(e.data);
+      this.invalidateRegions(event.regions || [], event.boxes || null).catch(err => {
+        console.warn('⚠️ Failed to refresh invalidated chunks:', err);
+      });
+    });
+  }
+
+  /**
+   * Receive chunks, invalidations and progress over a ChunkStream
+   * Replaces the SSE channel from connectEvents()
+   */
+  attachStream(stream) {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    
+    this.stream = stream;
+    stream.onChunk = (cx, cy, cz, arrayBuffer) => this.handlePushedChunk(cx, cy, cz, arrayBuffer);
+    stream.onInvalidate = (regions, boxes) => {
+      this.invalidateRegions(regions, boxes).catch(err => {
+        console.warn('⚠️ Failed to refresh invalidated chunks:', err);
+      });
+    };
+  }
+
+  /**
+   * Store a chunk the server pushed for the subscribed view volume
+   */
+  handlePushedChunk(cx, cy, cz, arrayBuffer) {
+    const key = this.getChunkKey(cx, cy, cz);
+    if (this.loading.has(key)) return; // The pending load stores it
+    
+    let chunkData;
+    try {
+      chunkData = this.decodeChunk(arrayBuffer, cx, cy, cz);
+    } catch (error) {
+      console.warn(`⚠️ Bad pushed chunk (${cx}, ${cy}, ${cz}):`, error.message);
+      return;
+    }
+    
+    this.releaseChunk(key);
+    this.storeChunk(cx, cy, cz, chunkData);
+    this.stats.chunksPushed++;
+    
+    // Pushes arrive one message at a time - upload them together
+    if (this.onChunksChanged && !this.pushFlushTimer) {
+      this.pushFlushTimer = setTimeout(() => {
+        this.pushFlushTimer = null;
+        if (this.onChunksChanged) this.onChunksChanged();
+      }, 100);
+    }
+  }
+
+  /**
+   * Replace loaded chunks inside the given 512-block regions with fresh server data
+   * Old data stays visible until its replacement arrives
+   * @param {Array<{regionX: number, regionZ: number}>} regions
+   * @param {Array<object>|null} boxes - Block boxes { minX, minY, minZ, maxX, maxY, maxZ }
+   *        (hand edits) - only chunks intersecting one are refetched
+   */
+  async invalidateRegions(regions, boxes = null) {
+    const regionSize = 512;
+    const targets = new Set(regions.map(r => `${r.regionX},${r.regionZ}`));
+    
+    const stale = [];
+    for (const [key, chunk] of [...this.chunks.entries(), ...this.lodChunks.entries()]) {
+      const extent = this.chunkSize << (chunk.lod || 0);
+      const regionX = Math.floor(chunk.cx * extent / regionSize) * regionSize;
+      const regionZ = Math.floor(chunk.cz * extent / regionSize) * regionSize;
+      if (!targets.has(`${regionX},${regionZ}`)) continue;
+      
+      if (boxes) {
+        // One block taller - LOD chunks pick materials by the block above
+        const minX = chunk.cx * extent, minY = chunk.cy * extent, minZ = chunk.cz * extent;
+        const hit = boxes.some(box =>
+          box.minX < minX + extent && box.maxX >= minX &&
+          box.minY <= minY + extent && box.maxY >= minY &&
+          box.minZ < minZ + extent && box.maxZ >= minZ
+        );
+        if (!hit) continue;
+      }
+      stale.push({ key, cx: chunk.cx, cy: chunk.cy, cz: chunk.cz, lod: chunk.lod || 0 });
+    }
+    
+    // The server dropped these regions' node pools - don't offer their pages
+    for (const { regionX, regionZ } of regions) {
+      this.currentPools.delete(`${regionX}_${regionZ}`);
+    }
+    
+    if (stale.length === 0) return;
+    console.log(`♻️ ${stale.length} chunks invalidated in ${regions.length} region(s), refetching`);
+    this.stats.invalidations += stale.length;
+    
+    // Refetch in small batches (like the renderer's loader)
+    const maxParallel = 8;
+    for (let i = 0; i < stale.length; i += maxParallel) {
+      const batch = stale.slice(i, i + maxParallel);
+      await Promise.all(batch.map(async ({ key, cx, cy, cz, lod }) => {
+        const chunkData = await this.fetchChunk(cx, cy, cz, lod);
+        this.releaseChunk(key);
+        if (chunkData) {
+          this.storeChunk(cx, cy, cz, chunkData, lod);
+        }
+      }));
+    }
+    
+    if (this.onChunksChanged) {
+      this.onChunksChanged();
+    }
+  }
+
+  /**
+   * Swap LOD chunks to the detail their distance from the camera calls for
+   * Too-coarse chunks are refined into their 8 children (one LOD finer, LOD 0
+   * included); LOD chunks whose parent is well past its LOD distance are merged
+   * into the parent. The old chunks stay until their replacement has loaded,
+   * so terrain never blinks out during a swap.
+   * @returns {Promise<number>} Chunks swapped out
+   */
+  async updateLods(cameraPos) {
+    const refine = [];
+    const merge = new Map(); // parent key → parent coords
+    const far = [];
+    
+    for (const [key, chunk] of this.lodChunks) {
+      const { cx, cy, cz, lod } = chunk;
+      const distance = getLodDistance(cx, cy, cz, lod, cameraPos, this.chunkSize);
+      
+      if (distance > this.maxLodDistance) {
+        far.push(key);
+      } else if (distance < this.lodDistances[lod - 1]) {
+        refine.push(chunk);
+      } else if (lod < Math.min(MAX_LOD, this.lodDistances.length)) {
+        const parent = { cx: cx >> 1, cy: cy >> 1, cz: cz >> 1, lod: lod + 1 };
+        const parentDistance = getLodDistance(parent.cx, parent.cy, parent.cz, parent.lod, cameraPos, this.chunkSize);
+        if (parentDistance >= this.lodDistances[lod] * this.lodHysteresis) {
+          merge.set(this.getChunkKey(parent.cx, parent.cy, parent.cz, parent.lod), parent);
+        }
+      }
+    }
+    
+    far.forEach(key => this.releaseChunk(key));
+    let swapped = far.length;
+    
+    // Children first - the camera is heading towards these
+    const children = refine.map(chunk => {
+      const coords = [];
+      for (let i = 0; i < 8; i++) {
+        coords.push({
+          cx: chunk.cx * 2 + (i & 1),
+          cy: chunk.cy * 2 + ((i >> 1) & 1),
+          cz: chunk.cz * 2 + ((i >> 2) & 1),
+          lod: chunk.lod - 1
+        });
+      }
+      return coords;
+    });
+    await this.loadChunks(children.flat());
+    
+    refine.forEach((chunk, i) => {
+      const complete = children[i].every(c => this.getChunkMap(c.lod).has(this.getChunkKey(c.cx, c.cy, c.cz, c.lod)));
+      if (complete) {
+        this.releaseChunk(this.getChunkKey(chunk.cx, chunk.cy, chunk.cz, chunk.lod));
+        swapped++;
+      }
+    });
+    
+    const parents = Array.from(merge.values());
+    await this.loadChunks(parents);
+    for (const parent of parents) {
+      if (!this.lodChunks.has(this.getChunkKey(parent.cx, parent.cy, parent.cz, parent.lod))) continue;
+      
+      for (const [key, chunk] of Array.from(this.lodChunks.entries())) {
+        if (chunk.lod === parent.lod - 1 && chunk.cx >> 1 === parent.cx &&
+            chunk.cy >> 1 === parent.cy && chunk.cz >> 1 === parent.cz) {
+          this.releaseChunk(key);
+          swapped++;
+        }
+      }
+    }
+    
+    if (swapped > 0 && this.onChunksChanged) {
+      this.onChunksChanged();
+    }
+    return swapped;
+  }
+
   /**
    * Load chunks around a world position
    * Uses sphere-based loading - loads chunks ray might intersect
@@ -510,20 +1102,10 @@ export class ChunkManager {
     // Evict worst chunks
     let evicted = 0;
     for (let i = 0; i < Math.min(toEvict, scored.length); i++) {
-      const {key, chunk} = scored[i];
-      
-      // Decrement SVDAG refcount
-      if (chunk.svdagHash) {
-        const poolEntry = this.svdagPool.get(chunk.svdagHash);
-        if (poolEntry) {
-          poolEntry.refCount--;
-          if (poolEntry.refCount === 0) {
-            this.svdagPool.delete(chunk.svdagHash);
-          }
-        }
-      }
+      const { key } = scored[i];
       
-      this.chunks.delete(key);
+      // Drops the SVDAG / node pool references too
+      this.releaseChunk(key);
       evicted++;
     }
     
@@ -584,21 +1166,8 @@ export class ChunkManager {
     }
     
     for (const key of ancientChunks) {
-      const chunk = this.chunks.get(key);
-      
-      // Stage 7a: Decrement SVDAG refcount
-      if (chunk && chunk.svdagHash) {
-        const poolEntry = this.svdagPool.get(chunk.svdagHash);
-        if (poolEntry) {
-          poolEntry.refCount--;
-          if (poolEntry.refCount === 0) {
-            this.svdagPool.delete(chunk.svdagHash);
-            console.log(`  🗑️ SVDAG #${poolEntry.id} freed (no more refs)`);
-          }
-        }
-      }
-      
-      this.chunks.delete(key);
+      // Stage 7a: Drops the SVDAG / node pool references too
+      this.releaseChunk(key);
     }
     
     if (ancientChunks.length > 0) {
@@ -673,21 +1242,8 @@ export class ChunkManager {
     // Remove worst chunks
     const removed = [];
     for (let i = 0; i < actualTarget; i++) {
-      const chunk = this.chunks.get(scored[i].key);
-      
-      // Stage 7a: Decrement SVDAG refcount
-      if (chunk && chunk.svdagHash) {
-        const poolEntry = this.svdagPool.get(chunk.svdagHash);
-        if (poolEntry) {
-          poolEntry.refCount--;
-          if (poolEntry.refCount === 0) {
-            this.svdagPool.delete(chunk.svdagHash);
-            console.log(`  🗑️ SVDAG #${poolEntry.id} freed (no more refs)`);
-          }
-        }
-      }
-      
-      this.chunks.delete(scored[i].key);
+      // Stage 7a: Drops the SVDAG / node pool references too
+      this.releaseChunk(scored[i].key);
       removed.push({
         dist: scored[i].distance.toFixed(1),
         age: scored[i].lastSeen.toFixed(1)
@@ -745,6 +1301,13 @@ export class ChunkManager {
     return Array.from(this.chunks.values());
   }
 
+  /**
+   * Get all loaded LOD chunks (each has lod and extent - blocks covered per axis)
+   */
+  getLodChunks() {
+    return Array.from(this.lodChunks.values());
+  }
+
   /**
    * Get statistics
    */
@@ -752,7 +1315,10 @@ export class ChunkManager {
     return {
       ...this.stats,
       cached: this.chunks.size,
-      loading: this.loading.size
+      lodChunks: this.lodChunks.size,
+      loading: this.loading.size,
+      nodePools: this.nodePools.size,
+      nodePoolWords: Array.from(this.nodePools.values()).reduce((sum, pool) => sum + pool.length, 0)
     };
   }
 
@@ -760,7 +1326,20 @@ export class ChunkManager {
    * Clear all chunks
    */
   clear() {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    if (this.stream) {
+      this.stream.close();
+      this.stream = null;
+    }
+    clearTimeout(this.pushFlushTimer);
+    this.pushFlushTimer = null;
     this.chunks.clear();
+    this.lodChunks.clear();
+    this.nodePools.clear();
+    this.currentPools.clear();
     this.loading.clear();
     this.loadQueue = [];
   }
@@ -0,0 +1,211 @@
+/**
+ * Chunk Stream
+ * WebSocket client for /api/v2/stream - subscribes to a view volume and
+ * receives chunks, invalidations and generation progress pushed by the server
+ */
+
+const FRAME_CHUNK = 1;
+const FRAME_HEADER_SIZE = 16;
+
+export class ChunkStream {
+  /**
+   * @param {string} worldId
+   * @param {object} handlers - { onChunk(cx, cy, cz, arrayBuffer), onInvalidate(regions, boxes), onProgress(progress) }
+   */
+  constructor(worldId, handlers = {}) {
+    this.worldId = worldId;
+
+    // Chunks the server pushed without a pending fetch()
+    this.onChunk = handlers.onChunk || null;
+    this.onInvalidate = handlers.onInvalidate || null;
+    this.onProgress = handlers.onProgress || null;
+
+    this.ws = null;
+    this.subscription = null;  // Re-sent after reconnecting
+    this.pending = new Map();  // key → { promise, resolve, reject, timer }
+    this.outbox = [];          // Requests batched until the next microtask
+    this.closed = false;
+
+    this.requestTimeout = 15000;
+    this.reconnectDelay = 1000;
+    this.maxReconnectDelay = 30000;
+    this.reconnectTimer = null;
+
+    this.progress = { sent: 0, queued: 0, total: 0 };
+    this.stats = {
+      chunksReceived: 0,
+      chunksPushed: 0,
+      bytesReceived: 0,
+      reconnects: 0
+    };
+  }
+
+  /**
+   * Open the socket (reconnects with backoff until close())
+   */
+  connect() {
+    if (this.closed || typeof WebSocket === 'undefined') return;
+
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const url = `${protocol}//${location.host}/api/v2/stream?worldId=${encodeURIComponent(this.worldId)}`;
+
+    const ws = new WebSocket(url);
+    ws.binaryType = 'arraybuffer';
+    this.ws = ws;
+
+    ws.onopen = () => {
+      console.log('📡 Chunk stream connected');
+      this.reconnectDelay = 1000;
+      if (this.subscription) {
+        this.send({ type: 'subscribe', ...this.subscription });
+      }
+    };
+
+    ws.onmessage = (e) => {
+      if (e.data instanceof ArrayBuffer) {
+        this.handleFrame(e.data);
+      } else {
+        this.handleMessage(JSON.parse(e.data));
+      }
+    };
+
+    ws.onclose = () => {
+      if (this.ws !== ws) return;
+      this.ws = null;
+
+      // Callers fall back to HTTP
+      for (const [key, request] of this.pending) {
+        clearTimeout(request.timer);
+        request.reject(new Error('Chunk stream closed'));
+      }
+      this.pending.clear();
+
+      if (this.closed) return;
+      this.stats.reconnects++;
+      this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+    };
+  }
+
+  isOpen() {
+    return this.ws !== null && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Subscribe to a view volume (inclusive chunk coords), streamed nearest to center first
+   */
+  subscribe(min, max, center = null) {
+    this.subscription = center ? { min, max, center } : { min, max };
+    if (this.isOpen()) {
+      this.send({ type: 'subscribe', ...this.subscription });
+    }
+  }
+
+  /**
+   * Request one chunk ahead of the volume
+   * @returns {Promise<ArrayBuffer>} Encoded V2 chunk
+   */
+  fetch(cx, cy, cz) {
+    if (!this.isOpen()) {
+      return Promise.reject(new Error('Chunk stream not connected'));
+    }
+
+    const key = `${cx},${cy},${cz}`;
+    const existing = this.pending.get(key);
+    if (existing) return existing.promise;
+
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    const timer = setTimeout(() => {
+      this.pending.delete(key);
+      reject(new Error(`Chunk stream timeout (${key})`));
+    }, this.requestTimeout);
+    this.pending.set(key, { promise, resolve, reject, timer });
+
+    // One request message per frame's worth of fetch() calls
+    if (this.outbox.length === 0) {
+      queueMicrotask(() => this.flushRequests());
+    }
+    this.outbox.push([cx, cy, cz]);
+
+    return promise;
+  }
+
+  flushRequests() {
+    const chunks = this.outbox;
+    this.outbox = [];
+    if (chunks.length > 0 && this.isOpen()) {
+      this.send({ type: 'request', chunks });
+    }
+  }
+
+  handleFrame(data) {
+    const view = new DataView(data);
+    if (data.byteLength < FRAME_HEADER_SIZE || view.getUint32(0, true) !== FRAME_CHUNK) {
+      console.warn('⚠️ Unknown chunk stream frame');
+      return;
+    }
+
+    const cx = view.getInt32(4, true);
+    const cy = view.getInt32(8, true);
+    const cz = view.getInt32(12, true);
+    const chunk = data.slice(FRAME_HEADER_SIZE);
+    const key = `${cx},${cy},${cz}`;
+
+    this.stats.chunksReceived++;
+    this.stats.bytesReceived += data.byteLength;
+
+    const request = this.pending.get(key);
+    if (request) {
+      this.pending.delete(key);
+      clearTimeout(request.timer);
+      request.resolve(chunk);
+    } else {
+      this.stats.chunksPushed++;
+      if (this.onChunk) this.onChunk(cx, cy, cz, chunk);
+    }
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'progress':
+        this.progress = { sent: message.sent, queued: message.queued, total: message.total };
+        if (this.onProgress) this.onProgress(this.progress);
+        break;
+
+      case 'invalidate':
+        if (this.onInvalidate) this.onInvalidate(message.regions || [], message.boxes || null);
+        break;
+
+      case 'error': {
+        if (!message.chunk) {
+          console.warn('⚠️ Chunk stream error:', message.message);
+          break;
+        }
+        const key = message.chunk.join(',');
+        const request = this.pending.get(key);
+        if (request) {
+          this.pending.delete(key);
+          clearTimeout(request.timer);
+          request.reject(new Error(message.message));
+        }
+        break;
+      }
+    }
+  }
+
+  send(message) {
+    this.ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * Close for good (no reconnect)
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+}
@@ -3,8 +3,10 @@
  * Renders infinite world using multi-chunk SVDAG raymarching
  */
 
-import { ChunkManager } from './chunkManager.js';
+import { ChunkManager, assignLods } from './chunkManager.js';
+import { ChunkStream } from './chunkStream.js';
 import { VisibilityScanner } from './visibilityScanner.js';
+import { POOL_LEAF_TABLE_SIZE } from './svdagCodec.js';
 
 export class ChunkedSvdagRenderer {
   constructor(canvas, worldId) {
@@ -20,9 +22,18 @@ export class ChunkedSvdagRenderer {
     this.chunkManager = null;
     this.visibilityScanner = null;
     
+    // WebSocket chunk stream - server pushes the volume around the camera
+    this.chunkStream = null;
+    this.streamRadius = 4;         // Chunks around the camera (horizontal)
+    this.streamRadiusY = 2;        // Chunks above/below the camera
+    this.streamCenterKey = null;   // Camera chunk of the current subscription
+    this.streamProgress = null;
+    
     // Frame counter for chunk update throttling
     this.frameCount = 0;
     this.chunkUpdateInterval = 5;  // Update chunks every 5 frames (~83ms at 60fps)
+    this.lodUpdateInterval = 30;   // Swap LOD chunks every 30 frames (~0.5s at 60fps)
+    this.isUpdatingLods = false;   // Prevent overlapping LOD swaps
     
     // Scan result caching
     this.lastScanResults = null;
@@ -147,7 +158,10 @@ export class ChunkedSvdagRenderer {
       { colorR: 0.9, colorG: 0.85, colorB: 0.6, transparent: 0, emissive: 0, reflective: 0 }, // Sand
       { colorR: 0.95, colorG: 0.95, colorB: 1.0, transparent: 0, emissive: 0, reflective: 0.3 }, // Snow
       { colorR: 0.2, colorG: 0.4, colorB: 0.8, transparent: 0.8, emissive: 0, reflective: 0.2 }, // Water
-      { colorR: 0.13, colorG: 0.54, colorB: 0.13, transparent: 0, emissive: 0, reflective: 0 } // Tree
+      { colorR: 0.13, colorG: 0.54, colorB: 0.13, transparent: 0, emissive: 0, reflective: 0 }, // Tree
+      { colorR: 0.2, colorG: 0.2, colorB: 0.2, transparent: 0, emissive: 0, reflective: 0 }, // Bedrock
+      { colorR: 0.42, colorG: 0.27, colorB: 0.14, transparent: 0, emissive: 0, reflective: 0 }, // Wood
+      { colorR: 0.18, colorG: 0.48, colorB: 0.18, transparent: 0, emissive: 0, reflective: 0 } // Leaves
     ];
   }
 
@@ -177,6 +191,20 @@ export class ChunkedSvdagRenderer {
     // Create chunk manager
     this.chunkManager = new ChunkManager(this.worldId, this.device);
     
+    // Server invalidations replace chunks in place - push them to the GPU
+    this.chunkManager.onChunksChanged = () => this.uploadChunksToGPU();
+    
+    // Chunks, invalidations and progress over WebSocket (SSE if unsupported)
+    if (typeof WebSocket !== 'undefined') {
+      this.chunkStream = new ChunkStream(this.worldId, {
+        onProgress: (progress) => { this.streamProgress = progress; }
+      });
+      this.chunkManager.attachStream(this.chunkStream);
+      this.chunkStream.connect();
+    } else {
+      this.chunkManager.connectEvents();
+    }
+    
     // OLD SYSTEM DISABLED - Using request-on-miss instead (Stages 1-2 complete)
     // this.visibilityScanner = new VisibilityScanner(this.device, this.camera, 32);
     // await this.visibilityScanner.init();
@@ -570,6 +598,7 @@ export class ChunkedSvdagRenderer {
         <div><b>Max distance:</b> <span style="color:${this.adaptiveMaxDistance < 2048 ? '#f80' : '#0f0'}">${this.adaptiveMaxDistance || 2048}</span></div>
         <div><b>Max chunk steps:</b> <span style="color:${this.adaptiveMaxChunkSteps < 128 ? '#f80' : '#0f0'}">${this.adaptiveMaxChunkSteps || 128}</span></div>
         <div><b>Frozen:</b> ${this.freezeChunks ? '<span style="color:#f80">YES</span>' : 'no'}</div>
+        <div><b>Stream:</b> ${this.chunkStream?.isOpen() ? `<span style="color:#0f0">open</span> ${this.streamProgress ? `${this.streamProgress.sent} sent, ${this.streamProgress.queued} queued` : ''}` : '<span style="color:#888">HTTP</span>'}</div>
       ` : ''}
       
       <div style="margin-top: 6px; color: #f80; font-weight: bold; cursor: pointer; pointer-events: auto;" data-section="eviction">🗑️ Eviction ${arrow(this.debugSections.eviction)}</div>
@@ -601,6 +630,7 @@ export class ChunkedSvdagRenderer {
         <div><b>Unique:</b> ${this.chunkManager.svdagPool.size}/${chunks}</div>
         <div><b>Savings:</b> <span style="color:#0f0">${chunks > 0 ? ((1 - this.chunkManager.svdagPool.size / chunks) * 100).toFixed(1) : 0}%</span></div>
         <div><b>Memory saved:</b> ${((chunks - this.chunkManager.svdagPool.size) * 0.05).toFixed(1)} MB</div>
+        <div><b>Node pools:</b> ${this.chunkManager.nodePools.size} (${(this.chunkManager.getStats().nodePoolWords * 4 / 1024).toFixed(1)} KB)</div>
       ` : ''}
       
       <div style="margin-top: 6px; color: #f0f; font-weight: bold; cursor: pointer; pointer-events: auto;" data-section="position">📍 Position ${arrow(this.debugSections.position)}</div>
@@ -1195,7 +1225,7 @@ export class ChunkedSvdagRenderer {
     for (let i = 0; i < chunksToLoad.length; i += maxParallel) {
       const batch = chunksToLoad.slice(i, i + maxParallel);
       await Promise.all(batch.map(c => 
-        this.chunkManager.loadChunk(c.cx, c.cy, c.cz)
+        this.chunkManager.loadChunk(c.cx, c.cy, c.cz, c.lod)
       ));
     }
     
@@ -1456,8 +1486,12 @@ export class ChunkedSvdagRenderer {
         this.camera.position[2]
       );
       
-      // Read what chunks rays requested
-      const requested = await this.readChunkRequests();
+      // Read what chunks rays requested (LOD 0); distant ones load as LOD chunks
+      let requested = await this.readChunkRequests();
+      if (this.chunkManager.useLod) {
+        requested = assignLods(requested, this.camera.position, 'requestCount',
+          this.chunkManager.lodDistances, this.chunkManager.chunkSize);
+      }
       
       // Smart logging: only log significant changes
       const now = performance.now();
@@ -1489,8 +1523,8 @@ export class ChunkedSvdagRenderer {
       
       // Mark requested chunks as "seen" (update their lastSeen timestamp)
       for (const req of requested) {
-        const key = this.chunkManager.getChunkKey(req.cx, req.cy, req.cz);
-        const chunk = this.chunkManager.chunks.get(key);
+        const key = this.chunkManager.getChunkKey(req.cx, req.cy, req.cz, req.lod);
+        const chunk = this.chunkManager.getChunkMap(req.lod).get(key);
         if (chunk) {
           chunk.lastSeenFrame = now;  // Update last seen time (reuse 'now' from above)
         }
@@ -1506,8 +1540,8 @@ export class ChunkedSvdagRenderer {
       // Filter out chunks already loaded (cache hits)
       const alreadyLoaded = new Set();
       const needsLoading = toLoad.filter(c => {
-        const key = this.chunkManager.getChunkKey(c.cx, c.cy, c.cz);
-        const exists = this.chunkManager.chunks.has(key);
+        const key = this.chunkManager.getChunkKey(c.cx, c.cy, c.cz, c.lod);
+        const exists = this.chunkManager.getChunkMap(c.lod).has(key);
         if (exists) alreadyLoaded.add(key);
         return !exists;
       });
@@ -1520,22 +1554,12 @@ export class ChunkedSvdagRenderer {
         // This is expected during movement as new rays explore areas
       }
       
-      // Load only NEW chunks in parallel batches
-      const maxParallel = 8;
-      let loaded = 0;
-      
-      for (let i = 0; i < needsLoading.length; i += maxParallel) {
-        const batch = needsLoading.slice(i, i + maxParallel);
-        await Promise.all(batch.map(c => 
-          this.chunkManager.loadChunk(c.cx, c.cy, c.cz)
-            .then(() => loaded++)
-            .catch(err => console.warn(`Failed to load chunk (${c.cx},${c.cy},${c.cz}):`, err))
-        ));
-      }
+      // Load only NEW chunks (batched into one request when there are many)
+      const loaded = await this.chunkManager.loadChunks(needsLoading);
       
       // Upload to GPU if memory changed OR if there's a desync
       // IMPORTANT: Do this BEFORE eviction so lastSeenFrame is updated!
-      const memoryCount = this.chunkManager.chunks.size;
+      const memoryCount = this.chunkManager.chunks.size + this.chunkManager.lodChunks.size;
       const desync = memoryCount !== this.uploadedChunkCount;
       
       if (loaded > 0 || desync) {
@@ -1568,12 +1592,37 @@ export class ChunkedSvdagRenderer {
     }
   }
 
-  chunkHash(x, y, z) {
-    // Same hash function as GPU shader
+  /**
+   * Subscribe the chunk stream to the volume around the camera chunk
+   * (only re-sent when the camera crosses into another chunk)
+   */
+  updateStreamSubscription() {
+    if (!this.chunkStream) return;
+    
+    const center = this.chunkManager.worldToChunk(
+      this.camera.position[0],
+      this.camera.position[1],
+      this.camera.position[2]
+    );
+    const key = this.chunkManager.getChunkKey(center.cx, center.cy, center.cz);
+    if (key === this.streamCenterKey) return;
+    this.streamCenterKey = key;
+    
+    const r = this.streamRadius;
+    const ry = this.streamRadiusY;
+    this.chunkStream.subscribe(
+      [center.cx - r, center.cy - ry, center.cz - r],
+      [center.cx + r, center.cy + ry, center.cz + r],
+      [center.cx, center.cy, center.cz]
+    );
+  }
+
+  chunkHash(x, y, z, lod = 0) {
+    // Same hash function as GPU shader (LOD chunks: coordinates in LOD units, plus the LOD)
     const p1 = 73856093;
     const p2 = 19349663;
     const p3 = 83492791;
-    return ((x * p1) ^ (y * p2) ^ (z * p3)) >>> 0;
+    return (((x * p1) ^ (y * p2) ^ (z * p3)) + lod) >>> 0;
   }
 
   buildChunkHashTable(chunks) {
@@ -1583,7 +1632,7 @@ export class ChunkedSvdagRenderer {
     
     for (let i = 0; i < chunks.length; i++) {
       const chunk = chunks[i];
-      const hash = this.chunkHash(chunk.cx, chunk.cy, chunk.cz);
+      const hash = this.chunkHash(chunk.cx, chunk.cy, chunk.cz, chunk.lod || 0);
       let slot = hash % HASH_TABLE_SIZE;
       
       // Linear probing to find empty slot
@@ -1631,6 +1680,9 @@ export class ChunkedSvdagRenderer {
     let markedChunks = 0;
     
     for (const chunk of chunks) {
+      // The shader only skips past LOD-0 chunks
+      if (chunk.lod > 0) continue;
+      
       // Convert chunk coord to meta-chunk coord
       const metaX = Math.floor(chunk.cx / metaSizeX) + centerX;
       const metaY = Math.floor(chunk.cy / metaSizeY) + centerY;
@@ -1646,8 +1698,8 @@ export class ChunkedSvdagRenderer {
         // Check if chunk has content (Material DAG only now)
         const matNodes = chunk.materialSVDAG?.nodes?.length || 0;
         
-        // Has content if Material DAG has nodes
-        const hasContent = matNodes > 1;
+        // Has content if Material DAG has nodes (own or in a node pool), or the chunk is uniformly solid
+        const hasContent = matNodes > 1 || chunk.uniformMaterial > 0 || !!chunk.nodePool;
         
         // DEBUG: Log suspicious cases only
         if (!hasContent && matNodes > 0) {
@@ -1682,7 +1734,8 @@ export class ChunkedSvdagRenderer {
     // Get all loaded chunks and upload to GPU
     // NOTE: No sorting! Hash table handles lookup, order doesn't matter.
     // Map.values() returns chunks in insertion order (stable but not sorted)
-    const chunks = this.chunkManager.getLoadedChunks();
+    // LOD chunks go in the same table - the shader falls back to them where no LOD-0 chunk is loaded
+    const chunks = [...this.chunkManager.getLoadedChunks(), ...this.chunkManager.getLodChunks()];
     if (chunks.length === 0) {
       return;
     }
@@ -1728,7 +1781,7 @@ export class ChunkedSvdagRenderer {
     }
     
     // Build chunk metadata - MATERIAL DAG ONLY (single-DAG system)
-    // Struct layout: vec3<f32> (12) + f32 (4) + 2x u32 (8) + 2x u32 padding (8) = 32 bytes per chunk
+    // Struct layout: vec3<f32> (12) + f32 (4) + 4x u32 (16) = 32 bytes per chunk
     // GPU requires 16-byte alignment, so we pad to 32 bytes
     const bytesPerChunk = 32;
     const buffer = new ArrayBuffer(chunks.length * bytesPerChunk);
@@ -1736,9 +1789,11 @@ export class ChunkedSvdagRenderer {
     const uintView = new Uint32Array(buffer);
     
     let nodesOffset = 0;
-    let leavesOffset = 0;
+    let leavesOffset = POOL_LEAF_TABLE_SIZE;
     const allNodes = [];
-    const allLeaves = [];
+    // Identity leaf table first - node pool leaves hold the block id (leaves[id] = id)
+    const allLeaves = Array.from({ length: POOL_LEAF_TABLE_SIZE }, (_, i) => i);
+    const poolPlacements = new Map(); // node pool key → { offset, length } in allNodes
     
     for (let i = 0; i < chunks.length; i++) {
       const chunk = chunks[i];
@@ -1752,10 +1807,32 @@ export class ChunkedSvdagRenderer {
       }
       
       // World offset (chunk position * chunk size) - as FLOATS
-      floatView[floatOffset + 0] = chunk.cx * 32;
-      floatView[floatOffset + 1] = chunk.cy * 32;
-      floatView[floatOffset + 2] = chunk.cz * 32;
-      floatView[floatOffset + 3] = 32; // chunk size
+      // LOD chunks cover 32·2^lod blocks per axis (chunk.extent)
+      const extent = chunk.extent || 32;
+      floatView[floatOffset + 0] = chunk.cx * extent;
+      floatView[floatOffset + 1] = chunk.cy * extent;
+      floatView[floatOffset + 2] = chunk.cz * extent;
+      floatView[floatOffset + 3] = extent; // chunk size
+      
+      // Pooled chunk: root inside its region's node pool, uploaded once for all its chunks.
+      // Pool child pointers are relative to the pool start, so the pool start is the node base
+      if (chunk.nodePool) {
+        let placement = poolPlacements.get(chunk.nodePool);
+        if (!placement) {
+          const poolNodes = this.chunkManager.getPoolNodes(chunk.nodePool);
+          placement = { offset: nodesOffset, length: poolNodes.length };
+          poolPlacements.set(chunk.nodePool, placement);
+          for (let w = 0; w < poolNodes.length; w++) {
+            allNodes.push(poolNodes[w]);
+          }
+          nodesOffset += poolNodes.length;
+        }
+        uintView[uintOffset + 4] = placement.offset + chunk.materialSVDAG.rootIdx;
+        uintView[uintOffset + 5] = placement.length;
+        uintView[uintOffset + 6] = placement.offset;
+        uintView[uintOffset + 7] = 0;
+        continue;
+      }
       
       // Material SVDAG metadata - as UINTS!
       // material_root = absolute position of ROOT NODE (for initial traversal)
@@ -1765,12 +1842,12 @@ export class ChunkedSvdagRenderer {
       uintView[uintOffset + 4] = matRootInCombined;
       uintView[uintOffset + 5] = chunk.materialSVDAG.nodes.length;
       uintView[uintOffset + 6] = matBaseInCombined;  // NEW: base offset for child pointer conversion
-      // uintView[uintOffset + 7] = 0;  // padding
+      uintView[uintOffset + 7] = chunk.uniformMaterial || 0;  // Solid uniform chunk: block id, no nodes
       
       // Debug logging removed - use 'I' key inspector instead
       
       // Add material nodes/leaves to combined buffers
-      // IMPORTANT: Keep node pointers RELATIVE (within chunk) because shader packs indices to 16 bits!
+      // IMPORTANT: Keep node pointers RELATIVE (within chunk) because shader packs indices to 24 bits!
       // The shader will add material_root when traversing, so absolute pointers would overflow.
       // However, leaf indices must be ABSOLUTE since leaves are in a shared buffer.
       const adjustedNodes = [...chunk.materialSVDAG.nodes];
@@ -1900,6 +1977,11 @@ export class ChunkedSvdagRenderer {
     // Update movement
     this.updateMovement(dt);
     
+    // Keep the streamed volume centred on the camera
+    if (!this.freezeChunks) {
+      this.updateStreamSubscription();
+    }
+    
     // Track chunk stability
     this.trackChunkStability();
     
@@ -1951,7 +2033,7 @@ export class ChunkedSvdagRenderer {
     this.device.queue.writeBuffer(this.renderParamsBuffer, 0, renderParamsBuffer);
     
     // VERIFY: Log if there's a SIGNIFICANT mismatch (ignore small timing differences)
-    const memoryChunks = this.chunkManager.chunks.size;
+    const memoryChunks = this.chunkManager.chunks.size + this.chunkManager.lodChunks.size;
     const diff = Math.abs(this.uploadedChunkCount - memoryChunks);
     const percentDiff = memoryChunks > 0 ? (diff / memoryChunks) * 100 : 0;
     
@@ -2027,6 +2109,28 @@ export class ChunkedSvdagRenderer {
         console.error('Error processing chunk requests:', err)
       );
     }
+    
+    // Refine LOD chunks the camera approaches, merge ones it left behind
+    if (this.frameCount > 10 && !this.freezeChunks && this.frameCount % this.lodUpdateInterval === 0) {
+      this.updateLods().catch(err =>
+        console.error('Error updating LOD chunks:', err)
+      );
+    }
+  }
+
+  /**
+   * Swap LOD chunks for the camera position (ChunkManager.updateLods - it
+   * re-uploads through onChunksChanged when anything was swapped)
+   */
+  async updateLods() {
+    if (this.isUpdatingLods || this.chunkManager.lodChunks.size === 0) return;
+    
+    this.isUpdatingLods = true;
+    try {
+      await this.chunkManager.updateLods(this.camera.position);
+    } finally {
+      this.isUpdatingLods = false;
+    }
   }
 
   async readDebugInfo() {
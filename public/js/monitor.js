@@ -210,6 +210,8 @@ function updateOverviewStats(stats) {
   document.getElementById('cached-chunks').textContent = stats.chunks.cached.toLocaleString();
   document.getElementById('region-cached-chunks').textContent = stats.chunks.regionCached.toLocaleString();
   document.getElementById('generated-chunks').textContent = stats.chunks.fullGeneration.toLocaleString();
+  document.getElementById('coalesced-chunks').textContent = stats.chunks.coalescedChunks.toLocaleString();
+  document.getElementById('coalesced-regions').textContent = stats.chunks.coalescedRegions.toLocaleString();
 
   // Response time
   if (stats.timings.total) {
@@ -234,6 +236,17 @@ function updateOverviewStats(stats) {
       document.getElementById('network-total').textContent = `${stats.bottlenecks.network.totalMB} MB`;
     }
     
+    // Compression (raw vs on-the-wire bytes)
+    const network = stats.bottlenecks.network;
+    if (network.rawBytes > 0) {
+      const rawMB = (network.rawBytes / 1024 / 1024).toFixed(2);
+      const sentMB = (network.compressedBytes / 1024 / 1024).toFixed(2);
+      const saved = ((1 - network.compressionRatio) * 100).toFixed(0);
+      const encodings = Object.entries(network.encodings).map(([name, count]) => `${name} ${count}`).join(', ');
+      document.getElementById('network-compression').textContent =
+        `${rawMB} MB raw → ${sentMB} MB sent (-${saved}%) | ${encodings}`;
+    }
+    
     // Memory
     if (stats.bottlenecks.memory.current) {
       const heapMB = (stats.bottlenecks.memory.current.heapUsed / 1024 / 1024).toFixed(1);
@@ -242,6 +255,34 @@ function updateOverviewStats(stats) {
       document.getElementById('memory-rss').textContent = `RSS: ${rssMB} MB`;
     }
     
+    // Chunk cache (in-memory LRU + disk)
+    const chunkCache = stats.bottlenecks.chunkCache;
+    if (chunkCache) {
+      const usedMB = (chunkCache.bytes / 1024 / 1024).toFixed(1);
+      const maxMB = (chunkCache.maxBytes / 1024 / 1024).toFixed(0);
+      document.getElementById('chunk-cache-size').textContent = `${usedMB} / ${maxMB} MB`;
+      document.getElementById('chunk-cache-sub').textContent =
+        `${chunkCache.entries} in memory | ${chunkCache.diskHits} disk hits`;
+    }
+    
+    // SVDAG builder (high-resolution build time, output size)
+    const svdag = stats.bottlenecks.svdag;
+    if (svdag && svdag.builds > 0) {
+      document.getElementById('svdag-build-time').textContent = `${svdag.avgBuildMs.toFixed(2)}ms`;
+      document.getElementById('svdag-build-sub').textContent =
+        `${svdag.builds} builds | ${Math.round(svdag.avgNodeWords)} node words | ${Math.round(svdag.voxelsPerMs)} voxels/ms`;
+    }
+
+    // Chunk worker pool (utilisation over the last second, queue depth)
+    const workers = stats.bottlenecks.workers;
+    if (workers) {
+      document.getElementById('worker-utilisation').textContent = workers.inline
+        ? 'inline'
+        : `${(workers.utilisation * 100).toFixed(0)}% (${workers.busy}/${workers.size} busy)`;
+      document.getElementById('worker-sub').textContent =
+        `${workers.queueDepth}/${workers.maxQueue} queued | ${workers.avgWaitMs.toFixed(1)}ms wait | ${workers.rejected} rejected`;
+    }
+
     // Response Time (primary metric)
     if (stats.timings.total) {
       document.getElementById('bottleneck-response').textContent = `${stats.timings.total.recent.toFixed(1)}ms`;
@@ -1611,14 +1611,14 @@ export class NodeEditor {
 
     // Rules Header
     const rulesHeader = document.createElement('div');
-    rulesHeader.style.cssText = 'display: grid; grid-template-columns: 60px 1.2fr 1.5fr 1.5fr 50px; gap: 8px; font-weight: 600; padding: 10px 12px; background: var(--bg-tertiary); position: sticky; top: 0; z-index: 1; border-bottom: 2px solid var(--border-color); font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.5px; color: var(--text-secondary);';
-    rulesHeader.innerHTML = '<div>Biome</div><div>Name</div><div>Terrain (ID:W)</div><div>Water (ID:W)</div><div></div>';
+    rulesHeader.style.cssText = 'display: grid; grid-template-columns: 60px 1.2fr 1.5fr 1.5fr 1.2fr 50px; gap: 8px; font-weight: 600; padding: 10px 12px; background: var(--bg-tertiary); position: sticky; top: 0; z-index: 1; border-bottom: 2px solid var(--border-color); font-size: 0.75rem; text-transform: uppercase; letter-spacing: 0.5px; color: var(--text-secondary);';
+    rulesHeader.innerHTML = '<div>Biome</div><div>Name</div><div>Terrain (ID:W)</div><div>Water (ID:W)</div><div>Below (ID×Depth)</div><div></div>';
     rulesTable.appendChild(rulesHeader);
 
     // Rules Rows
     biomeRules.forEach((rule, index) => {
       const row = document.createElement('div');
-      row.style.cssText = 'display: grid; grid-template-columns: 60px 1.2fr 1.5fr 1.5fr 50px; gap: 8px; padding: 10px 12px; border-bottom: 1px solid var(--border-color); align-items: center; transition: background 0.2s;';
+      row.style.cssText = 'display: grid; grid-template-columns: 60px 1.2fr 1.5fr 1.5fr 1.2fr 50px; gap: 8px; padding: 10px 12px; border-bottom: 1px solid var(--border-color); align-items: center; transition: background 0.2s;';
       row.addEventListener('mouseenter', () => row.style.background = 'var(--bg-tertiary)');
       row.addEventListener('mouseleave', () => row.style.background = 'transparent');
       
@@ -1654,6 +1654,23 @@ export class NodeEditor {
       waterDisplay.style.cssText = 'font-size: 0.7rem; overflow: hidden; text-overflow: ellipsis; padding: 6px 8px; background: var(--bg-primary); border: 1px solid var(--border-color); border-radius: 4px; color: var(--text-secondary);';
       waterDisplay.title = waterSummary;
       
+      // Subsurface block + depth (V2 chunk strata)
+      const subsurfaceDiv = document.createElement('div');
+      subsurfaceDiv.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 4px;';
+      ['blockId', 'depth'].forEach(key => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.placeholder = key === 'blockId' ? 'ID' : 'D';
+        input.value = rule.subsurface?.[key] ?? '';
+        input.style.cssText = 'width: 100%; padding: 6px 4px; font-size: 0.75rem; background: var(--bg-primary); border: 1px solid var(--border-color); border-radius: 4px; color: var(--text-primary); text-align: center;';
+        input.addEventListener('change', (e) => {
+          rule.subsurface = { ...rule.subsurface, [key]: parseInt(e.target.value) || 0 };
+          this.refreshPreview();
+        });
+        subsurfaceDiv.appendChild(input);
+      });
+      
       // Delete button
       const deleteBtn = document.createElement('button');
       deleteBtn.textContent = '×';
@@ -1670,6 +1687,7 @@ export class NodeEditor {
       row.appendChild(biomeName);
       row.appendChild(terrainDisplay);
       row.appendChild(waterDisplay);
+      row.appendChild(subsurfaceDiv);
       row.appendChild(deleteBtn);
       
       rulesTable.appendChild(row);
@@ -1681,6 +1699,36 @@ export class NodeEditor {
     twoColContainer.appendChild(leftCol);
     twoColContainer.appendChild(rightCol);
     container.appendChild(twoColContainer);
+    
+    // === Strata: column layers under the top block (V2 chunks) ===
+    if (!params.strata) {
+      params.strata = { subsurfaceBlockId: 2, subsurfaceDepth: 3, stoneBlockId: 3, bedrockBlockId: 8, bedrockDepth: 1, seaLevel: null };
+    }
+    const strataTitle = document.createElement('h3');
+    strataTitle.textContent = 'Strata';
+    strataTitle.style.cssText = 'margin: 16px 0 8px 0; color: var(--text-primary); font-size: 0.85rem;';
+    container.appendChild(strataTitle);
+    
+    const strataRow = document.createElement('div');
+    strataRow.style.cssText = 'display: grid; grid-template-columns: repeat(6, 1fr); gap: 8px; font-size: 0.7rem; color: var(--text-secondary);';
+    for (const key of Object.keys(params.strata)) {
+      const label = document.createElement('label');
+      label.textContent = key;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = key === 'seaLevel' ? '0.01' : '1';
+      input.placeholder = key === 'seaLevel' ? 'Water node' : '';
+      input.value = params.strata[key] ?? '';
+      input.style.cssText = 'width: 100%; padding: 6px 8px; font-size: 0.75rem; background: var(--bg-primary); border: 1px solid var(--border-color); border-radius: 4px; color: var(--text-primary); text-align: center;';
+      input.addEventListener('change', (e) => {
+        const value = parseFloat(e.target.value);
+        params.strata[key] = Number.isFinite(value) ? value : (key === 'seaLevel' ? null : 0);
+        this.refreshPreview();
+      });
+      label.appendChild(input);
+      strataRow.appendChild(label);
+    }
+    container.appendChild(strataRow);
   }
 
   renderSurfaceAnimationUI(container, params) {
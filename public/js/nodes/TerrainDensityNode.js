@@ -0,0 +1,23 @@
+import { BaseNode } from './BaseNode.js';
+
+export class TerrainDensityNode extends BaseNode {
+  static inputs = [];
+  static outputs = ['density'];
+  static defaultParams = {
+    overhangStrength: 8,     // Blocks the surface may move in or out (0 = off)
+    overhangFrequency: 0.04,
+    caveFrequency: 0.025,    // 0 = no caves
+    caveThreshold: 0.45,     // Higher = fewer, smaller caves
+    caveMinDepth: 8,         // Caves stay this far below the surface
+    tunnelFrequency: 0.012,  // 0 = no tunnels
+    tunnelRadius: 0.08,
+    minY: 4                  // Floor that is never carved
+  };
+
+  async process(inputs, params) {
+    // Applied by the server while voxelizing chunks - nothing to compute here
+    return {
+      density: { ...params }
+    };
+  }
+}
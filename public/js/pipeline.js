@@ -21,6 +21,7 @@ import { ErosionNode } from './nodes/ErosionNode.js';
 import { ClassifierNode } from './nodes/ClassifierNode.js';
 import { CombineNode } from './nodes/CombineNode.js';
 import { SurfaceAnimationNode } from './nodes/SurfaceAnimationNode.js';
+import { TerrainDensityNode } from './nodes/TerrainDensityNode.js';
 import { GradientMapNode } from './nodes/GradientMapNode.js';
 import { TerraceNode } from './nodes/TerraceNode.js';
 import { MaskNode } from './nodes/MaskNode.js';
@@ -70,6 +71,7 @@ export class PipelineManager {
     this.nodeTypes.set('Classifier', ClassifierNode);
     this.nodeTypes.set('Combine', CombineNode);
     this.nodeTypes.set('SurfaceAnimation', SurfaceAnimationNode);
+    this.nodeTypes.set('TerrainDensity', TerrainDensityNode);
     this.nodeTypes.set('GradientMap', GradientMapNode);
     this.nodeTypes.set('Terrace', TerraceNode);
     this.nodeTypes.set('Mask', MaskNode);
@@ -252,7 +254,7 @@ export class PipelineManager {
     
     // Some nodes (like SurfaceAnimation) don't produce visualizable data
     // Return null to indicate no visualization needed
-    if (nodeData.type === 'SurfaceAnimation') {
+    if (nodeData.type === 'SurfaceAnimation' || nodeData.type === 'TerrainDensity') {
       return null;
     }
     
@@ -0,0 +1,457 @@
+/**
+ * SVDAG Chunk Codec
+ * Binary chunk format shared by the server (routes/chunksv2.js,
+ * services/streamChunkGenerator.js) and the client (ChunkManager)
+ * Works on ArrayBuffer / Uint8Array (Node Buffers included), no Node APIs
+ *
+ * v3 layout (little-endian, 80-byte header):
+ *   0  u32 magic 'SVDA'        4  u32 version (3)       8  u32 header size
+ *   12 u32 flags               16 u32 chunk size        20 i32 cx, cy, cz (chunk coords)
+ *   32 u32 material root       36 u32 opaque root       40 u32 CRC32
+ *   44 u32 section count (4)   48 section table: 4 × (u32 byte offset, u32 byte length)
+ *   sections: material nodes, material leaves, opaque nodes, opaque leaves
+ * The CRC32 covers every byte except its own field.
+ *
+ * v2 (still readable): 40-byte header - magic, version, size, mat node count,
+ * mat leaf count, mat root, flags, checksum (unused), opq root, opq node count -
+ * followed by the four sections; the opaque leaf count is whatever remains.
+ *
+ * Uniform chunks (all air / one material): 16 bytes - magic 'SVDU', version 1,
+ * chunk size, material
+ *
+ * Pooled chunks (root into a region node pool, see server/services/nodePool.js),
+ * 60-byte header:
+ *   0  u32 magic 'SVDP'        4  u32 version (1)       8  u32 header size
+ *   12 u32 chunk size          16 i32 cx, cy, cz        28 i32 regionX, regionZ
+ *   36 u32 pool id             40 u32 root (pool word offset)
+ *   44 u32 page size (words)   48 u32 dependency count  52 u32 page count
+ *   56 u32 CRC32
+ *   then u32[dependency count] page ids the chunk needs,
+ *   then per page fragment: u32 page id, u32 first word (within the page),
+ *   u32 word count, u32[word count] node words
+ * Only the words the client doesn't already hold are included (pages only grow,
+ * so a fragment extends what the client has). Pool leaf nodes hold the block id
+ * directly; clients resolve them through an identity leaf table.
+ */
+
+export const SVDAG_MAGIC = 0x53564441;   // 'SVDA'
+export const UNIFORM_MAGIC = 0x53564455; // 'SVDU'
+export const POOL_MAGIC = 0x53564450;    // 'SVDP'
+export const SVDAG_VERSION = 3;
+export const POOL_VERSION = 1;
+
+// Pool leaf nodes store block ids below this; clients map them 1:1 in their leaf table
+export const POOL_LEAF_TABLE_SIZE = 256;
+
+export const CHUNK_FLAGS = {
+  OPAQUE_SHARED: 0x1  // Opaque SVDAG is the material SVDAG (opaque sections empty)
+};
+
+const V2_HEADER_SIZE = 40;
+const V3_FIXED_HEADER_SIZE = 48;
+const SECTION_COUNT = 4;
+const V3_HEADER_SIZE = V3_FIXED_HEADER_SIZE + SECTION_COUNT * 8;
+const CRC_OFFSET = 40;
+const UNIFORM_SIZE = 16;
+const POOL_HEADER_SIZE = 60;
+const POOL_CRC_OFFSET = 56;
+
+let crcTable = null;
+
+/**
+ * CRC32 (IEEE) of a byte range
+ */
+export function crc32(bytes, start = 0, end = bytes.length, crc = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  crc = ~crc >>> 0;
+  for (let i = start; i < end; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+function toBytes(data) {
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  throw new Error('SVDAG chunk must be an ArrayBuffer or typed array');
+}
+
+function sectionBytes(array) {
+  const words = array || new Uint32Array(0);
+  return new Uint8Array(words.buffer, words.byteOffset, words.byteLength);
+}
+
+/**
+ * Encode a chunk in the v3 format
+ * SVDAGs are { nodes | nodesBuffer, leaves | leavesBuffer, rootIdx } with Uint32Array data
+ * @param {object} chunk - { materialSVDAG, opaqueSVDAG, cx, cy, cz, chunkSize }
+ * @returns {Uint8Array}
+ */
+export function encodeChunk({ materialSVDAG, opaqueSVDAG, cx = 0, cy = 0, cz = 0, chunkSize = 32 }) {
+  const matNodes = sectionBytes(materialSVDAG.nodesBuffer || materialSVDAG.nodes);
+  const matLeaves = sectionBytes(materialSVDAG.leavesBuffer || materialSVDAG.leaves);
+
+  const opaqueShared = !opaqueSVDAG || opaqueSVDAG === materialSVDAG;
+  const opqNodes = opaqueShared ? new Uint8Array(0) : sectionBytes(opaqueSVDAG.nodesBuffer || opaqueSVDAG.nodes);
+  const opqLeaves = opaqueShared ? new Uint8Array(0) : sectionBytes(opaqueSVDAG.leavesBuffer || opaqueSVDAG.leaves);
+
+  const sections = [matNodes, matLeaves, opqNodes, opqLeaves];
+  const totalSize = V3_HEADER_SIZE + sections.reduce((sum, s) => sum + s.byteLength, 0);
+
+  const bytes = new Uint8Array(totalSize);
+  const view = new DataView(bytes.buffer);
+
+  view.setUint32(0, SVDAG_MAGIC, true);
+  view.setUint32(4, SVDAG_VERSION, true);
+  view.setUint32(8, V3_HEADER_SIZE, true);
+  view.setUint32(12, opaqueShared ? CHUNK_FLAGS.OPAQUE_SHARED : 0, true);
+  view.setUint32(16, chunkSize, true);
+  view.setInt32(20, cx, true);
+  view.setInt32(24, cy, true);
+  view.setInt32(28, cz, true);
+  view.setUint32(32, materialSVDAG.rootIdx, true);
+  view.setUint32(36, opaqueShared ? materialSVDAG.rootIdx : opaqueSVDAG.rootIdx, true);
+  view.setUint32(44, SECTION_COUNT, true);
+
+  let offset = V3_HEADER_SIZE;
+  sections.forEach((section, i) => {
+    view.setUint32(V3_FIXED_HEADER_SIZE + i * 8, offset, true);
+    view.setUint32(V3_FIXED_HEADER_SIZE + i * 8 + 4, section.byteLength, true);
+    bytes.set(section, offset);
+    offset += section.byteLength;
+  });
+
+  view.setUint32(CRC_OFFSET, checksum(bytes), true);
+  return bytes;
+}
+
+/**
+ * Encode a uniform chunk (16 bytes, no SVDAG)
+ * @param {number} material - Block id (0 = air)
+ * @returns {Uint8Array}
+ */
+export function encodeUniformChunk(material, chunkSize = 32) {
+  const bytes = new Uint8Array(UNIFORM_SIZE);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, UNIFORM_MAGIC, true);
+  view.setUint32(4, 1, true);
+  view.setUint32(8, chunkSize, true);
+  view.setUint32(12, material, true);
+  return bytes;
+}
+
+/**
+ * Material of a uniform chunk, or null for an SVDAG chunk
+ */
+export function getUniformMaterial(data) {
+  const bytes = toBytes(data);
+  if (bytes.byteLength !== UNIFORM_SIZE) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return view.getUint32(0, true) === UNIFORM_MAGIC ? view.getUint32(12, true) : null;
+}
+
+function checksum(bytes, crcOffset = CRC_OFFSET) {
+  return crc32(bytes, crcOffset + 4, bytes.length, crc32(bytes, 0, crcOffset));
+}
+
+/**
+ * Encode a pooled chunk - root offset, dependencies and the pages being sent
+ * @param {object} chunk - { cx, cy, cz, regionX, regionZ, poolId, root, pageWords,
+ *                           dependencies: number[], pages: [{ id, start, words: Uint32Array }], chunkSize }
+ * @returns {Uint8Array}
+ */
+export function encodePooledChunk({ cx, cy, cz, regionX, regionZ, poolId, root, pageWords, dependencies, pages, chunkSize = 32 }) {
+  const pageBytes = pages.reduce((sum, page) => sum + 12 + page.words.byteLength, 0);
+  const bytes = new Uint8Array(POOL_HEADER_SIZE + dependencies.length * 4 + pageBytes);
+  const view = new DataView(bytes.buffer);
+
+  view.setUint32(0, POOL_MAGIC, true);
+  view.setUint32(4, POOL_VERSION, true);
+  view.setUint32(8, POOL_HEADER_SIZE, true);
+  view.setUint32(12, chunkSize, true);
+  view.setInt32(16, cx, true);
+  view.setInt32(20, cy, true);
+  view.setInt32(24, cz, true);
+  view.setInt32(28, regionX, true);
+  view.setInt32(32, regionZ, true);
+  view.setUint32(36, poolId, true);
+  view.setUint32(40, root, true);
+  view.setUint32(44, pageWords, true);
+  view.setUint32(48, dependencies.length, true);
+  view.setUint32(52, pages.length, true);
+
+  let offset = POOL_HEADER_SIZE;
+  for (const page of dependencies) {
+    view.setUint32(offset, page, true);
+    offset += 4;
+  }
+  for (const page of pages) {
+    view.setUint32(offset, page.id, true);
+    view.setUint32(offset + 4, page.start || 0, true);
+    view.setUint32(offset + 8, page.words.length, true);
+    bytes.set(sectionBytes(page.words), offset + 12);
+    offset += 12 + page.words.byteLength;
+  }
+
+  view.setUint32(POOL_CRC_OFFSET, checksum(bytes, POOL_CRC_OFFSET), true);
+  return bytes;
+}
+
+function decodePooledChunk(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.byteLength < POOL_HEADER_SIZE) {
+    throw new Error(`Pooled chunk truncated: ${bytes.byteLength} bytes, header needs ${POOL_HEADER_SIZE}`);
+  }
+
+  const version = view.getUint32(4, true);
+  if (version !== POOL_VERSION || view.getUint32(8, true) !== POOL_HEADER_SIZE) {
+    throw new Error(`Unsupported pooled chunk version: ${version}`);
+  }
+
+  const expected = view.getUint32(POOL_CRC_OFFSET, true);
+  const actual = checksum(bytes, POOL_CRC_OFFSET);
+  if (actual !== expected) {
+    throw new Error(`Pooled chunk checksum mismatch (expected ${expected.toString(16)}, got ${actual.toString(16)})`);
+  }
+
+  const pageWords = view.getUint32(44, true);
+  const dependencyCount = view.getUint32(48, true);
+  const pageCount = view.getUint32(52, true);
+
+  let offset = POOL_HEADER_SIZE;
+  if (offset + dependencyCount * 4 > bytes.byteLength) {
+    throw new Error('Pooled chunk truncated in its dependency list');
+  }
+  const dependencies = readSection(bytes, { offset, length: dependencyCount * 4 });
+  offset += dependencyCount * 4;
+
+  const pages = [];
+  for (let i = 0; i < pageCount; i++) {
+    if (offset + 12 > bytes.byteLength) {
+      throw new Error(`Pooled chunk truncated at page ${i}`);
+    }
+    const id = view.getUint32(offset, true);
+    const start = view.getUint32(offset + 4, true);
+    const wordCount = view.getUint32(offset + 8, true);
+    if (start + wordCount > pageWords || offset + 12 + wordCount * 4 > bytes.byteLength) {
+      throw new Error(`Pooled chunk page ${id} is malformed (words ${start}+${wordCount})`);
+    }
+    pages.push({ id, start, words: readSection(bytes, { offset: offset + 12, length: wordCount * 4 }) });
+    offset += 12 + wordCount * 4;
+  }
+  if (offset !== bytes.byteLength) {
+    throw new Error(`Pooled chunk has ${bytes.byteLength - offset} trailing bytes`);
+  }
+
+  const root = view.getUint32(40, true);
+  const svdag = { nodes: new Uint32Array(0), leaves: new Uint32Array(0), rootIdx: root };
+  return {
+    version,
+    flags: 0,
+    chunkSize: view.getUint32(12, true),
+    position: {
+      cx: view.getInt32(16, true),
+      cy: view.getInt32(20, true),
+      cz: view.getInt32(24, true)
+    },
+    uniformMaterial: null,
+    pool: {
+      regionX: view.getInt32(28, true),
+      regionZ: view.getInt32(32, true),
+      poolId: view.getUint32(36, true),
+      root,
+      pageWords,
+      dependencies,
+      pages
+    },
+    materialSVDAG: svdag,
+    opaqueSVDAG: svdag
+  };
+}
+
+/**
+ * Header fields and node/leaf counts without copying the sections
+ * Validates structure (not the CRC - decodeChunk checks that)
+ * @returns {object} { version, flags, chunkSize, position, uniformMaterial, sections, materialRoot, opaqueRoot, checksum }
+ */
+export function readChunkHeader(data) {
+  const bytes = toBytes(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.byteLength < 8) {
+    throw new Error(`SVDAG chunk truncated: ${bytes.byteLength} bytes`);
+  }
+
+  const magic = view.getUint32(0, true);
+  const version = view.getUint32(4, true);
+
+  if (magic === UNIFORM_MAGIC) {
+    if (bytes.byteLength !== UNIFORM_SIZE) {
+      throw new Error(`Uniform chunk must be ${UNIFORM_SIZE} bytes, got ${bytes.byteLength}`);
+    }
+    return {
+      version,
+      flags: 0,
+      chunkSize: view.getUint32(8, true),
+      position: null,
+      uniformMaterial: view.getUint32(12, true),
+      sections: null
+    };
+  }
+
+  if (magic !== SVDAG_MAGIC) {
+    throw new Error(`Invalid chunk magic number: ${magic.toString(16)}`);
+  }
+
+  if (version === 2) {
+    return readV2Header(view, bytes.byteLength);
+  }
+  if (version === 3) {
+    return readV3Header(view, bytes.byteLength);
+  }
+  throw new Error(`Unsupported SVDAG chunk version: ${version}`);
+}
+
+function readV2Header(view, byteLength) {
+  if (byteLength < V2_HEADER_SIZE) {
+    throw new Error(`SVDAG v2 chunk truncated: ${byteLength} bytes, header needs ${V2_HEADER_SIZE}`);
+  }
+
+  const matNodeCount = view.getUint32(12, true);
+  const matLeafCount = view.getUint32(16, true);
+  const opqNodeCount = view.getUint32(36, true);
+
+  const sections = [];
+  let offset = V2_HEADER_SIZE;
+  for (const count of [matNodeCount, matLeafCount, opqNodeCount]) {
+    sections.push({ offset, length: count * 4 });
+    offset += count * 4;
+  }
+  if (offset > byteLength) {
+    throw new Error(`SVDAG v2 chunk truncated: ${byteLength} bytes, sections need ${offset}`);
+  }
+  if ((byteLength - offset) % 4 !== 0) {
+    throw new Error('SVDAG v2 chunk has a partial opaque leaf');
+  }
+  sections.push({ offset, length: byteLength - offset });
+
+  return {
+    version: 2,
+    flags: view.getUint32(24, true),
+    chunkSize: view.getUint32(8, true),
+    position: null,
+    uniformMaterial: null,
+    materialRoot: view.getUint32(20, true),
+    opaqueRoot: view.getUint32(32, true),
+    checksum: null,
+    sections
+  };
+}
+
+function readV3Header(view, byteLength) {
+  if (byteLength < V3_FIXED_HEADER_SIZE) {
+    throw new Error(`SVDAG v3 chunk truncated: ${byteLength} bytes, header needs ${V3_FIXED_HEADER_SIZE}`);
+  }
+
+  const headerSize = view.getUint32(8, true);
+  const sectionCount = view.getUint32(44, true);
+  if (sectionCount !== SECTION_COUNT || headerSize !== V3_FIXED_HEADER_SIZE + sectionCount * 8) {
+    throw new Error(`SVDAG v3 chunk has a bad section table (${sectionCount} sections, header ${headerSize} bytes)`);
+  }
+  if (byteLength < headerSize) {
+    throw new Error(`SVDAG v3 chunk truncated: ${byteLength} bytes, header needs ${headerSize}`);
+  }
+
+  const sections = [];
+  let expectedOffset = headerSize;
+  for (let i = 0; i < sectionCount; i++) {
+    const offset = view.getUint32(V3_FIXED_HEADER_SIZE + i * 8, true);
+    const length = view.getUint32(V3_FIXED_HEADER_SIZE + i * 8 + 4, true);
+    if (offset !== expectedOffset || length % 4 !== 0) {
+      throw new Error(`SVDAG v3 chunk section ${i} is malformed (offset ${offset}, length ${length})`);
+    }
+    if (offset + length > byteLength) {
+      throw new Error(`SVDAG v3 chunk truncated: ${byteLength} bytes, section ${i} ends at ${offset + length}`);
+    }
+    sections.push({ offset, length });
+    expectedOffset = offset + length;
+  }
+  if (expectedOffset !== byteLength) {
+    throw new Error(`SVDAG v3 chunk has ${byteLength - expectedOffset} trailing bytes`);
+  }
+
+  return {
+    version: 3,
+    flags: view.getUint32(12, true),
+    chunkSize: view.getUint32(16, true),
+    position: {
+      cx: view.getInt32(20, true),
+      cy: view.getInt32(24, true),
+      cz: view.getInt32(28, true)
+    },
+    uniformMaterial: null,
+    materialRoot: view.getUint32(32, true),
+    opaqueRoot: view.getUint32(36, true),
+    checksum: view.getUint32(CRC_OFFSET, true),
+    sections
+  };
+}
+
+function readSection(bytes, { offset, length }) {
+  // Copy - keeps the Uint32Array 4-byte aligned whatever the source offset
+  return new Uint32Array(bytes.slice(offset, offset + length).buffer);
+}
+
+/**
+ * Decode any chunk (v2, v3, uniform or pooled)
+ * Throws on bad magic, unknown versions, truncation, malformed sections or CRC mismatch
+ * @returns {object} { version, flags, chunkSize, position, uniformMaterial,
+ *                     materialSVDAG: { nodes, leaves, rootIdx }, opaqueSVDAG: { ... } }
+ *          Pooled chunks also carry pool: { regionX, regionZ, poolId, root, pageWords,
+ *          dependencies, pages } and empty SVDAGs whose rootIdx is the pool offset
+ */
+export function decodeChunk(data) {
+  const bytes = toBytes(data);
+  if (bytes.byteLength >= 4 && new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === POOL_MAGIC) {
+    return decodePooledChunk(bytes);
+  }
+  const header = readChunkHeader(bytes);
+
+  if (header.uniformMaterial !== null) {
+    const empty = () => ({ nodes: new Uint32Array(0), leaves: new Uint32Array(0), rootIdx: 0 });
+    return { ...header, materialSVDAG: empty(), opaqueSVDAG: empty() };
+  }
+
+  if (header.version === 3) {
+    const actual = checksum(bytes);
+    if (actual !== header.checksum) {
+      throw new Error(`SVDAG chunk checksum mismatch (expected ${header.checksum.toString(16)}, got ${actual.toString(16)})`);
+    }
+  }
+
+  const [matNodes, matLeaves, opqNodes, opqLeaves] = header.sections.map(section => readSection(bytes, section));
+  const materialSVDAG = { nodes: matNodes, leaves: matLeaves, rootIdx: header.materialRoot };
+  const opaqueSVDAG = header.flags & CHUNK_FLAGS.OPAQUE_SHARED && header.version === 3
+    ? materialSVDAG
+    : { nodes: opqNodes, leaves: opqLeaves, rootIdx: header.opaqueRoot };
+
+  return {
+    version: header.version,
+    flags: header.flags,
+    chunkSize: header.chunkSize,
+    position: header.position,
+    uniformMaterial: null,
+    materialSVDAG,
+    opaqueSVDAG
+  };
+}
@@ -3,6 +3,8 @@
  * Performs low-res ray scan to detect which chunks are needed
  */
 
+import { assignLods, LOD_DISTANCES } from './chunkManager.js';
+
 export class VisibilityScanner {
   constructor(device, camera, chunkSize = 32) {
     this.device = device;
@@ -14,6 +16,10 @@ export class VisibilityScanner {
     this.scanWidth = Math.ceil(this.viewDistanceChunks * 4.5);  // ~4.5 rays per chunk (denser!)
     this.scanHeight = Math.ceil(this.scanWidth * 0.66);  // Account for vertical FOV
     
+    // Distant hits are requested as coarse LOD chunks (see ChunkManager.updateLods)
+    this.useLod = true;
+    this.lodDistances = LOD_DISTANCES;
+    
     console.log(`📡 Visibility scanner initialized: ${this.scanWidth}×${this.scanHeight} = ${this.scanWidth * this.scanHeight} rays, view distance: ${this.viewDistanceChunks} chunks (${this.viewDistanceChunks * chunkSize}m)`);
     
     // Request buffer: 3D grid of chunks
@@ -186,10 +192,15 @@ export class VisibilityScanner {
     
     this.stagingBuffer.unmap();
     
+    // Distant chunks as LOD chunks (chunks falling in the same one become one request)
+    const chunks = this.useLod
+      ? assignLods(requestedChunks, this.camera.position, 'rayCount', this.lodDistances, this.chunkSize)
+      : requestedChunks;
+    
     // Sort by ray count (more rays = more visible/important)
-    requestedChunks.sort((a, b) => b.rayCount - a.rayCount);
+    chunks.sort((a, b) => b.rayCount - a.rayCount);
     
-    return requestedChunks;
+    return chunks;
   }
   
   worldToChunk(position) {
@@ -217,7 +228,8 @@ export class VisibilityScanner {
       scanResolution: `${this.scanWidth}×${this.scanHeight}`,
       totalRays: this.scanWidth * this.scanHeight,
       gridSize: `${this.gridSize}³`,
-      maxChunks: this.requestBufferSize
+      maxChunks: this.requestBufferSize,
+      lodDistances: this.useLod ? this.lodDistances.join('/') : 'off'
     };
   }
 }
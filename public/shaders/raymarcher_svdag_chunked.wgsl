@@ -16,11 +16,11 @@ struct Camera {
 
 struct ChunkMetadata {
   world_offset: vec3<f32>,      // Chunk position in world space (12 bytes)
-  chunk_size: f32,              // Size of chunk (32) (4 bytes)
+  chunk_size: f32,              // Blocks per axis: 32, LOD chunks 32·2^lod (4 bytes)
   material_root: u32,           // Root NODE index (absolute in combined buffer) (4 bytes)
   material_node_count: u32,     // Number of nodes in material SVDAG (4 bytes)
   material_node_base: u32,      // Base offset of chunk's first node (for child pointers) (4 bytes)
-  _padding: u32,                // Padding to align to 32 bytes (4 bytes)
+  uniform_block: u32,           // Non-zero: whole chunk is this block, no nodes (4 bytes)
 }  // Total: 32 bytes (GPU requires 16-byte alignment)
 
 struct BlockMaterial {
@@ -62,16 +62,17 @@ struct StackEntry {
   pos_xyz: vec3<f32>,
 }
 
+// 24-bit node index (region node pools exceed 16 bits), 8-bit depth
 fn packIdxDepth(node_idx: u32, depth: u32) -> u32 {
-  return (node_idx & 0xFFFFu) | ((depth & 0xFFu) << 16u);
+  return (node_idx & 0xFFFFFFu) | ((depth & 0xFFu) << 24u);
 }
 
 fn unpackNodeIdx(packed: u32) -> u32 {
-  return packed & 0xFFFFu;
+  return packed & 0xFFFFFFu;
 }
 
 fn unpackDepth(packed: u32) -> u32 {
-  return (packed >> 16u) & 0xFFu;
+  return (packed >> 24u) & 0xFFu;
 }
 
 @group(0) @binding(0) var<uniform> camera: Camera;
@@ -90,6 +91,7 @@ const MAX_STACK_DEPTH = 19;
 const MAX_STEPS = 256;
 const HASH_TABLE_SIZE = 65536u;  // 64K slots for 25K chunks (load factor ~0.4)
 const MAX_PROBE = 64u;  // Max linear probing steps
+const MAX_LOD = 4u;  // Coarsest LOD chunk (32·2^lod blocks per axis) - must match chunkManager.js MAX_LOD
 
 // Meta-grid configuration (must match CPU side!)
 const META_CHUNK_SIZE = vec3<i32>(4, 4, 4);  // Each meta-chunk = 4x4x4 chunks (TUNABLE!)
@@ -234,9 +236,11 @@ fn isMetaChunkEmpty(chunkCoord: vec3<i32>) -> bool {
   return metaGrid[metaIdx] == 0u;  // 0 = empty, can skip!
 }
 
-fn getChunkIndexByCoord(chunkCoord: vec3<i32>) -> i32 {
+// LOD chunks are keyed by their coordinates in LOD units plus the LOD
+fn getChunkIndexByCoord(chunkCoord: vec3<i32>, lod: u32) -> i32 {
   // Hash table lookup with linear probing
-  let hash = chunkHash(chunkCoord);
+  let hash = chunkHash(chunkCoord) + lod;
+  let extent = f32(32u << lod);
   var slot = hash % HASH_TABLE_SIZE;
   
   for (var probe = 0u; probe < MAX_PROBE; probe++) {
@@ -248,11 +252,11 @@ fn getChunkIndexByCoord(chunkCoord: vec3<i32>) -> i32 {
     
     // Check if this is the chunk we're looking for
     let chunk = chunkMetadata[index];
-    let cx = i32(floor(chunk.world_offset.x / 32.0));
-    let cy = i32(floor(chunk.world_offset.y / 32.0));
-    let cz = i32(floor(chunk.world_offset.z / 32.0));
+    let cx = i32(floor(chunk.world_offset.x / extent));
+    let cy = i32(floor(chunk.world_offset.y / extent));
+    let cz = i32(floor(chunk.world_offset.z / extent));
     
-    if (cx == chunkCoord.x && cy == chunkCoord.y && cz == chunkCoord.z) {
+    if (chunk.chunk_size == extent && cx == chunkCoord.x && cy == chunkCoord.y && cz == chunkCoord.z) {
       return i32(index);  // Found it!
     }
     
@@ -263,6 +267,18 @@ fn getChunkIndexByCoord(chunkCoord: vec3<i32>) -> i32 {
   return -1;  // Not found after MAX_PROBE attempts
 }
 
+// Chunk covering a LOD-0 chunk cell: the LOD-0 chunk if loaded, else the
+// finest loaded LOD chunk containing it
+fn findChunk(chunkCoord: vec3<i32>) -> i32 {
+  for (var lod = 0u; lod <= MAX_LOD; lod++) {
+    let index = getChunkIndexByCoord(chunkCoord >> vec3<u32>(lod), lod);
+    if (index != -1) {
+      return index;
+    }
+  }
+  return -1;
+}
+
 fn worldToChunkLocal(worldPos: vec3<f32>, chunkIdx: i32) -> vec3<f32> {
   if (chunkIdx < 0) {
     return vec3<f32>(0.0);
@@ -337,6 +353,24 @@ fn traverseSVDAG(
   let node_base = chunk.material_node_base;  // Absolute position of chunk's first node
   let node_count = chunk.material_node_count;
   
+  // Uniform solid chunk: hit where the ray enters it (no SVDAG uploaded)
+  if (chunk.uniform_block != 0u) {
+    hit.distance = t_start;
+    hit.block_id = chunk.uniform_block;
+    hit.steps = 1u;
+    
+    // Normal from the chunk face the ray entered through
+    let epsilon = max(0.001, abs(t_enter) * 0.00001);
+    if (abs(t_enter - tmin_chunk.x) < epsilon) {
+      hit.normal = vec3<f32>(-sign(ray_dir.x), 0.0, 0.0);
+    } else if (abs(t_enter - tmin_chunk.y) < epsilon) {
+      hit.normal = vec3<f32>(0.0, -sign(ray_dir.y), 0.0);
+    } else {
+      hit.normal = vec3<f32>(0.0, 0.0, -sign(ray_dir.z));
+    }
+    return hit;
+  }
+  
   // Empty chunk check: node_count == 0, NOT root_idx == 0!
   // (root_idx = 0 is VALID - it's the first node in the array)
   if (node_count == 0u) {
@@ -352,7 +386,7 @@ fn traverseSVDAG(
   // Initialize stack with root at CHUNK CENTER in WORLD coordinates!
   let chunk_local_center = vec3<f32>(world_size * 0.5);
   let chunk_world_center = chunk.world_offset + chunk_local_center;
-  // Pack RELATIVE index (root_idx - node_base) to avoid 16-bit overflow
+  // Pack RELATIVE index (root_idx - node_base) to avoid 24-bit overflow
   let root_idx_relative = root_idx - node_base;
   stack[0].packed_idx_depth = packIdxDepth(root_idx_relative, 0u);
   stack[0].pos_xyz = chunk_world_center;  // WORLD coordinates!
@@ -477,7 +511,7 @@ fn traverseSVDAG(
           let child_idx_relative = svdag_nodes[node_idx + 2u + child_count];
           
           if (stack_size < MAX_STACK_DEPTH) {
-            // Pack RELATIVE index to avoid 16-bit overflow
+            // Pack RELATIVE index to avoid 24-bit overflow
             stack[stack_size].packed_idx_depth = packIdxDepth(child_idx_relative, depth + 1u);
             stack[stack_size].pos_xyz = child_center;  // Store CENTER
             stack_size++;
@@ -518,6 +552,7 @@ fn raymarchChunks(ray_origin: vec3<f32>, ray_dir: vec3<f32>) -> Hit {
   var dda = initDDA(ray_origin, ray_dir);
   var steps = 0u;  // u32 to match Hit.chunk_steps
   var meta_skips = 0u;  // Track how many meta-chunks we skipped
+  var last_air_chunk = -1;  // LOD chunks span several cells - traverse each once
   
   // March through chunk grid using DDA
   while (steps < max_steps) {
@@ -529,8 +564,8 @@ fn raymarchChunks(ray_origin: vec3<f32>, ray_dir: vec3<f32>) -> Hit {
       break;
     }
     
-    // Try to find this chunk FIRST
-    let chunkIdx = getChunkIndexByCoord(dda.current_chunk);
+    // Try to find this chunk FIRST (or an LOD chunk covering it)
+    let chunkIdx = findChunk(dda.current_chunk);
     
     if (chunkIdx == -1) {
       // CHUNK NOT LOADED - Request it!
@@ -546,8 +581,15 @@ fn raymarchChunks(ray_origin: vec3<f32>, ray_dir: vec3<f32>) -> Hit {
       return closest_hit;
     }
     
+    // Already traversed (an LOD chunk covering earlier cells) and all air
+    if (chunkIdx == last_air_chunk) {
+      stepDDA(&dda);
+      continue;
+    }
+    
     // Stage 7b: Meta-SVDAG Spatial Skip - Skip empty meta-chunks (toggle with M key)
-    if (renderParams.meta_skip_enabled != 0u) {
+    // The meta-grid only knows LOD-0 chunks
+    if (renderParams.meta_skip_enabled != 0u && chunkMetadata[u32(chunkIdx)].chunk_size == 32.0) {
       let metaIdx = getMetaChunkIndex(dda.current_chunk);
       if (metaIdx != 0xFFFFFFFFu && metaGrid[metaIdx] == 0u) {
         // Meta-chunk is empty - skip it entirely!
@@ -571,6 +613,7 @@ fn raymarchChunks(ray_origin: vec3<f32>, ray_dir: vec3<f32>) -> Hit {
     }
     
     // Chunk was air - continue to next chunk
+    last_air_chunk = chunkIdx;
     stepDDA(&dda);
   }
   
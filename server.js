@@ -4,7 +4,8 @@ import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
 
 // import chunkRoutes from './server/routes/chunks.js';  // V1 disabled
-import chunksV2Routes from './server/routes/chunksv2.js';
+import chunksV2Routes, { getChunk, worldExists } from './server/routes/chunksv2.js';
+import { ChunkStreamServer } from './server/services/chunkStreamServer.js';
 import monitorRoutes from './server/routes/monitor.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -252,6 +253,9 @@ const server = app.listen(PORT, () => {
   console.log(`🎮 V2 pipeline available at /api/v2/*\n`);
 });
 
+// WebSocket chunk stream (ws://host/api/v2/stream?worldId=...)
+new ChunkStreamServer({ getChunk, worldExists }).attach(server);
+
 // Keep server alive - prevent Node.js from exiting when event loop is empty
 server.timeout = 0; // No timeout
 server.keepAliveTimeout = 120000; // 120 seconds
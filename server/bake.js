@@ -0,0 +1,280 @@
+/**
+ * World Baker - pregenerate V2 regions and chunks offline
+ * Runs the same pipeline as the HTTP routes (getChunk) headlessly, writing
+ * encoded chunks to the chunk cache and region maps to the region store, so a
+ * world can ship pre-baked or be warmed before a demo.
+ *
+ * Usage:
+ *   npm run bake -- --world test_world --regions -2..2,-2..2 --y 0..8
+ *     --world <id>          world in storage/worlds (required)
+ *     --regions x..x,z..z   region index ranges, inclusive (region = 512 blocks)
+ *     --y a..b              chunk Y range, inclusive (default 0..8)
+ *     --lod a..b            LOD range, inclusive (default 0..0; LOD chunks cover 32·2ⁿ blocks)
+ *     --backend auto|gpu|cpu
+ *     --force               ignore saved progress and bake every region again
+ *
+ * Progress is saved per region in storage/worlds/<id>/bake.json; an interrupted
+ * bake with the same options resumes after the last finished region (chunks
+ * already cached from a partial region are cache hits).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import {
+  getChunk,
+  saveRegion,
+  releaseRegion,
+  flushChunkCache,
+  worldExists
+} from './routes/chunksv2.js';
+import { getUniformMaterial } from '../public/js/svdagCodec.js';
+import { MAX_LOD } from './services/chunkLod.js';
+
+const REGION_SIZE = 512;
+const CHUNK_SIZE = 32;
+const PROGRESS_INTERVAL_MS = 5000; // Non-TTY progress lines
+const TTY_REFRESH_MS = 200;
+
+function usage(message) {
+  if (message) console.error(`❌ ${message}`);
+  console.error('Usage: npm run bake -- --world <id> --regions x0..x1,z0..z1 [--y 0..8] [--lod 0..0] [--backend auto|gpu|cpu] [--force]');
+  process.exit(1);
+}
+
+/**
+ * "a..b" (or "a") -> [a, b]
+ */
+function parseRange(text, name) {
+  const match = /^(-?\d+)(?:\.\.(-?\d+))?$/.exec(text || '');
+  if (!match) usage(`${name} must be a..b`);
+  const from = Number(match[1]);
+  const to = match[2] !== undefined ? Number(match[2]) : from;
+  if (to < from) usage(`${name}: ${to} < ${from}`);
+  return [from, to];
+}
+
+function parseArgs(argv) {
+  const args = { y: '0..8', lod: '0..0', backend: 'auto', force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--force') {
+      args.force = true;
+    } else if (['--world', '--regions', '--y', '--lod', '--backend'].includes(arg)) {
+      if (i + 1 >= argv.length) usage(`${arg} needs a value`);
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      usage(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!args.world) usage('--world is required');
+  if (!args.regions) usage('--regions is required');
+
+  const [xRange, zRange, extra] = args.regions.split(',');
+  if (!zRange || extra !== undefined) usage('--regions must be x0..x1,z0..z1');
+  if (!['auto', 'gpu', 'cpu'].includes(args.backend)) usage(`Unknown backend: ${args.backend}`);
+
+  const lod = parseRange(args.lod, '--lod');
+  if (lod[0] < 0 || lod[1] > MAX_LOD) usage(`--lod must be within 0..${MAX_LOD}`);
+
+  return {
+    world: args.world,
+    regionsX: parseRange(xRange, '--regions x'),
+    regionsZ: parseRange(zRange, '--regions z'),
+    y: parseRange(args.y, '--y'),
+    lod,
+    backend: args.backend,
+    force: args.force
+  };
+}
+
+/**
+ * Hash of the world files - progress saved for other world contents is discarded
+ */
+async function hashWorld(worldId) {
+  const hash = crypto.createHash('sha1');
+  for (const file of ['graph.json', 'config.json']) {
+    try {
+      hash.update(await fs.readFile(path.join('storage', 'worlds', worldId, file)));
+    } catch {
+      hash.update(`no ${file}`);
+    }
+  }
+  return hash.digest('hex').slice(0, 12);
+}
+
+async function loadProgress(progressPath, key) {
+  try {
+    const progress = JSON.parse(await fs.readFile(progressPath, 'utf-8'));
+    if (progress.key === key) return progress;
+  } catch {
+    // No previous bake
+  }
+  return null;
+}
+
+async function saveProgress(progressPath, progress) {
+  progress.updatedAt = new Date().toISOString();
+  const tempPath = `${progressPath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(progress, null, 2));
+  await fs.rename(tempPath, progressPath);
+}
+
+/**
+ * Chunks of one region for the requested Y and LOD ranges
+ * LOD n chunk coordinates are in units of 32·2ⁿ blocks
+ */
+function getRegionChunks(regionX, regionZ, options) {
+  const chunks = [];
+  for (let lod = options.lod[0]; lod <= options.lod[1]; lod++) {
+    const extent = CHUNK_SIZE << lod;
+    const perRegion = REGION_SIZE / extent;
+    const minX = regionX / extent;
+    const minZ = regionZ / extent;
+    for (let cy = options.y[0] >> lod; cy <= options.y[1] >> lod; cy++) {
+      for (let cz = minZ; cz < minZ + perRegion; cz++) {
+        for (let cx = minX; cx < minX + perRegion; cx++) {
+          chunks.push({ cx, cy, cz, lod });
+        }
+      }
+    }
+  }
+  return chunks;
+}
+
+function formatDuration(ms) {
+  if (!Number.isFinite(ms)) return '--';
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m${String(seconds % 60).padStart(2, '0')}s`;
+  return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!await worldExists(options.world)) {
+    usage(`World not found: ${options.world}`);
+  }
+
+  const regions = [];
+  for (let rz = options.regionsZ[0]; rz <= options.regionsZ[1]; rz++) {
+    for (let rx = options.regionsX[0]; rx <= options.regionsX[1]; rx++) {
+      regions.push({ regionX: rx * REGION_SIZE, regionZ: rz * REGION_SIZE });
+    }
+  }
+  const chunksPerRegion = getRegionChunks(0, 0, options).length;
+  const totalChunks = regions.length * chunksPerRegion;
+
+  // Saved progress only applies to the same options and world contents
+  const progressPath = path.join('storage', 'worlds', options.world, 'bake.json');
+  const key = JSON.stringify({
+    world: await hashWorld(options.world),
+    regionsX: options.regionsX,
+    regionsZ: options.regionsZ,
+    y: options.y,
+    lod: options.lod,
+    backend: options.backend
+  });
+  const saved = options.force ? null : await loadProgress(progressPath, key);
+  const progress = saved || {
+    key,
+    completed: [],
+    totals: { chunks: 0, bytes: 0, empty: 0, uniform: 0, regionBytes: 0, cacheHits: 0 }
+  };
+  const completed = new Set(progress.completed);
+  const totals = progress.totals;
+
+  console.log(`🍞 Baking ${options.world}: ${regions.length} region(s) × ${chunksPerRegion} chunks = ${totalChunks} chunks` +
+    ` (y ${options.y.join('..')}, LOD ${options.lod.join('..')}, backend ${options.backend})`);
+  if (completed.size > 0) {
+    console.log(`↩️  Resuming - ${completed.size}/${regions.length} region(s) already baked`);
+  }
+
+  const startTime = Date.now();
+  const isTTY = process.stdout.isTTY;
+  let bakedThisRun = 0;
+  let regionChunksDone = 0;
+  let lastLine = 0;
+
+  const report = (regionIndex, final = false) => {
+    const now = Date.now();
+    if (!final && now - lastLine < (isTTY ? TTY_REFRESH_MS : PROGRESS_INTERVAL_MS)) return;
+    lastLine = now;
+
+    const done = completed.size * chunksPerRegion + (final ? 0 : regionChunksDone);
+    const rate = bakedThisRun / Math.max(1, now - startTime) * 1000;
+    const eta = rate > 0 ? (totalChunks - done) / rate * 1000 : Infinity;
+    const line = `   region ${Math.min(regionIndex + 1, regions.length)}/${regions.length} · ` +
+      `${done}/${totalChunks} chunks (${(done / totalChunks * 100).toFixed(1)}%) · ` +
+      `${rate.toFixed(1)} chunks/s · ETA ${formatDuration(eta)}`;
+    if (isTTY) {
+      process.stdout.write(`\r${line.padEnd(100)}${final ? '\n' : ''}`);
+    } else {
+      console.log(line);
+    }
+  };
+
+  for (let i = 0; i < regions.length; i++) {
+    const { regionX, regionZ } = regions[i];
+    const regionId = `${regionX}_${regionZ}`;
+    if (completed.has(regionId)) continue;
+
+    const regionTotals = { chunks: 0, bytes: 0, empty: 0, uniform: 0, regionBytes: 0, cacheHits: 0 };
+    regionChunksDone = 0;
+
+    const { bytes } = await saveRegion(options.world, regionX, regionZ, options.backend);
+    regionTotals.regionBytes += bytes;
+
+    for (const { cx, cy, cz, lod } of getRegionChunks(regionX, regionZ, options)) {
+      const chunk = await getChunk(options.world, cx, cy, cz, options.backend, { lod });
+      const uniform = getUniformMaterial(chunk.buffer);
+
+      regionTotals.chunks++;
+      regionTotals.bytes += chunk.buffer.length;
+      if (uniform === 0) regionTotals.empty++;
+      else if (uniform !== null) regionTotals.uniform++;
+      if (chunk.cacheStatus === 'HIT') regionTotals.cacheHits++;
+
+      regionChunksDone++;
+      bakedThisRun++;
+      report(i);
+    }
+
+    // Only count the region once its chunks are on disk
+    await flushChunkCache();
+    releaseRegion(options.world, regionX, regionZ);
+
+    for (const field of Object.keys(totals)) {
+      totals[field] += regionTotals[field];
+    }
+    completed.add(regionId);
+    progress.completed = Array.from(completed);
+    await saveProgress(progressPath, progress);
+  }
+  report(regions.length - 1, true);
+
+  const elapsed = Date.now() - startTime;
+  const svdagChunks = totals.chunks - totals.empty - totals.uniform;
+  console.log(`\n✅ Bake complete in ${formatDuration(elapsed)}`);
+  console.log(`   Chunks:   ${totals.chunks} (${svdagChunks} SVDAG, ${totals.uniform} uniform, ${totals.empty} empty)`);
+  console.log(`   Empty:    ${(totals.chunks > 0 ? totals.empty / totals.chunks * 100 : 0).toFixed(1)}%`);
+  console.log(`   Bytes:    ${formatBytes(totals.bytes)} chunks (avg ${formatBytes(Math.round(totals.bytes / Math.max(1, totals.chunks)))}), ` +
+    `${formatBytes(totals.regionBytes)} region maps`);
+  console.log(`   Cached:   ${totals.cacheHits} chunk(s) were already baked`);
+}
+
+main()
+  .then(() => process.exit(0)) // The V2 route keeps timers alive
+  .catch(error => {
+    console.error('\n❌ Bake failed:', error);
+    process.exit(1);
+  });
@@ -17,6 +17,17 @@ export class BaseNode {
     throw new Error('process() must be implemented by subclass');
   }
 
+  /**
+   * CPU evaluator - optional, used when the engine has no GPU device.
+   * Nodes whose process() is already plain JS don't need to override this.
+   * @param {Object} inputs - Map of input name to data
+   * @param {Object} params - Node parameters
+   * @returns {Object} - Map of output name to data
+   */
+  async processCPU(inputs, params) {
+    return this.process(inputs, params);
+  }
+
   /**
    * Helper: Create data buffer on GPU
    */
@@ -147,4 +158,23 @@ export class BaseNode {
       uniformBuffer.destroy();
     }
   }
+
+  /**
+   * Helper: Deterministic [0, 1) value for a world position (see worldHash)
+   */
+  worldHash(worldX, worldZ, seed = 0, salt = 0) {
+    return worldHash(worldX, worldZ, seed, salt);
+  }
+}
+
+/**
+ * Deterministic [0, 1) value for a world position
+ * Regions that overlap (see the graph executor's apron) agree on it, unlike a
+ * PRNG stream that depends on where the region starts
+ */
+export function worldHash(worldX, worldZ, seed = 0, salt = 0) {
+  let h = Math.imul(worldX | 0, 0x27d4eb2d) ^ Math.imul(worldZ | 0, 0x165667b1) ^ Math.imul((seed | 0) + salt, 0x9e3779b1);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
 }
@@ -260,10 +260,96 @@ export class BiomeClassifierNode extends BaseNode {
 
     return {
       output,
+      colorMap: this.buildColorMap(output, biomes),
       biomeList: biomes.map((b, i) => ({ id: i, name: b.name, color: b.color }))
     };
   }
 
+  /**
+   * CPU evaluator - same rule matching as the shader (most specific match wins)
+   */
+  async processCPU(inputs, params) {
+    const resolution = params.resolution || 512;
+    const heightMap = inputs.height;
+    const moistureMap = inputs.moisture || new Float32Array(resolution * resolution).fill(0.5);
+    const temperatureMap = inputs.temperature || new Float32Array(resolution * resolution).fill(0.5);
+    const waterMap = inputs.water || new Float32Array(resolution * resolution).fill(0);
+
+    if (!heightMap) {
+      throw new Error('BiomeClassifier requires height input');
+    }
+
+    const biomes = params.biomes || BiomeClassifierNode.defaultParams.biomes;
+
+    // Same packing as the GPU rules buffer (f32, -1 = unconstrained)
+    const rules = biomes.map(b => new Float32Array([
+      b.height ? b.height[0] : -1, b.height ? b.height[1] : -1,
+      b.moisture ? b.moisture[0] : -1, b.moisture ? b.moisture[1] : -1,
+      b.temperature ? b.temperature[0] : -1, b.temperature ? b.temperature[1] : -1,
+      b.water ? b.water[0] : -1, b.water ? b.water[1] : -1
+    ]));
+
+    const output = new Uint8Array(resolution * resolution);
+
+    for (let idx = 0; idx < output.length; idx++) {
+      const values = [
+        Math.fround(heightMap[idx]),
+        Math.fround(moistureMap[idx]),
+        Math.fround(temperatureMap[idx]),
+        Math.fround(waterMap[idx])
+      ];
+
+      let bestBiome = 0;
+      let bestSpecificity = -1;
+
+      for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+        let specificity = 0;
+
+        for (let r = 0; r < 4; r++) {
+          const min = rule[r * 2];
+          if (min < 0.0) continue;
+          if (values[r] < min || values[r] > rule[r * 2 + 1]) {
+            specificity = -1;
+            break;
+          }
+          specificity++;
+        }
+
+        if (specificity > bestSpecificity) {
+          bestBiome = i;
+          bestSpecificity = specificity;
+        }
+      }
+
+      output[idx] = bestBiome;
+    }
+
+    return {
+      output,
+      colorMap: this.buildColorMap(output, biomes),
+      biomeList: biomes.map((b, i) => ({ id: i, name: b.name, color: b.color }))
+    };
+  }
+
+  /**
+   * RGBA preview of the biome IDs (the editor's colorMap socket)
+   */
+  buildColorMap(biomeIds, biomes) {
+    const colors = biomes.map(b => this.hexToRgb(b.color));
+    const colorMap = new Uint8ClampedArray(biomeIds.length * 4);
+
+    for (let i = 0; i < biomeIds.length; i++) {
+      const color = colors[biomeIds[i]] || { r: 128, g: 128, b: 128 };
+      colorMap[i * 4] = color.r;
+      colorMap[i * 4 + 1] = color.g;
+      colorMap[i * 4 + 2] = color.b;
+      colorMap[i * 4 + 3] = 255;
+    }
+
+    return colorMap;
+  }
+
   hexToRgb(hex) {
     const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
     return result ? {
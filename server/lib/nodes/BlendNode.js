@@ -0,0 +1,60 @@
+import { BaseNode } from './BaseNode.js';
+
+/**
+ * Blend Node - Server-side
+ * Blends two inputs using various operations
+ * Per-cell arithmetic, so it runs in JS on both backends (upload cost outweighs the math)
+ */
+export class BlendNode extends BaseNode {
+  static inputs = ['input1', 'input2'];
+  static outputs = ['output'];
+  static defaultParams = {
+    operation: 'add', // add, multiply, subtract, lerp, min, max
+    weight: 0.5
+  };
+
+  async process(inputs, params) {
+    if (!inputs.input1 || !inputs.input2) {
+      throw new Error('BlendNode requires two inputs');
+    }
+
+    const data1 = inputs.input1;
+    const data2 = inputs.input2;
+    const operation = params.operation || 'add';
+    const weight = params.weight || 0.5;
+
+    if (data1.length !== data2.length) {
+      throw new Error('Input data must have same length');
+    }
+
+    const blend = this.getOperation(operation, weight);
+    const output = new Float32Array(data1.length);
+
+    for (let i = 0; i < data1.length; i++) {
+      output[i] = blend(data1[i], data2[i]);
+    }
+
+    return { output };
+  }
+
+  /**
+   * Same operations as the client shader
+   */
+  getOperation(operation, w) {
+    switch (operation) {
+      case 'subtract':
+        return (a, b) => a - b;
+      case 'multiply':
+        return (a, b) => a * b;
+      case 'lerp':
+        return (a, b) => a * (1 - w) + b * w;
+      case 'min':
+        return (a, b) => Math.min(a, b);
+      case 'max':
+        return (a, b) => Math.max(a, b);
+      case 'add':
+      default:
+        return (a, b) => a + b;
+    }
+  }
+}
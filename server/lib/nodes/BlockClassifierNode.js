@@ -22,22 +22,28 @@ export class BlockClassifierNode extends BaseNode {
       { id: 5, name: 'Snow', color: '#ffffff', transparent: 0.0, emissive: 0.0, reflective: 0.3, refractive: 1.0, animationId: null },
       { id: 6, name: 'Water', color: '#1e90ff', transparent: 0.8, emissive: 0.0, reflective: 0.2, refractive: 1.33, animationId: null },
       { id: 7, name: 'Tree Seed', color: '#228b22', transparent: 0.0, emissive: 0.0, reflective: 0.0, refractive: 1.0, animationId: null },
+      { id: 8, name: 'Bedrock', color: '#333333', transparent: 0.0, emissive: 0.0, reflective: 0.0, refractive: 1.0, animationId: null },
+      { id: 9, name: 'Wood', color: '#6b4423', transparent: 0.0, emissive: 0.0, reflective: 0.0, refractive: 1.0, animationId: null },
+      { id: 10, name: 'Leaves', color: '#2d7a2d', transparent: 0.0, emissive: 0.0, reflective: 0.0, refractive: 1.0, animationId: null },
     ],
     biomeRules: [
-      { biomeId: 0, biomeName: 'Deep Ocean', blocks: [{ blockId: 4, blockName: 'Sand', weight: 1.0 }], waterBlocks: [{ blockId: 6, blockName: 'Ocean Water', weight: 1.0 }] },
-      { biomeId: 1, biomeName: 'Ocean', blocks: [{ blockId: 4, blockName: 'Sand', weight: 1.0 }], waterBlocks: [{ blockId: 6, blockName: 'Ocean Water', weight: 1.0 }] },
-      { biomeId: 2, biomeName: 'Beach', blocks: [{ blockId: 4, blockName: 'Sand', weight: 1.0 }], waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
-      { biomeId: 3, biomeName: 'Desert', blocks: [{ blockId: 4, blockName: 'Sand', weight: 1.0 }], waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
-      { biomeId: 4, biomeName: 'Savanna', blocks: [{ blockId: 1, blockName: 'Grass', weight: 0.9 }, { blockId: 7, blockName: 'Tree Seed', weight: 0.1 }], waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
-      { biomeId: 5, biomeName: 'Grassland', blocks: [{ blockId: 1, blockName: 'Grass', weight: 1.0 }], waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
-      { biomeId: 6, biomeName: 'Tropical Forest', blocks: [{ blockId: 1, blockName: 'Grass', weight: 0.8 }, { blockId: 7, blockName: 'Tree Seed', weight: 0.2 }], waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
-      { biomeId: 7, biomeName: 'Temperate Forest', blocks: [{ blockId: 1, blockName: 'Grass', weight: 0.85 }, { blockId: 7, blockName: 'Tree Seed', weight: 0.15 }], waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
-      { biomeId: 8, biomeName: 'Taiga', blocks: [{ blockId: 1, blockName: 'Grass', weight: 0.9 }, { blockId: 7, blockName: 'Tree Seed', weight: 0.1 }], waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
-      { biomeId: 9, biomeName: 'Tundra', blocks: [{ blockId: 5, blockName: 'Snow', weight: 1.0 }], waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
-      { biomeId: 10, biomeName: 'Rocky Mountain', blocks: [{ blockId: 3, blockName: 'Stone', weight: 1.0 }], waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
-      { biomeId: 11, biomeName: 'Snow Peak', blocks: [{ blockId: 5, blockName: 'Snow', weight: 1.0 }], waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
-      { biomeId: 12, biomeName: 'Alpine', blocks: [{ blockId: 5, blockName: 'Snow', weight: 0.7 }, { blockId: 3, blockName: 'Stone', weight: 0.3 }], waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
+      { biomeId: 0, biomeName: 'Deep Ocean', blocks: [{ blockId: 4, blockName: 'Sand', weight: 1.0 }], subsurface: { blockId: 4, depth: 4 }, waterBlocks: [{ blockId: 6, blockName: 'Ocean Water', weight: 1.0 }] },
+      { biomeId: 1, biomeName: 'Ocean', blocks: [{ blockId: 4, blockName: 'Sand', weight: 1.0 }], subsurface: { blockId: 4, depth: 4 }, waterBlocks: [{ blockId: 6, blockName: 'Ocean Water', weight: 1.0 }] },
+      { biomeId: 2, biomeName: 'Beach', blocks: [{ blockId: 4, blockName: 'Sand', weight: 1.0 }], subsurface: { blockId: 4, depth: 3 }, waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
+      { biomeId: 3, biomeName: 'Desert', blocks: [{ blockId: 4, blockName: 'Sand', weight: 1.0 }], subsurface: { blockId: 4, depth: 5 }, waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
+      { biomeId: 4, biomeName: 'Savanna', blocks: [{ blockId: 1, blockName: 'Grass', weight: 0.9 }, { blockId: 7, blockName: 'Tree Seed', weight: 0.1 }], subsurface: { blockId: 2, depth: 3 }, waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
+      { biomeId: 5, biomeName: 'Grassland', blocks: [{ blockId: 1, blockName: 'Grass', weight: 1.0 }], subsurface: { blockId: 2, depth: 3 }, waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
+      { biomeId: 6, biomeName: 'Tropical Forest', blocks: [{ blockId: 1, blockName: 'Grass', weight: 0.8 }, { blockId: 7, blockName: 'Tree Seed', weight: 0.2 }], subsurface: { blockId: 2, depth: 4 }, waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
+      { biomeId: 7, biomeName: 'Temperate Forest', blocks: [{ blockId: 1, blockName: 'Grass', weight: 0.85 }, { blockId: 7, blockName: 'Tree Seed', weight: 0.15 }], subsurface: { blockId: 2, depth: 3 }, waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
+      { biomeId: 8, biomeName: 'Taiga', blocks: [{ blockId: 1, blockName: 'Grass', weight: 0.9 }, { blockId: 7, blockName: 'Tree Seed', weight: 0.1 }], subsurface: { blockId: 2, depth: 2 }, waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
+      { biomeId: 9, biomeName: 'Tundra', blocks: [{ blockId: 5, blockName: 'Snow', weight: 1.0 }], subsurface: { blockId: 2, depth: 1 }, waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
+      { biomeId: 10, biomeName: 'Rocky Mountain', blocks: [{ blockId: 3, blockName: 'Stone', weight: 1.0 }], subsurface: { blockId: 3, depth: 0 }, waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
+      { biomeId: 11, biomeName: 'Snow Peak', blocks: [{ blockId: 5, blockName: 'Snow', weight: 1.0 }], subsurface: { blockId: 5, depth: 2 }, waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
+      { biomeId: 12, biomeName: 'Alpine', blocks: [{ blockId: 5, blockName: 'Snow', weight: 0.7 }, { blockId: 3, blockName: 'Stone', weight: 0.3 }], subsurface: { blockId: 3, depth: 0 }, waterBlocks: [{ blockId: 6, blockName: 'Clear Water', weight: 1.0 }] },
     ],
+    // Column layers below the top block in V2 chunks (server/services/blockStrata.js);
+    // seaLevel null follows the Water node
+    strata: { subsurfaceBlockId: 2, subsurfaceDepth: 3, stoneBlockId: 3, bedrockBlockId: 8, bedrockDepth: 1, seaLevel: null },
     waterBlockId: 6,
     useNoise1: true,
     noise1Influence: 1.0
@@ -242,6 +248,88 @@ export class BlockClassifierNode extends BaseNode {
     };
   }
 
+  /**
+   * CPU evaluator - mirrors blockClassifier.wgsl (weighted pick driven by noise1)
+   */
+  async processCPU(inputs, params) {
+    const resolution = params.resolution || 512;
+    const biomeMap = inputs.biomes;
+    const waterMap = inputs.water;
+    const heightMap = inputs.height;
+    const noise1Map = inputs.noise1 || new Float32Array(resolution * resolution).fill(0.5);
+
+    if (!biomeMap || !waterMap || !heightMap) {
+      throw new Error('BlockClassifier requires biomes, water, and height inputs');
+    }
+
+    const biomeRules = params.biomeRules || BlockClassifierNode.defaultParams.biomeRules;
+    const waterBlockId = params.waterBlockId || 6;
+
+    // Lookup by biome id (first matching rule wins, like the shader's linear scan)
+    const ruleByBiome = new Map();
+    for (const rule of biomeRules) {
+      if (!ruleByBiome.has(rule.biomeId)) {
+        ruleByBiome.set(rule.biomeId, rule);
+      }
+    }
+    const fallbackRule = biomeRules[0];
+
+    const terrainBlocks = new Uint16Array(resolution * resolution);
+    const waterBlocks = new Uint16Array(resolution * resolution);
+
+    for (let i = 0; i < terrainBlocks.length; i++) {
+      const noise = Math.fround(noise1Map[i]);
+      const rule = ruleByBiome.get(biomeMap[i]);
+
+      if (rule && (rule.blocks || []).length > 0) {
+        terrainBlocks[i] = this.selectWeightedBlock(rule.blocks, noise);
+      } else if (fallbackRule) {
+        terrainBlocks[i] = this.selectWeightedBlock(fallbackRule.blocks || [], noise);
+      }
+
+      if (waterMap[i] > 0.01) {
+        if (rule && (rule.waterBlocks || []).length > 0) {
+          waterBlocks[i] = this.selectWeightedBlock(rule.waterBlocks, noise);
+        } else if (fallbackRule) {
+          waterBlocks[i] = this.selectWeightedBlock(fallbackRule.waterBlocks || [], noise);
+        } else {
+          waterBlocks[i] = waterBlockId;
+        }
+      }
+    }
+
+    return {
+      terrainBlocks,
+      waterBlocks,
+      blockMapVis: new Uint8ClampedArray(resolution * resolution * 4) // Dummy for now
+    };
+  }
+
+  /**
+   * Weighted block pick (selectTerrainBlock / selectWaterBlock in the shader)
+   */
+  selectWeightedBlock(weightedBlocks, noise) {
+    if (weightedBlocks.length === 0) {
+      return 0;
+    }
+
+    let totalWeight = 0;
+    for (const b of weightedBlocks) {
+      totalWeight = Math.fround(totalWeight + Math.fround(b.weight));
+    }
+
+    const selector = Math.fround(noise * totalWeight);
+    let accumulated = 0;
+    for (const b of weightedBlocks) {
+      accumulated = Math.fround(accumulated + Math.fround(b.weight));
+      if (selector <= accumulated) {
+        return b.blockId;
+      }
+    }
+
+    return weightedBlocks[0].blockId;
+  }
+
   hexToRgb(hex) {
     const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
     return result ? {
@@ -0,0 +1,20 @@
+import { BaseNode } from './BaseNode.js';
+
+/**
+ * Block Map Output Node - Server-side
+ * Marks data as block map output
+ */
+export class BlockMapOutputNode extends BaseNode {
+  static inputs = ['input'];
+  static outputs = ['output'];
+  static defaultParams = {};
+
+  async process(inputs, params) {
+    if (!inputs.input) {
+      throw new Error('BlockMapOutputNode requires input');
+    }
+
+    // Pass through the data
+    return { output: inputs.input };
+  }
+}
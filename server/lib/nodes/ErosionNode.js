@@ -0,0 +1,194 @@
+import { BaseNode } from './BaseNode.js';
+
+/**
+ * Erosion Node - Server-side
+ * Simulates hydraulic erosion on heightmap using water droplet simulation
+ * Droplets spawn from a PRNG per world tile (tileSize blocks square), so a region
+ * always erodes the same way and regions sharing an apron drop the same droplets
+ * into it (the client version uses Math.random)
+ *
+ * Parameters:
+ * - iterations: Number of water droplets to simulate (5000-50000, more = more erosion)
+ * - erosionRate: How much sediment is picked up (0.3-0.7)
+ * - depositionRate: How much sediment is dropped (0.3-0.5)
+ * - evaporationRate: Water loss per step (0.01-0.05)
+ * - sedimentCapacity: Max sediment per droplet (3-10, higher = deeper valleys)
+ * - inertia: Droplet momentum (0.05 = sharp turns, 0.3 = smooth flow)
+ * - erosionRadius: Erosion spread (1-3 pixels)
+ * - maxSteps: Droplet lifetime (30-64, longer = wider valleys)
+ */
+export class ErosionNode extends BaseNode {
+  static inputs = ['input'];
+  static outputs = ['output'];
+  static defaultParams = {
+    iterations: 10000,
+    erosionRate: 0.5,
+    depositionRate: 0.3,
+    evaporationRate: 0.02,
+    sedimentCapacity: 4.0,
+    inertia: 0.1,
+    erosionRadius: 2,
+    maxSteps: 48
+  };
+
+  async process(inputs, params) {
+    if (!inputs.input) {
+      throw new Error('ErosionNode requires input');
+    }
+
+    const data = inputs.input;
+    const resolution = params.resolution || 512;
+    const iterations = params.iterations || 10000;
+    const erosionRate = params.erosionRate || 0.5;
+    const depositionRate = params.depositionRate || 0.3;
+    const evaporationRate = params.evaporationRate || 0.02;
+    const sedimentCapacity = params.sedimentCapacity || 4.0;
+    const inertia = params.inertia || 0.1;
+    const erosionRadius = Math.floor(params.erosionRadius || 2);
+    const maxSteps = params.maxSteps || 48;
+
+    const seed = params.seed || 0;
+    const tileSize = params.tileSize || resolution;
+    const offsetX = params.offsetX || 0;
+    const offsetZ = params.offsetZ || 0;
+
+    // Copy heightmap for modification
+    const heightMap = new Float32Array(data);
+
+    const getHeight = (x, y) => {
+      if (x < 0 || x >= resolution || y < 0 || y >= resolution) return 0;
+      return heightMap[y * resolution + x];
+    };
+
+    const setHeight = (x, y, value) => {
+      if (x < 0 || x >= resolution || y < 0 || y >= resolution) return;
+      heightMap[y * resolution + x] = value;
+    };
+
+    // Bilinear interpolation for smooth height lookup
+    const getHeightInterpolated = (x, y) => {
+      const xi = Math.floor(x);
+      const yi = Math.floor(y);
+      const xf = x - xi;
+      const yf = y - yi;
+
+      const h0 = getHeight(xi, yi) * (1 - xf) + getHeight(xi + 1, yi) * xf;
+      const h1 = getHeight(xi, yi + 1) * (1 - xf) + getHeight(xi + 1, yi + 1) * xf;
+
+      return h0 * (1 - yf) + h1 * yf;
+    };
+
+    const simulateDroplet = (posX, posY) => {
+      let dirX = 0;
+      let dirY = 0;
+      let velocity = 1;
+      let water = 1;
+      let sediment = 0;
+
+      for (let step = 0; step < maxSteps; step++) {
+        const oldPosX = posX;
+        const oldPosY = posY;
+
+        // Gradient at position
+        const h = getHeightInterpolated(posX, posY);
+        const gradX = h - getHeightInterpolated(posX + 1, posY);
+        const gradY = h - getHeightInterpolated(posX, posY + 1);
+
+        // Update direction with inertia
+        dirX = dirX * inertia - gradX * (1 - inertia);
+        dirY = dirY * inertia - gradY * (1 - inertia);
+
+        const len = Math.sqrt(dirX * dirX + dirY * dirY);
+        if (len !== 0) {
+          dirX /= len;
+          dirY /= len;
+        } else {
+          // Random direction on flat terrain
+          const angle = this.worldHash(Math.floor(posX) + offsetX, Math.floor(posY) + offsetZ, seed, step) * Math.PI * 2;
+          dirX = Math.cos(angle);
+          dirY = Math.sin(angle);
+        }
+
+        posX += dirX;
+        posY += dirY;
+
+        if (posX < 1 || posX >= resolution - 2 || posY < 1 || posY >= resolution - 2) {
+          break;
+        }
+
+        const heightDiff = getHeightInterpolated(posX, posY) - getHeightInterpolated(oldPosX, oldPosY);
+        const capacity = Math.max(-heightDiff, 0.01) * velocity * water * sedimentCapacity;
+
+        const depositAmount = heightDiff > 0 ? Math.min(heightDiff, sediment) :
+                              sediment > capacity ? (sediment - capacity) * depositionRate : 0;
+
+        const erodeAmount = heightDiff < 0 && sediment < capacity ?
+                           Math.min((capacity - sediment) * erosionRate, -heightDiff) : 0;
+
+        // Apply erosion/deposition in radius
+        const xi = Math.floor(posX);
+        const yi = Math.floor(posY);
+
+        for (let dy = -erosionRadius; dy <= erosionRadius; dy++) {
+          for (let dx = -erosionRadius; dx <= erosionRadius; dx++) {
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist > erosionRadius) continue;
+
+            const weight = 1 - dist / erosionRadius;
+            const x = xi + dx;
+            const y = yi + dy;
+
+            if (depositAmount > 0) {
+              setHeight(x, y, getHeight(x, y) + depositAmount * weight);
+              sediment -= depositAmount * weight;
+            } else if (erodeAmount > 0) {
+              const delta = Math.min(erodeAmount * weight, getHeight(x, y));
+              setHeight(x, y, getHeight(x, y) - delta);
+              sediment += delta;
+            }
+          }
+        }
+
+        velocity = Math.sqrt(Math.max(0, velocity * velocity + heightDiff));
+        water *= (1 - evaporationRate);
+      }
+    };
+
+    // `iterations` droplets per world tile, in world order; droplets that start
+    // outside this grid are skipped
+    const firstTileX = Math.floor(offsetX / tileSize);
+    const firstTileZ = Math.floor(offsetZ / tileSize);
+    const lastTileX = Math.floor((offsetX + resolution - 1) / tileSize);
+    const lastTileZ = Math.floor((offsetZ + resolution - 1) / tileSize);
+
+    for (let tileZ = firstTileZ; tileZ <= lastTileZ; tileZ++) {
+      for (let tileX = firstTileX; tileX <= lastTileX; tileX++) {
+        const random = this.seededRandom(seed ^ Math.imul(tileX, 73856093) ^ Math.imul(tileZ, 19349663));
+
+        for (let iter = 0; iter < iterations; iter++) {
+          const posX = (tileX * tileSize + random() * tileSize) - offsetX;
+          const posY = (tileZ * tileSize + random() * tileSize) - offsetZ;
+          if (posX < 1 || posX >= resolution - 2 || posY < 1 || posY >= resolution - 2) continue;
+
+          simulateDroplet(posX, posY);
+        }
+      }
+    }
+
+    return { output: heightMap };
+  }
+
+  /**
+   * Mulberry32 - small deterministic PRNG
+   */
+  seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
@@ -0,0 +1,20 @@
+import { BaseNode } from './BaseNode.js';
+
+/**
+ * Features Output Node - Server-side
+ * Marks data as features output
+ */
+export class FeaturesOutputNode extends BaseNode {
+  static inputs = ['input'];
+  static outputs = ['output'];
+  static defaultParams = {};
+
+  async process(inputs, params) {
+    if (!inputs.input) {
+      throw new Error('FeaturesOutputNode requires input');
+    }
+
+    // Pass through the data
+    return { output: inputs.input };
+  }
+}
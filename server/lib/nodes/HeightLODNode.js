@@ -0,0 +1,73 @@
+import { BaseNode } from './BaseNode.js';
+
+/**
+ * Height LOD Node - Server-side
+ * Builds a max-pooled height pyramid (same pooling as heightLOD.wgsl)
+ */
+export class HeightLODNode extends BaseNode {
+  static inputs = ['height'];
+  static outputs = ['lod0', 'lod1', 'lod2', 'lod3'];
+  static defaultParams = {
+    lod1Size: 128,
+    lod2Size: 32,
+    lod3Size: 8
+  };
+
+  async process(inputs, params) {
+    const resolution = params.resolution || 512;
+    const heightMap = inputs.height;
+
+    if (!heightMap) {
+      throw new Error('HeightLOD requires height input');
+    }
+
+    const lod1Size = params.lod1Size || 128;
+    const lod2Size = params.lod2Size || 32;
+    const lod3Size = params.lod3Size || 8;
+
+    // The pyramid covers the region only, not the apron around it
+    const apron = params.apron || 0;
+    const tileSize = params.tileSize || resolution;
+
+    const lod1 = this.generateLOD(heightMap, resolution, lod1Size, apron, tileSize);
+    const lod2 = this.generateLOD(lod1, lod1Size, lod2Size);
+    const lod3 = this.generateLOD(lod2, lod2Size, lod3Size);
+
+    return {
+      lod0: heightMap,
+      lod1: lod1,
+      lod2: lod2,
+      lod3: lod3
+    };
+  }
+
+  /**
+   * Max height of each poolSize × poolSize block
+   * Pools the size × size window starting at (origin, origin)
+   */
+  generateLOD(inputMap, inputRes, outputRes, origin = 0, size = inputRes) {
+    const poolSize = Math.max(1, Math.floor(size / outputRes));
+    const output = new Float32Array(outputRes * outputRes);
+
+    for (let outY = 0; outY < outputRes; outY++) {
+      for (let outX = 0; outX < outputRes; outX++) {
+        let maxHeight = 0.0;
+
+        for (let dy = 0; dy < poolSize; dy++) {
+          for (let dx = 0; dx < poolSize; dx++) {
+            const sampleX = outX * poolSize + dx;
+            const sampleY = outY * poolSize + dy;
+
+            if (sampleX < size && sampleY < size) {
+              maxHeight = Math.max(maxHeight, inputMap[(origin + sampleY) * inputRes + origin + sampleX]);
+            }
+          }
+        }
+
+        output[outY * outputRes + outX] = maxHeight;
+      }
+    }
+
+    return output;
+  }
+}
@@ -100,4 +100,37 @@ export class NormalizeNode extends BaseNode {
 
     return { output };
   }
+
+  /**
+   * CPU evaluator - same mapping as the shader
+   */
+  async processCPU(inputs, params) {
+    if (!inputs.input) {
+      throw new Error('NormalizeNode requires input');
+    }
+
+    const data = inputs.input;
+    const targetMin = params.min || 0.0;
+    const targetMax = params.max || 1.0;
+
+    if (params.passthrough) {
+      return { output: data };
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] < min) min = data[i];
+      if (data[i] > max) max = data[i];
+    }
+
+    const range = max - min;
+    const output = new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) {
+      const normalized = range > 0.0001 ? (data[i] - min) / range : 0.5;
+      output[i] = normalized * (targetMax - targetMin) + targetMin;
+    }
+
+    return { output };
+  }
 }
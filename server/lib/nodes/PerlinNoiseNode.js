@@ -1,5 +1,14 @@
 import { BaseNode } from './BaseNode.js';
 
+const f32 = Math.fround;
+
+// The shader's f32 constants
+const HASH_X = f32(127.1);
+const HASH_Y = f32(311.7);
+const HASH_SCALE = f32(43758.5453123);
+const TWO_PI = f32(6.283185307179586);
+const SEED_STEP = f32(0.001);
+
 /**
  * Perlin Noise Node - Server-side
  * Generates 2D Perlin noise using WebGPU
@@ -25,6 +34,7 @@ export class PerlinNoiseNode extends BaseNode {
     const scale = params.scale || 1.0;
     const offsetX = params.offsetX || 0;  // World coordinate offset
     const offsetZ = params.offsetZ || 0;
+    const tileSize = params.tileSize || resolution;
 
     // Create output buffer
     const bufferSize = resolution * resolution * 4; // Float32
@@ -42,6 +52,7 @@ export class PerlinNoiseNode extends BaseNode {
         scale: f32,
         offsetX: f32,
         offsetZ: f32,
+        tileSize: u32,
       }
 
       @group(0) @binding(0) var<storage, read_write> output: array<f32>;
@@ -124,9 +135,9 @@ export class PerlinNoiseNode extends BaseNode {
         let worldX = f32(x) + params.offsetX;
         let worldZ = f32(y) + params.offsetZ;
         
-        // Scale world coordinates directly by frequency (don't normalize by resolution)
-        let px = worldX * params.frequency * params.scale / f32(resolution);
-        let py = worldZ * params.frequency * params.scale / f32(resolution);
+        // Frequency is per region width (tileSize), so an apron doesn't rescale the noise
+        let px = worldX * params.frequency * params.scale / f32(params.tileSize);
+        let py = worldZ * params.frequency * params.scale / f32(params.tileSize);
         
         // Add seed offset
         let seed_x = f32(params.seed % 10000u) * 0.001;
@@ -157,7 +168,8 @@ export class PerlinNoiseNode extends BaseNode {
         lacunarity: lacunarity,
         scale: scale,
         offsetX: offsetX,
-        offsetZ: offsetZ
+        offsetZ: offsetZ,
+        tileSize: tileSize
       },
       workgroupsX,
       workgroupsY
@@ -171,4 +183,96 @@ export class PerlinNoiseNode extends BaseNode {
 
     return { output };
   }
+
+  /**
+   * CPU evaluator - mirrors the WGSL shader above for hosts without a GPU adapter
+   * Every step is rounded to f32 (Math.fround) like the shader's math: the hash
+   * scales sin() by 43758, so f64 intermediates pick different gradients
+   */
+  async processCPU(inputs, params) {
+    const resolution = params.resolution || 512;
+    const seed = (inputs.seed || params.seed || Date.now()) % 1000000;
+    const frequency = f32(params.frequency || 1.0);
+    const octaves = params.octaves || 4;
+    const persistence = f32(params.persistence || 0.5);
+    const lacunarity = f32(params.lacunarity || 2.0);
+    const scale = f32(params.scale || 1.0);
+    const offsetX = f32(params.offsetX || 0);
+    const offsetZ = f32(params.offsetZ || 0);
+    const tileSize = f32(params.tileSize || resolution);
+
+    // Seed offset (same split as the shader's u32 math)
+    const seedX = f32((seed % 10000) * SEED_STEP);
+    const seedY = f32((Math.floor(seed / 10000) % 10000) * SEED_STEP);
+
+    const output = new Float32Array(resolution * resolution);
+
+    for (let y = 0; y < resolution; y++) {
+      for (let x = 0; x < resolution; x++) {
+        const worldX = f32(x + offsetX);
+        const worldZ = f32(y + offsetZ);
+
+        const px = f32(f32(f32(worldX * frequency) * scale) / tileSize);
+        const py = f32(f32(f32(worldZ * frequency) * scale) / tileSize);
+
+        output[y * resolution + x] = this.fbm(f32(px + seedX), f32(py + seedY), octaves, persistence, lacunarity);
+      }
+    }
+
+    return { output };
+  }
+
+  hash(px, py) {
+    const n = f32(f32(Math.sin(f32(f32(px * HASH_X) + f32(py * HASH_Y)))) * HASH_SCALE);
+    return f32(n - Math.floor(n));
+  }
+
+  gradientDot(ix, iy, dx, dy) {
+    const angle = f32(this.hash(ix, iy) * TWO_PI);
+    return f32(f32(f32(Math.cos(angle)) * dx) + f32(f32(Math.sin(angle)) * dy));
+  }
+
+  quintic(t) {
+    return f32(f32(f32(t * t) * t) * f32(f32(t * f32(f32(t * 6.0) - 15.0)) + 10.0));
+  }
+
+  // WGSL mix(a, b, t) = a·(1 - t) + b·t
+  mix(a, b, t) {
+    return f32(f32(a * f32(1.0 - t)) + f32(b * t));
+  }
+
+  perlin(px, py) {
+    const ix = Math.floor(px);
+    const iy = Math.floor(py);
+    const fx = f32(px - ix);
+    const fy = f32(py - iy);
+
+    const v00 = this.gradientDot(ix, iy, fx, fy);
+    const v10 = this.gradientDot(f32(ix + 1), iy, f32(fx - 1), fy);
+    const v01 = this.gradientDot(ix, f32(iy + 1), fx, f32(fy - 1));
+    const v11 = this.gradientDot(f32(ix + 1), f32(iy + 1), f32(fx - 1), f32(fy - 1));
+
+    const sx = this.quintic(fx);
+    const sy = this.quintic(fy);
+
+    const a = this.mix(v00, v10, sx);
+    const b = this.mix(v01, v11, sx);
+    return this.mix(a, b, sy);
+  }
+
+  fbm(px, py, octaves, persistence, lacunarity) {
+    let value = 0.0;
+    let amplitude = 1.0;
+    let frequency = 1.0;
+    let maxValue = 0.0;
+
+    for (let i = 0; i < octaves; i++) {
+      value = f32(value + f32(amplitude * this.perlin(f32(px * frequency), f32(py * frequency))));
+      maxValue = f32(maxValue + amplitude);
+      amplitude = f32(amplitude * persistence);
+      frequency = f32(frequency * lacunarity);
+    }
+
+    return f32(f32(f32(value / maxValue) * 0.5) + 0.5);
+  }
 }
@@ -0,0 +1,38 @@
+import { BaseNode } from './BaseNode.js';
+
+/**
+ * Remap Node - Server-side
+ * Remaps values from one range to another
+ */
+export class RemapNode extends BaseNode {
+  static inputs = ['input'];
+  static outputs = ['output'];
+  static defaultParams = {
+    inputMin: 0.0,
+    inputMax: 1.0,
+    outputMin: 0.0,
+    outputMax: 1.0
+  };
+
+  async process(inputs, params) {
+    if (!inputs.input) {
+      throw new Error('RemapNode requires input');
+    }
+
+    const data = inputs.input;
+    const inputMin = params.inputMin || 0.0;
+    const inputMax = params.inputMax || 1.0;
+    const outputMin = params.outputMin || 0.0;
+    const outputMax = params.outputMax || 1.0;
+
+    const output = new Float32Array(data.length);
+
+    for (let i = 0; i < data.length; i++) {
+      const normalized = (data[i] - inputMin) / (inputMax - inputMin);
+      const remapped = normalized * (outputMax - outputMin) + outputMin;
+      output[i] = Math.max(outputMin, Math.min(outputMax, remapped));
+    }
+
+    return { output };
+  }
+}
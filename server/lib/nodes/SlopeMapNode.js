@@ -6,7 +6,7 @@ import { BaseNode } from './BaseNode.js';
  */
 export class SlopeMapNode extends BaseNode {
   static inputs = ['height'];
-  static outputs = ['magnitude', 'directionX', 'directionY'];
+  static outputs = ['magnitude', 'direction', 'directionX', 'directionY'];
   static defaultParams = {};
 
   async process(inputs, params) {
@@ -20,6 +20,7 @@ export class SlopeMapNode extends BaseNode {
     const magnitude = new Float32Array(resolution * resolution);
     const directionX = new Float32Array(resolution * resolution);
     const directionY = new Float32Array(resolution * resolution);
+    const direction = new Float32Array(resolution * resolution); // Radians, as the client's gradient.wgsl
 
     // Calculate gradients using Sobel operator
     for (let y = 1; y < resolution - 1; y++) {
@@ -46,6 +47,7 @@ export class SlopeMapNode extends BaseNode {
         magnitude[idx] = mag;
         directionX[idx] = dx;
         directionY[idx] = dy;
+        direction[idx] = Math.atan2(dy, dx);
       }
     }
 
@@ -61,6 +63,7 @@ export class SlopeMapNode extends BaseNode {
 
     return {
       magnitude,
+      direction,
       directionX,
       directionY
     };
@@ -0,0 +1,36 @@
+import { BaseNode } from './BaseNode.js';
+
+/**
+ * Surface Animation Node - Server-side
+ * Defines animation parameters only (the editor preview is client-side)
+ */
+export class SurfaceAnimationNode extends BaseNode {
+  static inputs = [];
+  static outputs = ['animation'];
+  static defaultParams = {
+    name: 'Water Ripples',
+    type: 'ripples', // ripples, flow, sway, shimmer
+    speed: 0.5,
+    scale: 0.15,
+    strength: 0.08,
+    octaves: 3,
+    direction: { x: 1.0, y: 0.0 } // For flow patterns
+  };
+
+  async process(inputs, params) {
+    const defaults = SurfaceAnimationNode.defaultParams;
+    const direction = params.direction || defaults.direction;
+
+    return {
+      animation: {
+        name: params.name ?? defaults.name,
+        type: params.type ?? defaults.type,
+        speed: params.speed ?? defaults.speed,
+        scale: params.scale ?? defaults.scale,
+        strength: params.strength ?? defaults.strength,
+        octaves: params.octaves ?? defaults.octaves,
+        direction: [direction.x, direction.y]
+      }
+    };
+  }
+}
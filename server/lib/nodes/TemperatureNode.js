@@ -15,13 +15,18 @@ export class TemperatureNode extends BaseNode {
 
   async process(inputs, params) {
     const resolution = params.resolution || 512;
+    // World coordinates, so neighbouring regions (and their aprons) agree
+    const tileSize = params.tileSize || resolution;
+    const offsetX = params.offsetX || 0;
+    const offsetZ = params.offsetZ || 0;
     
     // Handle seed input - could be a number or noise data from another node
     let seedValue = params.seed || Date.now();
+    let seedMap = null;
     if (inputs.seed) {
-      // If seed input is a Float32Array (noise from another node), use first value
+      // A Float32Array (noise from another node) varies the noise per cell
       if (inputs.seed instanceof Float32Array || inputs.seed instanceof Uint8Array) {
-        seedValue = inputs.seed[0] * 10000; // Convert to reasonable seed value
+        seedMap = inputs.seed;
       } else if (typeof inputs.seed === 'number') {
         seedValue = inputs.seed;
       }
@@ -43,7 +48,9 @@ export class TemperatureNode extends BaseNode {
         let temp = 0.7;
         
         // Latitude effect (cooler at poles)
-        const latitude = Math.abs(y / resolution - 0.5) * 2; // 0 at equator, 1 at poles
+        // Repeats every tileSize blocks of Z, matching the region grid
+        const worldZ = y + offsetZ;
+        const latitude = Math.abs(worldZ / tileSize - Math.floor(worldZ / tileSize) - 0.5) * 2; // 0 at equator, 1 at poles
         temp -= latitude * latitudeInfluence;
         
         // Elevation effect (cooler at high altitudes)
@@ -51,7 +58,8 @@ export class TemperatureNode extends BaseNode {
         temp -= height * elevationInfluence;
         
         // Simple noise for variation
-        const noise = this.simpleNoise(x * 0.01 + seedValue * 0.001, y * 0.01 + seedValue * 0.001);
+        const seedOffset = (seedMap ? seedMap[idx] * 10000 : seedValue) * 0.001;
+        const noise = this.simpleNoise((x + offsetX) * 0.01 + seedOffset, worldZ * 0.01 + seedOffset);
         temp += noise * 0.1;
         
         // Clamp to [0, 1]
@@ -0,0 +1,29 @@
+import { BaseNode } from './BaseNode.js';
+
+/**
+ * Terrain Density Node - Server-side
+ * Settings for the 3D density stage of chunk generation (overhangs, caves,
+ * tunnels) - read from the graph by services/terrainDensity.js, no map output
+ */
+export class TerrainDensityNode extends BaseNode {
+  static inputs = [];
+  static outputs = ['density'];
+  static defaultParams = {
+    overhangStrength: 8,
+    overhangFrequency: 0.04,
+    caveFrequency: 0.025,
+    caveThreshold: 0.45,
+    caveMinDepth: 8,
+    tunnelFrequency: 0.012,
+    tunnelRadius: 0.08,
+    minY: 4
+  };
+
+  async process(inputs, params) {
+    const density = {};
+    for (const [key, fallback] of Object.entries(TerrainDensityNode.defaultParams)) {
+      density[key] = params[key] ?? fallback;
+    }
+    return { density };
+  }
+}
@@ -0,0 +1,343 @@
+import { BaseNode } from './BaseNode.js';
+
+/**
+ * Trails Node - Server-side
+ * Connects features with a minimum spanning tree of A* paths
+ *
+ * With an apron (tiled region generation) trails stay inside the region and
+ * each region edge gets a gate - the flattest cell of a window picked from the
+ * world seed. Both regions sharing an edge find the same gate and route to it,
+ * so trail networks join across the border.
+ */
+export class TrailsNode extends BaseNode {
+  static inputs = ['features', 'height', 'gradient', 'biomes', 'water'];
+  static outputs = ['trails'];
+  static defaultParams = {
+    maxSteepness: 0.4,
+    pathReuseBonus: 0.7,
+    waterCost: 10.0,
+    flatTerrainBonus: 0.5,
+    trailWidth: 2,
+    borderGates: true
+  };
+
+  async process(inputs, params) {
+    const resolution = params.resolution || 512;
+    let features = inputs.features;
+    const heightMap = inputs.height;
+    const gradientMap = inputs.gradient;
+    const waterMap = inputs.water || new Float32Array(resolution * resolution).fill(0);
+
+    if (!features || !features.length) {
+      return { trails: new Float32Array(resolution * resolution) };
+    }
+
+    if (!heightMap || !gradientMap) {
+      throw new Error('TrailsNode requires height and gradient inputs');
+    }
+
+    const maxSteepness = params.maxSteepness || 0.4;
+    const pathReuseBonus = params.pathReuseBonus || 0.7;
+    const waterCost = params.waterCost || 10.0;
+    const flatTerrainBonus = params.flatTerrainBonus || 0.5;
+    const trailWidth = params.trailWidth || 2;
+
+    // Trail map: 0 = no trail, 0.3 = easy, 0.6 = moderate, 1.0 = difficult
+    const trailMap = new Float32Array(resolution * resolution);
+    const trailUsage = new Float32Array(resolution * resolution); // Track path reuse
+
+    // With an apron, paths keep trailWidth + 1 clear of the region edges (so the
+    // border never cuts a trail) and reach the gates through a straight spur
+    const apron = params.apron || 0;
+    const tileSize = params.tileSize || resolution;
+    let bounds = { min: 0, max: resolution - 1 };
+    let gates = [];
+
+    if (apron > 0) {
+      const margin = trailWidth + 1;
+      bounds = { min: apron + margin, max: apron + tileSize - 1 - margin };
+      const inBounds = f => f.x >= bounds.min && f.x <= bounds.max && f.y >= bounds.min && f.y <= bounds.max;
+      gates = params.borderGates === false ? [] : this.findGates(gradientMap, resolution, tileSize, apron, margin, params);
+      features = [...features.filter(inBounds), ...gates];
+      if (features.length < 2) {
+        return { trails: trailMap };
+      }
+    }
+    const reached = new Set();
+
+    // Connect features using minimum spanning tree approach
+    const connected = new Set([0]);
+    const unconnected = new Set(features.map((_, i) => i).slice(1));
+
+    while (unconnected.size > 0) {
+      let bestConnection = null;
+      let bestCost = Infinity;
+
+      // Find cheapest connection from connected to unconnected
+      for (const fromIdx of connected) {
+        for (const toIdx of unconnected) {
+          const from = features[fromIdx];
+          const to = features[toIdx];
+          
+          // Estimate cost (Euclidean distance as heuristic)
+          const dist = Math.sqrt((to.x - from.x) ** 2 + (to.y - from.y) ** 2);
+          
+          if (dist < bestCost) {
+            bestCost = dist;
+            bestConnection = { fromIdx, toIdx, from, to };
+          }
+        }
+      }
+
+      if (bestConnection) {
+        // A* pathfind between these two features
+        const path = this.aStarPath(
+          bestConnection.from,
+          bestConnection.to,
+          heightMap,
+          gradientMap,
+          waterMap,
+          trailUsage,
+          resolution,
+          maxSteepness,
+          pathReuseBonus,
+          waterCost,
+          flatTerrainBonus,
+          bounds
+        );
+
+        // Draw trail on map
+        if (path) {
+          this.drawTrail(path, trailMap, trailUsage, gradientMap, resolution, trailWidth);
+          reached.add(bestConnection.from).add(bestConnection.to);
+        }
+
+        connected.add(bestConnection.toIdx);
+        unconnected.delete(bestConnection.toIdx);
+      } else {
+        break; // No more connections possible
+      }
+    }
+
+    for (const gate of gates) {
+      if (reached.has(gate)) {
+        this.drawTrail(gate.spur, trailMap, trailUsage, gradientMap, resolution, trailWidth);
+      }
+    }
+
+    return { trails: trailMap };
+  }
+
+  /**
+   * One gate per region edge, in grid coordinates
+   * A gate sits on the first column (or row) of the region it opens into, so a
+   * region's left gate is its left neighbour's right gate. Its x/y is where the
+   * spur from the gate meets the path bounds, `margin` cells inside the region.
+   */
+  findGates(gradientMap, resolution, tileSize, apron, margin, params) {
+    const seed = params.seed || 0;
+    const regionX = (params.offsetX || 0) + apron;
+    const regionZ = (params.offsetZ || 0) + apron;
+    const windowSize = Math.max(1, tileSize >> 3);
+
+    // Edges keyed by the world position of their start, so neighbours agree
+    const edges = [
+      { vertical: true, line: apron, inner: apron + margin, worldX: regionX, worldZ: regionZ },
+      { vertical: true, line: apron + tileSize, inner: apron + tileSize - 1 - margin, worldX: regionX + tileSize, worldZ: regionZ },
+      { vertical: false, line: apron, inner: apron + margin, worldX: regionX, worldZ: regionZ },
+      { vertical: false, line: apron + tileSize, inner: apron + tileSize - 1 - margin, worldX: regionX, worldZ: regionZ + tileSize }
+    ];
+
+    const gates = [];
+    for (const edge of edges) {
+      if (edge.line >= resolution) continue;
+
+      // Window somewhere in the middle half of the edge
+      const hash = this.worldHash(edge.worldX, edge.worldZ, seed, edge.vertical ? 1 : 2);
+      const windowStart = apron + (tileSize >> 2) + Math.floor(hash * Math.max(1, (tileSize >> 1) - windowSize));
+
+      let best = -1;
+      let bestGradient = Infinity;
+      for (let i = windowStart; i < Math.min(windowStart + windowSize, apron + tileSize); i++) {
+        const gradient = edge.vertical ? gradientMap[i * resolution + edge.line] : gradientMap[edge.line * resolution + i];
+        if (gradient < bestGradient) {
+          bestGradient = gradient;
+          best = i;
+        }
+      }
+      if (best === -1) continue;
+
+      const spur = [];
+      const step = edge.inner > edge.line ? 1 : -1;
+      for (let across = edge.line; across !== edge.inner + step; across += step) {
+        spur.push(edge.vertical ? { x: across, y: best } : { x: best, y: across });
+      }
+      gates.push({ ...spur[spur.length - 1], type: 'Trail Gate', spur });
+    }
+
+    return gates;
+  }
+
+  aStarPath(start, goal, heightMap, gradientMap, waterMap, trailUsage, resolution, maxSteepness, pathReuseBonus, waterCost, flatTerrainBonus, bounds = { min: 0, max: resolution - 1 }) {
+    const openSet = new MinHeap();
+    const cameFrom = new Map();
+    const gScore = new Map();
+    const fScore = new Map();
+
+    const startKey = `${start.x},${start.y}`;
+    const goalKey = `${goal.x},${goal.y}`;
+    
+    gScore.set(startKey, 0);
+    fScore.set(startKey, this.heuristic(start, goal));
+    openSet.push(startKey, fScore.get(startKey));
+
+    let iterations = 0;
+    const maxIterations = 10000;
+
+    while (openSet.size > 0 && iterations < maxIterations) {
+      // Node with lowest fScore (entries left behind by a later improvement are skipped)
+      const { key: current, priority } = openSet.pop();
+      if (priority !== fScore.get(current)) continue;
+      iterations++;
+
+      // Reached goal?
+      if (current === goalKey) {
+        return this.reconstructPath(cameFrom, current);
+      }
+
+      const [cx, cy] = current.split(',').map(Number);
+
+      // Check neighbors
+      const neighbors = [
+        [cx - 1, cy], [cx + 1, cy], [cx, cy - 1], [cx, cy + 1],
+        [cx - 1, cy - 1], [cx + 1, cy - 1], [cx - 1, cy + 1], [cx + 1, cy + 1]
+      ];
+
+      for (const [nx, ny] of neighbors) {
+        if (nx < bounds.min || nx > bounds.max || ny < bounds.min || ny > bounds.max) continue;
+
+        const idx = ny * resolution + nx;
+        const nKey = `${nx},${ny}`;
+
+        // Calculate cost
+        const gradient = gradientMap[idx];
+        const water = waterMap[idx];
+        const usage = trailUsage[idx];
+
+        // Skip if too steep
+        if (gradient > maxSteepness) continue;
+
+        // Base cost (distance)
+        const dx = nx - cx;
+        const dy = ny - cy;
+        const baseCost = Math.sqrt(dx * dx + dy * dy);
+
+        // Terrain cost
+        let terrainCost = baseCost;
+        terrainCost += gradient * 2; // Steeper = more cost
+        terrainCost += water > 0.01 ? waterCost : 0; // Water crossing
+        terrainCost -= gradient < 0.1 ? flatTerrainBonus : 0; // Flat terrain bonus
+        terrainCost -= usage > 0 ? pathReuseBonus : 0; // Reuse existing paths
+        terrainCost = Math.max(terrainCost, 0.1); // Bonuses never make a step free
+
+        const tentativeG = gScore.get(current) + terrainCost;
+
+        if (tentativeG < (gScore.get(nKey) ?? Infinity)) {
+          cameFrom.set(nKey, current);
+          gScore.set(nKey, tentativeG);
+          fScore.set(nKey, tentativeG + this.heuristic({ x: nx, y: ny }, goal));
+          openSet.push(nKey, fScore.get(nKey));
+        }
+      }
+    }
+
+    return null; // No path found
+  }
+
+  heuristic(a, b) {
+    return Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+  }
+
+  reconstructPath(cameFrom, current) {
+    const path = [];
+    while (current) {
+      const [x, y] = current.split(',').map(Number);
+      path.unshift({ x, y });
+      current = cameFrom.get(current);
+    }
+    return path;
+  }
+
+  drawTrail(path, trailMap, trailUsage, gradientMap, resolution, trailWidth) {
+    for (const point of path) {
+      // Draw trail with width
+      for (let dy = -trailWidth; dy <= trailWidth; dy++) {
+        for (let dx = -trailWidth; dx <= trailWidth; dx++) {
+          const x = point.x + dx;
+          const y = point.y + dy;
+          if (x >= 0 && x < resolution && y >= 0 && y < resolution) {
+            const idx = y * resolution + x;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist <= trailWidth) {
+              // Set trail difficulty based on gradient
+              const gradient = gradientMap[idx];
+              let difficulty = 0.3; // Easy
+              if (gradient > 0.15) difficulty = 0.6; // Moderate
+              if (gradient > 0.25) difficulty = 1.0; // Difficult
+
+              // Blend with existing trails
+              trailMap[idx] = Math.max(trailMap[idx], difficulty * (1 - dist / trailWidth));
+              trailUsage[idx] += 1; // Track usage for path reuse bonus
+            }
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Binary min-heap of { key, priority } - the A* open set
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(key, priority) {
+    const items = this.items;
+    items.push({ key, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= priority) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
@@ -0,0 +1,20 @@
+import { BaseNode } from './BaseNode.js';
+
+/**
+ * Trails Output Node - Server-side
+ * Marks data as trails output
+ */
+export class TrailsOutputNode extends BaseNode {
+  static inputs = ['input'];
+  static outputs = ['output'];
+  static defaultParams = {};
+
+  async process(inputs, params) {
+    if (!inputs.input) {
+      throw new Error('TrailsOutputNode requires input');
+    }
+
+    // Pass through the data
+    return { output: inputs.input };
+  }
+}
@@ -45,7 +45,7 @@ export class WaterNode extends BaseNode {
     const minSourceHeight = params.minSourceHeight || 0.65;
     const seed = params.sourceSeed || 12345;
     
-    const sources = this.findWaterSources(heightMap, moistureMap, resolution, numSources, minSourceHeight, seaLevel, seed);
+    const sources = this.findWaterSources(heightMap, moistureMap, resolution, numSources, minSourceHeight, seaLevel, seed, params);
 
     // Trace simple downhill paths
     for (const source of sources) {
@@ -57,30 +57,29 @@ export class WaterNode extends BaseNode {
 
   /**
    * Find water source locations
+   * Each high cell is a source with a chance picked from its world position
+   * (wetter cells more likely), so regions sharing an apron pick the same sources.
+   * numSources is the expected count per region-sized area of high ground.
    */
-  findWaterSources(heightMap, moistureMap, resolution, numSources, minHeight, seaLevel, seed) {
+  findWaterSources(heightMap, moistureMap, resolution, numSources, minHeight, seaLevel, seed, params = {}) {
     const sources = [];
-    const rng = this.seededRandom(seed);
+    const tileSize = params.tileSize || resolution;
+    const offsetX = params.offsetX || 0;
+    const offsetZ = params.offsetZ || 0;
+    const chance = numSources * 2 / (tileSize * tileSize); // Average moisture ~0.5
 
-    const candidates = [];
     for (let y = 0; y < resolution; y++) {
       for (let x = 0; x < resolution; x++) {
         const idx = y * resolution + x;
         const height = heightMap[idx];
-        const moisture = moistureMap[idx];
 
-        if (height >= minHeight && height > seaLevel) {
-          const score = height * moisture * rng();
-          candidates.push({ x, y, score });
+        if (height >= minHeight && height > seaLevel &&
+            this.worldHash(x + offsetX, y + offsetZ, seed) < chance * moistureMap[idx]) {
+          sources.push({ x, y });
         }
       }
     }
 
-    candidates.sort((a, b) => b.score - a.score);
-    for (let i = 0; i < Math.min(numSources, candidates.length); i++) {
-      sources.push({ x: candidates[i].x, y: candidates[i].y });
-    }
-
     return sources;
   }
 
@@ -137,12 +136,4 @@ export class WaterNode extends BaseNode {
       current = lowest;
     }
   }
-
-  seededRandom(seed) {
-    let value = seed;
-    return () => {
-      value = (value * 9301 + 49297) % 233280;
-      return value / 233280;
-    };
-  }
 }
@@ -1,8 +1,17 @@
 import { BaseNode } from '../nodes/BaseNode.js';
+import { fillDensityColumn, getFieldSeeds } from '../../services/terrainDensity.js';
+
+const BLOCK_AIR = 0;
+const BLOCK_STONE = 1;
+const BLOCK_DIRT = 2;
+const BLOCK_GRASS = 3;
+const BLOCK_WATER = 6;
 
 /**
  * Chunk Generator Node - 32×32×32 voxels
- * Generates solid/air blocks from heightmap
+ * Generates solid/air blocks from heightmap, reshaped by the 3D density stage
+ * (overhangs, caves, tunnels - services/terrainDensity.js) when params.density
+ * is set. processCPU is the same generator without a GPU.
  */
 export class ChunkGeneratorNode extends BaseNode {
   static inputs = ['heightmap'];
@@ -12,7 +21,9 @@ export class ChunkGeneratorNode extends BaseNode {
     chunkX: 0,
     chunkY: 0,
     chunkZ: 0,
-    seaLevel: 128.0
+    seaLevel: 128.0,
+    density: null,    // resolveTerrainDensity() settings, null = heightmap only
+    seed: 0
   };
 
   async process(inputs, params) {
@@ -25,6 +36,7 @@ export class ChunkGeneratorNode extends BaseNode {
     const regionZ = params.regionZ || 0;
 
     const heightmapData = inputs.heightmap;
+    const density = params.density || null;
 
     // Create output buffer for 32³ voxels
     const voxelCount = 32 * 32 * 32;
@@ -50,6 +62,23 @@ export class ChunkGeneratorNode extends BaseNode {
       @group(0) @binding(0) var<storage, read> heightmap: array<f32>;
       @group(0) @binding(1) var<storage, read_write> voxels: array<u32>;
       @group(0) @binding(2) var<uniform> params: Params;
+      @group(0) @binding(3) var<uniform> density: Density;
+
+      struct Density {
+        enabled: u32,
+        overhangSeed: u32,
+        caveSeed: u32,
+        tunnelSeedA: u32,
+        tunnelSeedB: u32,
+        overhangStrength: f32,
+        overhangFrequency: f32,
+        caveFrequency: f32,
+        caveThreshold: f32,
+        caveMinDepth: f32,
+        tunnelFrequency: f32,
+        tunnelRadius: f32,
+        minY: f32,
+      }
 
       const BLOCK_AIR: u32 = 0u;
       const BLOCK_STONE: u32 = 1u;
@@ -71,6 +100,69 @@ export class ChunkGeneratorNode extends BaseNode {
         return heightmap[idx];
       }
 
+      // Same integer hash / gradients as services/terrainDensity.js
+      var<private> GRADIENTS: array<vec3<f32>, 12> = array<vec3<f32>, 12>(
+        vec3<f32>(1.0, 1.0, 0.0), vec3<f32>(-1.0, 1.0, 0.0), vec3<f32>(1.0, -1.0, 0.0), vec3<f32>(-1.0, -1.0, 0.0),
+        vec3<f32>(1.0, 0.0, 1.0), vec3<f32>(-1.0, 0.0, 1.0), vec3<f32>(1.0, 0.0, -1.0), vec3<f32>(-1.0, 0.0, -1.0),
+        vec3<f32>(0.0, 1.0, 1.0), vec3<f32>(0.0, -1.0, 1.0), vec3<f32>(0.0, 1.0, -1.0), vec3<f32>(0.0, -1.0, -1.0)
+      );
+
+      fn cornerDot(corner: vec3<i32>, seed: u32, offset: vec3<f32>) -> f32 {
+        var h = (bitcast<u32>(corner.x) * 0x8da6b343u) ^ (bitcast<u32>(corner.y) * 0xd8163841u) ^
+                (bitcast<u32>(corner.z) * 0xcb1ab31fu) ^ seed;
+        h = (h ^ (h >> 15u)) * 0x2c1b3c6du;
+        h = (h ^ (h >> 12u)) * 0x297a2d39u;
+        h = h ^ (h >> 15u);
+        return dot(GRADIENTS[h % 12u], offset);
+      }
+
+      fn gradientNoise3D(p: vec3<f32>, seed: u32) -> f32 {
+        let cell = floor(p);
+        let i = vec3<i32>(cell);
+        let f = p - cell;
+        let u = f * f * f * (f * (f * 6.0 - 15.0) + 10.0);
+
+        let x00 = mix(cornerDot(i, seed, f), cornerDot(i + vec3<i32>(1, 0, 0), seed, f - vec3<f32>(1.0, 0.0, 0.0)), u.x);
+        let x10 = mix(cornerDot(i + vec3<i32>(0, 1, 0), seed, f - vec3<f32>(0.0, 1.0, 0.0)),
+                      cornerDot(i + vec3<i32>(1, 1, 0), seed, f - vec3<f32>(1.0, 1.0, 0.0)), u.x);
+        let x01 = mix(cornerDot(i + vec3<i32>(0, 0, 1), seed, f - vec3<f32>(0.0, 0.0, 1.0)),
+                      cornerDot(i + vec3<i32>(1, 0, 1), seed, f - vec3<f32>(1.0, 0.0, 1.0)), u.x);
+        let x11 = mix(cornerDot(i + vec3<i32>(0, 1, 1), seed, f - vec3<f32>(0.0, 1.0, 1.0)),
+                      cornerDot(i + vec3<i32>(1, 1, 1), seed, f - vec3<f32>(1.0, 1.0, 1.0)), u.x);
+
+        return mix(mix(x00, x10, u.y), mix(x01, x11, u.y), u.z);
+      }
+
+      // Solid test - heightmap only, or the density stage (fillDensityColumn)
+      fn isSolid(worldPos: vec3<i32>, surfaceHeight: f32) -> bool {
+        let depth = surfaceHeight - f32(worldPos.y);
+        if (density.enabled == 0u) {
+          return depth >= 0.0;
+        }
+
+        let p = vec3<f32>(worldPos);
+        var value = depth;
+        if (density.overhangStrength > 0.0 && abs(depth) < density.overhangStrength) {
+          value += density.overhangStrength * gradientNoise3D(p * density.overhangFrequency, density.overhangSeed);
+        }
+        if (value <= 0.0 || f32(worldPos.y) < density.minY) {
+          return value > 0.0;
+        }
+
+        if (density.caveFrequency > 0.0 && depth >= density.caveMinDepth &&
+            gradientNoise3D(p * density.caveFrequency, density.caveSeed) > density.caveThreshold) {
+          return false;
+        }
+        if (density.tunnelFrequency > 0.0) {
+          let a = gradientNoise3D(p * density.tunnelFrequency, density.tunnelSeedA);
+          let b = gradientNoise3D(p * density.tunnelFrequency, density.tunnelSeedB);
+          if (a * a + b * b < density.tunnelRadius * density.tunnelRadius) {
+            return false;
+          }
+        }
+        return true;
+      }
+
       @compute @workgroup_size(4, 4, 4)
       fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
         let localX = global_id.x;
@@ -95,16 +187,18 @@ export class ChunkGeneratorNode extends BaseNode {
         
         let depth = surfaceHeight - f32(worldY);
         
-        if (depth < 0.0) {
-          // Above surface
-          if (f32(worldY) < params.seaLevel) {
+        if (!isSolid(vec3<i32>(worldX, worldY, worldZ), surfaceHeight)) {
+          // Above surface (or carved out below it)
+          if (depth < 0.0 && f32(worldY) < params.seaLevel) {
             blockType = BLOCK_WATER;
           } else {
             blockType = BLOCK_AIR;
           }
         } else {
-          // Below surface (solid terrain)
-          if (depth < 1.0) {
+          // Solid terrain
+          if (depth < 0.0) {
+            blockType = BLOCK_STONE; // Overhang above the heightmap surface
+          } else if (depth < 1.0) {
             blockType = BLOCK_GRASS; // Surface
           } else if (depth < 4.0) {
             blockType = BLOCK_DIRT;  // Subsurface
@@ -143,12 +237,33 @@ export class ChunkGeneratorNode extends BaseNode {
       regionZ
     });
 
+    // Packed by hand - createUniformBuffer would write whole-number floats as u32
+    const densityData = new DataView(new ArrayBuffer(64));
+    if (density) {
+      const seeds = getFieldSeeds(params.seed || 0);
+      densityData.setUint32(0, 1, true);
+      [seeds.overhang, seeds.cave, seeds.tunnelA, seeds.tunnelB].forEach((seed, i) => {
+        densityData.setUint32(4 + i * 4, seed, true);
+      });
+      [
+        density.overhangStrength, density.overhangFrequency,
+        density.caveFrequency, density.caveThreshold, density.caveMinDepth,
+        density.tunnelFrequency, density.tunnelRadius, density.minY
+      ].forEach((value, i) => densityData.setFloat32(20 + i * 4, value, true));
+    }
+    const densityBuffer = this.device.createBuffer({
+      size: densityData.byteLength,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+    this.device.queue.writeBuffer(densityBuffer, 0, densityData.buffer);
+
     const bindGroup = this.device.createBindGroup({
       layout: pipeline.getBindGroupLayout(0),
       entries: [
         { binding: 0, resource: { buffer: heightmapBuffer } },
         { binding: 1, resource: { buffer: outputBuffer } },
-        { binding: 2, resource: { buffer: uniformBuffer } }
+        { binding: 2, resource: { buffer: uniformBuffer } },
+        { binding: 3, resource: { buffer: densityBuffer } }
       ]
     });
 
@@ -179,9 +294,75 @@ export class ChunkGeneratorNode extends BaseNode {
     heightmapBuffer.destroy();
     outputBuffer.destroy();
     uniformBuffer.destroy();
+    densityBuffer.destroy();
     stagingBuffer.destroy();
 
     console.log(`✅ Chunk generated (${chunkX}, ${chunkY}, ${chunkZ})`);
     return { voxels };
   }
+
+  /**
+   * CPU version of the shader above (same blocks, same density noise)
+   */
+  async processCPU(inputs, params) {
+    const resolution = params.resolution || 512;
+    const chunkX = params.chunkX || 0;
+    const chunkY = params.chunkY || 0;
+    const chunkZ = params.chunkZ || 0;
+    const seaLevel = params.seaLevel || 128.0;
+    const regionX = params.regionX || 0;
+    const regionZ = params.regionZ || 0;
+
+    const heightmap = inputs.heightmap;
+    const density = params.density || null;
+
+    const sampleHeightmap = (worldX, worldZ) => {
+      const localX = worldX - regionX;
+      const localZ = worldZ - regionZ;
+      if (localX < 0 || localX >= resolution || localZ < 0 || localZ >= resolution) {
+        return 0.5; // Default height if out of bounds
+      }
+      return heightmap[localZ * resolution + localX];
+    };
+
+    const voxels = new Uint32Array(32 * 32 * 32);
+    const column = new Uint32Array(32);
+    const worldY0 = chunkY * 32;
+
+    for (let localZ = 0; localZ < 32; localZ++) {
+      for (let localX = 0; localX < 32; localX++) {
+        const worldX = chunkX * 32 + localX;
+        const worldZ = chunkZ * 32 + localZ;
+        const surfaceHeight = sampleHeightmap(worldX, worldZ) * 256.0;
+
+        if (density) {
+          fillDensityColumn(density, params.seed || 0, worldX, worldZ, surfaceHeight, worldY0, 32, column);
+        } else {
+          for (let y = 0; y < 32; y++) column[y] = surfaceHeight - (worldY0 + y) >= 0 ? 1 : 0;
+        }
+
+        for (let localY = 0; localY < 32; localY++) {
+          const worldY = worldY0 + localY;
+          const depth = surfaceHeight - worldY;
+
+          let blockType;
+          if (!column[localY]) {
+            blockType = depth < 0 && worldY < seaLevel ? BLOCK_WATER : BLOCK_AIR;
+          } else if (depth < 0) {
+            blockType = BLOCK_STONE; // Overhang above the heightmap surface
+          } else if (depth < 1) {
+            blockType = BLOCK_GRASS;
+          } else if (depth < 4) {
+            blockType = BLOCK_DIRT;
+          } else {
+            blockType = BLOCK_STONE;
+          }
+
+          voxels[localZ * 32 * 32 + localY * 32 + localX] = blockType;
+        }
+      }
+    }
+
+    return { voxels };
+  }
 }
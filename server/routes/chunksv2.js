@@ -6,13 +6,41 @@
 import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import { create, globals } from 'webgpu';
 import {
   BaseElevationNode,
   UpscaleNode
 } from '../lib/nodesv2/index.js';
-import { SVDAGBuilder } from '../services/svdagBuilder.js';
+import { GraphExecutor, getRegionApron } from '../services/graphExecutor.js';
+import { ChunkCache } from '../services/chunkCache.js';
+import { NodePoolStore, parsePageList } from '../services/nodePool.js';
+import { getLodVersion, parseLodVersion, MAX_LOD, LOD_MODES } from '../services/chunkLod.js';
+import { EditLogStore, boxesIntersect, isWorldCoord, MAX_WORLD_COORD } from '../services/editLog.js';
+import { RegionStore } from '../services/regionStore.js';
+import { resolveTerrainDensity } from '../services/terrainDensity.js';
+import { resolveBlockStrata, resolveBlockMaterials } from '../services/blockStrata.js';
+import { resolveRiverNetwork, traceRegionRivers } from '../services/riverNetwork.js';
+import { resolvePrefabPlacement, placeRegionPrefabs, comparePlacements } from '../services/prefabPlacement.js';
+import { PrefabLibrary } from '../services/prefabLibrary.js';
+import { parseVox, voxToPrefab } from '../services/voxImporter.js';
+import { encodeVox, encodeSchem } from '../services/voxelExport.js';
+import { ChunkWorkerPool, toSharedArray } from '../services/chunkWorkerPool.js';
+import { worldEvents } from '../services/worldEvents.js';
+import {
+  negotiateEncoding,
+  compressChunk,
+  createCompressStream,
+  MIN_COMPRESS_BYTES
+} from '../services/chunkCompression.js';
 import { metrics } from './monitor.js';
+import {
+  encodePooledChunk,
+  decodeChunk,
+  getUniformMaterial as getUniformChunkMaterial,
+  readChunkHeader,
+  CHUNK_FLAGS
+} from '../../public/js/svdagCodec.js';
 
 const router = express.Router();
 
@@ -22,8 +50,55 @@ let device = null;
 let nodes = null;
 let initPromise = null;
 
-// SVDAG builder for chunk compression
-const svdagBuilder = new SVDAGBuilder();
+// Graph executor for world node graphs (GPU if available, CPU evaluators otherwise)
+const graphExecutor = new GraphExecutor();
+let graphExecutorPromise = null;
+
+// Graph backends selectable per request (?backend=)
+const GRAPH_BACKENDS = ['auto', 'gpu', 'cpu'];
+
+// World ids name a directory in storage/worlds (same rule as the chunk stream)
+const WORLD_ID_PATTERN = /^[\w-]+$/;
+
+// Encoded chunks, in memory (LRU, byte budget) and on disk
+const chunkCache = new ChunkCache({ maxBytes: 64 * 1024 * 1024 });
+metrics.setCacheStatsProvider(() => chunkCache.getStats());
+
+// Region-wide deduplicated SVDAG nodes for pooled responses (?pool)
+const nodePools = new NodePoolStore({ maxBytes: 128 * 1024 * 1024 });
+metrics.setNodePoolStatsProvider(() => nodePools.getStats());
+
+// Per-world hand edits, replayed over generated terrain (storage/worlds/<id>/edits)
+const editLogs = new EditLogStore();
+
+// Baked region maps on disk (written by server/bake.js)
+const regionStore = new RegionStore();
+
+// Builtin + per-world prefabs (storage/worlds/<id>/prefabs)
+const prefabLibrary = new PrefabLibrary();
+
+// Chunk voxelization + SVDAG building (CHUNK_WORKERS=0 builds on the main thread)
+const chunkWorkers = new ChunkWorkerPool({
+  size: parseEnvCount('CHUNK_WORKERS'),
+  maxQueue: parseEnvCount('CHUNK_WORKER_QUEUE')
+});
+metrics.setWorkerPoolStatsProvider(() => chunkWorkers.getStats());
+
+// Bump whenever voxelisation or the chunk encoding changes - orphans old cached chunks
+const CHUNK_FORMAT_VERSION = 5;
+
+// Batch response format (POST .../chunks/batch)
+const BATCH_MAGIC = 0x53564442; // 'SVDB'
+const BATCH_VERSION = 1;
+const BATCH_STATUS = { OK: 0, EMPTY: 1, MISSING: 2 };
+const MAX_BATCH_CHUNKS = 256;
+
+function ensureGraphExecutor() {
+  if (!graphExecutorPromise) {
+    graphExecutorPromise = graphExecutor.initialize();
+  }
+  return graphExecutorPromise;
+}
 
 async function ensureInitialized() {
   if (initPromise) return initPromise;
@@ -71,35 +146,396 @@ console.log('✅ V2 keep-alive timer started');
 // In-memory region cache
 const regionCache = new Map();
 
+// Region loads / generations in progress - regionKey -> Promise<regionData>
+const regionsInFlight = new Map();
+
+// Regions' maps before rivers (regionKey -> maps), least recently used first -
+// river tracing reads the 3×3 regions around each region it generates
+const baseRegionCache = new Map();
+const baseRegionsInFlight = new Map();
+const BASE_REGION_CACHE_SIZE = 16;
+
+// Chunk builds in progress - "worldId/version/cx_cy_cz" -> { promise, epoch }
+const chunksInFlight = new Map();
+
+// Bumped on invalidation - "worldId_regionX_regionZ" -> epoch
+const regionEpochs = new Map();
+
+// Upper bound on regions one invalidation request may name
+const MAX_INVALIDATE_REGIONS = 1024;
+
+// Upper bound on operations per POST .../edits
+const MAX_EDITS_PER_REQUEST = 1024;
+
+// Chunk coords address at most the edit log's world bounds (2^25 chunks)
+const MAX_CHUNK_COORD = MAX_WORLD_COORD / 32;
+
+// Exports voxelize at most this many blocks (32M - 64 MB of block ids), this many chunks at a time
+const MAX_EXPORT_VOXELS = 1 << 25;
+// ...spanning at most this many blocks per axis (5×5 regions) and this many chunks -
+// a thin box within the volume limit could otherwise cross thousands of regions
+const MAX_EXPORT_SPAN = 2048;
+const MAX_EXPORT_CHUNKS = 16384;
+const EXPORT_BATCH_SIZE = 32;
+const EXPORT_FORMATS = ['vox', 'schem'];
+
+// Parsed world files (graph + config), reloaded when either file changes
+const worldCache = new Map();
+
 /**
- * Generate or retrieve region data (LOD 0 + LOD 1)
+ * Non-negative integer from an environment variable (undefined = unset or invalid, use the default)
  */
-// Simple CPU Perlin noise (no GPU)
-function simplePerlin(x, y, seed) {
-  // Very simple hash-based noise
-  const hash = (n) => {
-    n = Math.sin(n + seed) * 43758.5453123;
-    return n - Math.floor(n);
-  };
+function parseEnvCount(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    console.warn(`⚠️  Ignoring ${name}=${value} (expected a non-negative integer)`);
+    return undefined;
+  }
+  return count;
+}
+
+/**
+ * Whether a value is an integer chunk coord within MAX_CHUNK_COORD
+ * (far larger values never advance the region loops they feed)
+ */
+function isChunkCoord(value) {
+  return Number.isSafeInteger(value) && Math.abs(value) <= MAX_CHUNK_COORD;
+}
+
+/**
+ * Read a JSON file, tolerating a UTF-8 BOM (editor-saved files have one)
+ */
+async function readJSON(filePath) {
+  const text = await fs.readFile(filePath, 'utf-8');
+  return JSON.parse(text.replace(/^\uFEFF/, ''));
+}
+
+async function getMtime(filePath) {
+  try {
+    return (await fs.stat(filePath)).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Load world graph + config
+ * @returns {Promise<object>} { graph, config, seed, graphHash, configHash, regionApron, density, strata, rivers, placement, placementHash, materials }
+ */
+async function loadWorld(worldId) {
+  const worldDir = path.join('storage', 'worlds', worldId);
+  const graphPath = path.join(worldDir, 'graph.json');
+  const configPath = path.join(worldDir, 'config.json');
+  
+  const [graphMtime, configMtime, library] = await Promise.all([
+    getMtime(graphPath), getMtime(configPath), prefabLibrary.load(worldId)
+  ]);
+  const cached = worldCache.get(worldId);
+  if (cached && cached.graphMtime === graphMtime && cached.configMtime === configMtime && cached.library === library) {
+    return cached.world;
+  }
   
-  const n = hash(x + y * 57.0);
-  return n;
+  let graph;
+  try {
+    const graphData = await readJSON(graphPath);
+    // Handle both direct graph and wrapped format
+    graph = graphData.graph || graphData;
+  } catch {
+    graph = { nodes: [], connections: [] };
+  }
+  if (!Array.isArray(graph.nodes)) graph.nodes = [];
+  if (!Array.isArray(graph.connections)) graph.connections = [];
+  
+  let config;
+  try {
+    config = await readJSON(configPath);
+  } catch {
+    // console.log('⚠️  No config.json found, using default');
+    config = { seed: 12345 };
+  }
+  
+  // Only nodes + connections affect generated terrain
+  const graphHash = hashJSON({ nodes: graph.nodes, connections: graph.connections });
+  const configHash = hashJSON(config);
+  
+  const placement = resolvePrefabPlacement(graph, config, library);
+  const world = {
+    graph,
+    config,
+    seed: config.seed || 12345,
+    graphHash,
+    configHash,
+    regionApron: getRegionApron(config),
+    density: resolveTerrainDensity(graph, config),
+    strata: resolveBlockStrata(graph),
+    rivers: resolveRiverNetwork(graph, config),
+    placement,
+    // Placed prefabs come from the library, which the config hash doesn't cover
+    placementHash: hashJSON(placement),
+    materials: resolveBlockMaterials(graph, config)
+  };
+  worldCache.set(worldId, { graphMtime, configMtime, library, world });
+  return world;
+}
+
+function hashJSON(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 12);
+}
+
+function getRegionKey(worldId, regionX, regionZ, world, backend) {
+  return `${worldId}_${regionX}_${regionZ}_${world.seed}_${world.graphHash}_${backend}`;
+}
+
+/**
+ * Version of a world's stored region maps - changes with the seed, graph,
+ * config, apron or backend
+ */
+function getRegionVersion(world, backend) {
+  return hashJSON([world.seed, world.graphHash, world.configHash, world.regionApron, backend]);
 }
 
-async function getRegion(regionX, regionZ, seed) {
-  const regionKey = `${regionX}_${regionZ}_${seed}`;
+/**
+ * Cache version for a world's chunks - changes whenever the graph, config,
+ * apron, backend or chunk format does
+ */
+function getChunkVersion(world, backend) {
+  return hashJSON([CHUNK_FORMAT_VERSION, world.graphHash, world.configHash, world.placementHash, world.regionApron, backend]);
+}
+
+/**
+ * Resolve 'auto' to the backend that will actually run the graph
+ * Worlds without a graph use the built-in CPU terrain
+ */
+async function resolveGraphBackend(world, backend = 'auto') {
+  if (world.graph.nodes.length === 0) return 'cpu';
+  await ensureGraphExecutor();
+  return graphExecutor.resolveBackend(backend);
+}
+
+/**
+ * Generate or retrieve region data (LOD 0 + LOD 1)
+ * Concurrent misses for one region share a single load / generation
+ * @param {string} backend - Resolved graph backend: 'gpu' or 'cpu'
+ * @param {object} info - Filled with { source: 'cache' | 'coalesced' | 'loaded' } for the caller
+ */
+function getRegion(worldId, regionX, regionZ, world, backend, info = {}) {
+  // Results differ slightly between backends, so they're cached separately
+  const regionKey = getRegionKey(worldId, regionX, regionZ, world, backend);
   
   // Check cache first
   if (regionCache.has(regionKey)) {
-    return regionCache.get(regionKey);
+    info.source = 'cache';
+    return Promise.resolve(regionCache.get(regionKey));
+  }
+  
+  const inFlight = regionsInFlight.get(regionKey);
+  if (inFlight) {
+    info.source = 'coalesced';
+    metrics.recordCoalesced('region');
+    return inFlight;
+  }
+  
+  info.source = 'loaded';
+  const promise = loadRegion(worldId, regionX, regionZ, world, backend, regionKey).finally(() => {
+    if (regionsInFlight.get(regionKey) === promise) regionsInFlight.delete(regionKey);
+  });
+  regionsInFlight.set(regionKey, promise);
+  return promise;
+}
+
+/**
+ * Region maps from the region store, or generated
+ * Evaluates the world's node graph when it has one
+ */
+async function loadRegion(worldId, regionX, regionZ, world, backend, regionKey) {
+  const epochKey = `${worldId}_${regionX}_${regionZ}`;
+  const regionEpoch = regionEpochs.get(epochKey) || 0;
+
+  // Baked worlds ship their region maps
+  const stored = await regionStore.load(worldId, getRegionVersion(world, backend), regionX, regionZ);
+  if (stored) {
+    const regionData = { ...shareRegionMaps(stored), timings: { heightmapGeneration: 0 }, stored: true };
+    if ((regionEpochs.get(epochKey) || 0) === regionEpoch) {
+      regionCache.set(regionKey, regionData);
+    }
+    return regionData;
   }
 
-  // console.log(`\n🌍 Generating region: (${regionX}, ${regionZ}) - CPU PIPELINE`);
-  const regionStartTime = Date.now();
   const timings = {}; // Track stage timings
 
-  // Generate heightmap directly at 512×512 using CPU
   const heightmapStart = Date.now();
+  const base = world.rivers
+    ? await getBaseRegion(worldId, regionX, regionZ, world, backend)
+    : await generateRegionMaps(regionX, regionZ, world, backend);
+  const { biomemap, blockmap, waterblockmap } = base;
+  let { heightmap } = base;
+  let rivermap = null;
+  timings.heightmapGeneration = Date.now() - heightmapStart;
+
+  if (world.rivers) {
+    // Rivers are traced over the 3×3 regions around this one
+    const riverStart = Date.now();
+    const neighbourhood = [];
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        neighbourhood.push(getBaseRegion(worldId, regionX + dx * 512, regionZ + dz * 512, world, backend));
+      }
+    }
+    const heightmaps = (await Promise.all(neighbourhood)).map(neighbour => neighbour.heightmap);
+    ({ heightmap, rivermap } = traceRegionRivers(world.rivers, heightmaps, regionX, regionZ, world.seed));
+    timings.riverGeneration = Date.now() - riverStart;
+  }
+
+  const regionData = {
+    ...shareRegionMaps({ heightmap, biomemap, blockmap, waterblockmap, rivermap }),
+    resolution: 512,
+    timings // Include timings in region data
+  };
+
+  // Cache the region (unless it was invalidated while generating)
+  if ((regionEpochs.get(epochKey) || 0) === regionEpoch) {
+    regionCache.set(regionKey, regionData);
+  }
+
+  return regionData;
+}
+
+/**
+ * Prefab placements anchored in a region, placed on first use
+ * Kept on the region with the placement hash they were made for - a changed
+ * prefab library places them again without regenerating the maps
+ */
+function getRegionPlacements(world, region, regionX, regionZ) {
+  if (region.placements?.hash !== world.placementHash) {
+    region.placements = {
+      hash: world.placementHash,
+      list: placeRegionPrefabs(world.placement, region, regionX, regionZ, world.seed)
+    };
+  }
+  return region.placements.list;
+}
+
+/**
+ * Placements whose prefabs reach into a chunk, in stamping order
+ * LOD 0 chunks also take them from the neighbouring regions a prefab can reach
+ * over from; LOD chunks only use their own region's (the clipped part is a few
+ * blocks, too small to see from their distance)
+ */
+async function getChunkPlacements(worldId, world, backend, region, regionX, regionZ, cx, cy, cz, lod) {
+  if (!world.placement) return [];
+  const bounds = getChunkBounds(cx, cy, cz, lod);
+  const regions = [{ region, x: regionX, z: regionZ }];
+  
+  if (lod === 0) {
+    const reach = world.placement.reach;
+    const neighbours = [];
+    // Region indices, not origins - integer steps always advance
+    const minRX = Math.floor((bounds.minX - reach) / 512);
+    const maxRX = Math.floor((bounds.maxX + reach) / 512);
+    const minRZ = Math.floor((bounds.minZ - reach) / 512);
+    const maxRZ = Math.floor((bounds.maxZ + reach) / 512);
+    for (let rz = minRZ; rz <= maxRZ; rz++) {
+      for (let rx = minRX; rx <= maxRX; rx++) {
+        const x = rx * 512;
+        const z = rz * 512;
+        if (x !== regionX || z !== regionZ) {
+          neighbours.push(getRegion(worldId, x, z, world, backend).then(neighbour => ({ region: neighbour, x, z })));
+        }
+      }
+    }
+    regions.push(...await Promise.all(neighbours));
+  }
+  
+  const placements = [];
+  for (const { region: regionData, x, z } of regions) {
+    for (const placement of getRegionPlacements(world, regionData, x, z)) {
+      if (boxesIntersect(placement.bounds, bounds)) placements.push(placement);
+    }
+  }
+  return placements.sort(comparePlacements);
+}
+
+/**
+ * A region's maps before rivers, from the LRU or generated
+ * Concurrent misses share one generation, like getRegion()
+ */
+function getBaseRegion(worldId, regionX, regionZ, world, backend) {
+  const regionKey = getRegionKey(worldId, regionX, regionZ, world, backend);
+  
+  const cached = baseRegionCache.get(regionKey);
+  if (cached) {
+    baseRegionCache.delete(regionKey);
+    baseRegionCache.set(regionKey, cached);
+    return Promise.resolve(cached);
+  }
+  
+  const inFlight = baseRegionsInFlight.get(regionKey);
+  if (inFlight) return inFlight;
+  
+  const epochKey = `${worldId}_${regionX}_${regionZ}`;
+  const regionEpoch = regionEpochs.get(epochKey) || 0;
+  const promise = generateRegionMaps(regionX, regionZ, world, backend).then(maps => {
+    // Not cached if the region was invalidated while generating
+    if ((regionEpochs.get(epochKey) || 0) === regionEpoch) {
+      baseRegionCache.set(regionKey, maps);
+      while (baseRegionCache.size > BASE_REGION_CACHE_SIZE) {
+        baseRegionCache.delete(baseRegionCache.keys().next().value);
+      }
+    }
+    return maps;
+  }).finally(() => {
+    if (baseRegionsInFlight.get(regionKey) === promise) baseRegionsInFlight.delete(regionKey);
+  });
+  baseRegionsInFlight.set(regionKey, promise);
+  return promise;
+}
+
+/**
+ * Evaluate the world's node graph for a 512×512 region (plus apron, cropped)
+ * @returns {Promise<{heightmap, biomemap, blockmap, waterblockmap}>} Only
+ *          heightmap for worlds without a graph
+ */
+async function generateRegionMaps(regionX, regionZ, world, backend) {
+  if (world.graph.nodes.length === 0) {
+    // No graph authored - built-in fBm terrain
+    return { heightmap: generateFallbackHeightmap(regionX, regionZ, world.seed), biomemap: null, blockmap: null, waterblockmap: null };
+  }
+  
+  const graphResults = await graphExecutor.execute(world.graph, {
+    x: regionX,
+    z: regionZ,
+    width: 512,
+    height: 512,
+    seed: world.seed
+  }, world.config, { backend, apron: world.regionApron });
+  return {
+    heightmap: graphResults.heightmap,
+    biomemap: graphResults.biomemap,
+    blockmap: graphResults.blockmap,
+    waterblockmap: graphResults.waterblockmap || null
+  };
+}
+
+/**
+ * Region maps in shared memory - chunk workers read them without a copy per chunk
+ */
+function shareRegionMaps(region) {
+  return {
+    ...region,
+    heightmap: toSharedArray(region.heightmap),
+    biomemap: toSharedArray(region.biomemap),
+    blockmap: toSharedArray(region.blockmap),
+    waterblockmap: toSharedArray(region.waterblockmap),
+    rivermap: toSharedArray(region.rivermap)
+  };
+}
+
+/**
+ * Built-in multi-octave value noise heightmap (used when the world has no graph)
+ */
+function generateFallbackHeightmap(regionX, regionZ, seed) {
   const heightmap = new Float32Array(512 * 512);
   
   // Helper: Smooth interpolation (smoothstep)
@@ -179,191 +615,108 @@ async function getRegion(regionX, regionZ, seed) {
     }
   }
   
-  timings.heightmapGeneration = Date.now() - heightmapStart;
-
-  const regionData = {
-    heightmap,
-    resolution: 512,
-    timings // Include timings in region data
-  };
+  return heightmap;
+}
 
-  // Cache the region
-  regionCache.set(regionKey, regionData);
-  
-  // Calculate height statistics
-  let minHeight = Infinity;
-  let maxHeight = -Infinity;
-  let avgHeight = 0;
-  for (let i = 0; i < heightmap.length; i++) {
-    const h = heightmap[i] * 256;
-    minHeight = Math.min(minHeight, h);
-    maxHeight = Math.max(maxHeight, h);
-    avgHeight += h;
+/**
+ * Every /worlds/:worldId/* route: reject ids that could reach outside
+ * storage/worlds (Express decodes %2F in params) before anything touches disk
+ */
+router.param('worldId', (req, res, next, worldId) => {
+  if (!isValidWorldId(worldId)) {
+    return res.status(400).json({ error: 'Invalid world id' });
   }
-  avgHeight /= heightmap.length;
-  
-  const elapsed = Date.now() - regionStartTime;
-  // console.log(`✅ Region generated in ${elapsed}ms (CPU)`);
-  // console.log(`   ⛰️  Height range: ${minHeight.toFixed(1)} to ${maxHeight.toFixed(1)} (avg: ${avgHeight.toFixed(1)})`);
+  next();
+});
 
-  return regionData;
+export function isValidWorldId(worldId) {
+  return typeof worldId === 'string' && WORLD_ID_PATTERN.test(worldId);
 }
 
 /**
  * GET /api/v2/worlds/:worldId/chunks/:x/:y/:z
  * Get a single stream chunk (32x32x32 SVDAG) using V2 pipeline
+ * ?lod=n (0..MAX_LOD): chunk covering 32·2ⁿ blocks, downsampled to 32³ - x/y/z are
+ * in units of that extent; ?lodMode=surface|majority picks the material selection
+ * LOD chunks are always sent standalone (?pool is ignored)
  */
 router.get('/worlds/:worldId/chunks/:x/:y/:z', async (req, res) => {
   // Wrap entire handler to catch sync GPU errors
   try {
-    // No GPU initialization needed - using CPU pipeline
+    // Graph executor initializes lazily on the first region that needs it
     
     const { worldId, x, y, z } = req.params;
-    const cx = parseInt(x);
-    const cy = parseInt(y);
-    const cz = parseInt(z);
+    const cx = Number(x);
+    const cy = Number(y);
+    const cz = Number(z);
+    const backend = req.query.backend || 'auto';
     
-    // Only log chunks at (0, ?, 0) for debugging
-    if (cx === 0 && cz === 0) {
-      console.log(`\n📦 V2 Chunk request: ${worldId} (${cx}, ${cy}, ${cz})`);
+    // NaN coords would be built and cached, huge ones never finish
+    if (![cx, cy, cz].every(isChunkCoord)) {
+      return res.status(400).json({ error: `x, y and z must be integer chunk coords within ±${MAX_CHUNK_COORD}` });
     }
-    
-    // Load world configuration
-    const worldDir = path.join('storage', 'worlds', worldId);
-    const configPath = path.join(worldDir, 'config.json');
-    
-    // Check if world exists
-    try {
-      await fs.access(worldDir);
-    } catch {
-      return res.status(404).json({ error: 'World not found' });
+    if (!GRAPH_BACKENDS.includes(backend)) {
+      return res.status(400).json({ error: `Unknown backend: ${backend}`, backends: GRAPH_BACKENDS });
     }
     
-    // Load config
-    let config;
-    try {
-      config = JSON.parse(await fs.readFile(configPath, 'utf-8'));
-    } catch {
-      // console.log('⚠️  No config.json found, using default');
-      config = { seed: 12345 };
+    const lod = req.query.lod === undefined ? 0 : Number(req.query.lod);
+    const lodMode = req.query.lodMode || LOD_MODES[0];
+    if (!Number.isInteger(lod) || lod < 0 || lod > MAX_LOD) {
+      return res.status(400).json({ error: `lod must be an integer 0-${MAX_LOD}` });
+    }
+    if (!LOD_MODES.includes(lodMode)) {
+      return res.status(400).json({ error: `Unknown lodMode: ${lodMode}`, lodModes: LOD_MODES });
     }
-
-    const seed = config.seed || 12345;
-    
-    // Determine which region this chunk belongs to
-    const regionX = Math.floor((cx * 32) / 512) * 512;
-    const regionZ = Math.floor((cz * 32) / 512) * 512;
-    
-    // Get or generate region
-    const startTime = Date.now();
-    const region = await getRegion(regionX, regionZ, seed);
-    const regionTime = Date.now() - startTime;
-    
-    // Generate chunk voxels - FULL TERRAIN
-    const chunkStart = Date.now();
-    
-    const voxels = new Uint32Array(32 * 32 * 32);
-    
-    // Track if region was cached or generated
-    const regionWasCached = regionTime < 1; // < 1ms means it was cached
-    
-    // COLUMN TEST - 12x12 chunks wide, full height terrain
-    let solidCount = 0;
-    let airCount = 0;
     
-    // if (cx >= -6 && cx <= 5 && cz >= -6 && cz <= 5) {
-      // Inside 12x12 column - generate terrain at all Y levels
-      for (let voxZ = 0; voxZ < 32; voxZ++) {
-        for (let voxX = 0; voxX < 32; voxX++) {
-          const worldX = cx * 32 + voxX;
-          const worldZ = cz * 32 + voxZ;
-          
-          const localX = worldX - regionX;
-          const localZ = worldZ - regionZ;
-          const clampedX = Math.max(0, Math.min(511, localX));
-          const clampedZ = Math.max(0, Math.min(511, localZ));
-          
-          const heightIdx = clampedZ * 512 + clampedX;
-          const heightValue = region.heightmap[heightIdx];
-          const surfaceHeight = heightValue * 256;
-          
-          for (let y = 0; y < 32; y++) {
-            const worldY = cy * 32 + y;
-            const idx = voxZ * 32 * 32 + y * 32 + voxX; // Normal indexing - shader handles flip
-            
-            if (worldY < surfaceHeight) {
-              voxels[idx] = 1; // Grass material
-              solidCount++;
-            } else {
-              voxels[idx] = 0; // Air
-              airCount++;
-            }
-          }
-        }
+    // ?pool[&poolId=&have=0-3,7] - pooled response against the region node pool
+    let poolHave = null;
+    if (req.query.pool !== undefined && lod === 0) {
+      try {
+        poolHave = parsePoolHave(req.query.poolId, req.query.have);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
       }
-    // } else {
-    //   // Outside 12x12 column - all air
-    //   airCount = 32 * 32 * 32;
-    // }
-
-    // Debug logging disabled - server generation is working correctly
-    
-    const voxelData = { voxels, solidVoxels: solidCount, airVoxels: airCount };
-    
-    // Build SVDAG from voxels
-    const svdagStart = Date.now();
-    const materialSVDAG = svdagBuilder.build(voxels, 32); // 32×32×32 chunk
-    const svdagTime = Date.now() - svdagStart;
-    
-    // For now, opaque SVDAG is same as material SVDAG (no transparent blocks yet)
-    const opaqueSVDAG = materialSVDAG;
-    
-    // Encode chunk data
-    const buffer = encodeSVDAGChunk({ materialSVDAG, opaqueSVDAG });
+    }
     
-    const totalTime = Date.now() - startTime;
-    const chunkGenTime = (Date.now() - chunkStart) - svdagTime; // Exclude SVDAG time
+    if (backend === 'gpu') {
+      await ensureGraphExecutor();
+      if (!graphExecutor.gpuEngine) {
+        return res.status(503).json({ error: 'GPU backend not available on this server' });
+      }
+    }
     
-    // Record metrics with detailed stage timing
-    const regionKey = `${regionX}_${regionZ}`;
-    const stages = {
-      chunkGen: chunkGenTime,
-      svdagBuild: svdagTime
-    };
+    // Only log chunks at (0, ?, 0) for debugging
+    if (cx === 0 && cz === 0) {
+      console.log(`\n📦 V2 Chunk request: ${worldId} (${cx}, ${cy}, ${cz})`);
+    }
     
-    // Add region generation timing (only for first chunk in region)
-    if (region.timings && !regionWasCached) {
-      // Map CPU heightmap generation to "baseElevation" for consistency with GPU pipeline
-      stages.baseElevation = region.timings.heightmapGeneration || 0;
-      // Note: erosion, upscale, etc. will be added when GPU pipeline is implemented
+    // Check if world exists
+    if (!await worldExists(worldId)) {
+      return res.status(404).json({ error: 'World not found' });
     }
     
-    metrics.recordRequest({
-      cx,
-      cy,
-      cz,
-      cached: false, // Chunk itself isn't cached (we always generate SVDAG)
-      regionCached: regionWasCached, // But region texture might be cached
-      totalTime,
-      regionKey,
-      chunkSize: buffer.length, // Track network payload size
-      stages
-    });
+    const chunk = await getChunk(worldId, cx, cy, cz, backend, { lod, lodMode });
     
-    // Set headers
-    res.setHeader('Content-Type', 'application/octet-stream');
-    res.setHeader('X-Chunk-Size', '32');
-    res.setHeader('X-Chunk-Position', `${cx},${cy},${cz}`);
-    res.setHeader('X-Generation-Time', totalTime.toString());
-    res.setHeader('X-Pipeline-Version', 'v2');
-    res.setHeader('X-Material-Nodes', materialSVDAG.nodeCount.toString());
-    res.setHeader('X-Material-Leaves', materialSVDAG.leafCount.toString());
-    res.setHeader('Content-Length', buffer.length.toString());
-    res.setHeader('Cache-Control', 'public, max-age=3600');
+    const pooled = poolHave && encodePooledBody(worldId, cx, cy, cz, chunk, poolHave);
+    if (pooled) {
+      await sendPooledChunk(res, pooled, {
+        cx, cy, cz,
+        totalTime: chunk.totalTime,
+        cacheStatus: chunk.cacheStatus,
+        encoding: negotiateEncoding(req.headers['accept-encoding'])
+      });
+      return;
+    }
     
-    res.send(buffer);
+    const encoded = await getTransferBody(worldId, cx, cy, cz, chunk, negotiateEncoding(req.headers['accept-encoding']));
+    sendChunk(res, chunk.buffer, { cx, cy, cz, lod, totalTime: chunk.totalTime, cacheStatus: chunk.cacheStatus, encoded });
     
   } catch (error) {
+    if (error.code === 'QUEUE_FULL') {
+      // Overloaded, not broken - the client asks again on a later scan
+      res.setHeader('Retry-After', '1');
+      return res.status(503).json({ error: 'Chunk workers busy', message: error.message });
+    }
     console.error('❌ Error generating V2 chunk:', error);
     console.error('❌ Error message:', error.message);
     console.error('❌ Error stack:', error.stack);
@@ -376,81 +729,1145 @@ router.get('/worlds/:worldId/chunks/:x/:y/:z', async (req, res) => {
 });
 
 /**
- * POST /api/v2/worlds/:worldId/invalidate-region
- * Invalidate cached region
+ * POST /api/v2/worlds/:worldId/chunks/batch
+ * Many chunks in one response
+ * Body: { chunks: [[cx, cy, cz], ...] } (max MAX_BATCH_CHUNKS), optional ?backend=
+ *       optional pool: { "<regionX>_<regionZ>": { poolId, have: "0-3,7" }, ... } - SVDAG
+ *       chunks are sent pooled; pages go out once per batch ({} = client holds nothing)
+ *
+ * Response (little-endian, entries written as each chunk is ready):
+ *   u32 magic 'SVDB', u32 version, u32 entry count
+ *   per entry: i32 cx, i32 cy, i32 cz, u32 status, u32 byteLength, <byteLength bytes>
+ *   status: BATCH_STATUS.OK (V2, uniform or pooled chunk follows), EMPTY (all air, no bytes),
+ *           MISSING (generation failed, no bytes)
  */
-router.post('/worlds/:worldId/invalidate-region', async (req, res) => {
+router.post('/worlds/:worldId/chunks/batch', async (req, res) => {
   const { worldId } = req.params;
-  const { regionX, regionZ } = req.body;
+  const backend = req.query.backend || 'auto';
+  const chunks = req.body?.chunks;
   
-  // Load seed
-  const worldDir = path.join('storage', 'worlds', worldId);
-  const configPath = path.join(worldDir, 'config.json');
-  const config = JSON.parse(await fs.readFile(configPath, 'utf-8'));
-  const seed = config.seed || 12345;
+  const isCoords = (c) => Array.isArray(c) && c.length === 3 && c.every(isChunkCoord);
+  if (!Array.isArray(chunks) || chunks.length === 0 || chunks.length > MAX_BATCH_CHUNKS || !chunks.every(isCoords)) {
+    return res.status(400).json({
+      error: `chunks must be 1-${MAX_BATCH_CHUNKS} [cx, cy, cz] integer coords within ±${MAX_CHUNK_COORD}`
+    });
+  }
+  if (!GRAPH_BACKENDS.includes(backend)) {
+    return res.status(400).json({ error: `Unknown backend: ${backend}`, backends: GRAPH_BACKENDS });
+  }
   
-  const regionKey = `${regionX}_${regionZ}_${seed}`;
+  // regionKey -> { poolId, pages } (what the client holds, plus what this batch sent)
+  let poolHaves = null;
+  if (req.body.pool !== undefined) {
+    try {
+      poolHaves = parseBatchPoolHave(req.body.pool);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
   
-  if (regionCache.has(regionKey)) {
-    regionCache.delete(regionKey);
-    console.log(`🗑️  Invalidated region: (${regionX}, ${regionZ})`);
-    res.json({ success: true, message: 'Region invalidated' });
+  try {
+    if (backend === 'gpu') {
+      await ensureGraphExecutor();
+      if (!graphExecutor.gpuEngine) {
+        return res.status(503).json({ error: 'GPU backend not available on this server' });
+      }
+    }
+    if (!await worldExists(worldId)) {
+      return res.status(404).json({ error: 'World not found' });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: 'V2 chunk batch failed', message: error.message });
+  }
+  
+  let missing = 0;
+  
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('X-Pipeline-Version', 'v2');
+  res.setHeader('X-Batch-Count', chunks.length.toString());
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Vary', 'Accept-Encoding');
+  
+  // Entries go through a compression stream (flushed per entry) when negotiated
+  const encoding = negotiateEncoding(req.headers['accept-encoding']);
+  let out = res;
+  let rawBytes = 0;
+  let sentBytes = 0;
+  if (encoding) {
+    res.setHeader('Content-Encoding', encoding);
+    out = createCompressStream(encoding);
+    out.on('data', (data) => { sentBytes += data.length; });
+    out.pipe(res);
+    res.on('close', () => out.destroy());
+  }
+  const write = (data) => {
+    rawBytes += data.length;
+    if (!encoding) sentBytes += data.length;
+    out.write(data);
+  };
+  
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(BATCH_MAGIC, 0);
+  header.writeUInt32LE(BATCH_VERSION, 4);
+  header.writeUInt32LE(chunks.length, 8);
+  write(header);
+  
+  // Sequential - chunks of one region share its (cached) heightmap
+  for (const [cx, cy, cz] of chunks) {
+    if (res.destroyed) return; // Client went away
+    
+    let status = BATCH_STATUS.MISSING;
+    let payload = null;
+    try {
+      const chunk = await getChunk(worldId, cx, cy, cz, backend);
+      if (getUniformChunkMaterial(chunk.buffer) === 0) {
+        status = BATCH_STATUS.EMPTY;
+      } else {
+        status = BATCH_STATUS.OK;
+        payload = chunk.buffer;
+        
+        if (poolHaves) {
+          const regionKey = `${toRegionOrigin(cx * 32)}_${toRegionOrigin(cz * 32)}`;
+          if (!poolHaves.has(regionKey)) {
+            poolHaves.set(regionKey, { poolId: 0, pages: new Map() });
+          }
+          const pooled = encodePooledBody(worldId, cx, cy, cz, chunk, poolHaves.get(regionKey));
+          if (pooled) payload = Buffer.from(pooled.buffer, pooled.byteOffset, pooled.byteLength);
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Batch chunk (${cx}, ${cy}, ${cz}) failed:`, error.message);
+    }
+    if (status === BATCH_STATUS.MISSING) missing++;
+    
+    const entry = Buffer.alloc(20);
+    entry.writeInt32LE(cx, 0);
+    entry.writeInt32LE(cy, 4);
+    entry.writeInt32LE(cz, 8);
+    entry.writeUInt32LE(status, 12);
+    entry.writeUInt32LE(payload ? payload.length : 0, 16);
+    write(payload ? Buffer.concat([entry, payload]) : entry);
+    if (encoding) out.flush();
+  }
+  
+  if (encoding) {
+    // 'close' once the compressed tail has been piped out (or the client left)
+    await new Promise(resolve => {
+      out.once('close', resolve);
+      out.end();
+    });
   } else {
-    res.json({ success: false, message: 'Region not in cache' });
+    res.end();
   }
+  metrics.recordTransfer({ rawBytes, sentBytes, encoding });
+  metrics.recordBatch({ chunks: chunks.length, missing });
 });
 
 /**
- * Helper: Encode SVDAG chunk to binary (V1-compatible format)
- */
-function encodeSVDAGChunk(chunk) {
-  const { materialSVDAG, opaqueSVDAG } = chunk;
-
-  // Calculate buffer size (40-byte header + data)
-  const headerSize = 40;
-  const materialNodesSize = materialSVDAG.nodesBuffer.byteLength;
-  const materialLeavesSize = materialSVDAG.leavesBuffer.byteLength;
-  const opaqueNodesSize = opaqueSVDAG.nodesBuffer.byteLength;
-  const opaqueLeavesSize = opaqueSVDAG.leavesBuffer.byteLength;
-
-  const totalSize = headerSize + materialNodesSize + materialLeavesSize + 
-                   opaqueNodesSize + opaqueLeavesSize;
-
-  const buffer = Buffer.alloc(totalSize);
-  let offset = 0;
-
-  // Write 40-byte header (V1-compatible)
-  buffer.writeUInt32LE(0x53564441, offset); offset += 4; // Magic: 'SVDA'
-  buffer.writeUInt32LE(2, offset); offset += 4;          // Version 2 (dual SVDAG)
-  buffer.writeUInt32LE(32, offset); offset += 4;         // Chunk size
-  buffer.writeUInt32LE(materialSVDAG.nodeCount, offset); offset += 4;
-  buffer.writeUInt32LE(materialSVDAG.leafCount, offset); offset += 4;
-  buffer.writeUInt32LE(materialSVDAG.rootIdx, offset); offset += 4;
-  buffer.writeUInt32LE(0, offset); offset += 4;          // Flags (reserved)
-  buffer.writeUInt32LE(0, offset); offset += 4;          // Checksum (not implemented)
-  buffer.writeUInt32LE(opaqueSVDAG.rootIdx, offset); offset += 4;
-  buffer.writeUInt32LE(opaqueSVDAG.nodeCount, offset); offset += 4;
-
-  // Write material SVDAG nodes
-  const matNodesBuffer = Buffer.from(materialSVDAG.nodesBuffer.buffer);
-  matNodesBuffer.copy(buffer, offset);
-  offset += materialNodesSize;
-
-  // Write material SVDAG leaves
-  const matLeavesBuffer = Buffer.from(materialSVDAG.leavesBuffer.buffer);
-  matLeavesBuffer.copy(buffer, offset);
-  offset += materialLeavesSize;
-
-  // Write opaque SVDAG nodes
-  const opqNodesBuffer = Buffer.from(opaqueSVDAG.nodesBuffer.buffer);
-  opqNodesBuffer.copy(buffer, offset);
-  offset += opaqueNodesSize;
-
-  // Write opaque SVDAG leaves
-  const opqLeavesBuffer = Buffer.from(opaqueSVDAG.leavesBuffer.buffer);
-  opqLeavesBuffer.copy(buffer, offset);
-
-  return buffer;
+ * Whether a world directory exists in storage
+ */
+export async function worldExists(worldId) {
+  if (!isValidWorldId(worldId)) return false;
+  try {
+    await fs.access(path.join('storage', 'worlds', worldId));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Encoded chunk from the chunk cache, or generated from the world's region
+ * Shared by the HTTP route and the WebSocket stream
+ * @param {string} backend - 'auto' | 'gpu' | 'cpu' (already validated)
+ * @param {object} options - { lod, lodMode } (already validated); LOD n chunk
+ *        coordinates are in units of 32·2ⁿ blocks (see services/chunkLod.js)
+ * @returns {Promise<{buffer: Buffer, cacheStatus: string, totalTime: number, version: string, epoch: number, lod: number}>}
+ *          version/epoch identify the cache entry (for compressed copies)
+ */
+export async function getChunk(worldId, cx, cy, cz, backend = 'auto', { lod = 0, lodMode = LOD_MODES[0] } = {}) {
+  // Every caller (routes, stream, export, baker) comes through here - out-of-range
+  // coords would stall the region loops (prefab reach, edits) for good
+  if (![cx, cy, cz].every(isChunkCoord)) {
+    throw new Error(`Chunk (${cx}, ${cy}, ${cz}) is outside ±${MAX_CHUNK_COORD}`);
+  }
+  const world = await loadWorld(worldId);
+  const resolvedBackend = await resolveGraphBackend(world, backend);
+  const chunkVersion = getLodVersion(getChunkVersion(world, resolvedBackend), lod, lodMode);
+  
+  // Determine which region this chunk belongs to (LOD chunks never span regions)
+  const extent = 32 << lod;
+  const regionX = Math.floor((cx * extent) / 512) * 512;
+  const regionZ = Math.floor((cz * extent) / 512) * 512;
+  const regionEpoch = regionEpochs.get(`${worldId}_${regionX}_${regionZ}`) || 0;
+  
+  // Concurrent requests for one chunk share a single cache lookup / build
+  // (unless the region was invalidated since that one started)
+  const flightKey = `${worldId}/${chunkVersion}/${cx}_${cy}_${cz}`;
+  const inFlight = chunksInFlight.get(flightKey);
+  if (inFlight && inFlight.epoch === regionEpoch) {
+    const startTime = Date.now();
+    metrics.recordCoalesced('chunk');
+    const chunk = await inFlight.promise;
+    return { ...chunk, cacheStatus: 'COALESCED', totalTime: Date.now() - startTime };
+  }
+  
+  const entry = {
+    promise: loadChunk(worldId, world, resolvedBackend, chunkVersion, cx, cy, cz, { lod, lodMode, regionX, regionZ, regionEpoch }),
+    epoch: regionEpoch
+  };
+  chunksInFlight.set(flightKey, entry);
+  try {
+    return await entry.promise;
+  } finally {
+    if (chunksInFlight.get(flightKey) === entry) chunksInFlight.delete(flightKey);
+  }
+}
+
+/**
+ * getChunk's cache lookup / build (one per chunk at a time)
+ */
+async function loadChunk(worldId, world, resolvedBackend, chunkVersion, cx, cy, cz, { lod, lodMode, regionX, regionZ, regionEpoch }) {
+  const regionKey = `${regionX}_${regionZ}`;
+  const epochKey = `${worldId}_${regionKey}`;
+  
+  const startTime = Date.now();
+  
+  // Serve the encoded chunk if this exact world version already built it
+  const cachedChunk = await chunkCache.get(worldId, chunkVersion, cx, cy, cz);
+  if (cachedChunk) {
+    const totalTime = Date.now() - startTime;
+    metrics.recordRequest({
+      cx,
+      cy,
+      cz,
+      cached: true,
+      cacheSource: cachedChunk.source,
+      totalTime,
+      regionKey,
+      chunkSize: cachedChunk.buffer.length
+    });
+    
+    return { buffer: cachedChunk.buffer, cacheStatus: 'HIT', totalTime, version: chunkVersion, epoch: regionEpoch, lod };
+  }
+  
+  // Get or generate region
+  const regionInfo = {};
+  const region = await getRegion(worldId, regionX, regionZ, world, resolvedBackend, regionInfo);
+  
+  // Track if region was cached or generated (by this request)
+  const regionWasCached = regionInfo.source !== 'loaded';
+  
+  // Voxelize + build the SVDAG on a pool worker (region maps are shared, not copied)
+  const built = await chunkWorkers.run(
+    await getChunkTask(worldId, world, resolvedBackend, region, regionX, regionZ, cx, cy, cz, { lod, lodMode })
+  );
+  const buffer = toBuffer(built.bytes);
+  
+  let svdagTime = 0;
+  if (built.svdag) {
+    svdagTime = built.svdag.stats.buildTimeMs;
+    metrics.recordSVDAGBuild(built.svdag, built.voxelCount);
+  }
+  
+  // Persist for later requests (response doesn't wait for the disk write),
+  // unless the region was invalidated while this chunk was being built
+  if ((regionEpochs.get(epochKey) || 0) === regionEpoch) {
+    chunkCache.set(worldId, chunkVersion, cx, cy, cz, buffer).catch(error => {
+      console.warn(`⚠️  Failed to cache chunk (${cx}, ${cy}, ${cz}):`, error.message);
+    });
+  }
+  
+  const totalTime = Date.now() - startTime;
+  
+  // Record metrics with detailed stage timing (measured on the worker - queue wait excluded)
+  const stages = {
+    chunkGen: built.voxelizeMs,
+    svdagBuild: svdagTime
+  };
+  
+  // Add region generation timing (only for first chunk in region)
+  if (region.timings && !regionWasCached) {
+    // Map CPU heightmap generation to "baseElevation" for consistency with GPU pipeline
+    stages.baseElevation = region.timings.heightmapGeneration || 0;
+    // Note: erosion, upscale, etc. will be added when GPU pipeline is implemented
+  }
+  
+  metrics.recordRequest({
+    cx,
+    cy,
+    cz,
+    cached: false,
+    regionCached: regionWasCached, // But region texture might be cached
+    totalTime,
+    regionKey,
+    chunkSize: buffer.length, // Track network payload size
+    stages
+  });
+  
+  // Push channels forward freshly built chunks to subscribed clients (full detail only)
+  if (lod === 0) {
+    worldEvents.publish(worldId, 'chunk', { cx, cy, cz, buffer });
+  }
+  
+  return { buffer, cacheStatus: 'MISS', totalTime, version: chunkVersion, epoch: regionEpoch, lod };
+}
+
+/**
+ * Chunk worker task for one chunk (see buildChunk in services/chunkBuilder.js)
+ */
+async function getChunkTask(worldId, world, backend, region, regionX, regionZ, cx, cy, cz, { lod = 0, lodMode = LOD_MODES[0] } = {}) {
+  // Hand edits touching this chunk, replayed over each generated column
+  const editLog = await editLogs.get(worldId);
+  const edits = editLog.getEdits(getChunkBounds(cx, cy, cz, lod));
+  
+  // Prefabs reaching into the chunk, from this region and its neighbours
+  const placements = await getChunkPlacements(worldId, world, backend, region, regionX, regionZ, cx, cy, cz, lod);
+  
+  return {
+    region: {
+      heightmap: region.heightmap,
+      biomemap: region.biomemap,
+      blockmap: region.blockmap,
+      waterblockmap: region.waterblockmap,
+      rivermap: region.rivermap
+    },
+    regionX,
+    regionZ,
+    cx,
+    cy,
+    cz,
+    lod,
+    lodMode,
+    edits,
+    density: world.density,
+    seed: world.seed,
+    strata: world.strata,
+    rivers: world.rivers,
+    placements,
+    prefabs: world.placement ? world.placement.prefabs : [],
+    materials: world.materials
+  };
+}
+
+/**
+ * Block ids of a world box, voxelized through the same pipeline as LOD 0 chunks
+ * (placements and edits included), chunk by chunk on the worker pool
+ * @param {object} box - { minX, minY, minZ, maxX, maxY, maxZ } (inclusive)
+ * @returns {Promise<{blocks: Uint16Array, size: number[]}>} blocks x fastest,
+ *          then y, then z (the prefab layout)
+ */
+async function voxelizeBox(worldId, box, backend = 'auto') {
+  const world = await loadWorld(worldId);
+  const resolvedBackend = await resolveGraphBackend(world, backend);
+  const size = [box.maxX - box.minX + 1, box.maxY - box.minY + 1, box.maxZ - box.minZ + 1];
+  const [sx, sy] = size;
+  const blocks = new Uint16Array(size[0] * size[1] * size[2]);
+  
+  const chunks = [];
+  for (let cz = Math.floor(box.minZ / 32); cz <= Math.floor(box.maxZ / 32); cz++) {
+    for (let cx = Math.floor(box.minX / 32); cx <= Math.floor(box.maxX / 32); cx++) {
+      for (let cy = Math.floor(box.minY / 32); cy <= Math.floor(box.maxY / 32); cy++) {
+        chunks.push([cx, cy, cz]);
+      }
+    }
+  }
+  
+  const voxelizeChunk = async ([cx, cy, cz]) => {
+    const regionX = toRegionOrigin(cx * 32);
+    const regionZ = toRegionOrigin(cz * 32);
+    const region = await getRegion(worldId, regionX, regionZ, world, resolvedBackend);
+    const task = await getChunkTask(worldId, world, resolvedBackend, region, regionX, regionZ, cx, cy, cz);
+    const { voxels } = await chunkWorkers.run({ ...task, voxelsOnly: true });
+    
+    // Copy the part inside the box (chunk voxels: z·32² + y·32 + x)
+    const bounds = getChunkBounds(cx, cy, cz);
+    for (let z = Math.max(bounds.minZ, box.minZ); z <= Math.min(bounds.maxZ, box.maxZ); z++) {
+      for (let y = Math.max(bounds.minY, box.minY); y <= Math.min(bounds.maxY, box.maxY); y++) {
+        for (let x = Math.max(bounds.minX, box.minX); x <= Math.min(bounds.maxX, box.maxX); x++) {
+          const voxel = voxels[(z - bounds.minZ) * 1024 + (y - bounds.minY) * 32 + (x - bounds.minX)];
+          blocks[(x - box.minX) + sx * ((y - box.minY) + sy * (z - box.minZ))] = voxel;
+        }
+      }
+    }
+  };
+  
+  // A batch at a time, so a big box doesn't overflow the worker queue.
+  // Regions the export brought into memory are dropped again afterwards
+  const cachedBefore = new Set(regionCache.keys());
+  const keySuffix = getRegionKey(worldId, 0, 0, world, resolvedBackend).slice(`${worldId}_0_0`.length);
+  try {
+    for (let i = 0; i < chunks.length; i += EXPORT_BATCH_SIZE) {
+      await Promise.all(chunks.slice(i, i + EXPORT_BATCH_SIZE).map(voxelizeChunk));
+    }
+  } finally {
+    for (const key of Array.from(regionCache.keys())) {
+      if (key.startsWith(`${worldId}_`) && key.endsWith(keySuffix) && !cachedBefore.has(key)) {
+        regionCache.delete(key);
+      }
+    }
+  }
+  return { blocks, size };
+}
+
+/**
+ * Generate (or load) a region and store its maps on disk, for the baker
+ * @returns {Promise<{bytes: number, stored: boolean}>} stored = already on disk
+ */
+export async function saveRegion(worldId, regionX, regionZ, backend = 'auto') {
+  const world = await loadWorld(worldId);
+  const resolvedBackend = await resolveGraphBackend(world, backend);
+  const version = getRegionVersion(world, resolvedBackend);
+  
+  if (await regionStore.has(worldId, version, regionX, regionZ)) {
+    return { bytes: 0, stored: true };
+  }
+  const region = await getRegion(worldId, regionX, regionZ, world, resolvedBackend);
+  const bytes = await regionStore.save(worldId, version, regionX, regionZ, region);
+  return { bytes, stored: false };
+}
+
+/**
+ * Drop a region's maps from memory (disk copies stay) - keeps long bakes bounded
+ */
+export function releaseRegion(worldId, regionX, regionZ) {
+  const prefix = `${worldId}_${regionX}_${regionZ}_`;
+  for (const key of Array.from(regionCache.keys())) {
+    if (key.startsWith(prefix)) regionCache.delete(key);
+  }
+  for (const key of Array.from(baseRegionCache.keys())) {
+    if (key.startsWith(prefix)) baseRegionCache.delete(key);
+  }
+}
+
+/**
+ * Wait for pending chunk cache disk writes
+ */
+export function flushChunkCache() {
+  return chunkCache.flush();
+}
+
+/**
+ * Compressed copy of a chunk for the negotiated encoding, from the chunk cache
+ * or compressed now and cached next to the raw chunk
+ * @returns {Promise<{buffer: Buffer, encoding: string}|null>} null = send uncompressed
+ */
+async function getTransferBody(worldId, cx, cy, cz, chunk, encoding) {
+  if (!encoding || chunk.buffer.length < MIN_COMPRESS_BYTES) return null;
+  
+  const cached = await chunkCache.get(worldId, chunk.version, cx, cy, cz, encoding);
+  if (cached) return { buffer: cached.buffer, encoding };
+  
+  const buffer = await compressChunk(chunk.buffer, encoding);
+  
+  // Same guard as the raw chunk - don't cache data from before an invalidation
+  const extent = 32 << chunk.lod;
+  const epochKey = `${worldId}_${toRegionOrigin(cx * extent)}_${toRegionOrigin(cz * extent)}`;
+  if ((regionEpochs.get(epochKey) || 0) === chunk.epoch) {
+    chunkCache.set(worldId, chunk.version, cx, cy, cz, buffer, encoding).catch(error => {
+      console.warn(`⚠️  Failed to cache ${encoding} chunk (${cx}, ${cy}, ${cz}):`, error.message);
+    });
+  }
+  
+  return { buffer, encoding };
+}
+
+/**
+ * What a client holds of one region's node pool, from ?poolId=&have=
+ * @returns {{poolId: number, pages: Map<number, number>}} pages: page id -> words held
+ */
+function parsePoolHave(poolId, have) {
+  const id = poolId === undefined || poolId === '' ? 0 : Number(poolId);
+  if (!Number.isInteger(id) || id < 0 || id > 0xFFFFFFFF) {
+    throw new Error('poolId must be a u32');
+  }
+  return { poolId: id, pages: parsePageList(have) };
+}
+
+/**
+ * Batch body pool: { "<regionX>_<regionZ>": { poolId, have }, ... }
+ * @returns {Map<string, {poolId: number, pages: Map<number, number>}>}
+ */
+function parseBatchPoolHave(pool) {
+  if (pool === null || typeof pool !== 'object' || Array.isArray(pool)) {
+    throw new Error('pool must be an object keyed by "<regionX>_<regionZ>"');
+  }
+  const haves = new Map();
+  for (const [regionKey, entry] of Object.entries(pool)) {
+    if (!/^-?\d+_-?\d+$/.test(regionKey)) {
+      throw new Error(`Bad pool region key: ${regionKey}`);
+    }
+    haves.set(regionKey, parsePoolHave(entry?.poolId, entry?.have));
+  }
+  return haves;
+}
+
+/**
+ * Pooled encoding of an SVDAG chunk: its root in the region's node pool plus
+ * the parts of its dependency pages the client doesn't hold yet. What is sent
+ * is recorded in `have`, so a batch never sends the same words twice.
+ * @param {{poolId: number, pages: Map<number, number>}} have - Updated in place
+ * @returns {Uint8Array|null} null = send the chunk standalone (uniform, has its
+ *          own opaque SVDAG - pooled chunks carry one root - stale, or the pool
+ *          can't take it)
+ */
+function encodePooledBody(worldId, cx, cy, cz, chunk, have) {
+  if (getUniformChunkMaterial(chunk.buffer) !== null) return null;
+  if (!(readChunkHeader(chunk.buffer).flags & CHUNK_FLAGS.OPAQUE_SHARED)) return null;
+  
+  const regionX = toRegionOrigin(cx * 32);
+  const regionZ = toRegionOrigin(cz * 32);
+  // Built before an invalidation - the purged pool must not get its nodes back
+  if ((regionEpochs.get(`${worldId}_${regionX}_${regionZ}`) || 0) !== chunk.epoch) return null;
+  const pool = nodePools.get(worldId, chunk.version, regionX, regionZ);
+  const entry = pool.getChunk(cx, cy, cz) ||
+    pool.addChunk(cx, cy, cz, decodeChunk(chunk.buffer).materialSVDAG);
+  if (!entry) return null;
+  
+  // Pages of another pool (server restart, eviction, invalidation) are useless
+  if (have.poolId !== pool.poolId) {
+    have.poolId = pool.poolId;
+    have.pages = new Map();
+  }
+  
+  // Only the words of each dependency page the client is missing
+  const pages = [];
+  for (const id of entry.dependencies) {
+    const held = have.pages.get(id) || 0;
+    const length = pool.getPageLength(id);
+    if (held >= length) continue;
+    pages.push({ id, start: held, words: pool.getPage(id, held) });
+    have.pages.set(id, length);
+  }
+  nodePools.stats.chunksPooled++;
+  nodePools.stats.pagesSent += pages.length;
+  
+  return encodePooledChunk({
+    cx, cy, cz,
+    regionX,
+    regionZ,
+    poolId: pool.poolId,
+    root: entry.root,
+    pageWords: pool.pageWords,
+    dependencies: entry.dependencies,
+    pages
+  });
+}
+
+/**
+ * Send a pooled chunk (compressed on the fly - the body depends on the client's pages)
+ */
+async function sendPooledChunk(res, pooled, { cx, cy, cz, totalTime, cacheStatus, encoding }) {
+  const buffer = Buffer.from(pooled.buffer, pooled.byteOffset, pooled.byteLength);
+  
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('X-Chunk-Size', '32');
+  res.setHeader('X-Chunk-Position', `${cx},${cy},${cz}`);
+  res.setHeader('X-Chunk-Format', 'pool');
+  res.setHeader('X-Generation-Time', totalTime.toString());
+  res.setHeader('X-Pipeline-Version', 'v2');
+  res.setHeader('X-Cache', cacheStatus);
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Vary', 'Accept-Encoding');
+  
+  let body = buffer;
+  if (encoding && buffer.length >= MIN_COMPRESS_BYTES) {
+    body = await compressChunk(buffer, encoding);
+    res.setHeader('Content-Encoding', encoding);
+    res.setHeader('X-Raw-Size', buffer.length.toString());
+  }
+  res.setHeader('Content-Length', body.length.toString());
+  metrics.recordTransfer({ rawBytes: buffer.length, sentBytes: body.length, encoding: body === buffer ? null : encoding });
+  
+  res.send(body);
+}
+
+/**
+ * Send an encoded chunk with the V2 headers
+ * Node/leaf counts come from the chunk header so cached chunks report them too.
+ * All-air chunks are 204 No Content; other uniform chunks send the 16-byte
+ * uniform chunk. Both carry X-Chunk-Uniform: <material>
+ * X-Opaque-Nodes/Leaves equal the material counts when the chunk has no
+ * transparent blocks (OPAQUE_SHARED)
+ * encoded: compressed body from getTransferBody (null = raw)
+ * lod: X-Chunk-LOD, with X-Chunk-Extent = blocks covered per axis (32·2ⁿ)
+ */
+function sendChunk(res, buffer, { cx, cy, cz, lod = 0, totalTime, cacheStatus, encoded = null }) {
+  const uniformMaterial = getUniformChunkMaterial(buffer);
+  
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('X-Chunk-Size', '32');
+  res.setHeader('X-Chunk-Position', `${cx},${cy},${cz}`);
+  res.setHeader('X-Chunk-LOD', lod.toString());
+  res.setHeader('X-Chunk-Extent', (32 << lod).toString());
+  res.setHeader('X-Generation-Time', totalTime.toString());
+  res.setHeader('X-Pipeline-Version', 'v2');
+  res.setHeader('X-Cache', cacheStatus);
+  // Revalidate every time (Express sets an ETag) - regions can be invalidated
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Vary', 'Accept-Encoding');
+  
+  if (uniformMaterial !== null) {
+    res.setHeader('X-Chunk-Uniform', uniformMaterial.toString());
+    res.setHeader('X-Material-Nodes', '0');
+    res.setHeader('X-Material-Leaves', '0');
+    res.setHeader('X-Opaque-Nodes', '0');
+    res.setHeader('X-Opaque-Leaves', '0');
+    if (uniformMaterial === 0) {
+      res.status(204).end();
+      return;
+    }
+  } else {
+    const { flags, sections } = readChunkHeader(buffer);
+    const [matNodes, matLeaves, opqNodes, opqLeaves] = sections;
+    const opaqueShared = (flags & CHUNK_FLAGS.OPAQUE_SHARED) !== 0;
+    res.setHeader('X-Chunk-Format', 'v3');
+    res.setHeader('X-Material-Nodes', (matNodes.length / 4).toString());
+    res.setHeader('X-Material-Leaves', (matLeaves.length / 4).toString());
+    res.setHeader('X-Opaque-Nodes', ((opaqueShared ? matNodes : opqNodes).length / 4).toString());
+    res.setHeader('X-Opaque-Leaves', ((opaqueShared ? matLeaves : opqLeaves).length / 4).toString());
+  }
+  
+  const body = encoded ? encoded.buffer : buffer;
+  if (encoded) {
+    res.setHeader('Content-Encoding', encoded.encoding);
+    res.setHeader('X-Raw-Size', buffer.length.toString());
+  }
+  res.setHeader('Content-Length', body.length.toString());
+  metrics.recordTransfer({ rawBytes: buffer.length, sentBytes: body.length, encoding: encoded?.encoding });
+  
+  res.send(body);
+}
+
+/**
+ * Snap a world block coordinate to its 512-block region origin
+ */
+function toRegionOrigin(worldCoord) {
+  return Math.floor(worldCoord / 512) * 512;
+}
+
+/**
+ * Regions named by an invalidation request body
+ * Accepts { regionX, regionZ }, { regions: [{ regionX, regionZ }, ...] }
+ * or { box: { minX, minZ, maxX, maxZ } } (world block coords, inclusive)
+ * All coords are integers within ±MAX_WORLD_COORD - the box loop must advance
+ * @returns {Array<{regionX: number, regionZ: number}>}
+ */
+function parseRegionList(body = {}) {
+  const regions = new Map();
+  const add = (x, z) => {
+    const regionX = toRegionOrigin(x);
+    const regionZ = toRegionOrigin(z);
+    regions.set(`${regionX}_${regionZ}`, { regionX, regionZ });
+  };
+  
+  if (body.box) {
+    const { minX, minZ, maxX, maxZ } = body.box;
+    if (![minX, minZ, maxX, maxZ].every(isWorldCoord) || minX > maxX || minZ > maxZ) {
+      throw new Error(`box needs integer minX <= maxX and minZ <= maxZ within ±${MAX_WORLD_COORD}`);
+    }
+    const count = ((toRegionOrigin(maxX) - toRegionOrigin(minX)) / 512 + 1) *
+                  ((toRegionOrigin(maxZ) - toRegionOrigin(minZ)) / 512 + 1);
+    if (count > MAX_INVALIDATE_REGIONS) {
+      throw new Error(`box covers ${count} regions (max ${MAX_INVALIDATE_REGIONS})`);
+    }
+    for (let x = toRegionOrigin(minX); x <= maxX; x += 512) {
+      for (let z = toRegionOrigin(minZ); z <= maxZ; z += 512) {
+        add(x, z);
+      }
+    }
+  }
+  
+  if (body.regions !== undefined) {
+    if (!Array.isArray(body.regions) || body.regions.length > MAX_INVALIDATE_REGIONS) {
+      throw new Error(`regions must be an array of at most ${MAX_INVALIDATE_REGIONS} entries`);
+    }
+    for (const region of body.regions) {
+      if (!isWorldCoord(region?.regionX) || !isWorldCoord(region?.regionZ)) {
+        throw new Error(`each region needs integer regionX and regionZ within ±${MAX_WORLD_COORD}`);
+      }
+      add(region.regionX, region.regionZ);
+    }
+  }
+  
+  if (body.regionX !== undefined || body.regionZ !== undefined) {
+    if (!isWorldCoord(body.regionX) || !isWorldCoord(body.regionZ)) {
+      throw new Error(`regionX and regionZ must be integers within ±${MAX_WORLD_COORD}`);
+    }
+    add(body.regionX, body.regionZ);
+  }
+  
+  return Array.from(regions.values());
+}
+
+/**
+ * Block box a chunk's voxels depend on (inclusive), one block taller than the
+ * chunk - LOD surface selection looks at the block above
+ */
+function getChunkBounds(cx, cy, cz, lod = 0) {
+  const extent = 32 << lod;
+  return {
+    minX: cx * extent,
+    minY: cy * extent,
+    minZ: cz * extent,
+    maxX: (cx + 1) * extent - 1,
+    maxY: (cy + 1) * extent,
+    maxZ: (cz + 1) * extent - 1
+  };
+}
+
+/**
+ * Drop regions from the region cache and every chunk inside them from the
+ * chunk cache (memory + disk, all world versions), then notify clients
+ * With boxes (hand edits) the generated region data is kept and only chunks
+ * intersecting a box are dropped
+ * @param {Array<object>|null} boxes - Block boxes { minX, minY, minZ, maxX, maxY, maxZ }
+ * @returns {Promise<{regions: number, chunks: number}>} What was removed
+ */
+async function invalidateRegions(worldId, regions, boxes = null) {
+  let regionsRemoved = 0;
+  const regionSet = new Set();
+  
+  for (const { regionX, regionZ } of regions) {
+    const regionId = `${regionX}_${regionZ}`;
+    regionSet.add(regionId);
+    
+    // Chunks still generating from the old region data must not be cached
+    const epochKey = `${worldId}_${regionId}`;
+    regionEpochs.set(epochKey, (regionEpochs.get(epochKey) || 0) + 1);
+    
+    if (boxes) continue; // Terrain itself is unchanged
+    
+    // Any seed/graph/backend this region was generated with
+    const prefix = `${worldId}_${regionId}_`;
+    for (const key of Array.from(regionCache.keys())) {
+      if (key.startsWith(prefix) && regionCache.delete(key)) {
+        regionsRemoved++;
+      }
+    }
+    // Later requests start a fresh generation instead of joining a stale one
+    for (const key of Array.from(regionsInFlight.keys())) {
+      if (key.startsWith(prefix)) regionsInFlight.delete(key);
+    }
+    for (const key of Array.from(baseRegionCache.keys())) {
+      if (key.startsWith(prefix)) baseRegionCache.delete(key);
+    }
+    for (const key of Array.from(baseRegionsInFlight.keys())) {
+      if (key.startsWith(prefix)) baseRegionsInFlight.delete(key);
+    }
+  }
+  
+  // LOD chunk coordinates scale with the LOD in their cache version
+  if (!boxes) {
+    await regionStore.purge(worldId, regionSet);
+  }
+  
+  const chunksRemoved = await chunkCache.purge(worldId, (cx, cy, cz, version) => {
+    const lod = parseLodVersion(version);
+    if (boxes) {
+      const bounds = getChunkBounds(cx, cy, cz, lod);
+      return boxes.some(box => boxesIntersect(bounds, box));
+    }
+    const extent = 32 << lod;
+    return regionSet.has(`${toRegionOrigin(cx * extent)}_${toRegionOrigin(cz * extent)}`);
+  });
+  nodePools.purge(worldId, regionSet);
+  
+  worldEvents.publish(worldId, 'invalidate', boxes ? { regions, boxes } : { regions });
+  
+  return { regions: regionsRemoved, chunks: chunksRemoved };
+}
+
+/**
+ * Invalidate the chunks hand edits touch
+ * @param {Array<object>} entries - Edit log entries (with bounds)
+ */
+async function invalidateEdits(worldId, entries) {
+  const boxes = entries.map(entry => entry.bounds);
+  const regions = new Map();
+  for (const box of boxes) {
+    for (let regionX = toRegionOrigin(box.minX); regionX <= box.maxX; regionX += 512) {
+      for (let regionZ = toRegionOrigin(box.minZ); regionZ <= box.maxZ; regionZ += 512) {
+        regions.set(`${regionX}_${regionZ}`, { regionX, regionZ });
+      }
+    }
+  }
+  return invalidateRegions(worldId, Array.from(regions.values()), boxes);
+}
+
+/**
+ * Edit log entry as returned by the API (bounds are derived)
+ */
+function toEditJSON({ bounds, ...entry }) {
+  return entry;
+}
+
+/**
+ * GET /api/v2/worlds/:worldId/events
+ * Server-sent events stream (invalidations) for a world
+ */
+router.get('/worlds/:worldId/events', (req, res) => {
+  const { worldId } = req.params;
+  
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+  res.write(': connected\n\n');
+  
+  const unsubscribe = worldEvents.subscribe(worldId, (event) => {
+    // Chunk payloads are binary - only the WebSocket stream carries them
+    if (event.type === 'chunk') return;
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+/**
+ * POST /api/v2/worlds/:worldId/invalidate-region
+ * Invalidate cached regions and their chunks, and tell connected clients
+ * Body: { regionX, regionZ } | { regions: [...] } | { box: { minX, minZ, maxX, maxZ } }
+ */
+router.post('/worlds/:worldId/invalidate-region', async (req, res) => {
+  const { worldId } = req.params;
+  
+  let regions;
+  try {
+    regions = parseRegionList(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (regions.length === 0) {
+    return res.status(400).json({ error: 'Provide regionX/regionZ, regions or box' });
+  }
+  
+  try {
+    const removed = await invalidateRegions(worldId, regions);
+    console.log(`🗑️  Invalidated ${regions.length} region(s) in ${worldId}: ${removed.regions} cached regions, ${removed.chunks} cached chunks`);
+    
+    res.json({
+      success: true,
+      message: `Invalidated ${regions.length} region(s)`,
+      regions,
+      removed
+    });
+  } catch (error) {
+    console.error('❌ Error invalidating regions:', error);
+    res.status(500).json({ error: 'Invalidation failed', message: error.message });
+  }
+});
+
+/**
+ * GET /api/v2/worlds/:worldId/edits
+ * The world's edit log, optionally only entries after ?since=<seq>
+ */
+router.get('/worlds/:worldId/edits', async (req, res) => {
+  const { worldId } = req.params;
+  const since = req.query.since === undefined ? 0 : Number(req.query.since);
+  if (!Number.isInteger(since) || since < 0) {
+    return res.status(400).json({ error: 'since must be a non-negative integer' });
+  }
+  
+  try {
+    if (!await worldExists(worldId)) {
+      return res.status(404).json({ error: 'World not found' });
+    }
+    const editLog = await editLogs.get(worldId);
+    const edits = editLog.entries.filter(entry => entry.seq > since).map(toEditJSON);
+    res.json({ edits, count: edits.length, nextSeq: editLog.nextSeq });
+  } catch (error) {
+    console.error('❌ Error reading edits:', error);
+    res.status(500).json({ error: 'Failed to read edits', message: error.message });
+  }
+});
+
+/**
+ * POST /api/v2/worlds/:worldId/edits
+ * Append voxel edits and invalidate the chunks they touch
+ * Body: { edits: [op, ...] } or a single op (see services/editLog.js):
+ *   { type: 'set', x, y, z, block } | { type: 'fill', min, max, block } |
+ *   { type: 'carve', center, radius } | { type: 'paint', center, radius, block } |
+ *   { type: 'prefab', prefab, position, rotation } - prefab is a library name
+ *   (GET .../prefabs) or a whole prefab
+ */
+router.post('/worlds/:worldId/edits', async (req, res) => {
+  const { worldId } = req.params;
+  const ops = Array.isArray(req.body?.edits) ? req.body.edits : [req.body];
+  if (ops.length === 0 || ops.length > MAX_EDITS_PER_REQUEST) {
+    return res.status(400).json({ error: `edits must hold 1-${MAX_EDITS_PER_REQUEST} operations` });
+  }
+  
+  let editLog;
+  try {
+    if (!await worldExists(worldId)) {
+      return res.status(404).json({ error: 'World not found' });
+    }
+    editLog = await editLogs.get(worldId);
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to load edits', message: error.message });
+  }
+  
+  let entries;
+  try {
+    entries = await editLog.append(await resolveEditPrefabs(worldId, ops));
+  } catch (error) {
+    // Validation failures name the bad operation; nothing was written
+    const status = error.code ? 500 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+  
+  try {
+    const removed = await invalidateEdits(worldId, entries);
+    console.log(`✏️  ${entries.length} edit(s) in ${worldId}: ${removed.chunks} cached chunks invalidated`);
+    
+    res.json({
+      success: true,
+      edits: entries.map(toEditJSON),
+      removed
+    });
+  } catch (error) {
+    console.error('❌ Error invalidating edited chunks:', error);
+    res.status(500).json({ error: 'Edits saved, invalidation failed', message: error.message });
+  }
+});
+
+/**
+ * DELETE /api/v2/worlds/:worldId/edits
+ * Clear the edit log - edited chunks go back to the generated terrain
+ */
+router.delete('/worlds/:worldId/edits', async (req, res) => {
+  const { worldId } = req.params;
+  
+  try {
+    if (!await worldExists(worldId)) {
+      return res.status(404).json({ error: 'World not found' });
+    }
+    const editLog = await editLogs.get(worldId);
+    const cleared = await editLog.clear();
+    const removed = cleared.length > 0 ? await invalidateEdits(worldId, cleared) : { regions: 0, chunks: 0 };
+    console.log(`🗑️  Cleared ${cleared.length} edit(s) in ${worldId}`);
+    
+    res.json({ success: true, cleared: cleared.length, removed });
+  } catch (error) {
+    console.error('❌ Error clearing edits:', error);
+    res.status(500).json({ error: 'Failed to clear edits', message: error.message });
+  }
+});
+
+/**
+ * Prefab edits naming a library prefab get the prefab itself
+ */
+async function resolveEditPrefabs(worldId, ops) {
+  return Promise.all(ops.map(async (op) => {
+    if (op?.type !== 'prefab' || typeof op.prefab !== 'string') return op;
+    const prefab = await prefabLibrary.get(worldId, op.prefab);
+    if (!prefab) throw new Error(`prefab: unknown prefab '${op.prefab}'`);
+    return { ...op, prefab };
+  }));
+}
+
+/**
+ * GET /api/v2/worlds/:worldId/prefabs
+ * Prefabs the world can place and stamp (builtin and its own), without blocks
+ */
+router.get('/worlds/:worldId/prefabs', async (req, res) => {
+  const { worldId } = req.params;
+  
+  try {
+    if (!await worldExists(worldId)) {
+      return res.status(404).json({ error: 'World not found' });
+    }
+    const prefabs = await prefabLibrary.list(worldId);
+    res.json({ prefabs, count: prefabs.length });
+  } catch (error) {
+    console.error('❌ Error listing prefabs:', error);
+    res.status(500).json({ error: 'Failed to list prefabs', message: error.message });
+  }
+});
+
+/**
+ * GET /api/v2/worlds/:worldId/prefabs/:name
+ * One prefab, blocks included
+ */
+router.get('/worlds/:worldId/prefabs/:name', async (req, res) => {
+  const { worldId, name } = req.params;
+  
+  try {
+    if (!await worldExists(worldId)) {
+      return res.status(404).json({ error: 'World not found' });
+    }
+    const prefab = await prefabLibrary.get(worldId, name);
+    if (!prefab) {
+      return res.status(404).json({ error: `Prefab not found: ${name}` });
+    }
+    res.json(prefab);
+  } catch (error) {
+    console.error('❌ Error reading prefab:', error);
+    res.status(500).json({ error: 'Failed to read prefab', message: error.message });
+  }
+});
+
+/**
+ * POST /api/v2/worlds/:worldId/prefabs
+ * Add (or replace) a world prefab. Either:
+ *   JSON { name, size, anchor, blocks } (see services/prefabs.js), or
+ *   a MagicaVoxel .vox file as application/octet-stream with ?name=
+ *   &anchor=x,y,z (default: middle of the bottom layer) and &map=colorIndex:blockId,...
+ *   (colors not in map become the world material closest to them)
+ */
+router.post('/worlds/:worldId/prefabs', express.raw({ type: 'application/octet-stream', limit: '64mb' }), async (req, res) => {
+  const { worldId } = req.params;
+  
+  try {
+    if (!await worldExists(worldId)) {
+      return res.status(404).json({ error: 'World not found' });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: 'Failed to load world', message: error.message });
+  }
+  
+  let prefab = req.body;
+  let mapping;
+  if (Buffer.isBuffer(req.body)) {
+    try {
+      const anchor = req.query.anchor === undefined ? null : parseIntegerList(req.query.anchor, 3, 'anchor');
+      const blockMap = {};
+      for (const pair of req.query.map ? String(req.query.map).split(',') : []) {
+        const [colorIndex, blockId] = parseIntegerList(pair.replace(':', ','), 2, 'map');
+        blockMap[colorIndex] = blockId;
+      }
+      const world = await loadWorld(worldId);
+      ({ prefab, mapping } = voxToPrefab(parseVox(req.body), {
+        name: req.query.name, materials: world.materials, anchor, blockMap
+      }));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+  
+  let stored;
+  try {
+    stored = await prefabLibrary.save(worldId, prefab);
+  } catch (error) {
+    // Validation failures name the bad field; nothing was written
+    const status = error.code ? 500 : 400;
+    return res.status(status).json({ error: error.message });
+  }
+  
+  console.log(`🧱 Prefab '${stored.name}' (${stored.size.join('×')}) saved in ${worldId}`);
+  try {
+    const summary = (await prefabLibrary.list(worldId)).find(p => p.name === stored.name);
+    res.json({ success: true, prefab: summary, ...(mapping && { mapping }) });
+  } catch (error) {
+    console.error('❌ Error listing prefabs:', error);
+    res.status(500).json({ error: 'Prefab saved, listing failed', message: error.message });
+  }
+});
+
+/**
+ * GET /api/v2/worlds/:worldId/export?bbox=minX,minY,minZ,maxX,maxY,maxZ&format=vox|schem
+ * Voxelize a world box (inclusive block coords; placements and edits included)
+ * and download it as a MagicaVoxel .vox (split into 256³ models) or a Sponge
+ * .schem (see services/voxelExport.js). Optional ?backend=auto|gpu|cpu
+ */
+router.get('/worlds/:worldId/export', async (req, res) => {
+  const { worldId } = req.params;
+  const format = req.query.format || 'vox';
+  const backend = req.query.backend || 'auto';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unknown format: ${format}`, formats: EXPORT_FORMATS });
+  }
+  if (!GRAPH_BACKENDS.includes(backend)) {
+    return res.status(400).json({ error: `Unknown backend: ${backend}`, backends: GRAPH_BACKENDS });
+  }
+  
+  let box;
+  try {
+    const values = parseIntegerList(req.query.bbox, 6, 'bbox');
+    if (!values.every(isWorldCoord)) {
+      throw new Error(`bbox coords must be within ±${MAX_WORLD_COORD}`);
+    }
+    const [minX, minY, minZ, maxX, maxY, maxZ] = values;
+    box = { minX, minY, minZ, maxX, maxY, maxZ };
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const size = [box.maxX - box.minX + 1, box.maxY - box.minY + 1, box.maxZ - box.minZ + 1];
+  if (size.some(n => n < 1)) {
+    return res.status(400).json({ error: 'bbox max must be >= min on every axis' });
+  }
+  if (size.some(n => n > MAX_EXPORT_SPAN)) {
+    return res.status(400).json({ error: `bbox spans ${size.join('×')} blocks, at most ${MAX_EXPORT_SPAN} per axis allowed` });
+  }
+  if (size[0] * size[1] * size[2] > MAX_EXPORT_VOXELS) {
+    return res.status(400).json({ error: `bbox holds ${size.join('×')} blocks, at most ${MAX_EXPORT_VOXELS} allowed` });
+  }
+  const chunkCount = ['X', 'Y', 'Z']
+    .map(axis => Math.floor(box[`max${axis}`] / 32) - Math.floor(box[`min${axis}`] / 32) + 1)
+    .reduce((a, b) => a * b, 1);
+  if (chunkCount > MAX_EXPORT_CHUNKS) {
+    return res.status(400).json({ error: `bbox crosses ${chunkCount} chunks, at most ${MAX_EXPORT_CHUNKS} allowed` });
+  }
+  
+  try {
+    if (!await worldExists(worldId)) {
+      return res.status(404).json({ error: 'World not found' });
+    }
+    
+    const startTime = Date.now();
+    const world = await loadWorld(worldId);
+    const grid = await voxelizeBox(worldId, box, backend);
+    
+    let bytes;
+    let models = 1;
+    if (format === 'vox') {
+      ({ bytes, models } = encodeVox(grid, world.materials));
+    } else {
+      bytes = encodeSchem(grid, world.materials, { name: worldId });
+    }
+    
+    const totalTime = Date.now() - startTime;
+    console.log(`📦 Exported ${size.join('×')} from ${worldId} as .${format} (${models} model(s), ${bytes.length} bytes) in ${totalTime}ms`);
+    
+    const fileName = `${worldId}_${box.minX}_${box.minY}_${box.minZ}.${format}`;
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'X-Export-Size': size.join(','),
+      'X-Export-Models': models,
+      'X-Export-Time': totalTime
+    });
+    res.send(bytes);
+  } catch (error) {
+    console.error('❌ Error exporting:', error);
+    const status = error.code === 'QUEUE_FULL' ? 503 : 500;
+    res.status(status).json({ error: 'Export failed', message: error.message });
+  }
+});
+
+/**
+ * "1,2,3" as exactly `count` integers
+ */
+function parseIntegerList(value, count, name) {
+  const values = String(value).split(',').map(Number);
+  if (values.length !== count || !values.every(Number.isInteger)) {
+    throw new Error(`${name} must be ${count} comma-separated integers`);
+  }
+  return values;
+}
+
+/**
+ * Codec output as a Buffer (no copy) - Express sends Buffers as binary
+ */
+function toBuffer(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
 }
 
 export default router;
@@ -21,15 +21,25 @@ class MetricsCollector {
   constructor() {
     this.reset();
     this.baselineProfile = null; // For comparison
+    this.cacheStatsProvider = null; // Set by chunksv2 (ChunkCache.getStats)
+    this.nodePoolStatsProvider = null; // Set by chunksv2 (NodePoolStore.getStats)
+    this.workerPoolStatsProvider = null; // Set by chunksv2 (ChunkWorkerPool.getStats)
   }
 
   reset() {
     this.requests = [];
     this.chunkStats = {
       total: 0,
-      cached: 0, // Full chunk cache (future)
+      cached: 0, // Full chunk cache (encoded SVDAG)
+      memoryCached: 0, // ...served from the in-memory LRU
+      diskCached: 0, // ...served from storage/worlds/<id>/chunks
       regionCached: 0, // Region texture cached (CPU Perlin)
-      fullGeneration: 0 // New region generation
+      fullGeneration: 0, // New region generation
+      coalescedChunks: 0, // Waited on an identical chunk request already in flight
+      coalescedRegions: 0, // ...on a region already being generated / loaded
+      batches: 0, // POST /chunks/batch responses
+      batchChunks: 0, // ...chunks listed in them
+      batchMissing: 0 // ...of those, failed to build (sent as MISSING)
     };
     this.timings = {
       total: [],
@@ -48,13 +58,23 @@ class MetricsCollector {
       network: {
         totalBytes: 0,
         chunkSizes: [],
-        bandwidth: [] // bytes per second samples
+        bandwidth: [], // bytes per second samples
+        rawBytes: 0, // Uncompressed bytes of sent responses
+        sentBytes: 0, // Bytes actually on the wire (after Content-Encoding)
+        encodings: {} // 'br' | 'deflate' | 'identity' -> responses
       },
       memory: {
         samples: []
       },
       cpu: {
         samples: []
+      },
+      svdag: {
+        builds: 0,
+        totalTimeMs: 0, // High-resolution builder time
+        totalNodeWords: 0,
+        totalLeaves: 0,
+        totalVoxels: 0
       }
     };
     
@@ -83,6 +103,8 @@ class MetricsCollector {
     this.chunkStats.total++;
     if (data.cached) {
       this.chunkStats.cached++;
+      if (data.cacheSource === 'memory') this.chunkStats.memoryCached++;
+      if (data.cacheSource === 'disk') this.chunkStats.diskCached++;
     } else if (data.regionCached) {
       this.chunkStats.regionCached++;
     } else {
@@ -139,6 +161,69 @@ class MetricsCollector {
     }
   }
 
+  /**
+   * Record a chunk/batch response body - raw size vs bytes sent after compression
+   */
+  recordTransfer({ rawBytes, sentBytes, encoding }) {
+    const network = this.bottlenecks.network;
+    const name = encoding || 'identity';
+    network.rawBytes += rawBytes;
+    network.sentBytes += sentBytes;
+    network.encodings[name] = (network.encodings[name] || 0) + 1;
+  }
+
+  /**
+   * Record one SVDAGBuilder.build() - time, output size and voxels consumed
+   */
+  recordSVDAGBuild(svdag, voxelCount) {
+    const builder = this.bottlenecks.svdag;
+    builder.builds++;
+    builder.totalTimeMs += svdag.stats.buildTimeMs;
+    builder.totalNodeWords += svdag.nodeCount;
+    builder.totalLeaves += svdag.leafCount;
+    builder.totalVoxels += voxelCount;
+  }
+
+  /**
+   * A request that joined identical in-flight work instead of starting its own
+   * @param {string} kind - 'chunk' | 'region'
+   */
+  recordCoalesced(kind) {
+    if (kind === 'chunk') this.chunkStats.coalescedChunks++;
+    if (kind === 'region') this.chunkStats.coalescedRegions++;
+  }
+
+  /**
+   * Record one chunk batch response
+   * @param {object} counts - { chunks, missing }: chunks listed, chunks sent as MISSING
+   */
+  recordBatch({ chunks, missing }) {
+    this.chunkStats.batches++;
+    this.chunkStats.batchChunks += chunks;
+    this.chunkStats.batchMissing += missing;
+  }
+
+  /**
+   * Register a function returning live chunk cache stats (entries, bytes, ...)
+   */
+  setCacheStatsProvider(provider) {
+    this.cacheStatsProvider = provider;
+  }
+
+  /**
+   * Register a function returning region node pool stats (pools, words, pages sent, ...)
+   */
+  setNodePoolStatsProvider(provider) {
+    this.nodePoolStatsProvider = provider;
+  }
+
+  /**
+   * Register a function returning chunk worker pool stats (queue depth, utilisation, ...)
+   */
+  setWorkerPoolStatsProvider(provider) {
+    this.workerPoolStatsProvider = provider;
+  }
+
   // Sample current resource usage
   sampleResources() {
     const memUsage = process.memoryUsage();
@@ -207,7 +292,13 @@ class MetricsCollector {
         totalBytes: this.bottlenecks.network.totalBytes,
         avgChunkSize: avg(this.bottlenecks.network.chunkSizes),
         avgBandwidth: avg(this.bottlenecks.network.bandwidth),
-        totalMB: (this.bottlenecks.network.totalBytes / 1024 / 1024).toFixed(2)
+        totalMB: (this.bottlenecks.network.totalBytes / 1024 / 1024).toFixed(2),
+        rawBytes: this.bottlenecks.network.rawBytes,
+        compressedBytes: this.bottlenecks.network.sentBytes,
+        compressionRatio: this.bottlenecks.network.rawBytes > 0
+          ? this.bottlenecks.network.sentBytes / this.bottlenecks.network.rawBytes
+          : 1,
+        encodings: { ...this.bottlenecks.network.encodings }
       },
       memory: {
         current: this.bottlenecks.memory.samples.length > 0 
@@ -217,7 +308,25 @@ class MetricsCollector {
       },
       cpu: {
         samples: this.bottlenecks.cpu.samples.length
-      }
+      },
+      svdag: {
+        builds: this.bottlenecks.svdag.builds,
+        avgBuildMs: this.bottlenecks.svdag.builds > 0
+          ? this.bottlenecks.svdag.totalTimeMs / this.bottlenecks.svdag.builds
+          : 0,
+        avgNodeWords: this.bottlenecks.svdag.builds > 0
+          ? this.bottlenecks.svdag.totalNodeWords / this.bottlenecks.svdag.builds
+          : 0,
+        avgLeaves: this.bottlenecks.svdag.builds > 0
+          ? this.bottlenecks.svdag.totalLeaves / this.bottlenecks.svdag.builds
+          : 0,
+        voxelsPerMs: this.bottlenecks.svdag.totalTimeMs > 0
+          ? this.bottlenecks.svdag.totalVoxels / this.bottlenecks.svdag.totalTimeMs
+          : 0
+      },
+      chunkCache: this.cacheStatsProvider ? this.cacheStatsProvider() : null,
+      nodePools: this.nodePoolStatsProvider ? this.nodePoolStatsProvider() : null,
+      workers: this.workerPoolStatsProvider ? this.workerPoolStatsProvider() : null
     };
 
     return {
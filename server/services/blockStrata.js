@@ -0,0 +1,174 @@
+/**
+ * Block Strata - materials for V2 chunk columns
+ * Turns a column's solid/air voxels into blocks using the world's
+ * BlockClassifier rules, so streamed chunks match the editor's block map:
+ *   top        - the classifier's block for the column (region blockmap)
+ *   subsurface - the biome rule's subsurface block, `depth` blocks deep
+ *   stone      - everything below that
+ *   bedrock    - the bottom bedrockDepth blocks of the world
+ *   water      - air from the surface up to sea level gets the column's water
+ *                block; columns the classifier marks as water above sea level
+ *                (rivers, lakes) get one water block in place of the top block
+ * Solid voxels above the heightmap surface (density overhangs) are stone.
+ */
+
+export const STRATA_DEFAULTS = {
+  subsurfaceBlockId: 2,  // Dirt - rules without a subsurface use this
+  subsurfaceDepth: 3,
+  stoneBlockId: 3,
+  bedrockBlockId: 8,
+  bedrockDepth: 1,
+  seaLevel: null         // 0-1 height; null = the graph's Water node sea level
+};
+
+const BIOME_COUNT = 256;
+
+// Used when neither the graph nor the config lists materials (BlockClassifier defaults)
+const DEFAULT_MATERIALS = [
+  { id: 0, name: 'Air', color: '#000000', transparent: 1 },
+  { id: 1, name: 'Grass', color: '#45b545', transparent: 0 },
+  { id: 2, name: 'Dirt', color: '#8b5a3c', transparent: 0 },
+  { id: 3, name: 'Stone', color: '#808080', transparent: 0 },
+  { id: 4, name: 'Sand', color: '#edc9af', transparent: 0 },
+  { id: 5, name: 'Snow', color: '#ffffff', transparent: 0 },
+  { id: 6, name: 'Water', color: '#1e90ff', transparent: 0.8 },
+  { id: 7, name: 'Tree Seed', color: '#228b22', transparent: 0 },
+  { id: 8, name: 'Bedrock', color: '#333333', transparent: 0 },
+  { id: 9, name: 'Wood', color: '#6b4423', transparent: 0 },
+  { id: 10, name: 'Leaves', color: '#2d7a2d', transparent: 0 }
+];
+
+/**
+ * Material table - { name, transparent, color, minecraft } indexed by block id,
+ * for the opaque SVDAG, .vox import and exports (color is [r, g, b] 0-255;
+ * minecraft is an optional block state for .schem exports; null if unset)
+ * Block ids come from the graph's BlockClassifier when it has one (it assigns
+ * them), otherwise from config.json `materials`
+ * @returns {Array<{name, transparent: number, color: number[]|null, minecraft}|undefined>}
+ */
+export function resolveBlockMaterials(graph, config = {}) {
+  const classifier = graph?.nodes?.find(n => n.type === 'BlockClassifier');
+  const source = classifier?.params?.blocks || config.materials || DEFAULT_MATERIALS;
+
+  const materials = [];
+  for (const material of source) {
+    if (!Number.isInteger(material?.id) || material.id < 0) continue;
+    materials[material.id] = toMaterial(material);
+  }
+
+  // Graphs saved before a default block existed still place it (prefabs use Wood and Leaves)
+  if (classifier) {
+    for (const material of DEFAULT_MATERIALS) {
+      if (!materials[material.id]) materials[material.id] = toMaterial(material);
+    }
+  }
+  return materials;
+}
+
+function toMaterial(material) {
+  return {
+    name: typeof material.name === 'string' ? material.name : null,
+    transparent: Number(material.transparent) || 0,
+    color: parseColor(material.color),
+    minecraft: typeof material.minecraft === 'string' ? material.minecraft : null
+  };
+}
+
+/**
+ * '#rrggbb' (classifier blocks) or [r, g, b] 0-1 (config materials) to [r, g, b] 0-255
+ */
+function parseColor(color) {
+  if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) {
+    const value = parseInt(color.slice(1), 16);
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+  }
+  if (Array.isArray(color) && color.length >= 3 && color.slice(0, 3).every(Number.isFinite)) {
+    return color.slice(0, 3).map(c => Math.round(Math.max(0, Math.min(1, c)) * 255));
+  }
+  return null;
+}
+
+/**
+ * Strata rules from the world graph's BlockClassifier node
+ * Plain data, so it can be handed to the chunk workers
+ * @param {object} graph - World graph ({ nodes })
+ * @returns {object|null} null when the graph has no BlockClassifier (plain material 1 terrain)
+ */
+export function resolveBlockStrata(graph) {
+  const classifier = graph?.nodes?.find(n => n.type === 'BlockClassifier');
+  if (!classifier) return null;
+
+  const params = classifier.params || {};
+  const settings = { ...STRATA_DEFAULTS, ...params.strata };
+
+  // Sea level follows the Water node unless the classifier sets its own
+  let seaLevel = settings.seaLevel;
+  if (seaLevel === null || seaLevel === undefined) {
+    const water = graph.nodes.find(n => n.type === 'Water');
+    seaLevel = water ? (water.params?.seaLevel || 0.4) : null;
+  }
+
+  // Subsurface per biome id - first matching rule wins, unknown biomes use the
+  // first rule (like the classifier shader)
+  const biomeRules = params.biomeRules || [];
+  const ruleByBiome = new Map();
+  for (const rule of biomeRules) {
+    if (!ruleByBiome.has(rule.biomeId)) ruleByBiome.set(rule.biomeId, rule);
+  }
+  const subsurfaceBlocks = new Array(BIOME_COUNT);
+  const subsurfaceDepths = new Array(BIOME_COUNT);
+  for (let biome = 0; biome < BIOME_COUNT; biome++) {
+    const subsurface = (ruleByBiome.get(biome) || biomeRules[0])?.subsurface || {};
+    subsurfaceBlocks[biome] = subsurface.blockId ?? settings.subsurfaceBlockId;
+    subsurfaceDepths[biome] = subsurface.depth ?? settings.subsurfaceDepth;
+  }
+
+  return {
+    subsurfaceBlocks,
+    subsurfaceDepths,
+    stoneBlockId: settings.stoneBlockId,
+    bedrockBlockId: settings.bedrockBlockId,
+    bedrockDepth: settings.bedrockDepth,
+    seaLevel: seaLevel === null ? null : seaLevel * 256, // In blocks
+    waterBlockId: params.waterBlockId || 6
+  };
+}
+
+/**
+ * Replace a column's solid (non-zero) / air voxels with blocks, in place
+ * @param {object} strata - resolveBlockStrata result
+ * @param {object} column - { surfaceHeight, topBlock, waterBlock, biome } of the
+ *        column's region sample (waterBlock 0 = classifier saw no water)
+ * @param {Uint32Array} out - out[0..count-1], block worldY0 up
+ */
+export function applyBlockStrata(strata, column, worldY0, count, out) {
+  const { surfaceHeight, topBlock, waterBlock, biome } = column;
+  const subsurfaceBlock = strata.subsurfaceBlocks[biome] ?? strata.subsurfaceBlocks[0];
+  const subsurfaceDepth = strata.subsurfaceDepths[biome] ?? strata.subsurfaceDepths[0];
+  const seaLevel = strata.seaLevel;
+  const underSea = seaLevel !== null && surfaceHeight < seaLevel;
+  // Water above sea level (rivers) replaces the top block
+  const surfaceWater = !underSea && waterBlock !== 0;
+
+  for (let i = 0; i < count; i++) {
+    const worldY = worldY0 + i;
+    const depth = surfaceHeight - worldY;
+
+    if (out[i] === 0) {
+      // Air - flooded between the surface and sea level
+      if (underSea && depth < 0 && worldY < seaLevel) {
+        out[i] = waterBlock || strata.waterBlockId;
+      }
+    } else if (worldY < strata.bedrockDepth) {
+      out[i] = strata.bedrockBlockId;
+    } else if (depth < 0) {
+      out[i] = strata.stoneBlockId; // Overhang above the heightmap surface
+    } else if (depth < 1) {
+      out[i] = surfaceWater ? waterBlock : (topBlock || subsurfaceBlock || strata.stoneBlockId);
+    } else if (depth < 1 + subsurfaceDepth) {
+      out[i] = subsurfaceBlock || strata.stoneBlockId;
+    } else {
+      out[i] = strata.stoneBlockId;
+    }
+  }
+}
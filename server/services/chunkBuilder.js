@@ -0,0 +1,188 @@
+/**
+ * Chunk Builder - region maps to an encoded chunk
+ * Voxelizes a chunk (LOD downsampling, prefabs and hand edits included),
+ * builds its SVDAG and encodes it with the shared codec. Runs inside the chunk workers
+ * (services/chunkWorker.js), or inline when the pool has no workers, so it only
+ * takes plain data: region maps may be SharedArrayBuffer-backed, edits are the
+ * log entries touching the chunk.
+ */
+
+import { SVDAGBuilder } from './svdagBuilder.js';
+import { buildLodVoxels } from './chunkLod.js';
+import { applyEditsToColumn } from './editLog.js';
+import { fillDensityColumn } from './terrainDensity.js';
+import { applyBlockStrata } from './blockStrata.js';
+import { applyRiverColumn } from './riverNetwork.js';
+import { applyPrefabsToColumn } from './prefabPlacement.js';
+import { encodeChunk, encodeUniformChunk } from '../../public/js/svdagCodec.js';
+
+const CHUNK_SIZE = 32;
+const REGION_SIZE = 512;
+
+// One builder per thread - it reuses its hash tables between chunks
+const svdagBuilder = new SVDAGBuilder();
+
+/**
+ * Build one chunk
+ * @param {object} task
+ * @param {object} task.region - { heightmap, biomemap, blockmap, waterblockmap, rivermap } (all but heightmap optional)
+ * @param {number} task.regionX - World block origin of the region (x, z)
+ * @param {number} task.cx - Chunk coords, in units of 32·2^lod blocks
+ * @param {number} task.lod - 0..MAX_LOD
+ * @param {string} task.lodMode - One of LOD_MODES
+ * @param {Array<object>} task.edits - Edit log entries touching the chunk, in log order
+ * @param {object|null} task.density - World's 3D density settings (services/terrainDensity.js)
+ * @param {number} task.seed - World seed (density noise)
+ * @param {object|null} task.strata - World's block strata (services/blockStrata.js);
+ *        null writes material 1 for every solid voxel
+ * @param {object|null} task.rivers - World's river settings (services/riverNetwork.js),
+ *        used where region.rivermap has water
+ * @param {Array<object>} task.placements - Prefab placements reaching into the chunk,
+ *        in stamping order (services/prefabPlacement.js)
+ * @param {Array<object>} task.prefabs - Prefabs, indexed by placement.prefab
+ * @param {Array<object>} task.materials - { transparent } by block id; transparent
+ *        blocks are left out of the opaque SVDAG
+ * @param {boolean} task.voxelsOnly - Stop after voxelizing (exports): the result
+ *        has voxels (Uint32Array, z·32² + y·32 + x) instead of bytes and svdag
+ * @returns {{bytes: Uint8Array, solidVoxels: number, voxelCount: number,
+ *            svdag: {stats, nodeCount, leafCount}|null, voxelizeMs: number}}
+ *          svdag is null for uniform chunks
+ */
+export function buildChunk({ region, regionX, regionZ, cx, cy, cz, lod = 0, lodMode, edits = [], density = null, seed = 0, strata = null, rivers = null, placements = [], prefabs = [], materials = [], voxelsOnly = false }) {
+  const voxelizeStart = performance.now();
+  const extent = CHUNK_SIZE << lod;
+  // Caves and tunnels are left out of LOD chunks
+  const terrain = (density || strata || rivers) && { density, seed, carve: lod === 0, strata, rivers };
+
+  const fillColumn = (worldX, worldZ, worldY0, count, out) => {
+    voxelizeColumn(region, regionX, regionZ, worldX, worldZ, worldY0, count, out, terrain);
+    if (placements.length > 0) {
+      applyPrefabsToColumn(placements, prefabs, worldX, worldZ, worldY0, count, out);
+    }
+    if (edits.length > 0) {
+      applyEditsToColumn(edits, worldX, worldZ, worldY0, count, out);
+    }
+  };
+
+  let voxels;
+  if (lod > 0) {
+    // Distant terrain - 32·2ⁿ blocks downsampled into 32³
+    voxels = buildLodVoxels({
+      lod,
+      mode: lodMode,
+      originX: cx * extent,
+      originY: cy * extent,
+      originZ: cz * extent,
+      fillColumn
+    });
+  } else {
+    voxels = new Uint32Array(CHUNK_SIZE * CHUNK_SIZE * CHUNK_SIZE);
+    const column = new Uint32Array(CHUNK_SIZE);
+    for (let voxZ = 0; voxZ < CHUNK_SIZE; voxZ++) {
+      for (let voxX = 0; voxX < CHUNK_SIZE; voxX++) {
+        fillColumn(cx * CHUNK_SIZE + voxX, cz * CHUNK_SIZE + voxZ, cy * CHUNK_SIZE, CHUNK_SIZE, column);
+        for (let y = 0; y < CHUNK_SIZE; y++) {
+          voxels[voxZ * CHUNK_SIZE * CHUNK_SIZE + y * CHUNK_SIZE + voxX] = column[y]; // Normal indexing - shader handles flip
+        }
+      }
+    }
+  }
+
+  let solidVoxels = 0;
+  for (let i = 0; i < voxels.length; i++) {
+    if (voxels[i] !== 0) solidVoxels++;
+  }
+  const voxelizeMs = performance.now() - voxelizeStart;
+  if (voxelsOnly) {
+    return { voxels, solidVoxels, voxelCount: voxels.length, voxelizeMs };
+  }
+
+  // Fully above or below the surface - nothing for the SVDAG to describe
+  const uniformMaterial = getUniformMaterial(voxels);
+  if (uniformMaterial !== null) {
+    // All-air / single-material chunks skip the SVDAG - 16-byte uniform chunk instead
+    return { bytes: encodeUniformChunk(uniformMaterial), solidVoxels, voxelCount: voxels.length, svdag: null, voxelizeMs };
+  }
+
+  const materialSVDAG = svdagBuilder.build(voxels, CHUNK_SIZE);
+
+  // Shadow rays use the opaque SVDAG - without transparent blocks it is the
+  // material SVDAG (encoded once, flagged OPAQUE_SHARED)
+  const opaqueSVDAG = hasTransparentVoxel(voxels, materials)
+    ? svdagBuilder.build(voxels, CHUNK_SIZE, { buildOpaque: true, materials })
+    : materialSVDAG;
+  const bytes = encodeChunk({ materialSVDAG, opaqueSVDAG, cx, cy, cz });
+
+  return {
+    bytes,
+    solidVoxels,
+    voxelCount: voxels.length,
+    svdag: {
+      stats: materialSVDAG.stats,
+      nodeCount: materialSVDAG.nodeCount,
+      leafCount: materialSVDAG.leafCount
+    },
+    voxelizeMs
+  };
+}
+
+/**
+ * Block ids of one world column, worldY0 up (count blocks), into out
+ * Heightmap terrain: solid (material 1) below the surface, air above -
+ * reshaped by the density stage, given block strata and filled with river
+ * water when terrain ({ density, seed, carve, strata, rivers }) has them
+ */
+export function voxelizeColumn(region, regionX, regionZ, worldX, worldZ, worldY0, count, out, terrain = null) {
+  const localX = Math.max(0, Math.min(REGION_SIZE - 1, worldX - regionX));
+  const localZ = Math.max(0, Math.min(REGION_SIZE - 1, worldZ - regionZ));
+  const index = localZ * REGION_SIZE + localX;
+  const surfaceHeight = region.heightmap[index] * 256;
+
+  if (terrain?.density) {
+    fillDensityColumn(terrain.density, terrain.seed, worldX, worldZ, surfaceHeight, worldY0, count, out, terrain.carve);
+  } else {
+    for (let y = 0; y < count; y++) {
+      out[y] = worldY0 + y < surfaceHeight ? 1 : 0; // Grass material
+    }
+  }
+
+  if (terrain?.strata) {
+    applyBlockStrata(terrain.strata, {
+      surfaceHeight,
+      topBlock: region.blockmap ? region.blockmap[index] : 0,
+      waterBlock: region.waterblockmap ? region.waterblockmap[index] : 0,
+      biome: region.biomemap ? region.biomemap[index] : 0
+    }, worldY0, count, out);
+  }
+
+  const riverDepth = region.rivermap ? region.rivermap[index] : 0;
+  if (terrain?.rivers && riverDepth > 0) {
+    applyRiverColumn(terrain.rivers, riverDepth, surfaceHeight, worldY0, count, out);
+  }
+}
+
+/**
+ * Whether any voxel is a transparent block (materials: { transparent } by block id)
+ */
+function hasTransparentVoxel(voxels, materials) {
+  let lastBlock = 0;
+  for (let i = 0; i < voxels.length; i++) {
+    const blockId = voxels[i];
+    if (blockId === 0 || blockId === lastBlock) continue;
+    if (materials[blockId]?.transparent > 0) return true;
+    lastBlock = blockId;
+  }
+  return false;
+}
+
+/**
+ * Material shared by every voxel, or null if the chunk is mixed
+ * (0 = all air)
+ */
+function getUniformMaterial(voxels) {
+  const material = voxels[0];
+  for (let i = 1; i < voxels.length; i++) {
+    if (voxels[i] !== material) return null;
+  }
+  return material;
+}
@@ -0,0 +1,196 @@
+/**
+ * Chunk Cache - V2 encoded chunk storage
+ * Byte-bounded in-memory LRU in front of .svdag files on disk
+ *
+ * Disk layout: storage/worlds/<worldId>/chunks/<version>/<cx>_<cy>_<cz>.svdag
+ * Pre-compressed copies sit next to it as .svdag.br / .svdag.deflate
+ * The version is a hash of everything that shapes the chunk (graph, config,
+ * backend, format), so editing the world moves to a fresh directory and stale
+ * chunks are never served.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export class ChunkCache {
+  /**
+   * @param {object} options - { cacheDir, maxBytes }
+   */
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir || 'storage/worlds';
+    this.maxBytes = options.maxBytes || 64 * 1024 * 1024;
+
+    // Map keeps insertion order - first entry is least recently used
+    this.memory = new Map();
+    this.bytes = 0;
+
+    // Disk writes still in flight (see flush)
+    this.pendingWrites = new Set();
+
+    this.stats = {
+      memoryHits: 0,
+      diskHits: 0,
+      misses: 0,
+      writes: 0,
+      evictions: 0
+    };
+  }
+
+  getKey(worldId, version, cx, cy, cz, encoding = null) {
+    const key = `${worldId}/${version}/${cx}_${cy}_${cz}`;
+    return encoding ? `${key}.${encoding}` : key;
+  }
+
+  getChunkPath(worldId, version, cx, cy, cz, encoding = null) {
+    const file = `${cx}_${cy}_${cz}.svdag${encoding ? `.${encoding}` : ''}`;
+    return path.join(this.cacheDir, worldId, 'chunks', version, file);
+  }
+
+  /**
+   * Look up an encoded chunk
+   * @param {string|null} encoding - Content encoding ('br', 'deflate') or null for the raw chunk
+   * @returns {Promise<{buffer: Buffer, source: string}|null>} source is 'memory' or 'disk'
+   */
+  async get(worldId, version, cx, cy, cz, encoding = null) {
+    const key = this.getKey(worldId, version, cx, cy, cz, encoding);
+
+    const buffer = this.memory.get(key);
+    if (buffer) {
+      // Refresh LRU position
+      this.memory.delete(key);
+      this.memory.set(key, buffer);
+      this.stats.memoryHits++;
+      return { buffer, source: 'memory' };
+    }
+
+    try {
+      const diskBuffer = await fs.readFile(this.getChunkPath(worldId, version, cx, cy, cz, encoding));
+      this.remember(key, diskBuffer);
+      this.stats.diskHits++;
+      return { buffer: diskBuffer, source: 'disk' };
+    } catch {
+      this.stats.misses++;
+      return null; // Not cached
+    }
+  }
+
+  /**
+   * Store an encoded chunk (or a compressed copy) in memory and on disk
+   */
+  async set(worldId, version, cx, cy, cz, buffer, encoding = null) {
+    this.remember(this.getKey(worldId, version, cx, cy, cz, encoding), buffer);
+
+    const write = this.write(this.getChunkPath(worldId, version, cx, cy, cz, encoding), buffer);
+    this.pendingWrites.add(write);
+    try {
+      await write;
+    } finally {
+      this.pendingWrites.delete(write);
+    }
+  }
+
+  async write(filePath, buffer) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write-then-rename so a crash never leaves a truncated chunk behind; the temp
+    // name is unique so concurrent writes of one chunk never share a file
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+    this.stats.writes++;
+  }
+
+  /**
+   * Wait for every disk write started so far (failed writes included)
+   */
+  async flush() {
+    await Promise.allSettled(Array.from(this.pendingWrites));
+  }
+
+  /**
+   * Add to the in-memory LRU, evicting until under the byte budget
+   */
+  remember(key, buffer) {
+    const existing = this.memory.get(key);
+    if (existing) {
+      this.bytes -= existing.length;
+      this.memory.delete(key);
+    }
+
+    // Larger than the whole budget - disk only
+    if (buffer.length > this.maxBytes) return;
+
+    this.memory.set(key, buffer);
+    this.bytes += buffer.length;
+
+    while (this.bytes > this.maxBytes) {
+      const [oldestKey, oldest] = this.memory.entries().next().value;
+      this.memory.delete(oldestKey);
+      this.bytes -= oldest.length;
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Remove every cached chunk of a world (any version, any encoding) that matches
+   * @param {Function} matches - (cx, cy, cz, version) => boolean
+   * @returns {Promise<number>} Number of chunks removed
+   */
+  async purge(worldId, matches) {
+    // A write still in flight would land after the scan and keep serving the
+    // purged chunk (invalidations keep the version directory)
+    await this.flush();
+
+    const removed = new Set();
+    const prefix = `${worldId}/`;
+
+    for (const [key, buffer] of this.memory) {
+      if (!key.startsWith(prefix)) continue;
+      const [version, file] = key.slice(prefix.length).split('/');
+      const coords = file.split('.')[0]; // Drop the compression suffix
+      const [cx, cy, cz] = coords.split('_').map(Number);
+      if (matches(cx, cy, cz, version)) {
+        this.memory.delete(key);
+        this.bytes -= buffer.length;
+        removed.add(`${version}/${coords}`);
+      }
+    }
+
+    const chunksDir = path.join(this.cacheDir, worldId, 'chunks');
+    let versions;
+    try {
+      versions = await fs.readdir(chunksDir, { withFileTypes: true });
+    } catch {
+      return removed.size; // Nothing on disk yet
+    }
+
+    for (const entry of versions) {
+      if (!entry.isDirectory()) continue; // V1 chunks live directly in chunks/
+
+      const versionDir = path.join(chunksDir, entry.name);
+      for (const file of await fs.readdir(versionDir)) {
+        const match = /^(-?\d+)_(-?\d+)_(-?\d+)\.svdag(\.\w+)?$/.exec(file);
+        if (!match || !matches(Number(match[1]), Number(match[2]), Number(match[3]), entry.name)) continue;
+
+        await fs.rm(path.join(versionDir, file), { force: true });
+        removed.add(`${entry.name}/${match[1]}_${match[2]}_${match[3]}`);
+      }
+    }
+
+    return removed.size;
+  }
+
+  getStats() {
+    const hits = this.stats.memoryHits + this.stats.diskHits;
+    const lookups = hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      entries: this.memory.size,
+      bytes: this.bytes,
+      maxBytes: this.maxBytes,
+      hitRate: lookups > 0 ? (hits / lookups) * 100 : 0
+    };
+  }
+}
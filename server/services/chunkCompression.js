@@ -0,0 +1,75 @@
+/**
+ * Chunk Compression - Accept-Encoding negotiation for chunk responses
+ * Brotli or deflate from Node's zlib; single chunks are compressed once and
+ * cached, batch responses are compressed as a stream
+ */
+
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const deflate = promisify(zlib.deflate);
+
+// Preferred first
+export const CHUNK_ENCODINGS = ['br', 'deflate'];
+
+// Smaller payloads (uniform chunks, tiny SVDAGs) grow when compressed
+export const MIN_COMPRESS_BYTES = 128;
+
+// Cached blobs are compressed once, so spend more effort than on a live stream
+const BROTLI_CACHED_QUALITY = 9;
+const BROTLI_STREAM_QUALITY = 5;
+
+/**
+ * Pick a chunk encoding from an Accept-Encoding header
+ * @returns {string|null} 'br' | 'deflate' | null (identity)
+ */
+export function negotiateEncoding(acceptEncoding = '') {
+  const accepted = new Map();
+  for (const part of acceptEncoding.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    if (!name) continue;
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    accepted.set(name, q ? parseFloat(q.slice(2)) : 1);
+  }
+
+  for (const encoding of CHUNK_ENCODINGS) {
+    const q = accepted.has(encoding) ? accepted.get(encoding) : accepted.get('*');
+    if (q > 0) return encoding;
+  }
+  return null;
+}
+
+/**
+ * Compress one encoded chunk
+ * @returns {Promise<Buffer>}
+ */
+export function compressChunk(buffer, encoding) {
+  if (encoding === 'br') {
+    return brotliCompress(buffer, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_CACHED_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length
+      }
+    });
+  }
+  if (encoding === 'deflate') {
+    return deflate(buffer);
+  }
+  throw new Error(`Unsupported chunk encoding: ${encoding}`);
+}
+
+/**
+ * Compression transform stream for a streamed (batch) response
+ */
+export function createCompressStream(encoding) {
+  if (encoding === 'br') {
+    return zlib.createBrotliCompress({
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_STREAM_QUALITY }
+    });
+  }
+  if (encoding === 'deflate') {
+    return zlib.createDeflate();
+  }
+  throw new Error(`Unsupported chunk encoding: ${encoding}`);
+}
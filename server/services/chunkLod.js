@@ -0,0 +1,133 @@
+/**
+ * Chunk LOD - coarse chunks for distant terrain
+ * An LOD n chunk covers 32·2ⁿ blocks per axis, downsampled into the usual
+ * 32³ voxel grid (so it builds and encodes like any other chunk). Chunk
+ * coordinates are in units of the LOD's own extent: LOD n chunk (cx, cy, cz)
+ * starts at world block (cx, cy, cz) · 32·2ⁿ.
+ *
+ * Each output voxel summarises a 2ⁿ-block cell. It is solid when at least half
+ * of the sampled blocks are; its material is picked by one of LOD_MODES:
+ *   surface  - the exposed (air above) block highest in the cell, so grass
+ *              stays grass from afar; majority if nothing in the cell is exposed
+ *   majority - the most common solid material in the cell
+ */
+
+// LOD 4 = 512 blocks = one region, so an LOD chunk never spans regions
+export const MAX_LOD = 4;
+
+export const LOD_MODES = ['surface', 'majority'];
+
+// Columns sampled per cell axis - cells wider than this are strided
+const MAX_SAMPLES_PER_AXIS = 4;
+
+const CHUNK_SIZE = 32;
+
+// Distinct materials tallied per cell (more is rare; extras fold into the last)
+const MAX_TALLY = 8;
+
+/**
+ * Downsample a 32·2ⁿ block volume into 32³ voxels
+ * @param {object} options
+ * @param {number} options.lod - 0..MAX_LOD
+ * @param {string} options.mode - One of LOD_MODES
+ * @param {number} options.originX - World block origin of the volume (x, y, z)
+ * @param {Function} options.fillColumn - (worldX, worldZ, worldY0, count, out) => void,
+ *        writes the block ids of worldY0..worldY0+count-1 into out[0..count-1]
+ * @returns {Uint32Array} 32³ voxels, idx = z·1024 + y·32 + x
+ */
+export function buildLodVoxels({ lod, mode = 'surface', originX, originY, originZ, fillColumn }) {
+  const scale = 1 << lod;
+  const step = Math.max(1, scale / MAX_SAMPLES_PER_AXIS);
+  const samplesPerAxis = scale / step;
+  const subColumns = samplesPerAxis * samplesPerAxis;
+  const surfacePriority = mode === 'surface';
+
+  // One extra block on top tells whether the chunk's highest blocks are exposed
+  const columnHeight = CHUNK_SIZE * scale + 1;
+  const columns = new Uint32Array(subColumns * columnHeight);
+  const voxels = new Uint32Array(CHUNK_SIZE * CHUNK_SIZE * CHUNK_SIZE);
+
+  const tallyMaterials = new Uint32Array(MAX_TALLY);
+  const tallyCounts = new Uint32Array(MAX_TALLY);
+  const cellSamples = subColumns * scale;
+
+  for (let oz = 0; oz < CHUNK_SIZE; oz++) {
+    for (let ox = 0; ox < CHUNK_SIZE; ox++) {
+      // Sample the cell's sub-columns (centred in their stride)
+      let sub = 0;
+      for (let sz = 0; sz < samplesPerAxis; sz++) {
+        for (let sx = 0; sx < samplesPerAxis; sx++) {
+          const worldX = originX + ox * scale + sx * step + (step >> 1);
+          const worldZ = originZ + oz * scale + sz * step + (step >> 1);
+          fillColumn(worldX, worldZ, originY, columnHeight,
+            columns.subarray(sub * columnHeight, (sub + 1) * columnHeight));
+          sub++;
+        }
+      }
+
+      for (let oy = 0; oy < CHUNK_SIZE; oy++) {
+        let tallySize = 0;
+        let solid = 0;
+        let exposedMaterial = 0;
+        let exposedY = -1;
+
+        for (let s = 0; s < subColumns; s++) {
+          const base = s * columnHeight;
+          for (let y = oy * scale; y < (oy + 1) * scale; y++) {
+            const material = columns[base + y];
+            if (material === 0) continue;
+            solid++;
+
+            if (y > exposedY && columns[base + y + 1] === 0) {
+              exposedY = y;
+              exposedMaterial = material;
+            }
+
+            let t = 0;
+            while (t < tallySize && tallyMaterials[t] !== material) t++;
+            if (t === tallySize) {
+              if (tallySize < MAX_TALLY) {
+                tallySize++;
+                tallyMaterials[t] = material;
+                tallyCounts[t] = 0;
+              } else {
+                t = MAX_TALLY - 1;
+              }
+            }
+            tallyCounts[t]++;
+          }
+        }
+
+        if (solid * 2 < cellSamples) continue; // Mostly air
+
+        let material = exposedMaterial;
+        if (!surfacePriority || exposedY < 0) {
+          let best = 0;
+          for (let t = 1; t < tallySize; t++) {
+            if (tallyCounts[t] > tallyCounts[best]) best = t;
+          }
+          material = tallyMaterials[best];
+        }
+        voxels[oz * CHUNK_SIZE * CHUNK_SIZE + oy * CHUNK_SIZE + ox] = material;
+      }
+    }
+  }
+
+  return voxels;
+}
+
+/**
+ * Chunk cache version for an LOD - LOD chunks get their own version directory
+ * (LOD 0 keeps the plain version)
+ */
+export function getLodVersion(version, lod, mode) {
+  return lod === 0 ? version : `${version}-lod${lod}-${mode}`;
+}
+
+/**
+ * LOD encoded in a chunk cache version (0 for plain versions)
+ */
+export function parseLodVersion(version) {
+  const match = /-lod(\d+)-/.exec(version);
+  return match ? Number(match[1]) : 0;
+}
@@ -0,0 +1,324 @@
+/**
+ * Chunk Stream Server - WebSocket push channel for V2 chunks
+ * Clients subscribe to a view volume; the server streams the volume's chunks
+ * (nearest first), chunks generated for anyone else inside it, invalidations
+ * and generation progress
+ *
+ * Endpoint: ws://host/api/v2/stream?worldId=<id>
+ *
+ * Client -> server (JSON text frames):
+ *   { type: 'subscribe', min: [cx, cy, cz], max: [cx, cy, cz], center?: [cx, cy, cz] }
+ *   { type: 'request', chunks: [[cx, cy, cz], ...] }   (served before the volume)
+ *
+ * Server -> client:
+ *   binary - 16-byte header (u32 frame type, i32 cx, cy, cz) + encoded V2 chunk
+ *   { type: 'progress', sent, queued, total }
+ *   { type: 'invalidate', regions, boxes? }  (boxes: block boxes of hand edits - only
+ *                                             chunks intersecting them changed)
+ *   { type: 'error', chunk?: [cx, cy, cz], message }
+ */
+
+import { WebSocketServer } from 'ws';
+import { worldEvents } from './worldEvents.js';
+import { boxesIntersect, MAX_WORLD_COORD } from './editLog.js';
+
+export const FRAME_CHUNK = 1;
+export const FRAME_HEADER_SIZE = 16;
+
+// Largest view volume one subscription may cover (16³ chunks)
+const MAX_SUBSCRIBE_CHUNKS = 16 * 16 * 16;
+
+// Largest explicit request batch, and most requests one socket may have queued
+const MAX_REQUEST_CHUNKS = 1024;
+const MAX_QUEUED_REQUESTS = 4 * MAX_REQUEST_CHUNKS;
+
+// Chunk coords are 32 blocks apart and bounded like block coords
+const MAX_CHUNK_COORD = MAX_WORLD_COORD / 32;
+
+// Stop generating while this much is still queued in the socket
+const MAX_BUFFERED_BYTES = 4 * 1024 * 1024;
+
+// Progress message every N chunks (and whenever the queue drains)
+const PROGRESS_INTERVAL = 32;
+
+export class ChunkStreamServer {
+  /**
+   * @param {object} options - { getChunk(worldId, cx, cy, cz), worldExists(worldId), path }
+   */
+  constructor(options) {
+    this.getChunk = options.getChunk;
+    this.worldExists = options.worldExists;
+    this.path = options.path || '/api/v2/stream';
+    this.wss = null;
+  }
+
+  /**
+   * Accept WebSocket upgrades on the HTTP server
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ noServer: true });
+    server.on('upgrade', (req, socket, head) => {
+      this.handleUpgrade(req, socket, head).catch(error => {
+        console.error('❌ Chunk stream upgrade failed:', error.message);
+        socket.destroy();
+      });
+    });
+    console.log(`📡 Chunk stream available at ${this.path}`);
+  }
+
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== this.path) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    const worldId = url.searchParams.get('worldId');
+    if (!worldId || !/^[\w-]+$/.test(worldId) || !await this.worldExists(worldId)) {
+      return rejectUpgrade(socket, 404, 'World Not Found');
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      new StreamSession(this, ws, worldId);
+    });
+  }
+}
+
+function rejectUpgrade(socket, status, message) {
+  socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+function getChunkKey(cx, cy, cz) {
+  return `${cx},${cy},${cz}`;
+}
+
+function isChunkCoord(value) {
+  return Array.isArray(value) && value.length === 3 &&
+         value.every(v => Number.isSafeInteger(v) && Math.abs(v) <= MAX_CHUNK_COORD);
+}
+
+/**
+ * One connected client: its subscription, request queue and delivered chunks
+ */
+class StreamSession {
+  constructor(server, ws, worldId) {
+    this.server = server;
+    this.ws = ws;
+    this.worldId = worldId;
+
+    this.volume = null;       // { min, max }
+    this.volumeQueue = [];    // Volume chunks, nearest first
+    this.volumeIndex = 0;
+    this.requested = [];      // Explicit requests, served first
+    this.sent = new Set();    // Keys delivered and still valid
+    this.inFlight = null;     // Key this session is generating
+    this.pumping = false;
+    this.closed = false;
+    this.sentCount = 0;
+    this.sinceProgress = 0;
+
+    this.unsubscribe = worldEvents.subscribe(worldId, (event) => this.handleWorldEvent(event));
+
+    ws.on('message', (data, isBinary) => this.handleMessage(data, isBinary));
+    ws.on('close', () => this.close());
+    ws.on('error', () => this.close());
+
+    console.log(`📡 Chunk stream opened: ${worldId}`);
+  }
+
+  handleMessage(data, isBinary) {
+    let message;
+    try {
+      if (isBinary) throw new Error('Expected a JSON text frame');
+      message = JSON.parse(data.toString());
+
+      if (message.type === 'subscribe') {
+        this.subscribe(message);
+      } else if (message.type === 'request') {
+        this.request(message);
+      } else {
+        throw new Error(`Unknown message type: ${message.type}`);
+      }
+    } catch (error) {
+      this.send({ type: 'error', message: error.message });
+      return;
+    }
+
+    this.pump();
+  }
+
+  /**
+   * Replace the view volume - unsent chunks of the old volume are dropped
+   */
+  subscribe({ min, max, center }) {
+    if (!isChunkCoord(min) || !isChunkCoord(max) || min.some((v, i) => v > max[i])) {
+      throw new Error('subscribe needs integer min <= max chunk coords');
+    }
+    const count = (max[0] - min[0] + 1) * (max[1] - min[1] + 1) * (max[2] - min[2] + 1);
+    if (count > MAX_SUBSCRIBE_CHUNKS) {
+      throw new Error(`volume covers ${count} chunks (max ${MAX_SUBSCRIBE_CHUNKS})`);
+    }
+    const focus = isChunkCoord(center) ? center : min.map((v, i) => (v + max[i]) / 2);
+
+    const queue = [];
+    for (let cx = min[0]; cx <= max[0]; cx++) {
+      for (let cy = min[1]; cy <= max[1]; cy++) {
+        for (let cz = min[2]; cz <= max[2]; cz++) {
+          if (this.sent.has(getChunkKey(cx, cy, cz))) continue;
+          const dx = cx - focus[0];
+          const dy = cy - focus[1];
+          const dz = cz - focus[2];
+          queue.push({ cx, cy, cz, dist: dx * dx + dy * dy + dz * dz });
+        }
+      }
+    }
+    queue.sort((a, b) => a.dist - b.dist);
+
+    this.volume = { min, max };
+    this.volumeQueue = queue;
+    this.volumeIndex = 0;
+  }
+
+  request({ chunks }) {
+    if (!Array.isArray(chunks) || chunks.length > MAX_REQUEST_CHUNKS || !chunks.every(isChunkCoord)) {
+      throw new Error(`request needs at most ${MAX_REQUEST_CHUNKS} [cx, cy, cz] coords within ±${MAX_CHUNK_COORD}`);
+    }
+    if (this.requested.length + chunks.length > MAX_QUEUED_REQUESTS) {
+      throw new Error(`request rejected: ${this.requested.length} chunks already queued (max ${MAX_QUEUED_REQUESTS})`);
+    }
+    for (const [cx, cy, cz] of chunks) {
+      this.requested.push({ cx, cy, cz });
+    }
+  }
+
+  inVolume(cx, cy, cz) {
+    if (!this.volume) return false;
+    const { min, max } = this.volume;
+    return cx >= min[0] && cx <= max[0] &&
+           cy >= min[1] && cy <= max[1] &&
+           cz >= min[2] && cz <= max[2];
+  }
+
+  /**
+   * Next chunk to send: explicit requests, then unsent volume chunks
+   */
+  nextChunk() {
+    if (this.requested.length > 0) {
+      return this.requested.shift();
+    }
+    while (this.volumeIndex < this.volumeQueue.length) {
+      const chunk = this.volumeQueue[this.volumeIndex++];
+      if (!this.sent.has(getChunkKey(chunk.cx, chunk.cy, chunk.cz))) {
+        return chunk;
+      }
+    }
+    return null;
+  }
+
+  getQueuedCount() {
+    return this.requested.length + (this.volumeQueue.length - this.volumeIndex);
+  }
+
+  /**
+   * Generate and send queued chunks one at a time
+   */
+  async pump() {
+    if (this.pumping) return;
+    this.pumping = true;
+
+    let processed = 0;
+    try {
+      while (!this.closed) {
+        const chunk = this.nextChunk();
+        if (!chunk) break;
+
+        // Backpressure - let a slow client drain before generating more
+        while (!this.closed && this.ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        if (this.closed) break;
+
+        const { cx, cy, cz } = chunk;
+        this.inFlight = getChunkKey(cx, cy, cz);
+        try {
+          const { buffer } = await this.server.getChunk(this.worldId, cx, cy, cz);
+          this.sendChunk(cx, cy, cz, buffer);
+        } catch (error) {
+          console.error(`❌ Chunk stream failed (${cx}, ${cy}, ${cz}):`, error.message);
+          this.send({ type: 'error', chunk: [cx, cy, cz], message: error.message });
+        } finally {
+          this.inFlight = null;
+        }
+
+        processed++;
+        if (++this.sinceProgress >= PROGRESS_INTERVAL) {
+          this.sendProgress();
+        }
+      }
+    } finally {
+      this.pumping = false;
+    }
+
+    if (processed > 0 && !this.closed) {
+      this.sendProgress();
+    }
+  }
+
+  handleWorldEvent(event) {
+    if (event.type === 'chunk') {
+      // Generated by another client (or the HTTP route) inside our volume
+      const key = getChunkKey(event.cx, event.cy, event.cz);
+      if (key === this.inFlight || this.sent.has(key) || !this.inVolume(event.cx, event.cy, event.cz)) return;
+      if (this.ws.bufferedAmount > MAX_BUFFERED_BYTES) return; // Still queued - sent later
+      this.sendChunk(event.cx, event.cy, event.cz, event.buffer);
+    } else if (event.type === 'invalidate') {
+      const regions = new Set(event.regions.map(r => `${r.regionX}_${r.regionZ}`));
+      for (const key of Array.from(this.sent)) {
+        const [cx, cy, cz] = key.split(',').map(Number);
+        if (!regions.has(`${Math.floor(cx * 32 / 512) * 512}_${Math.floor(cz * 32 / 512) * 512}`)) continue;
+        if (event.boxes) {
+          const bounds = { minX: cx * 32, minY: cy * 32, minZ: cz * 32, maxX: cx * 32 + 31, maxY: cy * 32 + 32, maxZ: cz * 32 + 31 };
+          if (!event.boxes.some(box => boxesIntersect(bounds, box))) continue;
+        }
+        this.sent.delete(key);
+      }
+      this.send(event.boxes ? { type: 'invalidate', regions: event.regions, boxes: event.boxes } : { type: 'invalidate', regions: event.regions });
+    }
+  }
+
+  sendChunk(cx, cy, cz, buffer) {
+    if (this.closed) return;
+
+    const frame = Buffer.allocUnsafe(FRAME_HEADER_SIZE + buffer.length);
+    frame.writeUInt32LE(FRAME_CHUNK, 0);
+    frame.writeInt32LE(cx, 4);
+    frame.writeInt32LE(cy, 8);
+    frame.writeInt32LE(cz, 12);
+    buffer.copy(frame, FRAME_HEADER_SIZE);
+
+    this.ws.send(frame, { binary: true });
+    this.sent.add(getChunkKey(cx, cy, cz));
+    this.sentCount++;
+  }
+
+  sendProgress() {
+    this.sinceProgress = 0;
+    this.send({
+      type: 'progress',
+      sent: this.sentCount,
+      queued: this.getQueuedCount(),
+      total: this.volumeQueue.length
+    });
+  }
+
+  send(message) {
+    if (this.closed) return;
+    this.ws.send(JSON.stringify(message));
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.unsubscribe();
+    console.log(`📡 Chunk stream closed: ${this.worldId} (${this.sentCount} chunks sent)`);
+  }
+}
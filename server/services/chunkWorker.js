@@ -0,0 +1,19 @@
+/**
+ * Chunk Worker - worker_threads entry for ChunkWorkerPool
+ * Message in:  { id, task }  (see buildChunk in services/chunkBuilder.js)
+ * Message out: { id, result } with the encoded bytes (or voxels) transferred, or { id, error }
+ */
+
+import { parentPort } from 'worker_threads';
+import { buildChunk } from './chunkBuilder.js';
+
+parentPort.on('message', ({ id, task }) => {
+  let result;
+  try {
+    result = buildChunk(task);
+  } catch (error) {
+    parentPort.postMessage({ id, error: { message: error.message, stack: error.stack } });
+    return;
+  }
+  parentPort.postMessage({ id, result }, [(result.bytes || result.voxels).buffer]);
+});
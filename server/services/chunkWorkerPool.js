@@ -0,0 +1,246 @@
+/**
+ * Chunk Worker Pool - chunk voxelization and SVDAG building off the main thread
+ * A fixed set of worker_threads (services/chunkWorker.js) behind a bounded FIFO
+ * queue. Region maps should be SharedArrayBuffer-backed (see toSharedArray) so
+ * tasks don't copy them; encoded chunks come back as transferred buffers.
+ *
+ * Pool size 0 builds inline on the calling thread (same results, no workers).
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { buildChunk } from './chunkBuilder.js';
+
+const DEFAULT_MAX_QUEUE = 256;
+
+// Utilisation is averaged over windows of at least this long
+const UTILISATION_WINDOW_MS = 1000;
+
+/**
+ * Workers to run by default - one core stays with the main thread
+ */
+export function getDefaultPoolSize() {
+  const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, cores - 1);
+}
+
+export class ChunkWorkerPool {
+  /**
+   * @param {object} options - { size, maxQueue } (size 0 = build inline)
+   */
+  constructor(options = {}) {
+    this.size = options.size ?? getDefaultPoolSize();
+    this.maxQueue = options.maxQueue ?? DEFAULT_MAX_QUEUE;
+    this.workerUrl = new URL('./chunkWorker.js', import.meta.url);
+
+    this.workers = []; // { worker, job, elu, utilisation, tasks }
+    this.queue = []; // Jobs waiting for a worker, oldest first
+    this.nextJobId = 1;
+    this.closing = false;
+
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      rejected: 0,
+      restarts: 0,
+      totalTaskMs: 0,
+      totalWaitMs: 0,
+      peakQueueDepth: 0
+    };
+    this.lastSample = 0;
+  }
+
+  /**
+   * Build a chunk on the next free worker
+   * @param {object} task - See buildChunk (services/chunkBuilder.js)
+   * @returns {Promise<object>} buildChunk's result; rejects with code 'QUEUE_FULL'
+   *          when maxQueue tasks are already waiting
+   */
+  run(task) {
+    if (this.size === 0) {
+      return this.runInline(task);
+    }
+    if (this.workers.length === 0) {
+      this.start();
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.stats.rejected++;
+      const error = new Error(`Chunk worker queue full (${this.maxQueue} waiting)`);
+      error.code = 'QUEUE_FULL';
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextJobId++, task, resolve, reject, queuedAt: performance.now() });
+      this.stats.peakQueueDepth = Math.max(this.stats.peakQueueDepth, this.queue.length);
+      this.dispatch();
+    });
+  }
+
+  async runInline(task) {
+    const start = performance.now();
+    try {
+      const result = buildChunk(task);
+      this.stats.completed++;
+      this.stats.totalTaskMs += performance.now() - start;
+      return result;
+    } catch (error) {
+      this.stats.failed++;
+      throw error;
+    }
+  }
+
+  start() {
+    for (let i = 0; i < this.size; i++) {
+      this.workers.push(this.spawn());
+    }
+    console.log(`🧵 Chunk worker pool: ${this.size} worker(s), queue ${this.maxQueue}`);
+  }
+
+  spawn() {
+    const slot = { worker: new Worker(this.workerUrl), job: null, elu: null, utilisation: 0, tasks: 0 };
+    const { worker } = slot;
+
+    worker.on('message', ({ id, result, error }) => {
+      const job = slot.job;
+      if (!job || job.id !== id) return;
+      this.finish(slot, job);
+      if (error) {
+        this.stats.failed++;
+        const failure = new Error(error.message);
+        failure.stack = error.stack;
+        job.reject(failure);
+      } else {
+        this.stats.completed++;
+        job.resolve(result);
+      }
+      this.dispatch();
+    });
+
+    worker.on('error', (error) => {
+      console.error('❌ Chunk worker crashed:', error);
+      const job = slot.job;
+      if (job) {
+        this.finish(slot, job);
+        this.stats.failed++;
+        job.reject(error);
+      }
+    });
+
+    worker.on('exit', (code) => {
+      if (slot.job) {
+        const job = slot.job;
+        this.finish(slot, job);
+        this.stats.failed++;
+        job.reject(new Error(`Chunk worker exited (code ${code})`));
+      }
+
+      // A crashed worker is replaced
+      const index = this.workers.indexOf(slot);
+      if (index === -1 || this.closing) return;
+      this.stats.restarts++;
+      this.workers[index] = this.spawn();
+      this.dispatch();
+    });
+
+    // First utilisation window starts at spawn
+    slot.elu = worker.performance.eventLoopUtilization();
+
+    // Idle workers don't keep the process alive (dispatch refs them while busy)
+    worker.unref();
+    return slot;
+  }
+
+  dispatch() {
+    for (const slot of this.workers) {
+      if (this.queue.length === 0) return;
+      if (slot.job) continue;
+
+      const job = this.queue.shift();
+      job.startedAt = performance.now();
+      this.stats.totalWaitMs += job.startedAt - job.queuedAt;
+      slot.job = job;
+      slot.worker.ref();
+      slot.worker.postMessage({ id: job.id, task: job.task });
+    }
+  }
+
+  finish(slot, job) {
+    this.stats.totalTaskMs += performance.now() - job.startedAt;
+    slot.job = null;
+    slot.tasks++;
+    slot.worker.unref();
+  }
+
+  /**
+   * Share of time each worker spent building, over the last window
+   */
+  sampleUtilisation() {
+    const now = Date.now();
+    if (now - this.lastSample < UTILISATION_WINDOW_MS) return;
+    this.lastSample = now;
+
+    for (const slot of this.workers) {
+      const elu = slot.worker.performance.eventLoopUtilization();
+      if (slot.elu) {
+        slot.utilisation = slot.worker.performance.eventLoopUtilization(elu, slot.elu).utilization;
+      }
+      slot.elu = elu;
+    }
+  }
+
+  getStats() {
+    this.sampleUtilisation();
+
+    const finished = this.stats.completed + this.stats.failed;
+    const busy = this.workers.filter(slot => slot.job).length;
+    const utilisation = this.workers.length > 0
+      ? this.workers.reduce((sum, slot) => sum + slot.utilisation, 0) / this.workers.length
+      : 0;
+
+    return {
+      size: this.size,
+      inline: this.size === 0,
+      busy,
+      queueDepth: this.queue.length,
+      maxQueue: this.maxQueue,
+      peakQueueDepth: this.stats.peakQueueDepth,
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      rejected: this.stats.rejected,
+      restarts: this.stats.restarts,
+      avgTaskMs: finished > 0 ? this.stats.totalTaskMs / finished : 0,
+      avgWaitMs: finished > 0 ? this.stats.totalWaitMs / finished : 0,
+      utilisation,
+      workers: this.workers.map(slot => ({
+        threadId: slot.worker.threadId,
+        busy: slot.job !== null,
+        tasks: slot.tasks,
+        utilisation: slot.utilisation
+      }))
+    };
+  }
+
+  /**
+   * Stop the workers - waiting tasks are rejected
+   */
+  async close() {
+    this.closing = true;
+    for (const job of this.queue.splice(0)) {
+      job.reject(new Error('Chunk worker pool closed'));
+    }
+    await Promise.all(this.workers.map(slot => slot.worker.terminate()));
+    this.workers = [];
+  }
+}
+
+/**
+ * Copy a typed array into shared memory, so workers read it without a copy per task
+ */
+export function toSharedArray(array) {
+  if (!array || array.buffer instanceof SharedArrayBuffer) return array;
+  const shared = new array.constructor(new SharedArrayBuffer(array.byteLength));
+  shared.set(array);
+  return shared;
+}
@@ -0,0 +1,319 @@
+/**
+ * Edit Log - persistent voxel edits layered on top of procedural terrain
+ * Each world keeps an append-only log of edit operations in
+ * storage/worlds/<worldId>/edits/edits.jsonl (one JSON entry per line). Chunks are
+ * generated procedurally, then every edit touching them is replayed in log order
+ * before the SVDAG is built - regenerating a chunk never loses an edit.
+ *
+ * Operations (world block coords, inclusive; block = block id, 0 = air):
+ *   { type: 'set',   x, y, z, block }                    one voxel
+ *   { type: 'fill',  min: [x, y, z], max: [x, y, z], block } box
+ *   { type: 'carve', center: [x, y, z], radius }          sphere of air
+ *   { type: 'paint', center: [x, y, z], radius, block }   recolor solid voxels in a sphere
+ *   { type: 'prefab', prefab, position: [x, y, z], rotation } stamp a prefab (services/prefabs.js),
+ *                                                          anchor at position, rotation 0-3 quarter turns
+ * A prefab edit stores the whole prefab, so replaying it never depends on the
+ * world's prefab library.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { validatePrefab, getPrefabBounds, stampPrefabColumn } from './prefabs.js';
+
+export const EDIT_TYPES = ['set', 'fill', 'carve', 'paint', 'prefab'];
+
+// Bounds on a single operation - keeps one request from touching the whole world
+const MAX_BOX_SIZE = 1024;
+const MAX_RADIUS = 256;
+const MAX_BLOCK_ID = 0xFFFF;
+
+const REGION_SIZE = 512;
+
+// Farthest block coordinate from the origin anything may address - beyond
+// 2^53 stepping a coordinate by a region no longer moves it
+export const MAX_WORLD_COORD = 2 ** 30;
+
+/**
+ * Whether a value is an integer block coordinate within MAX_WORLD_COORD
+ */
+export function isWorldCoord(value) {
+  return Number.isSafeInteger(value) && Math.abs(value) <= MAX_WORLD_COORD;
+}
+
+export class EditLog {
+  constructor(worldId, options = {}) {
+    this.worldId = worldId;
+    this.filePath = path.join(options.storageDir || 'storage/worlds', worldId, 'edits', 'edits.jsonl');
+
+    this.entries = [];
+    this.nextSeq = 1;
+
+    // "regionX_regionZ" -> entries touching the region, in log order
+    this.regions = new Map();
+
+    // Appends are chained so lines never interleave
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Read the log from disk (missing file = no edits yet)
+   */
+  async load() {
+    let text;
+    try {
+      text = await fs.readFile(this.filePath, 'utf-8');
+    } catch {
+      return;
+    }
+
+    for (const line of text.split('\n')) {
+      if (line.trim() === '') continue;
+      try {
+        const entry = JSON.parse(line);
+        if (!Number.isInteger(entry.seq)) throw new Error('missing seq');
+        this.index({ ...entry, ...parseEdit(entry) });
+      } catch (error) {
+        // A torn last line (crash mid-append) shouldn't lose the rest of the log
+        console.warn(`⚠️  Skipping bad edit in ${this.filePath}:`, error.message);
+      }
+    }
+  }
+
+  index(entry) {
+    entry.bounds = getEditBounds(entry);
+    this.entries.push(entry);
+    this.nextSeq = Math.max(this.nextSeq, entry.seq + 1);
+
+    const { minX, minZ, maxX, maxZ } = entry.bounds;
+    for (let x = toRegion(minX); x <= maxX; x += REGION_SIZE) {
+      for (let z = toRegion(minZ); z <= maxZ; z += REGION_SIZE) {
+        const key = `${x}_${z}`;
+        if (!this.regions.has(key)) this.regions.set(key, []);
+        this.regions.get(key).push(entry);
+      }
+    }
+  }
+
+  /**
+   * Validate, persist and index operations
+   * @param {Array<object>} ops - Raw operations (throws on the first invalid one, nothing is written)
+   * @returns {Promise<Array<object>>} Stored entries ({ seq, time, ...op, bounds })
+   */
+  async append(ops) {
+    const parsed = ops.map(parseEdit);
+    const time = Date.now();
+    const entries = parsed.map(op => ({ seq: this.nextSeq++, time, ...op }));
+
+    const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, lines);
+    });
+    await this.writing;
+
+    entries.forEach(entry => this.index(entry));
+    return entries;
+  }
+
+  /**
+   * Drop every edit (the file is removed)
+   * @returns {Promise<Array<object>>} The entries that were cleared
+   */
+  async clear() {
+    const cleared = this.entries;
+    this.writing = this.writing.catch(() => {}).then(() => fs.rm(this.filePath, { force: true }));
+    await this.writing;
+
+    this.entries = [];
+    this.regions = new Map();
+    return cleared;
+  }
+
+  /**
+   * Edits intersecting a block box, in log order
+   * @param {object} box - { minX, minY, minZ, maxX, maxY, maxZ } (inclusive)
+   */
+  getEdits(box) {
+    const seen = new Set();
+    const edits = [];
+    for (let x = toRegion(box.minX); x <= box.maxX; x += REGION_SIZE) {
+      for (let z = toRegion(box.minZ); z <= box.maxZ; z += REGION_SIZE) {
+        for (const entry of this.regions.get(`${x}_${z}`) || []) {
+          if (!seen.has(entry) && boxesIntersect(entry.bounds, box)) {
+            seen.add(entry);
+            edits.push(entry);
+          }
+        }
+      }
+    }
+    // Edits spanning several regions were collected out of order
+    return edits.sort((a, b) => a.seq - b.seq);
+  }
+
+  getStats() {
+    return { edits: this.entries.length, regions: this.regions.size, nextSeq: this.nextSeq };
+  }
+}
+
+/**
+ * Loaded edit logs by world
+ */
+export class EditLogStore {
+  constructor(options = {}) {
+    this.options = options;
+    this.logs = new Map(); // worldId -> Promise<EditLog>
+  }
+
+  get(worldId) {
+    let log = this.logs.get(worldId);
+    if (!log) {
+      const editLog = new EditLog(worldId, this.options);
+      log = editLog.load().then(() => editLog);
+      this.logs.set(worldId, log);
+    }
+    return log;
+  }
+}
+
+/**
+ * Validate an operation and keep only its fields
+ * @returns {object} Normalized operation
+ */
+export function parseEdit(op) {
+  if (op === null || typeof op !== 'object') {
+    throw new Error('edit must be an object');
+  }
+
+  const coord = (value, name) => {
+    if (!isWorldCoord(value)) {
+      throw new Error(`${op.type}: ${name} must be an integer within ±${MAX_WORLD_COORD}`);
+    }
+    return value;
+  };
+  const point = (value, name) => {
+    if (!Array.isArray(value) || value.length !== 3) throw new Error(`${op.type}: ${name} must be [x, y, z]`);
+    return value.map((v, i) => coord(v, `${name}[${i}]`));
+  };
+  const block = (value) => {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_BLOCK_ID) {
+      throw new Error(`${op.type}: block must be an integer 0-${MAX_BLOCK_ID}`);
+    }
+    return value;
+  };
+  const radius = (value) => {
+    if (typeof value !== 'number' || !(value > 0) || value > MAX_RADIUS) {
+      throw new Error(`${op.type}: radius must be a number in (0, ${MAX_RADIUS}]`);
+    }
+    return value;
+  };
+
+  switch (op.type) {
+    case 'set':
+      return { type: 'set', x: coord(op.x, 'x'), y: coord(op.y, 'y'), z: coord(op.z, 'z'), block: block(op.block) };
+
+    case 'fill': {
+      const min = point(op.min, 'min');
+      const max = point(op.max, 'max');
+      for (let i = 0; i < 3; i++) {
+        if (max[i] < min[i] || max[i] - min[i] >= MAX_BOX_SIZE) {
+          throw new Error(`fill: max must be >= min, at most ${MAX_BOX_SIZE} blocks per axis`);
+        }
+      }
+      return { type: 'fill', min, max, block: block(op.block) };
+    }
+
+    case 'carve':
+      return { type: 'carve', center: point(op.center, 'center'), radius: radius(op.radius) };
+
+    case 'paint':
+      return { type: 'paint', center: point(op.center, 'center'), radius: radius(op.radius), block: block(op.block) };
+
+    case 'prefab': {
+      const rotation = op.rotation ?? 0;
+      if (![0, 1, 2, 3].includes(rotation)) throw new Error('prefab: rotation must be 0-3');
+      let prefab;
+      try {
+        prefab = validatePrefab(op.prefab);
+      } catch (error) {
+        throw new Error(`prefab: ${error.message}`);
+      }
+      return { type: 'prefab', prefab, position: point(op.position, 'position'), rotation };
+    }
+
+    default:
+      throw new Error(`Unknown edit type: ${op.type} (expected ${EDIT_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Block box an operation can change
+ * @returns {{minX, minY, minZ, maxX, maxY, maxZ}} Inclusive
+ */
+export function getEditBounds(op) {
+  switch (op.type) {
+    case 'set':
+      return { minX: op.x, minY: op.y, minZ: op.z, maxX: op.x, maxY: op.y, maxZ: op.z };
+    case 'fill':
+      return { minX: op.min[0], minY: op.min[1], minZ: op.min[2], maxX: op.max[0], maxY: op.max[1], maxZ: op.max[2] };
+    case 'prefab':
+      return getPrefabBounds(op.prefab, op.position, op.rotation);
+    default: {
+      const [x, y, z] = op.center;
+      const r = Math.floor(op.radius);
+      return { minX: x - r, minY: y - r, minZ: z - r, maxX: x + r, maxY: y + r, maxZ: z + r };
+    }
+  }
+}
+
+/**
+ * Replay edits over one generated column (worldY0 up, count blocks)
+ * Same column layout as the voxelizer's fillColumn: out[i] = block at worldY0 + i
+ */
+export function applyEditsToColumn(edits, worldX, worldZ, worldY0, count, out) {
+  const topY = worldY0 + count - 1;
+
+  for (const edit of edits) {
+    const { bounds } = edit;
+    if (worldX < bounds.minX || worldX > bounds.maxX || worldZ < bounds.minZ || worldZ > bounds.maxZ) continue;
+
+    if (edit.type === 'prefab') {
+      stampPrefabColumn(edit.prefab, edit.position, edit.rotation, bounds, worldX, worldZ, worldY0, count, out);
+      continue;
+    }
+
+    let minY = Math.max(bounds.minY, worldY0);
+    let maxY = Math.min(bounds.maxY, topY);
+
+    if (edit.type === 'carve' || edit.type === 'paint') {
+      // Sphere - clip the column span to the voxels within radius
+      const dx = worldX - edit.center[0];
+      const dz = worldZ - edit.center[2];
+      const rest = edit.radius * edit.radius - dx * dx - dz * dz;
+      if (rest < 0) continue;
+      const half = Math.sqrt(rest);
+      minY = Math.max(minY, Math.ceil(edit.center[1] - half));
+      maxY = Math.min(maxY, Math.floor(edit.center[1] + half));
+    }
+
+    for (let y = minY; y <= maxY; y++) {
+      const i = y - worldY0;
+      if (edit.type === 'carve') {
+        out[i] = 0;
+      } else if (edit.type === 'paint') {
+        if (out[i] !== 0) out[i] = edit.block;
+      } else {
+        out[i] = edit.block;
+      }
+    }
+  }
+}
+
+export function boxesIntersect(a, b) {
+  return a.minX <= b.maxX && a.maxX >= b.minX &&
+         a.minY <= b.maxY && a.maxY >= b.minY &&
+         a.minZ <= b.maxZ && a.maxZ >= b.minZ;
+}
+
+function toRegion(worldCoord) {
+  return Math.floor(worldCoord / REGION_SIZE) * REGION_SIZE;
+}
@@ -1,10 +1,11 @@
 /**
  * Graph Execution Engine - Server-side
  * Manages execution of node graphs with topological sorting
+ * Runs nodes on the GPU when given a device, otherwise through their CPU evaluators
  */
 
 export class GraphExecutionEngine {
-  constructor(device) {
+  constructor(device = null) {
     this.device = device;
     this.nodeRegistry = new Map();
     this.nodeResults = new Map();
@@ -61,6 +62,12 @@ export class GraphExecutionEngine {
       return;
     }
     
+    const useCPU = !this.device;
+    if (useCPU && NodeClass.gpuOnly) {
+      console.warn(`⚠️  ${nodeData.type} requires a GPU, skipping (CPU backend)`);
+      return;
+    }
+    
     // Create node instance
     const node = new NodeClass(this.device);
     
@@ -79,13 +86,19 @@ export class GraphExecutionEngine {
     const nodeParams = {
       ...nodeData.params,
       resolution: params.resolution || 512,
-      seed: params.seed || Date.now()
+      tileSize: params.tileSize || params.resolution || 512,  // Region width (resolution minus the apron)
+      apron: params.apron || 0,
+      seed: params.seed || Date.now(),
+      offsetX: params.offsetX || 0,  // World offset so regions tile seamlessly
+      offsetZ: params.offsetZ || 0
     };
     
     // Execute node
     try {
       const nodeStartTime = Date.now();
-      const result = await node.process(inputs, nodeParams);
+      const result = useCPU
+        ? await node.processCPU(inputs, nodeParams)
+        : await node.process(inputs, nodeParams);
       const nodeTime = Date.now() - nodeStartTime;
       
       this.nodeResults.set(nodeId, result);
@@ -1,19 +1,58 @@
 /**
  * Graph Executor - Server-side
  * Executes node graphs to generate terrain data
- * TODO: Port all 28 node types from client to server
+ * Registers the same node types as the client pipeline (public/js/pipeline.js)
  */
 
 import { create, globals } from 'webgpu';
 import { GraphExecutionEngine } from './graphExecutionEngine.js';
 
+// Blocks generated around each region and cropped away, so neighbourhood
+// stages (slope, erosion, rivers, trails) see real terrain across the border
+export const DEFAULT_REGION_APRON = 32;
+
+/**
+ * Apron width for a world - config.regionApron, 0 turns it off
+ */
+export function getRegionApron(config = {}) {
+  const apron = config.regionApron ?? DEFAULT_REGION_APRON;
+  return Number.isInteger(apron) && apron >= 0 ? apron : DEFAULT_REGION_APRON;
+}
+
+/**
+ * Crop a map generated with an apron back to its region
+ * Handles multi-channel maps (length a multiple of resolution²)
+ * @param {TypedArray} map - Map over the extended grid (width + 2·apron square)
+ * @param {number} apron - Apron width in samples
+ * @param {number} width - Region width
+ * @returns {TypedArray} width × width map (× channels)
+ */
+export function cropToRegion(map, apron, width) {
+  if (apron === 0) return map;
+  const resolution = width + 2 * apron;
+  const channels = map.length / (resolution * resolution);
+  const cropped = new map.constructor(width * width * channels);
+  const rowLength = width * channels;
+
+  for (let y = 0; y < width; y++) {
+    const start = ((y + apron) * resolution + apron) * channels;
+    cropped.set(map.subarray(start, start + rowLength), y * rowLength);
+  }
+  return cropped;
+}
+
 export class GraphExecutor {
   constructor() {
     this.device = null;
     this.adapter = null;
     this.navigator = null;
-    this.executionEngine = null;
+    this.executionEngine = null; // Default engine (GPU if available, else CPU)
+    this.gpuEngine = null;
+    this.cpuEngine = null;
     this.useGPU = false;
+    
+    // Engine keeps per-run state, so graph runs are serialized
+    this.executionQueue = Promise.resolve();
   }
   
   /**
@@ -36,18 +75,42 @@ export class GraphExecutor {
         console.log('✅ GPU available for graph execution');
         
         // Create execution engine with GPU device
-        this.executionEngine = new GraphExecutionEngine(this.device);
+        this.gpuEngine = new GraphExecutionEngine(this.device);
       } else {
-        console.log('⚠️  No GPU found, using CPU fallback');
+        console.log('⚠️  No GPU found, using CPU node evaluators');
       }
       
-      // Register node types
-      await this.registerNodes();
-      
     } catch (error) {
       console.warn('⚠️  GPU initialization failed, using CPU:', error.message);
       this.useGPU = false;
+      this.device = null;
+    }
+    
+    // CPU engine (no device) is always available - default when there's no GPU
+    this.cpuEngine = new GraphExecutionEngine(null);
+    this.executionEngine = this.gpuEngine || this.cpuEngine;
+    
+    // Register node types
+    await this.registerNodes();
+  }
+  
+  /**
+   * Resolve a requested backend to the one that will actually run
+   * @param {string} backend - 'auto', 'gpu' or 'cpu'
+   * @returns {string} 'gpu' or 'cpu'
+   */
+  resolveBackend(backend = 'auto') {
+    if (backend === 'cpu') return 'cpu';
+    if (backend === 'gpu') {
+      if (!this.gpuEngine) {
+        throw new Error('GPU backend requested but no GPU adapter is available');
+      }
+      return 'gpu';
+    }
+    if (backend !== 'auto') {
+      throw new Error(`Unknown graph backend: ${backend}`);
     }
+    return this.gpuEngine ? 'gpu' : 'cpu';
   }
   
   /**
@@ -56,32 +119,81 @@ export class GraphExecutor {
   async registerNodes() {
     console.log('📝 Registering node types...');
     
-    if (!this.executionEngine) {
+    const engines = [this.gpuEngine, this.cpuEngine].filter(Boolean);
+    if (engines.length === 0) {
       console.log('⚠️  No execution engine, skipping node registration');
       return;
     }
     
-    // Import all node implementations
+    // Import all node implementations (same set as the client pipeline)
     const { SeedInputNode } = await import('../lib/nodes/SeedInputNode.js');
     const { PerlinNoiseNode } = await import('../lib/nodes/PerlinNoiseNode.js');
+    const { BlendNode } = await import('../lib/nodes/BlendNode.js');
     const { NormalizeNode } = await import('../lib/nodes/NormalizeNode.js');
-    const { BiomeClassifierNode } = await import('../lib/nodes/BiomeClassifierNode.js');
-    const { BlockClassifierNode } = await import('../lib/nodes/BlockClassifierNode.js');
+    const { RemapNode } = await import('../lib/nodes/RemapNode.js');
+    const { DepthOutputNode } = await import('../lib/nodes/DepthOutputNode.js');
+    const { BiomeOutputNode } = await import('../lib/nodes/BiomeOutputNode.js');
+    const { WaterOutputNode } = await import('../lib/nodes/WaterOutputNode.js');
+    const { WaterNode } = await import('../lib/nodes/WaterNode.js');
     const { TemperatureNode } = await import('../lib/nodes/TemperatureNode.js');
+    const { BiomeClassifierNode } = await import('../lib/nodes/BiomeClassifierNode.js');
     const { SlopeMapNode } = await import('../lib/nodes/SlopeMapNode.js');
-    const { WaterNode } = await import('../lib/nodes/WaterNode.js');
+    const { FeaturesNode } = await import('../lib/nodes/FeaturesNode.js');
+    const { FeaturesOutputNode } = await import('../lib/nodes/FeaturesOutputNode.js');
+    const { TrailsNode } = await import('../lib/nodes/TrailsNode.js');
+    const { TrailsOutputNode } = await import('../lib/nodes/TrailsOutputNode.js');
+    const { BlockClassifierNode } = await import('../lib/nodes/BlockClassifierNode.js');
+    const { BlockMapOutputNode } = await import('../lib/nodes/BlockMapOutputNode.js');
+    const { HeightLODNode } = await import('../lib/nodes/HeightLODNode.js');
+    const { ErosionNode } = await import('../lib/nodes/ErosionNode.js');
+    const { ClassifierNode } = await import('../lib/nodes/ClassifierNode.js');
+    const { CombineNode } = await import('../lib/nodes/CombineNode.js');
+    const { SurfaceAnimationNode } = await import('../lib/nodes/SurfaceAnimationNode.js');
+    const { TerrainDensityNode } = await import('../lib/nodes/TerrainDensityNode.js');
+    const { GradientMapNode } = await import('../lib/nodes/GradientMapNode.js');
+    const { TerraceNode } = await import('../lib/nodes/TerraceNode.js');
+    const { MaskNode } = await import('../lib/nodes/MaskNode.js');
+    const { PowerNode } = await import('../lib/nodes/PowerNode.js');
+    
+    const nodeTypes = {
+      SeedInput: SeedInputNode,
+      PerlinNoise: PerlinNoiseNode,
+      Blend: BlendNode,
+      Normalize: NormalizeNode,
+      Remap: RemapNode,
+      DepthOutput: DepthOutputNode,
+      BiomeOutput: BiomeOutputNode,
+      WaterOutput: WaterOutputNode,
+      Water: WaterNode,
+      Temperature: TemperatureNode,
+      BiomeClassifier: BiomeClassifierNode,
+      SlopeMap: SlopeMapNode,
+      Features: FeaturesNode,
+      FeaturesOutput: FeaturesOutputNode,
+      Trails: TrailsNode,
+      TrailsOutput: TrailsOutputNode,
+      BlockClassifier: BlockClassifierNode,
+      BlockMapOutput: BlockMapOutputNode,
+      HeightLOD: HeightLODNode,
+      Erosion: ErosionNode,
+      Classifier: ClassifierNode,
+      Combine: CombineNode,
+      SurfaceAnimation: SurfaceAnimationNode,
+      TerrainDensity: TerrainDensityNode,
+      GradientMap: GradientMapNode,
+      Terrace: TerraceNode,
+      Mask: MaskNode,
+      Power: PowerNode
+    };
+    
+    // Register all nodes (same classes on both backends - CPU runs processCPU)
+    for (const engine of engines) {
+      for (const [type, NodeClass] of Object.entries(nodeTypes)) {
+        engine.registerNode(type, NodeClass);
+      }
+    }
     
-    // Register all nodes
-    this.executionEngine.registerNode('SeedInput', SeedInputNode);
-    this.executionEngine.registerNode('PerlinNoise', PerlinNoiseNode);
-    this.executionEngine.registerNode('Normalize', NormalizeNode);
-    this.executionEngine.registerNode('BiomeClassifier', BiomeClassifierNode);
-    this.executionEngine.registerNode('BlockClassifier', BlockClassifierNode);
-    this.executionEngine.registerNode('Temperature', TemperatureNode);
-    this.executionEngine.registerNode('SlopeMap', SlopeMapNode);
-    this.executionEngine.registerNode('Water', WaterNode);
-    
-    console.log(`✅ Registered 8 node types`);
+    console.log(`✅ Registered ${Object.keys(nodeTypes).length} node types`);
   }
   
   /**
@@ -89,17 +201,26 @@ export class GraphExecutor {
    * @param {object} graph - Node graph definition
    * @param {object} region - Region to generate { x, z, width, height, seed }
    * @param {object} config - World configuration
+   * @param {object} options - { backend: 'auto' | 'gpu' | 'cpu', apron, crop }
+   *        apron: samples generated around the region (default 0); crop: false
+   *        returns the extended maps (features stay in extended-grid coordinates)
    * @returns {Promise<object>} Generated data (heightmap, biomemap, etc.)
    */
-  async execute(graph, region, config) {
+  async execute(graph, region, config, options = {}) {
     console.log(`📊 Executing graph for region (${region.x}, ${region.z}), size ${region.width}×${region.height}`);
     const startTime = Date.now();
     
-    // If we have GPU and execution engine, use real graph execution
-    if (this.useGPU && this.executionEngine && graph.nodes && graph.nodes.length > 0) {
-      const results = await this.executeGraphWithEngine(graph, region, config);
-      console.log(`✅ Graph executed (GPU) in ${Date.now() - startTime}ms`);
-      return results;
+    // Real graph execution (GPU device or CPU node evaluators)
+    if (this.executionEngine && graph.nodes && graph.nodes.length > 0) {
+      const backend = this.resolveBackend(options.backend);
+      const engine = backend === 'gpu' ? this.gpuEngine : this.cpuEngine;
+      
+      const apron = options.apron || 0;
+      const run = this.executionQueue.then(() => this.executeGraphWithEngine(graph, region, config, engine, apron));
+      this.executionQueue = run.catch(() => {});
+      const results = await run;
+      console.log(`✅ Graph executed (${backend.toUpperCase()}) in ${Date.now() - startTime}ms`);
+      return options.crop === false ? results : this.cropResults(results, apron, region.width);
     }
     
     // Fallback to placeholder
@@ -108,41 +229,76 @@ export class GraphExecutor {
     return results;
   }
   
+  /**
+   * Crop apron-extended outputs back to the region
+   * Features outside the region are dropped, the rest move to region coordinates
+   */
+  cropResults(results, apron, width) {
+    if (apron === 0) return results;
+    
+    const cropped = { apron: 0 };
+    for (const [key, value] of Object.entries(results)) {
+      if (ArrayBuffer.isView(value)) {
+        cropped[key] = cropToRegion(value, apron, width);
+      } else if (key === 'features' && Array.isArray(value)) {
+        cropped[key] = value
+          .map(feature => ({ ...feature, x: feature.x - apron, y: feature.y - apron }))
+          .filter(feature => feature.x >= 0 && feature.x < width && feature.y >= 0 && feature.y < width);
+      } else if (key !== 'apron') {
+        cropped[key] = value;
+      }
+    }
+    return cropped;
+  }
+  
   /**
    * Execute graph using the execution engine
+   * The graph runs over the region plus `apron` samples on every side; nodes
+   * get tileSize (the region width) and apron so position-scaled stages
+   * (noise frequency, latitude) match an apron-less run
    */
-  async executeGraphWithEngine(graph, region, config) {
+  async executeGraphWithEngine(graph, region, config, engine = this.executionEngine, apron = 0) {
     const params = {
-      resolution: region.width,
+      resolution: region.width + 2 * apron,
+      tileSize: region.width,
+      apron,
       seed: region.seed || config.seed || Date.now(),
-      offsetX: region.x || 0,  // World X offset for this region
-      offsetZ: region.z || 0   // World Z offset for this region
+      offsetX: (region.x || 0) - apron,  // World X of the extended grid's first sample
+      offsetZ: (region.z || 0) - apron   // World Z of the extended grid's first sample
     };
     
-    console.log(`  🌍 Region params: resolution=${params.resolution}, offset=(${params.offsetX}, ${params.offsetZ})`);
+    console.log(`  🌍 Region params: resolution=${params.resolution}, apron=${apron}, offset=(${params.offsetX}, ${params.offsetZ})`);
     
     // Execute the entire graph
-    await this.executionEngine.execute(graph, params);
+    await engine.execute(graph, params);
     
-    // Extract outputs we need (heightmap, biomemap, blockmap)
-    const results = this.executionEngine.getAllResults();
+    // Extract outputs we need (heightmap, biomemap, blockmap, waterblockmap)
+    const results = engine.getAllResults();
     
-    // Find output nodes and extract their data
+    // Output nodes are pass-throughs and are often wired to a visualisation
+    // socket (colorMap, blockMapVis, featureMap), so read the data socket from
+    // the node that feeds them instead
     const output = {};
-    
-    for (const [nodeId, result] of results.entries()) {
-      const node = graph.nodes.find(n => n.id === nodeId);
-      if (!node) continue;
+    const outputSources = {
+      DepthOutput: ['heightmap', 'output'],
+      BiomeOutput: ['biomemap', 'output'],
+      WaterOutput: ['watermap', 'output'],
+      BlockMapOutput: ['blockmap', 'terrainBlocks'],
+      FeaturesOutput: ['features', 'features'],
+      TrailsOutput: ['trailmap', 'trails']
+    };
+    for (const node of graph.nodes) {
+      const source = outputSources[node.type];
+      if (!source || output[source[0]]) continue;
       
-      // Check for output nodes
-      if (node.type === 'DepthOutput' && result.output) {
-        output.heightmap = result.output;
-      } else if (node.type === 'BiomeOutput' && result.output) {
-        output.biomemap = result.output;
-      } else if (node.type === 'BlockMapOutput' && result.terrainBlocks) {
-        output.blockmap = result.terrainBlocks;
-      } else if (node.type === 'WaterOutput' && result.output) {
-        output.watermap = result.output;
+      const conn = graph.connections.find(c => c.to === node.id && c.input === 'input');
+      const sourceResult = conn && results.get(conn.from);
+      if (sourceResult && sourceResult[source[1]]) {
+        output[source[0]] = sourceResult[source[1]];
+        // The block classifier's water blocks travel with its terrain blocks
+        if (node.type === 'BlockMapOutput' && sourceResult.waterBlocks) {
+          output.waterblockmap = sourceResult.waterBlocks;
+        }
       }
     }
     
@@ -159,6 +315,7 @@ export class GraphExecutor {
           output.biomemap = result.output;
         } else if (node.type === 'BlockClassifier' && result.terrainBlocks && !output.blockmap) {
           output.blockmap = result.terrainBlocks;
+          output.waterblockmap = result.waterBlocks;
         }
       }
     }
@@ -169,7 +326,7 @@ export class GraphExecutor {
     }
     
     // Provide defaults for missing outputs
-    const size = region.width * region.height;
+    const size = params.resolution * params.resolution;
     if (!output.biomemap) {
       output.biomemap = new Uint8Array(size).fill(5); // Default to grassland
     }
@@ -177,6 +334,7 @@ export class GraphExecutor {
       output.blockmap = new Uint16Array(size).fill(2); // Default to grass
     }
     
+    output.apron = apron;
     return output;
   }
   
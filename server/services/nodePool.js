@@ -0,0 +1,389 @@
+/**
+ * Region Node Pool - one deduplicated SVDAG node store per 512×512 region column
+ * Chunks of a region are hash-consed into a shared, append-only word array, so
+ * identical subtrees (flat plains, deep stone) are stored - and sent - once.
+ *
+ * Pool node layout matches the chunk SVDAG, with two differences:
+ *   - child pointers are word offsets into the pool
+ *   - leaf nodes hold the block id itself ([1, blockId, 0]); the client keeps an
+ *     identity leaf table (POOL_LEAF_TABLE_SIZE entries) at the start of its leaves
+ * The pool is cut into fixed-size pages; a chunk depends on the pages holding
+ * the nodes reachable from its root. Pages only ever grow (the last one until
+ * it is full), so a full page a client holds never changes.
+ */
+
+import crypto from 'crypto';
+import { POOL_LEAF_TABLE_SIZE } from '../../public/js/svdagCodec.js';
+
+export const POOL_PAGE_WORDS = 4096;
+
+// The shader packs pool-relative node offsets into 24 bits
+const MAX_POOL_WORDS = 1 << 24;
+
+const INITIAL_WORDS = 16384;
+
+export class RegionNodePool {
+  constructor() {
+    // Fresh id per pool instance - clients drop pages of pools they no longer match
+    this.poolId = crypto.randomInt(1, 0xFFFFFFFF);
+    this.pageWords = POOL_PAGE_WORDS;
+
+    this.words = new Uint32Array(INITIAL_WORDS);
+    this.length = 0;
+
+    // Hash-consing table of node offsets + 1 (0 = free slot)
+    this.table = new Int32Array(INITIAL_WORDS / 2);
+    this.tableMask = this.table.length - 1;
+    this.nodeCount = 0;
+
+    // "cx,cy,cz" -> { root, dependencies }
+    this.chunks = new Map();
+    this.lastUsed = Date.now();
+  }
+
+  /**
+   * Pooled entry of a chunk added earlier
+   * @returns {{root: number, dependencies: number[]}|undefined}
+   */
+  getChunk(cx, cy, cz) {
+    this.lastUsed = Date.now();
+    return this.chunks.get(`${cx},${cy},${cz}`);
+  }
+
+  /**
+   * Add a chunk's material SVDAG to the pool
+   * @param {object} svdag - { nodes, leaves, rootIdx } (chunk-local, as decoded)
+   * @returns {{root: number, dependencies: number[]}|null} null if the chunk can't be
+   *          pooled (pool full, block id beyond the leaf table) - send it standalone
+   */
+  addChunk(cx, cy, cz, svdag) {
+    const key = `${cx},${cy},${cz}`;
+    this.lastUsed = Date.now();
+
+    const existing = this.chunks.get(key);
+    if (existing) return existing;
+
+    const rootOffset = this.internSVDAG(svdag);
+    if (rootOffset < 0) return null;
+
+    const entry = { root: rootOffset, dependencies: this.getDependencies(rootOffset) };
+    this.chunks.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Intern every node reachable from the chunk root, children first
+   * @returns {number} Pool offset of the root, -1 if it doesn't fit
+   */
+  internSVDAG({ nodes, leaves, rootIdx }) {
+    const mapped = new Int32Array(nodes.length).fill(-1);
+    const startLength = this.length;
+    const startCount = this.nodeCount;
+
+    const visit = (idx) => {
+      if (mapped[idx] !== -1) return mapped[idx];
+
+      let offset;
+      if (nodes[idx] === 1) {
+        const blockId = leaves[nodes[idx + 1]];
+        if (blockId >= POOL_LEAF_TABLE_SIZE) return -1;
+        offset = this.intern(1, blockId, null);
+      } else {
+        const childMask = nodes[idx + 1];
+        const children = [];
+        let slot = idx + 2;
+        for (let i = 0; i < 8; i++) {
+          if (!(childMask & (1 << i))) continue;
+          const child = visit(nodes[slot++]);
+          if (child < 0) return -1;
+          children.push(child);
+        }
+        offset = this.intern(0, childMask, children);
+      }
+
+      mapped[idx] = offset;
+      return offset;
+    };
+
+    const root = visit(rootIdx);
+    if (root < 0) {
+      // Roll back the partial chunk - nothing references the new nodes yet
+      this.truncate(startLength, startCount);
+    }
+    return root;
+  }
+
+  /**
+   * Offset of the node (tag, data, children), appended if new
+   * Leaf: tag 1, data = block id; inner: tag 0, data = childMask
+   */
+  intern(tag, data, children) {
+    const hash = hashNode(tag, data, children);
+    let slot = hash & this.tableMask;
+    for (;;) {
+      const stored = this.table[slot];
+      if (stored === 0) break;
+      if (this.matches(stored - 1, tag, data, children)) return stored - 1;
+      slot = (slot + 1) & this.tableMask;
+    }
+
+    const size = tag === 1 ? 3 : 2 + children.length;
+    if (this.length + size > MAX_POOL_WORDS) return -1;
+    this.ensureWords(this.length + size);
+
+    const offset = this.length;
+    this.words[offset] = tag;
+    this.words[offset + 1] = data;
+    if (tag === 1) {
+      this.words[offset + 2] = 0;
+    } else {
+      this.words.set(children, offset + 2);
+    }
+    this.length += size;
+
+    this.table[slot] = offset + 1;
+    if (++this.nodeCount * 2 > this.table.length) {
+      this.rehash(this.table.length * 2);
+    }
+    return offset;
+  }
+
+  matches(offset, tag, data, children) {
+    const words = this.words;
+    if (words[offset] !== tag || words[offset + 1] !== data) return false;
+    if (tag === 1) return true;
+    for (let i = 0; i < children.length; i++) {
+      if (words[offset + 2 + i] !== children[i]) return false;
+    }
+    return true;
+  }
+
+  ensureWords(length) {
+    if (length <= this.words.length) return;
+    let capacity = this.words.length;
+    while (capacity < length) capacity *= 2;
+    const words = new Uint32Array(Math.min(capacity, MAX_POOL_WORDS));
+    words.set(this.words.subarray(0, this.length));
+    this.words = words;
+  }
+
+  /**
+   * Rebuild the hash table at a new size from the node words
+   */
+  rehash(tableSize) {
+    this.table = new Int32Array(tableSize);
+    this.tableMask = tableSize - 1;
+    this.forEachNode((offset, tag, data, children) => {
+      let slot = hashNode(tag, data, children) & this.tableMask;
+      while (this.table[slot] !== 0) {
+        slot = (slot + 1) & this.tableMask;
+      }
+      this.table[slot] = offset + 1;
+    });
+  }
+
+  /**
+   * Drop nodes appended after a failed chunk
+   */
+  truncate(length, nodeCount) {
+    if (this.length === length) return;
+    this.length = length;
+    this.nodeCount = nodeCount;
+    this.rehash(this.table.length);
+  }
+
+  forEachNode(callback) {
+    const words = this.words;
+    let offset = 0;
+    while (offset < this.length) {
+      const tag = words[offset];
+      if (tag === 1) {
+        callback(offset, 1, words[offset + 1], null);
+        offset += 3;
+      } else {
+        const count = popcount(words[offset + 1]);
+        callback(offset, 0, words[offset + 1], words.subarray(offset + 2, offset + 2 + count));
+        offset += 2 + count;
+      }
+    }
+  }
+
+  /**
+   * Sorted ids of the pages holding nodes reachable from a root
+   */
+  getDependencies(rootOffset) {
+    const words = this.words;
+    const pages = new Set();
+    const visited = new Set();
+    const stack = [rootOffset];
+
+    while (stack.length > 0) {
+      const offset = stack.pop();
+      if (visited.has(offset)) continue;
+      visited.add(offset);
+
+      const size = words[offset] === 1 ? 3 : 2 + popcount(words[offset + 1]);
+      const lastPage = Math.floor((offset + size - 1) / this.pageWords);
+      for (let page = Math.floor(offset / this.pageWords); page <= lastPage; page++) {
+        pages.add(page);
+      }
+
+      if (words[offset] === 0) {
+        for (let i = 2; i < size; i++) {
+          stack.push(words[offset + i]);
+        }
+      }
+    }
+
+    return Array.from(pages).sort((a, b) => a - b);
+  }
+
+  /**
+   * Words of a page from `start` (within the page) to its current end
+   * (the last page may be partial)
+   * @returns {Uint32Array}
+   */
+  getPage(id, start = 0) {
+    const pageStart = id * this.pageWords;
+    return this.words.slice(pageStart + start, Math.min(pageStart + this.pageWords, this.length));
+  }
+
+  /**
+   * Words currently in a page
+   */
+  getPageLength(id) {
+    return Math.max(0, Math.min(this.pageWords, this.length - id * this.pageWords));
+  }
+
+  get byteLength() {
+    return this.words.byteLength + this.table.byteLength;
+  }
+}
+
+/**
+ * Node pools by world, chunk version and region - least recently used pools are
+ * dropped past the byte budget (clients then get a new pool id)
+ */
+export class NodePoolStore {
+  /**
+   * @param {object} options - { maxBytes }
+   */
+  constructor(options = {}) {
+    this.maxBytes = options.maxBytes || 128 * 1024 * 1024;
+    this.pools = new Map(); // "worldId/version/regionX_regionZ" -> RegionNodePool
+    this.stats = {
+      chunksPooled: 0,
+      pagesSent: 0,
+      evictions: 0
+    };
+  }
+
+  get(worldId, version, regionX, regionZ) {
+    const key = `${worldId}/${version}/${regionX}_${regionZ}`;
+    let pool = this.pools.get(key);
+    if (pool) {
+      // Refresh LRU position
+      this.pools.delete(key);
+    } else {
+      pool = new RegionNodePool();
+      this.evict();
+    }
+    this.pools.set(key, pool);
+    return pool;
+  }
+
+  evict() {
+    let bytes = 0;
+    for (const pool of this.pools.values()) bytes += pool.byteLength;
+
+    for (const [key, pool] of this.pools) {
+      if (bytes <= this.maxBytes) break;
+      this.pools.delete(key);
+      bytes -= pool.byteLength;
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Drop a world's pools for the given regions ("regionX_regionZ"), any version
+   * @returns {number} Pools removed
+   */
+  purge(worldId, regionIds) {
+    let removed = 0;
+    for (const key of Array.from(this.pools.keys())) {
+      const [world, , regionId] = key.split('/');
+      if (world === worldId && regionIds.has(regionId)) {
+        this.pools.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  getStats() {
+    let words = 0;
+    let nodes = 0;
+    let bytes = 0;
+    for (const pool of this.pools.values()) {
+      words += pool.length;
+      nodes += pool.nodeCount;
+      bytes += pool.byteLength;
+    }
+    return { ...this.stats, pools: this.pools.size, words, nodes, bytes, maxBytes: this.maxBytes };
+  }
+}
+
+/**
+ * Parse the pages a client holds: "0-3,7,9:1234" - full pages (ids or ranges)
+ * and partially held pages as id:words
+ * @returns {Map<number, number>} page id -> words held
+ */
+export function parsePageList(list) {
+  const pages = new Map();
+  if (typeof list !== 'string' || list === '') return pages;
+
+  const maxPages = MAX_POOL_WORDS / POOL_PAGE_WORDS;
+  for (const part of list.split(',')) {
+    const partial = /^(\d+):(\d+)$/.exec(part.trim());
+    if (partial) {
+      const words = Number(partial[2]);
+      if (Number(partial[1]) >= maxPages || words > POOL_PAGE_WORDS) {
+        throw new Error(`Bad page range: ${part}`);
+      }
+      pages.set(Number(partial[1]), words);
+      continue;
+    }
+
+    const match = /^(\d+)(?:-(\d+))?$/.exec(part.trim());
+    if (!match) throw new Error(`Bad page range: ${part}`);
+    const first = Number(match[1]);
+    const last = match[2] !== undefined ? Number(match[2]) : first;
+    if (last < first || last >= maxPages) {
+      throw new Error(`Bad page range: ${part}`);
+    }
+    for (let page = first; page <= last; page++) pages.set(page, POOL_PAGE_WORDS);
+  }
+  return pages;
+}
+
+function popcount(mask) {
+  mask = mask - ((mask >> 1) & 0x55);
+  mask = (mask & 0x33) + ((mask >> 2) & 0x33);
+  return (mask + (mask >> 4)) & 0x0f;
+}
+
+function hashNode(tag, data, children) {
+  let hash = Math.imul(tag + 1, 0x85ebca6b) ^ Math.imul(data, 0x9e3779b1);
+  if (children) {
+    for (let i = 0; i < children.length; i++) {
+      hash = Math.imul(hash ^ children[i], 0x9e3779b1);
+      hash ^= hash >>> 15;
+    }
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
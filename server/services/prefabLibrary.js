@@ -0,0 +1,111 @@
+/**
+ * Prefab Library - the prefabs a world can place and stamp, by name
+ * Every world gets BUILTIN_PREFABS; artists add their own (JSON, or imported
+ * from MagicaVoxel .vox) as storage/worlds/<worldId>/prefabs/<name>.json, one
+ * prefab per file (see services/prefabs.js for the format). A world prefab
+ * named like a builtin replaces it.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { BUILTIN_PREFABS, validatePrefab } from './prefabs.js';
+
+// World ids name a directory in storageDir - nothing that could leave it
+const WORLD_ID_PATTERN = /^[\w-]+$/;
+
+export class PrefabLibrary {
+  /**
+   * @param {object} options - { storageDir }
+   */
+  constructor(options = {}) {
+    this.storageDir = options.storageDir || 'storage/worlds';
+    this.libraries = new Map(); // worldId -> Promise<{ name: prefab }>
+  }
+
+  getPrefabDir(worldId) {
+    if (typeof worldId !== 'string' || !WORLD_ID_PATTERN.test(worldId)) {
+      throw new Error(`Invalid world id: ${worldId}`);
+    }
+    return path.join(this.storageDir, worldId, 'prefabs');
+  }
+
+  /**
+   * Builtin + world prefabs by name
+   * The same object is returned until the world's prefabs change
+   * @returns {Promise<object>}
+   */
+  load(worldId) {
+    let library = this.libraries.get(worldId);
+    if (!library) {
+      // Invalid ids throw here, before anything is cached for them
+      const dir = this.getPrefabDir(worldId);
+      library = this.readWorldPrefabs(dir, worldId).then(prefabs => ({ ...BUILTIN_PREFABS, ...prefabs }));
+      library.catch(() => this.libraries.delete(worldId));
+      this.libraries.set(worldId, library);
+    }
+    return library;
+  }
+
+  async readWorldPrefabs(dir, worldId) {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch {
+      return {};
+    }
+
+    const prefabs = {};
+    for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+      try {
+        const prefab = validatePrefab(JSON.parse(await fs.readFile(path.join(dir, file), 'utf-8')));
+        prefabs[prefab.name] = prefab;
+      } catch (error) {
+        console.warn(`⚠️  Skipping bad prefab ${file} in ${worldId}:`, error.message);
+      }
+    }
+    return prefabs;
+  }
+
+  /**
+   * Prefab summaries (no blocks), sorted by name
+   * @returns {Promise<Array<{name, size, anchor, voxels, source}>>}
+   */
+  async list(worldId) {
+    const library = await this.load(worldId);
+    return Object.values(library)
+      .map(prefab => ({
+        name: prefab.name,
+        size: prefab.size,
+        anchor: prefab.anchor,
+        voxels: prefab.blocks.reduce((count, block) => count + (block !== 0), 0),
+        source: BUILTIN_PREFABS[prefab.name] === prefab ? 'builtin' : 'world'
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @returns {Promise<object|null>} The prefab, or null if the world has none by that name
+   */
+  async get(worldId, name) {
+    const library = await this.load(worldId);
+    return Object.hasOwn(library, name) ? library[name] : null;
+  }
+
+  /**
+   * Validate and store a world prefab (write-then-rename), replacing any by that name
+   * @returns {Promise<object>} The stored prefab
+   */
+  async save(worldId, prefab) {
+    const stored = validatePrefab(prefab);
+    const filePath = path.join(this.getPrefabDir(worldId), `${stored.name}.json`);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`; // Unique per save - saves may overlap
+    await fs.writeFile(tempPath, JSON.stringify(stored));
+    await fs.rename(tempPath, filePath);
+
+    this.libraries.delete(worldId);
+    return stored;
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Prefab Placement - trees, rocks and ruins scattered over V2 terrain
+ * The world is cut into cellSize × cellSize cells; each cell has one candidate
+ * column (jittered by hashing the cell) and the first rule that fits the column
+ * (biome, top block, slope, height) and passes its chance places its prefab
+ * there, rotated by a hashed quarter turn. Candidates are hashed from world
+ * positions, so placements never depend on how the world is split up.
+ *
+ * Each region lists the placements anchored inside it (placeRegionPrefabs);
+ * a chunk is stamped with every placement whose bounds reach it, from whichever
+ * region - a prefab spanning chunks comes out identical on both sides.
+ *
+ * Configured by config.json `placement` ({ cellSize, seaLevel, rules }), rules
+ * naming prefabs in the world's library (services/prefabLibrary.js); worlds
+ * whose graph has a BlockClassifier get DEFAULT_PLACEMENT_RULES, which grow
+ * trees on the classifier's Tree Seed (block 7) cells.
+ */
+
+import { worldHash } from '../lib/nodes/BaseNode.js';
+import { BUILTIN_PREFABS, getPrefabBounds, stampPrefabColumn } from './prefabs.js';
+
+export const PLACEMENT_DEFAULTS = {
+  cellSize: 6,     // Blocks - at most one placement per cell
+  seaLevel: null   // 0-1 height; null = the graph's Water node sea level
+};
+
+export const RULE_DEFAULTS = {
+  biomes: null,    // Biome ids (null = any)
+  on: null,        // Top block ids of the column (null = any)
+  chance: 0.1,     // Per cell
+  maxSlope: 1,     // Blocks of rise per block
+  minHeight: 0,    // 0-1
+  maxHeight: 1
+};
+
+// Tree Seed cells grow dense stands; forest biomes also get scattered trees
+export const DEFAULT_PLACEMENT_RULES = [
+  { prefab: 'pine', biomes: [8], on: [7], chance: 0.6 },            // Taiga
+  { prefab: 'jungle', biomes: [6], on: [7], chance: 0.5 },          // Tropical Forest
+  { prefab: 'oak', biomes: [4, 7], on: [7], chance: 0.5 },          // Savanna, Temperate Forest
+  { prefab: 'pine', biomes: [8], chance: 0.3 },
+  { prefab: 'jungle', biomes: [6], chance: 0.25 },
+  { prefab: 'oak', biomes: [7], chance: 0.25 },
+  { prefab: 'oak', biomes: [4, 5], chance: 0.005 },                 // Lone trees
+  { prefab: 'cactus', biomes: [3], chance: 0.02 },                  // Desert
+  { prefab: 'boulder', biomes: [9, 10, 12], chance: 0.03, maxSlope: 2 },
+  { prefab: 'ruin', biomes: [3, 4, 5], chance: 0.0005, maxSlope: 0.5 }
+];
+
+const REGION_SIZE = 512;
+
+// worldHash salts
+const SALT_X = 0x504c4131;
+const SALT_Z = 0x504c4132;
+const SALT_ROTATION = 0x504c4133;
+const SALT_RULE = 0x504c4200;
+
+/**
+ * Placement settings for a world, or null when it has none
+ * `placement: false` or `enabled: false` turns it off
+ * @param {object} graph - World graph ({ nodes })
+ * @param {object} config - World config
+ * @param {object} library - Prefabs by name
+ * @returns {object|null} { cellSize, seaLevel, rules, prefabs, reach } - rules
+ *          name their prefab by index into prefabs; reach is the furthest a
+ *          prefab extends sideways from its anchor
+ */
+export function resolvePrefabPlacement(graph, config = {}, library = BUILTIN_PREFABS) {
+  const source = config.placement;
+  const classifier = graph?.nodes?.find(n => n.type === 'BlockClassifier');
+  if (source === false || source?.enabled === false || (!source && !classifier)) return null;
+
+  const settings = { ...PLACEMENT_DEFAULTS, ...source };
+  let seaLevel = settings.seaLevel;
+  if (seaLevel === null || seaLevel === undefined) {
+    const water = graph?.nodes?.find(n => n.type === 'Water');
+    seaLevel = water ? (water.params?.seaLevel || 0.4) : null;
+  }
+
+  const prefabs = [];
+  const prefabIndex = new Map();
+  const rules = [];
+  for (const rule of settings.rules || DEFAULT_PLACEMENT_RULES) {
+    const prefab = library[rule.prefab];
+    if (!prefab) {
+      console.warn(`⚠️  Placement rule names unknown prefab '${rule.prefab}' - skipped`);
+      continue;
+    }
+    if (!prefabIndex.has(rule.prefab)) {
+      prefabIndex.set(rule.prefab, prefabs.length);
+      prefabs.push(prefab);
+    }
+    rules.push({ ...RULE_DEFAULTS, ...rule, prefab: prefabIndex.get(rule.prefab) });
+  }
+  if (rules.length === 0) return null;
+
+  let reach = 0;
+  for (const { size, anchor } of prefabs) {
+    reach = Math.max(reach, anchor[0], size[0] - 1 - anchor[0], anchor[2], size[2] - 1 - anchor[2]);
+  }
+
+  return {
+    cellSize: Math.max(1, Math.floor(settings.cellSize) || PLACEMENT_DEFAULTS.cellSize),
+    seaLevel: seaLevel === null ? null : seaLevel * 256, // In blocks
+    rules,
+    prefabs,
+    reach
+  };
+}
+
+/**
+ * Placements anchored inside a region
+ * @param {object} region - { heightmap, biomemap, blockmap, waterblockmap, rivermap } (all but heightmap optional)
+ * @returns {Array<{prefab: number, position: number[], rotation: number, bounds: object}>}
+ *          position is the anchor's world block; bounds is the world box it fills
+ */
+export function placeRegionPrefabs(placement, region, regionX, regionZ, seed) {
+  const { cellSize, rules } = placement;
+  const placements = [];
+
+  const firstCellX = Math.floor(regionX / cellSize);
+  const firstCellZ = Math.floor(regionZ / cellSize);
+  const lastCellX = Math.floor((regionX + REGION_SIZE - 1) / cellSize);
+  const lastCellZ = Math.floor((regionZ + REGION_SIZE - 1) / cellSize);
+
+  for (let cellZ = firstCellZ; cellZ <= lastCellZ; cellZ++) {
+    for (let cellX = firstCellX; cellX <= lastCellX; cellX++) {
+      // Cells straddling a region border belong to whichever region their candidate falls in
+      const x = cellX * cellSize + Math.floor(worldHash(cellX, cellZ, seed, SALT_X) * cellSize);
+      const z = cellZ * cellSize + Math.floor(worldHash(cellX, cellZ, seed, SALT_Z) * cellSize);
+      const localX = x - regionX;
+      const localZ = z - regionZ;
+      if (localX < 0 || localX >= REGION_SIZE || localZ < 0 || localZ >= REGION_SIZE) continue;
+
+      const column = readColumn(region, localX, localZ);
+      if (isWet(placement, region, column)) continue;
+
+      for (let r = 0; r < rules.length; r++) {
+        const rule = rules[r];
+        if (!fitsRule(rule, column) || worldHash(cellX, cellZ, seed, SALT_RULE + r) >= rule.chance) continue;
+
+        const rotation = Math.floor(worldHash(cellX, cellZ, seed, SALT_ROTATION) * 4);
+        const groundY = Math.ceil(column.surfaceHeight); // First air block
+        const position = [x, groundY, z];
+        placements.push({
+          prefab: rule.prefab,
+          position,
+          rotation,
+          bounds: getPrefabBounds(placement.prefabs[rule.prefab], position, rotation)
+        });
+        break;
+      }
+    }
+  }
+
+  return placements;
+}
+
+/**
+ * Stamp placements onto one world column, worldY0 up (count blocks), in place
+ * @param {Array<object>} placements - In stamping order (later ones win)
+ * @param {Array<object>} prefabs - Indexed by placement.prefab
+ */
+export function applyPrefabsToColumn(placements, prefabs, worldX, worldZ, worldY0, count, out) {
+  for (const { prefab, position, rotation, bounds } of placements) {
+    stampPrefabColumn(prefabs[prefab], position, rotation, bounds, worldX, worldZ, worldY0, count, out);
+  }
+}
+
+/**
+ * Stamping order for placements gathered from several regions - by anchor, so
+ * every chunk overlapping two placements layers them the same way
+ */
+export function comparePlacements(a, b) {
+  return a.position[2] - b.position[2] || a.position[0] - b.position[0];
+}
+
+function readColumn(region, localX, localZ) {
+  const index = localZ * REGION_SIZE + localX;
+  const height = region.heightmap;
+  const at = (x, z) => height[Math.max(0, Math.min(REGION_SIZE - 1, z)) * REGION_SIZE + Math.max(0, Math.min(REGION_SIZE - 1, x))];
+  const h = height[index];
+  const slope = Math.max(
+    Math.abs(at(localX - 1, localZ) - h), Math.abs(at(localX + 1, localZ) - h),
+    Math.abs(at(localX, localZ - 1) - h), Math.abs(at(localX, localZ + 1) - h)
+  ) * 256;
+
+  return {
+    index,
+    height: h,
+    surfaceHeight: h * 256,
+    slope,
+    biome: region.biomemap ? region.biomemap[index] : 0,
+    topBlock: region.blockmap ? region.blockmap[index] : 0
+  };
+}
+
+/**
+ * Under the sea, in a river or on the classifier's surface water
+ */
+function isWet(placement, region, column) {
+  if (placement.seaLevel !== null && column.surfaceHeight < placement.seaLevel) return true;
+  if (region.rivermap && region.rivermap[column.index] > 0) return true;
+  return Boolean(region.waterblockmap && region.waterblockmap[column.index] > 0);
+}
+
+function fitsRule(rule, column) {
+  if (rule.biomes && !rule.biomes.includes(column.biome)) return false;
+  if (rule.on && !rule.on.includes(column.topBlock)) return false;
+  return column.slope <= rule.maxSlope && column.height >= rule.minHeight && column.height <= rule.maxHeight;
+}
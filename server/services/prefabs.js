@@ -0,0 +1,236 @@
+/**
+ * Prefabs - small voxel structures (trees, rocks, ruins) stamped onto terrain
+ * A prefab is plain data, so it can be handed to the chunk workers:
+ *   { name, size: [sx, sy, sz], anchor: [ax, ay, az], blocks }
+ * blocks holds sx·sy·sz block ids, x fastest, then y, then z (0 = leave the
+ * terrain alone). The anchor voxel goes in the first air block above the
+ * surface of the column it is placed on, so ay > 0 sinks a foundation.
+ */
+
+// Block ids (BlockClassifier defaults)
+const STONE = 3;
+const WOOD = 9;
+const LEAVES = 10;
+
+export const MAX_PREFAB_SIZE = 256; // Blocks per axis (MagicaVoxel's model limit)
+export const MAX_PREFAB_VOXELS = 1 << 21;
+const MAX_BLOCK_ID = 0xFFFF;
+const PREFAB_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Empty prefab
+ */
+export function createPrefab(name, size, anchor) {
+  return { name, size, anchor, blocks: new Array(size[0] * size[1] * size[2]).fill(0) };
+}
+
+/**
+ * Validate a prefab and keep only its fields
+ * @returns {object} { name, size, anchor, blocks } (blocks as a plain array)
+ */
+export function validatePrefab(prefab) {
+  if (prefab === null || typeof prefab !== 'object') {
+    throw new Error('prefab must be an object');
+  }
+
+  const { name, size, anchor, blocks } = prefab;
+  if (typeof name !== 'string' || !PREFAB_NAME.test(name)) {
+    throw new Error('prefab name must be 1-64 letters, digits, - or _');
+  }
+  if (!Array.isArray(size) || size.length !== 3 || !size.every(n => Number.isInteger(n) && n >= 1 && n <= MAX_PREFAB_SIZE)) {
+    throw new Error(`prefab size must be [x, y, z], 1-${MAX_PREFAB_SIZE} each`);
+  }
+  const voxelCount = size[0] * size[1] * size[2];
+  if (voxelCount > MAX_PREFAB_VOXELS) {
+    throw new Error(`prefab has ${voxelCount} voxels, at most ${MAX_PREFAB_VOXELS} allowed`);
+  }
+  if (!Array.isArray(anchor) || anchor.length !== 3 || !anchor.every((n, i) => Number.isInteger(n) && n >= 0 && n < size[i])) {
+    throw new Error('prefab anchor must be [x, y, z] inside the prefab');
+  }
+  if (!(Array.isArray(blocks) || ArrayBuffer.isView(blocks)) || blocks.length !== voxelCount) {
+    throw new Error(`prefab blocks must hold size x·y·z = ${voxelCount} block ids`);
+  }
+  for (let i = 0; i < blocks.length; i++) {
+    if (!Number.isInteger(blocks[i]) || blocks[i] < 0 || blocks[i] > MAX_BLOCK_ID) {
+      throw new Error(`prefab blocks[${i}] must be a block id 0-${MAX_BLOCK_ID}`);
+    }
+  }
+
+  return { name, size: [...size], anchor: [...anchor], blocks: Array.from(blocks) };
+}
+
+/**
+ * World box a prefab fills with its anchor at `position`, turned `rotation`
+ * quarter turns around the y axis
+ * @returns {{minX, minY, minZ, maxX, maxY, maxZ}} Inclusive
+ */
+export function getPrefabBounds(prefab, position, rotation = 0) {
+  const [sx, sy, sz] = prefab.size;
+  const [ax, ay, az] = prefab.anchor;
+  const [x, y, z] = position;
+
+  // Rotate the footprint's corners around the anchor
+  const [u0, v0] = rotate(-ax, -az, rotation);
+  const [u1, v1] = rotate(sx - 1 - ax, sz - 1 - az, rotation);
+  return {
+    minX: x + Math.min(u0, u1),
+    minY: y - ay,
+    minZ: z + Math.min(v0, v1),
+    maxX: x + Math.max(u0, u1),
+    maxY: y - ay + sy - 1,
+    maxZ: z + Math.max(v0, v1)
+  };
+}
+
+/**
+ * Stamp a placed prefab onto one world column, worldY0 up (count blocks), in place
+ * Non-air prefab blocks replace whatever is there
+ * @param {object} bounds - getPrefabBounds(prefab, position, rotation)
+ */
+export function stampPrefabColumn(prefab, position, rotation, bounds, worldX, worldZ, worldY0, count, out) {
+  if (worldX < bounds.minX || worldX > bounds.maxX || worldZ < bounds.minZ || worldZ > bounds.maxZ) return;
+
+  const [sx, sy, sz] = prefab.size;
+  const [ax, ay, az] = prefab.anchor;
+  const [u, v] = rotate(worldX - position[0], worldZ - position[2], (4 - rotation) % 4);
+  const px = ax + u;
+  const pz = az + v;
+  if (px < 0 || px >= sx || pz < 0 || pz >= sz) return;
+
+  const baseY = position[1] - ay;
+  const minY = Math.max(bounds.minY, worldY0);
+  const maxY = Math.min(bounds.maxY, worldY0 + count - 1);
+  for (let y = minY; y <= maxY; y++) {
+    const block = prefab.blocks[px + sx * ((y - baseY) + sy * pz)];
+    if (block !== 0) out[y - worldY0] = block;
+  }
+}
+
+/**
+ * Prefab offset from the anchor (u along x, v along z) to a world offset,
+ * `rotation` quarter turns
+ */
+function rotate(u, v, rotation) {
+  switch (rotation) {
+    case 1: return [-v, u];
+    case 2: return [-u, -v];
+    case 3: return [v, -u];
+    default: return [u, v];
+  }
+}
+
+/**
+ * Block id at prefab coordinates (0 outside the prefab)
+ */
+export function getPrefabBlock(prefab, x, y, z) {
+  const [sx, sy, sz] = prefab.size;
+  if (x < 0 || x >= sx || y < 0 || y >= sy || z < 0 || z >= sz) return 0;
+  return prefab.blocks[x + sx * (y + sy * z)];
+}
+
+function setBlock(prefab, x, y, z, block) {
+  const [sx, sy] = prefab.size;
+  prefab.blocks[x + sx * (y + sy * z)] = block;
+}
+
+/**
+ * Trunk with a round crown of leaves
+ */
+function buildRoundTree(name, { trunkHeight, radius }) {
+  const width = radius * 2 + 1;
+  const prefab = createPrefab(name, [width, trunkHeight + radius + 1, width], [radius, 0, radius]);
+  const crownY = trunkHeight;
+  const radiusSq = radius * radius + 1;
+
+  for (let z = 0; z < width; z++) {
+    for (let y = crownY - radius; y <= crownY + radius; y++) {
+      for (let x = 0; x < width; x++) {
+        const dx = x - radius;
+        const dy = y - crownY;
+        const dz = z - radius;
+        if (dx * dx + dy * dy + dz * dz <= radiusSq) setBlock(prefab, x, y, z, LEAVES);
+      }
+    }
+  }
+  for (let y = 0; y < trunkHeight; y++) {
+    setBlock(prefab, radius, y, radius, WOOD);
+  }
+  return prefab;
+}
+
+/**
+ * Trunk with a cone of leaves, widest at the bottom
+ */
+function buildConifer(name, { trunkHeight, radius }) {
+  const width = radius * 2 + 1;
+  const height = trunkHeight + 2;
+  const prefab = createPrefab(name, [width, height, width], [radius, 0, radius]);
+  const crownBottom = 2;
+  const crownHeight = height - crownBottom;
+
+  for (let y = crownBottom; y < height; y++) {
+    const layerRadius = Math.round(radius * (height - y) / crownHeight);
+    for (let z = radius - layerRadius; z <= radius + layerRadius; z++) {
+      for (let x = radius - layerRadius; x <= radius + layerRadius; x++) {
+        if (Math.abs(x - radius) + Math.abs(z - radius) <= layerRadius + 1) setBlock(prefab, x, y, z, LEAVES);
+      }
+    }
+  }
+  for (let y = 0; y < trunkHeight; y++) {
+    setBlock(prefab, radius, y, radius, WOOD);
+  }
+  return prefab;
+}
+
+function buildCactus() {
+  const prefab = createPrefab('cactus', [3, 4, 1], [1, 0, 0]);
+  for (let y = 0; y < 4; y++) setBlock(prefab, 1, y, 0, LEAVES);
+  setBlock(prefab, 0, 2, 0, LEAVES);
+  setBlock(prefab, 2, 1, 0, LEAVES);
+  return prefab;
+}
+
+/**
+ * Rounded rock, its bottom layer buried
+ */
+function buildBoulder() {
+  const prefab = createPrefab('boulder', [3, 3, 3], [1, 1, 1]);
+  for (let z = 0; z < 3; z++) {
+    for (let y = 0; y < 3; y++) {
+      for (let x = 0; x < 3; x++) {
+        const corners = (x !== 1) + (y !== 1) + (z !== 1);
+        if (corners < 3) setBlock(prefab, x, y, z, STONE);
+      }
+    }
+  }
+  return prefab;
+}
+
+/**
+ * Stone floor with broken walls around it, the floor sunk into the ground
+ */
+function buildRuin() {
+  const size = 7;
+  const prefab = createPrefab('ruin', [size, 4, size], [3, 1, 3]);
+  for (let z = 0; z < size; z++) {
+    for (let x = 0; x < size; x++) {
+      setBlock(prefab, x, 0, z, STONE);
+      if (x !== 0 && x !== size - 1 && z !== 0 && z !== size - 1) continue;
+
+      // Walls crumble to 0-3 blocks high
+      const wallHeight = (x * 7 + z * 3) % 4;
+      for (let y = 1; y <= wallHeight; y++) setBlock(prefab, x, y, z, STONE);
+    }
+  }
+  return prefab;
+}
+
+// Available to every world by name
+export const BUILTIN_PREFABS = {
+  oak: buildRoundTree('oak', { trunkHeight: 4, radius: 2 }),
+  jungle: buildRoundTree('jungle', { trunkHeight: 8, radius: 3 }),
+  pine: buildConifer('pine', { trunkHeight: 7, radius: 2 }),
+  cactus: buildCactus(),
+  boulder: buildBoulder(),
+  ruin: buildRuin()
+};
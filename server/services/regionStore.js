@@ -0,0 +1,176 @@
+/**
+ * Region Store - generated 512×512 region maps on disk
+ * Written by the baker (server/bake.js) so a pre-baked world never has to run
+ * its graph again; getRegion() reads them before generating.
+ *
+ * Disk layout: storage/worlds/<worldId>/regions/<version>/<regionX>_<regionZ>.region
+ * The version hashes what shapes the region (seed, graph, config, backend).
+ *
+ * File (little-endian): u32 magic 'SVRG', u32 version (1), u32 resolution,
+ * u32 map count (5), then per map (heightmap, biomemap, blockmap, waterblockmap,
+ * rivermap): u32 array type (0 = absent, see ARRAY_TYPES), u32 byte length,
+ * bytes padded to 4.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const REGION_MAGIC = 0x53565247; // 'SVRG'
+const REGION_FILE_VERSION = 1;
+const MAPS = ['heightmap', 'biomemap', 'blockmap', 'waterblockmap', 'rivermap'];
+
+const ARRAY_TYPES = [null, Float32Array, Uint8Array, Uint16Array, Uint32Array, Int32Array];
+
+export class RegionStore {
+  /**
+   * @param {object} options - { storageDir }
+   */
+  constructor(options = {}) {
+    this.storageDir = options.storageDir || 'storage/worlds';
+    this.stats = { loads: 0, saves: 0, misses: 0 };
+  }
+
+  getRegionPath(worldId, version, regionX, regionZ) {
+    return path.join(this.storageDir, worldId, 'regions', version, `${regionX}_${regionZ}.region`);
+  }
+
+  /**
+   * Region maps from disk
+   * @returns {Promise<{heightmap, biomemap, blockmap, waterblockmap, rivermap, resolution}|null>} null if not stored (or unreadable)
+   */
+  async load(worldId, version, regionX, regionZ) {
+    let buffer;
+    try {
+      buffer = await fs.readFile(this.getRegionPath(worldId, version, regionX, regionZ));
+    } catch {
+      this.stats.misses++;
+      return null;
+    }
+
+    try {
+      const region = decodeRegion(buffer);
+      this.stats.loads++;
+      return region;
+    } catch (error) {
+      console.warn(`⚠️  Ignoring bad region file (${regionX}, ${regionZ}):`, error.message);
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  async has(worldId, version, regionX, regionZ) {
+    try {
+      await fs.access(this.getRegionPath(worldId, version, regionX, regionZ));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Write region maps (write-then-rename, like the chunk cache)
+   * @returns {Promise<number>} Bytes written
+   */
+  async save(worldId, version, regionX, regionZ, region) {
+    const filePath = this.getRegionPath(worldId, version, regionX, regionZ);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const buffer = encodeRegion(region);
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`; // Unique per save - saves may overlap
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+    this.stats.saves++;
+    return buffer.length;
+  }
+
+  /**
+   * Remove a world's stored regions ("regionX_regionZ"), every version
+   * @returns {Promise<number>} Files removed
+   */
+  async purge(worldId, regionIds) {
+    const regionsDir = path.join(this.storageDir, worldId, 'regions');
+    let versions;
+    try {
+      versions = await fs.readdir(regionsDir, { withFileTypes: true });
+    } catch {
+      return 0;
+    }
+
+    let removed = 0;
+    for (const entry of versions) {
+      if (!entry.isDirectory()) continue;
+      for (const regionId of regionIds) {
+        try {
+          await fs.rm(path.join(regionsDir, entry.name, `${regionId}.region`));
+          removed++;
+        } catch {
+          // Not stored for this version
+        }
+      }
+    }
+    return removed;
+  }
+}
+
+function encodeRegion(region) {
+  const parts = [];
+  const header = Buffer.alloc(16);
+  header.writeUInt32LE(REGION_MAGIC, 0);
+  header.writeUInt32LE(REGION_FILE_VERSION, 4);
+  header.writeUInt32LE(region.resolution, 8);
+  header.writeUInt32LE(MAPS.length, 12);
+  parts.push(header);
+
+  for (const name of MAPS) {
+    const array = region[name];
+    const type = array ? ARRAY_TYPES.findIndex(Type => Type && array instanceof Type) : 0;
+    const bytes = type > 0 ? Buffer.from(array.buffer, array.byteOffset, array.byteLength) : Buffer.alloc(0);
+
+    const mapHeader = Buffer.alloc(8);
+    mapHeader.writeUInt32LE(Math.max(type, 0), 0); // Unknown array types are not stored
+    mapHeader.writeUInt32LE(type > 0 ? bytes.length : 0, 4);
+    parts.push(mapHeader);
+    if (type > 0) {
+      parts.push(bytes, Buffer.alloc((4 - (bytes.length % 4)) % 4));
+    }
+  }
+
+  return Buffer.concat(parts);
+}
+
+function decodeRegion(buffer) {
+  if (buffer.length < 16 || buffer.readUInt32LE(0) !== REGION_MAGIC) {
+    throw new Error('not a region file');
+  }
+  if (buffer.readUInt32LE(4) !== REGION_FILE_VERSION) {
+    throw new Error(`unsupported region file version ${buffer.readUInt32LE(4)}`);
+  }
+
+  const region = { resolution: buffer.readUInt32LE(8) };
+  if (buffer.readUInt32LE(12) !== MAPS.length) {
+    throw new Error(`region file has ${buffer.readUInt32LE(12)} maps, expected ${MAPS.length}`);
+  }
+  let offset = 16;
+  for (let i = 0; i < MAPS.length; i++) {
+    if (offset + 8 > buffer.length) throw new Error('truncated region file');
+    const type = buffer.readUInt32LE(offset);
+    const byteLength = buffer.readUInt32LE(offset + 4);
+    offset += 8;
+
+    const Type = ARRAY_TYPES[type];
+    if (type !== 0 && (!Type || offset + byteLength > buffer.length || byteLength % Type.BYTES_PER_ELEMENT !== 0)) {
+      throw new Error('bad region map');
+    }
+
+    // Copy out - the read buffer's offset may not be aligned for the array type
+    const array = Type ? new Type(buffer.buffer.slice(buffer.byteOffset + offset, buffer.byteOffset + offset + byteLength)) : null;
+    region[MAPS[i]] = array;
+    offset += byteLength + (Type ? (4 - (byteLength % 4)) % 4 : 0);
+  }
+
+  if (!region.heightmap || region.heightmap.length !== region.resolution * region.resolution) {
+    throw new Error('region file has no heightmap');
+  }
+  return region;
+}
@@ -0,0 +1,248 @@
+/**
+ * River Network - rivers for V2 regions
+ * Port of the V1 SuperChunkGenerator rivers: a share of the peaks (findPeaks),
+ * picked by hashing their world position, spring a river that runs to its
+ * lowest neighbour (findDownhillPath) until it reaches sea level, gets stuck
+ * or is maxLength cells long.
+ *
+ * A region's rivers are traced over the 3×3 regions around it. maxLength is at
+ * most a region width, so every river reaching the centre region springs inside
+ * that neighbourhood and takes the same path whichever region traces it - rivers
+ * run on across region borders.
+ *
+ * Rivers cut a channel into the heightmap (the bed never rises downstream) and
+ * the region's riverMap layer holds the water depth above the bed, in blocks
+ * (0 = no river).
+ */
+
+import { worldHash } from '../lib/nodes/BaseNode.js';
+
+export const RIVER_DEFAULTS = {
+  sourceAltitude: 0.08,  // Peaks this far above sea level (0-1 height) may spring a river
+  sourceChance: 0.3,     // Share of those peaks that do
+  maxLength: 512,        // Cells - at most a region width (see above)
+  maxClimb: 2,           // Blocks a river may rise to get out of a pit (0 = stop there)
+  riverWidth: 1,         // Cells carved on either side of the path
+  channelDepth: 3,       // Blocks the bed is cut below the terrain
+  waterDepth: 2,         // Blocks of water above the bed
+  waterBlockId: 6,       // Water
+  bedBlockId: 4,         // Sand
+  seaLevel: null         // 0-1 height; null = the graph's Water node sea level
+};
+
+const REGION_SIZE = 512;
+const GRID_SIZE = REGION_SIZE * 3;
+const RIVER_SALT = 0x52495645;
+
+/**
+ * River settings for a world, or null when it has none
+ * config.rivers (same keys) turns them on; worlds whose graph has a Water node
+ * get the defaults. `rivers: false` or `enabled: false` turns them off.
+ * @param {object} graph - World graph ({ nodes })
+ * @param {object} config - World config
+ * @returns {object|null} RIVER_DEFAULTS-shaped settings, seaLevel resolved
+ */
+export function resolveRiverNetwork(graph, config = {}) {
+  const source = config.rivers;
+  const water = graph?.nodes?.find(n => n.type === 'Water');
+  if (source === false || source?.enabled === false || (!source && !water)) return null;
+
+  const rivers = {};
+  for (const [key, fallback] of Object.entries(RIVER_DEFAULTS)) {
+    const value = Number(source?.[key]);
+    rivers[key] = source?.[key] !== null && Number.isFinite(value) ? value : fallback;
+  }
+  if (rivers.seaLevel === null) {
+    rivers.seaLevel = water?.params?.seaLevel || 0.4;
+  }
+  rivers.maxLength = Math.min(rivers.maxLength, REGION_SIZE);
+  return rivers;
+}
+
+/**
+ * Trace the rivers crossing one region and carve them into its heightmap
+ * @param {object} rivers - resolveRiverNetwork result
+ * @param {Array<Float32Array>} heightmaps - The 3×3 regions' heightmaps, row by
+ *        row from (regionX - 512, regionZ - 512); index 4 is the region itself
+ * @param {number} regionX - World block origin of the centre region (x, z)
+ * @param {number} seed - World seed
+ * @returns {{heightmap: Float32Array, rivermap: Uint8Array, riverCount: number}}
+ *          heightmap is a carved copy; riverCount counts rivers reaching the region
+ */
+export function traceRegionRivers(rivers, heightmaps, regionX, regionZ, seed) {
+  const grid = stitchNeighbourhood(heightmaps);
+  const originX = regionX - REGION_SIZE;
+  const originZ = regionZ - REGION_SIZE;
+
+  // Lowest bed and highest water level per centre cell, from every river
+  // crossing it - min/max, so the order rivers are traced in doesn't matter
+  const beds = new Float32Array(REGION_SIZE * REGION_SIZE).fill(Infinity);
+  const levels = new Float32Array(REGION_SIZE * REGION_SIZE).fill(-Infinity);
+
+  let riverCount = 0;
+  for (const peak of findPeaks(grid, rivers.seaLevel + rivers.sourceAltitude)) {
+    const peakX = originX + peak % GRID_SIZE;
+    const peakZ = originZ + Math.floor(peak / GRID_SIZE);
+    if (worldHash(peakX, peakZ, seed, RIVER_SALT) >= rivers.sourceChance) continue;
+
+    const path = findDownhillPath(peak, grid, rivers);
+    if (carvePath(path, rivers, beds, levels)) riverCount++;
+  }
+
+  const center = heightmaps[4];
+  const heightmap = new Float32Array(center);
+  const rivermap = new Uint8Array(REGION_SIZE * REGION_SIZE);
+  for (let i = 0; i < heightmap.length; i++) {
+    if (beds[i] === Infinity) continue;
+    heightmap[i] = Math.min(center[i], beds[i]);
+    const depth = Math.round((levels[i] - heightmap[i]) * 256);
+    rivermap[i] = Math.max(0, Math.min(depth, rivers.channelDepth));
+  }
+
+  return { heightmap, rivermap, riverCount };
+}
+
+/**
+ * Fill a column's river water and bed, in place (after block strata)
+ * @param {number} riverDepth - The column's riverMap value
+ * @param {number} surfaceHeight - Carved heightmap surface, in blocks
+ * @param {Uint32Array} out - out[0..count-1], block worldY0 up
+ */
+export function applyRiverColumn(rivers, riverDepth, surfaceHeight, worldY0, count, out) {
+  const waterLevel = surfaceHeight + riverDepth;
+
+  for (let i = 0; i < count; i++) {
+    const worldY = worldY0 + i;
+    const depth = surfaceHeight - worldY;
+
+    if (out[i] === 0) {
+      if (depth <= 0 && worldY < waterLevel) out[i] = rivers.waterBlockId;
+    } else if (depth > 0 && depth <= 1) {
+      out[i] = rivers.bedBlockId;
+    }
+  }
+}
+
+/**
+ * One heightmap over the 3×3 regions (GRID_SIZE square)
+ */
+function stitchNeighbourhood(heightmaps) {
+  const grid = new Float32Array(GRID_SIZE * GRID_SIZE);
+  for (let region = 0; region < 9; region++) {
+    const map = heightmaps[region];
+    const offsetX = (region % 3) * REGION_SIZE;
+    const offsetZ = Math.floor(region / 3) * REGION_SIZE;
+    for (let y = 0; y < REGION_SIZE; y++) {
+      grid.set(map.subarray(y * REGION_SIZE, (y + 1) * REGION_SIZE), (offsetZ + y) * GRID_SIZE + offsetX);
+    }
+  }
+  return grid;
+}
+
+/**
+ * Peaks (local maxima) at or above minHeight, as grid indices
+ */
+function findPeaks(grid, minHeight) {
+  const peaks = [];
+
+  for (let y = 1; y < GRID_SIZE - 1; y++) {
+    for (let x = 1; x < GRID_SIZE - 1; x++) {
+      const idx = y * GRID_SIZE + x;
+      const height = grid[idx];
+      if (height < minHeight) continue;
+
+      let isPeak = true;
+      for (let dy = -1; dy <= 1 && isPeak; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if ((dx !== 0 || dy !== 0) && grid[idx + dy * GRID_SIZE + dx] >= height) {
+            isPeak = false;
+            break;
+          }
+        }
+      }
+      if (isPeak) peaks.push(idx);
+    }
+  }
+
+  return peaks;
+}
+
+/**
+ * Path from a peak to its lowest unvisited neighbour, step by step
+ * The bed follows the terrain channelDepth blocks down and never rises; the
+ * river stops below sea level, when nothing is left around it or when the
+ * next cell would need a cut deeper than channelDepth + maxClimb
+ * @returns {Array<{idx: number, bed: number, level: number}>}
+ */
+function findDownhillPath(start, grid, rivers) {
+  const channel = rivers.channelDepth / 256;
+  const maxCut = (rivers.channelDepth + rivers.maxClimb) / 256;
+  const water = rivers.waterDepth / 256;
+
+  const path = [];
+  const visited = new Set();
+  let current = start;
+  let bed = grid[start] - channel;
+
+  while (path.length < rivers.maxLength) {
+    path.push({ idx: current, bed, level: bed + water });
+    visited.add(current);
+    if (grid[current] <= rivers.seaLevel) break; // Reached the sea
+
+    const x = current % GRID_SIZE;
+    const y = Math.floor(current / GRID_SIZE);
+    let lowest = -1;
+    let lowestHeight = Infinity;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if ((dx === 0 && dy === 0) || nx < 0 || nx >= GRID_SIZE || ny < 0 || ny >= GRID_SIZE) continue;
+
+        const nidx = ny * GRID_SIZE + nx;
+        if (!visited.has(nidx) && grid[nidx] < lowestHeight) {
+          lowestHeight = grid[nidx];
+          lowest = nidx;
+        }
+      }
+    }
+
+    if (lowest === -1 || lowestHeight - bed > maxCut) break; // Stuck
+    current = lowest;
+    bed = Math.min(bed, lowestHeight - channel);
+  }
+
+  return path;
+}
+
+/**
+ * Carve a path (riverWidth cells either side) into the centre region's beds
+ * and water levels
+ * @returns {boolean} Whether the river reaches the centre region
+ */
+function carvePath(path, rivers, beds, levels) {
+  const width = rivers.riverWidth;
+  const widthSq = width * width;
+  let reached = false;
+
+  for (const { idx, bed, level } of path) {
+    const x = idx % GRID_SIZE - REGION_SIZE;
+    const y = Math.floor(idx / GRID_SIZE) - REGION_SIZE;
+    if (x < -width || x >= REGION_SIZE + width || y < -width || y >= REGION_SIZE + width) continue;
+
+    for (let dy = -width; dy <= width; dy++) {
+      for (let dx = -width; dx <= width; dx++) {
+        const cx = x + dx;
+        const cy = y + dy;
+        if (dx * dx + dy * dy > widthSq || cx < 0 || cx >= REGION_SIZE || cy < 0 || cy >= REGION_SIZE) continue;
+
+        const cell = cy * REGION_SIZE + cx;
+        beds[cell] = Math.min(beds[cell], bed);
+        levels[cell] = Math.max(levels[cell], level);
+        reached = true;
+      }
+    }
+  }
+
+  return reached;
+}
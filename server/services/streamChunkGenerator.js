@@ -6,6 +6,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { SVDAGBuilder } from './svdagBuilder.js';
+import { encodeChunk, decodeChunk } from '../../public/js/svdagCodec.js';
 
 export class StreamChunkGenerator {
   constructor(superChunkGenerator) {
@@ -340,131 +341,34 @@ export class StreamChunkGenerator {
   }
   
   /**
-   * Encode stream chunk to binary SVDAG format
-   * Format: See CHUNK_FORMAT_SPECIFICATION.md
+   * Encode stream chunk to binary SVDAG format (shared v3 codec)
    */
   encodeSVDAGChunk(streamChunk) {
     const { materialSVDAG, opaqueSVDAG, position } = streamChunk;
-    
-    // Calculate sizes
-    const headerSize = 40; // Extended header for dual SVDAG
-    const matNodesSize = materialSVDAG.nodesBuffer.byteLength;
-    const matLeavesSize = materialSVDAG.leavesBuffer.byteLength;
-    const opqNodesSize = opaqueSVDAG.nodesBuffer.byteLength;
-    const opqLeavesSize = opaqueSVDAG.leavesBuffer.byteLength;
-    
-    const totalSize = headerSize + matNodesSize + matLeavesSize + opqNodesSize + opqLeavesSize;
-    
-    const buffer = Buffer.alloc(totalSize);
-    let offset = 0;
-    
-    // Write header
-    buffer.writeUInt32LE(0x53564441, offset); offset += 4; // Magic: 'SVDA'
-    buffer.writeUInt32LE(2, offset); offset += 4; // Version 2 (dual SVDAG)
-    buffer.writeUInt32LE(32, offset); offset += 4; // Chunk size
-    buffer.writeUInt32LE(materialSVDAG.nodeCount, offset); offset += 4;
-    buffer.writeUInt32LE(materialSVDAG.leafCount, offset); offset += 4;
-    buffer.writeUInt32LE(materialSVDAG.rootIdx, offset); offset += 4;
-    buffer.writeUInt32LE(0x1, offset); offset += 4; // Flags: hasOpaque
-    buffer.writeUInt32LE(0, offset); offset += 4; // Checksum (TODO)
-    buffer.writeUInt32LE(opaqueSVDAG.rootIdx, offset); offset += 4;
-    buffer.writeUInt32LE(opaqueSVDAG.nodeCount, offset); offset += 4;
-    
-    // Write material nodes (use byteOffset and byteLength to avoid copying whole underlying buffer)
-    const matNodesView = Buffer.from(
-      materialSVDAG.nodesBuffer.buffer,
-      materialSVDAG.nodesBuffer.byteOffset,
-      materialSVDAG.nodesBuffer.byteLength
-    );
-    matNodesView.copy(buffer, offset);
-    offset += matNodesSize;
-    
-    // Write material leaves
-    const matLeavesView = Buffer.from(
-      materialSVDAG.leavesBuffer.buffer,
-      materialSVDAG.leavesBuffer.byteOffset,
-      materialSVDAG.leavesBuffer.byteLength
-    );
-    matLeavesView.copy(buffer, offset);
-    offset += matLeavesSize;
-    
-    // Write opaque nodes
-    const opqNodesView = Buffer.from(
-      opaqueSVDAG.nodesBuffer.buffer,
-      opaqueSVDAG.nodesBuffer.byteOffset,
-      opaqueSVDAG.nodesBuffer.byteLength
-    );
-    opqNodesView.copy(buffer, offset);
-    offset += opqNodesSize;
-    
-    // Write opaque leaves
-    const opqLeavesView = Buffer.from(
-      opaqueSVDAG.leavesBuffer.buffer,
-      opaqueSVDAG.leavesBuffer.byteOffset,
-      opaqueSVDAG.leavesBuffer.byteLength
-    );
-    opqLeavesView.copy(buffer, offset);
-    
-    return buffer;
+    const [cx, cy, cz] = position || [0, 0, 0];
+    const bytes = encodeChunk({ materialSVDAG, opaqueSVDAG, cx, cy, cz });
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
   }
   
   /**
-   * Decode binary SVDAG chunk
+   * Decode binary SVDAG chunk (v2 or v3) - throws on corrupt or truncated data
    */
   decodeSVDAGChunk(buffer) {
-    let offset = 0;
-    
-    // Read header
-    const magic = buffer.readUInt32LE(offset); offset += 4;
-    if (magic !== 0x53564441) {
-      throw new Error('Invalid SVDAG chunk: bad magic number');
-    }
-    
-    const version = buffer.readUInt32LE(offset); offset += 4;
-    const chunkSize = buffer.readUInt32LE(offset); offset += 4;
-    const matNodeCount = buffer.readUInt32LE(offset); offset += 4;
-    const matLeafCount = buffer.readUInt32LE(offset); offset += 4;
-    const matRootIdx = buffer.readUInt32LE(offset); offset += 4;
-    const flags = buffer.readUInt32LE(offset); offset += 4;
-    const checksum = buffer.readUInt32LE(offset); offset += 4;
-    const opqRootIdx = buffer.readUInt32LE(offset); offset += 4;
-    const opqNodeCount = buffer.readUInt32LE(offset); offset += 4;
-    
-    // Read material nodes
-    const matNodesSize = matNodeCount * 4; // Assuming 4 bytes per node entry
-    const matNodesBuffer = new Uint32Array(buffer.buffer, buffer.byteOffset + offset, matNodeCount);
-    offset += matNodesSize;
-    
-    // Read material leaves
-    const matLeavesBuffer = new Uint32Array(buffer.buffer, buffer.byteOffset + offset, matLeafCount);
-    offset += matLeafCount * 4;
-    
-    // Read opaque nodes
-    const opqNodesSize = opqNodeCount * 4;
-    const opqNodesBuffer = new Uint32Array(buffer.buffer, buffer.byteOffset + offset, opqNodeCount);
-    offset += opqNodesSize;
-    
-    // Read opaque leaves
-    const opqLeafCount = (buffer.length - offset) / 4;
-    const opqLeavesBuffer = new Uint32Array(buffer.buffer, buffer.byteOffset + offset, opqLeafCount);
+    const chunk = decodeChunk(buffer);
+    const toBuilderSVDAG = (svdag) => ({
+      nodesBuffer: svdag.nodes,
+      leavesBuffer: svdag.leaves,
+      rootIdx: svdag.rootIdx,
+      nodeCount: svdag.nodes.length,
+      leafCount: svdag.leaves.length
+    });
     
     return {
-      materialSVDAG: {
-        nodesBuffer: matNodesBuffer,
-        leavesBuffer: matLeavesBuffer,
-        rootIdx: matRootIdx,
-        nodeCount: matNodeCount,
-        leafCount: matLeafCount
-      },
-      opaqueSVDAG: {
-        nodesBuffer: opqNodesBuffer,
-        leavesBuffer: opqLeavesBuffer,
-        rootIdx: opqRootIdx,
-        nodeCount: opqNodeCount,
-        leafCount: opqLeafCount
-      },
-      chunkSize,
-      version
+      position: chunk.position ? [chunk.position.cx, chunk.position.cy, chunk.position.cz] : undefined,
+      materialSVDAG: toBuilderSVDAG(chunk.materialSVDAG),
+      opaqueSVDAG: toBuilderSVDAG(chunk.opaqueSVDAG),
+      chunkSize: chunk.chunkSize,
+      version: chunk.version
     };
   }
 }
@@ -5,6 +5,8 @@
 
 import fs from 'fs/promises';
 import path from 'path';
+import { getRegionApron, cropToRegion } from './graphExecutor.js';
+import { worldHash } from '../lib/nodes/BaseNode.js';
 
 export class SuperChunkGenerator {
   constructor(graphExecutor) {
@@ -41,25 +43,30 @@ export class SuperChunkGenerator {
       seed: config.seed || 12345
     };
     
-    // 3. Execute node graph for this region
+    // 3. Execute node graph for this region plus its apron (cropped after rivers)
     console.log(`  📊 Executing graph for region (${region.x}, ${region.z})...`);
-    const graphResults = await this.graphExecutor.execute(graph, region, config);
+    const graphResults = await this.graphExecutor.execute(graph, region, config, {
+      apron: getRegionApron(config),
+      crop: false
+    });
     console.log(`  🔍 Graph outputs:`, Object.keys(graphResults));
+    const apron = graphResults.apron || 0;
+    const resolution = 512 + 2 * apron;
     
     // 4. Extract base heightmap
-    const heightMap = graphResults.heightmap || new Float32Array(512 * 512);
+    const extendedHeightMap = graphResults.heightmap || new Float32Array(resolution * resolution);
     
     // Debug: Show heightmap range
     let minH = Infinity, maxH = -Infinity;
-    for (let i = 0; i < heightMap.length; i++) {
-      minH = Math.min(minH, heightMap[i]);
-      maxH = Math.max(maxH, heightMap[i]);
+    for (let i = 0; i < extendedHeightMap.length; i++) {
+      minH = Math.min(minH, extendedHeightMap[i]);
+      maxH = Math.max(maxH, extendedHeightMap[i]);
     }
     console.log(`  🏔️  Height range: ${minH.toFixed(3)} - ${maxH.toFixed(3)}`);
     
     // 5. Generate biome map
     console.log(`  🌲 Classifying biomes...`);
-    const biomeMap = graphResults.biomemap || new Uint8Array(512 * 512);
+    const biomeMap = cropToRegion(graphResults.biomemap || new Uint8Array(resolution * resolution), apron, 512);
     
     // Debug: Show biome distribution
     const biomeCounts = {};
@@ -71,7 +78,7 @@ export class SuperChunkGenerator {
     
     // 6. Generate block map
     console.log(`  🧱 Classifying blocks...`);
-    const blockMap = graphResults.blockmap || new Uint16Array(512 * 512);
+    const blockMap = cropToRegion(graphResults.blockmap || new Uint16Array(resolution * resolution), apron, 512);
     
     // Debug: Show block type distribution
     const blockCounts = {};
@@ -81,9 +88,12 @@ export class SuperChunkGenerator {
     }
     console.log(`  📊 Block distribution:`, blockCounts);
     
-    // 7. Run river pathfinding (CPU, A* across full region)
+    // 7. Run river pathfinding (CPU, across the region and its apron, so rivers
+    //    leave the region where its neighbour's rivers come in)
     console.log(`  🌊 Generating rivers...`);
-    const riverMap = await this.generateRivers(heightMap, biomeMap, region);
+    const extendedRiverMap = await this.generateRivers(extendedHeightMap, { ...region, apron, resolution });
+    const heightMap = cropToRegion(extendedHeightMap, apron, 512);
+    const riverMap = cropToRegion(extendedRiverMap, apron, 512);
     
     // 8. Create super chunk data
     const superChunk = {
@@ -107,10 +117,15 @@ export class SuperChunkGenerator {
   
   /**
    * Generate rivers using A* pathfinding
+   * Works on the apron-extended grid; which peaks spring a river is hashed from
+   * their world position, so neighbours carve the same rivers through the overlap
+   * @param {object} region - { x, z, seed, apron, resolution }
    */
-  async generateRivers(heightMap, biomeMap, region) {
-    const rivers = new Uint8Array(512 * 512);
-    const resolution = 512;
+  async generateRivers(heightMap, region) {
+    const resolution = region.resolution || 512;
+    const rivers = new Uint8Array(resolution * resolution);
+    const originX = region.x - (region.apron || 0);
+    const originZ = region.z - (region.apron || 0);
     
     // Find mountain peaks (potential river sources)
     const peaks = this.findPeaks(heightMap, resolution);
@@ -124,10 +139,12 @@ export class SuperChunkGenerator {
     
     // Generate rivers from a subset of peaks
     for (const peak of peaks) {
-      if (Math.random() > 0.3) continue; // Only 30% of peaks have rivers
+      const peakX = originX + peak % resolution;
+      const peakZ = originZ + Math.floor(peak / resolution);
+      if (worldHash(peakX, peakZ, region.seed) > 0.3) continue; // Only 30% of peaks have rivers
       
       // Find nearest low point
-      const target = this.findNearestLowPoint(peak, lowPoints);
+      const target = this.findNearestLowPoint(peak, lowPoints, resolution);
       
       // A* pathfinding
       const path = this.findDownhillPath(peak, target, heightMap, resolution);
@@ -199,8 +216,7 @@ export class SuperChunkGenerator {
   /**
    * Find nearest low point to a peak
    */
-  findNearestLowPoint(peakIdx, lowPoints) {
-    const resolution = 512;
+  findNearestLowPoint(peakIdx, lowPoints, resolution = 512) {
     const px = peakIdx % resolution;
     const py = Math.floor(peakIdx / resolution);
     
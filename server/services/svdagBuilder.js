@@ -2,9 +2,43 @@
  * SVDAG Builder - Server-side version
  * Ported from client-side svdagRenderer.js
  * Builds Sparse Voxel Directed Acyclic Graph from voxel grids
+ *
+ * Bottom-up over typed arrays: each level of the octree is a grid of node ids,
+ * merged 2×2×2 at a time into the level above. Nodes are hash-consed by
+ * (childMask, child ids) in an open-addressing table, so identical subtrees
+ * share one id and no object tree or string hash is ever built. The unique
+ * nodes are then laid out in the same pre-order as the original recursive
+ * builder, so the output is byte-identical to it.
+ *
+ * Scratch buffers are kept on the instance and reused between builds.
  */
 
+const EMPTY = 0;           // Node id for air / pruned subtrees
+const LEAF_MASK = 0;       // childMask stored for leaves (inner nodes are never 0)
+const INITIAL_NODES = 4096;
+
 export class SVDAGBuilder {
+  constructor() {
+    // Unique nodes by id (id 0 = empty)
+    this.nodeCapacity = 0;
+    this.nodeMask = null;      // Uint8Array - childMask, LEAF_MASK for leaves
+    this.nodeChildren = null;  // Int32Array - 8 child ids per node
+    this.nodeBlock = null;     // Uint32Array - blockId for leaves
+
+    // Hash-consing table of node ids (0 = free slot)
+    this.table = null;
+    this.tableMask = 0;
+
+    // Ping-pong level grids
+    this.levelA = null;
+    this.levelB = null;
+
+    // Flattened index per node id
+    this.emitted = null;
+
+    this.childScratch = new Int32Array(8);
+  }
+
   /**
    * Build SVDAG from voxel grid
    * @param {Uint32Array} voxelGrid - 3D voxel grid (flattened)
@@ -15,210 +49,350 @@ export class SVDAGBuilder {
   build(voxelGrid, size, options = {}) {
     this.size = size;
     this.maxDepth = Math.log2(size);
-    this.nodes = [];
-    this.leaves = [];
-    this.nodeMap = new Map();
     this.materials = options.materials || null;
     this.buildOpaqueDag = options.buildOpaque || false;
-    
-    // DEBUG: Count non-air voxels FIRST
-    let solidCount = 0;
-    const blockCounts = {};
-    for (let i = 0; i < voxelGrid.length; i++) {
-      if (voxelGrid[i] !== 0) {
-        solidCount++;
-        blockCounts[voxelGrid[i]] = (blockCounts[voxelGrid[i]] || 0) + 1;
-      }
-    }
-    
-    const startTime = Date.now();
-    
-    // Phase 1: Build octree
-    this._leafCount = 0;  // Reset counter
-    const root = this.buildNode(voxelGrid, 0, 0, 0, this.size, 0);
-    
-    
-    // Phase 2: Flatten to DAG (deduplicate nodes)
-    this.flattenProgress = 0;
-    this._dedupCount = 0;
-    const rootIdx = this.flattenNode(root);
-    
-    
-    const buildTime = Date.now() - startTime;
-    
+
+    const startTime = performance.now();
+
+    this.reset(size);
+
+    // Phase 1: Hash-cons the octree level by level, leaves first
+    const rootId = this.buildLevels(voxelGrid, size);
+
+    // Phase 2: Lay out the unique nodes in pre-order
+    const { nodes, leaves } = this.flatten(rootId);
+
+    const buildTime = performance.now() - startTime;
+
     const stats = {
-      totalNodes: Math.floor(this.nodes.length / 3),
-      totalLeaves: this.leaves.length,
+      totalNodes: Math.floor(nodes.length / 3),
+      totalLeaves: leaves.length,
       buildTimeMs: buildTime,
-      compressionRatio: (1 - (this.nodes.length + this.leaves.length) / voxelGrid.length).toFixed(3),
-      dedupSavings: this.nodeMap.size
+      compressionRatio: (1 - (nodes.length + leaves.length) / voxelGrid.length).toFixed(3),
+      dedupSavings: this.nodeCount
     };
-    
-    
+
     return {
-      nodesBuffer: new Uint32Array(this.nodes),
-      leavesBuffer: new Uint32Array(this.leaves),
-      rootIdx,
-      nodeCount: this.nodes.length,
-      leafCount: this.leaves.length,
+      nodesBuffer: nodes,
+      leavesBuffer: leaves,
+      rootIdx: 0,
+      nodeCount: nodes.length,
+      leafCount: leaves.length,
       stats
     };
   }
-  
+
   /**
-   * Build octree node recursively
+   * Clear the node store and hash table, growing the level grids for this size
    */
-  buildNode(voxelGrid, x, y, z, size, depth) {
-    if (depth === this.maxDepth || size === 1) {
-      // Leaf node
-      const idx = this.getVoxelIndex(x, y, z);
-      const blockId = voxelGrid[idx] || 0;
-      
-      // Count leaves
-      if (!this._leafCount) this._leafCount = 0;
-      if (blockId !== 0) this._leafCount++;
-      
-      // Air nodes are pruned
-      if (blockId === 0) {
-        return null;
-      }
-      
-      // For opaque DAG: treat transparent materials as empty
-      if (this.buildOpaqueDag && this.materials && blockId < this.materials.length) {
-        const material = this.materials[blockId];
-        if (material && material.transparent > 0.0) {
-          return null;
-        }
-      }
-      
-      return { isLeaf: true, blockId };
-    }
-    
-    // Inner node - subdivide into 8 octants
-    const halfSize = Math.floor(size / 2);
-    const children = [];
-    let childMask = 0;
-    
-    for (let i = 0; i < 8; i++) {
-      const cx = x + (i & 1 ? halfSize : 0);
-      const cy = y + (i & 2 ? halfSize : 0);
-      const cz = z + (i & 4 ? halfSize : 0);
-      
-      const child = this.buildNode(voxelGrid, cx, cy, cz, halfSize, depth + 1);
-      
-      if (child) {
-        children[i] = child;
-        childMask |= (1 << i);
-      }
+  reset(size) {
+    this.nodeCount = 0;
+    this.leafCount = 0;
+    this.nodeWords = 0;  // Length of the flattened nodes buffer
+
+    if (this.nodeCapacity === 0) {
+      this.growNodes(INITIAL_NODES);
     }
-    
-    // If no children, this node is empty
-    if (childMask === 0) {
-      return null;
+    this.table.fill(0);
+
+    const cells = size * size * size;
+    if (!this.levelA || this.levelA.length < cells) {
+      this.levelA = new Int32Array(cells);
+      this.levelB = new Int32Array(Math.max(1, cells >> 3));
     }
-    
-    return { isLeaf: false, childMask, children };
   }
-  
+
   /**
-   * Flatten octree to linear array with deduplication
+   * Voxels → leaf ids, then merge 2×2×2 blocks until a single root id remains
+   * @returns {number} Root node id (EMPTY for an all-air grid)
    */
-  flattenNode(node) {
-    if (!node) {
-      return 0; // Null nodes = air
-    }
-    
-    let nodeIdx;
-    
-    if (node.isLeaf) {
-      // Leaf: [tag=1, leaf_data_idx]
-      // LEAVES ARE DEDUPLICATED by blockId in DAG!
-      const hash = `L${node.blockId}`;
-      if (this.nodeMap.has(hash)) {
-        if (!this._dedupCount) this._dedupCount = 0;
-        this._dedupCount++;
-        return this.nodeMap.get(hash); // Reuse leaf with same blockId
-      }
-      
-      nodeIdx = this.nodes.length;
-      const leafIdx = this.leaves.length;
-      
-      this.nodes.push(1); // tag=1 for leaf
-      this.nodes.push(leafIdx); // index into leaves buffer
-      this.nodes.push(0); // padding for alignment
-      this.leaves.push(node.blockId);
-      
-      // Cache leaf by blockId
-      this.nodeMap.set(hash, nodeIdx);
-    } else {
-      // Inner node: Try DAG merging
-      const hash = this.hashNode(node);
-      if (this.nodeMap.has(hash)) {
-        if (!this._dedupCount) this._dedupCount = 0;
-        this._dedupCount++;
-        return this.nodeMap.get(hash); // Reuse existing node
-      }
-      
-      // Reserve space for this node
-      nodeIdx = this.nodes.length;
-      this.nodes.push(0); // tag=0 for inner
-      this.nodes.push(node.childMask);
-      
-      // Reserve space for child indices
-      const childIndicesStart = this.nodes.length;
-      let childCount = 0;
-      for (let i = 0; i < 8; i++) {
-        if (node.childMask & (1 << i)) {
-          this.nodes.push(0); // Placeholder
-          childCount++;
+  buildLevels(voxelGrid, size) {
+    const transparent = this.getTransparentTable();
+    const cells = size * size * size;
+    let current = this.levelA;
+    let next = this.levelB;
+
+    // Leaf level - air and (for the opaque DAG) transparent blocks are pruned
+    let lastBlock = 0;
+    let lastLeaf = EMPTY;
+    for (let i = 0; i < cells; i++) {
+      const blockId = voxelGrid[i] || 0;
+      if (blockId === 0 || (transparent && blockId < transparent.length && transparent[blockId])) {
+        current[i] = EMPTY;
+      } else {
+        if (blockId !== lastBlock) {
+          lastBlock = blockId;
+          lastLeaf = this.internLeaf(blockId);
         }
+        current[i] = lastLeaf;
       }
-      
-      // Recursively flatten children
-      let childSlot = 0;
-      for (let i = 0; i < 8; i++) {
-        if (node.childMask & (1 << i)) {
-          const childIdx = this.flattenNode(node.children[i]);
-          this.nodes[childIndicesStart + childSlot] = childIdx;
-          childSlot++;
+    }
+
+    const children = this.childScratch;
+    for (let n = size; n > 1; n >>= 1) {
+      const half = n >> 1;
+      const plane = n * n;
+      let out = 0;
+
+      for (let pz = 0; pz < half; pz++) {
+        for (let py = 0; py < half; py++) {
+          for (let px = 0; px < half; px++) {
+            // Octant i: +x for bit 0, +y for bit 1, +z for bit 2
+            const base = (pz * 2) * plane + (py * 2) * n + px * 2;
+            children[0] = current[base];
+            children[1] = current[base + 1];
+            children[2] = current[base + n];
+            children[3] = current[base + n + 1];
+            children[4] = current[base + plane];
+            children[5] = current[base + plane + 1];
+            children[6] = current[base + plane + n];
+            children[7] = current[base + plane + n + 1];
+
+            let childMask = 0;
+            for (let i = 0; i < 8; i++) {
+              if (children[i] !== EMPTY) childMask |= (1 << i);
+            }
+            next[out++] = childMask === 0 ? EMPTY : this.internInner(childMask, children);
+          }
         }
       }
-      
-      // Cache for DAG merging
-      this.nodeMap.set(hash, nodeIdx);
+
+      const swap = current;
+      current = next;
+      next = swap;
+    }
+
+    return current[0];
+  }
+
+  /**
+   * Per-blockId flag for materials the opaque DAG treats as empty
+   * @returns {Uint8Array|null}
+   */
+  getTransparentTable() {
+    if (!this.buildOpaqueDag || !this.materials) return null;
+
+    const transparent = new Uint8Array(this.materials.length);
+    for (let blockId = 0; blockId < this.materials.length; blockId++) {
+      const material = this.materials[blockId];
+      transparent[blockId] = material && material.transparent > 0.0 ? 1 : 0;
+    }
+    return transparent;
+  }
+
+  /**
+   * Id of the leaf for a blockId (leaves are deduplicated by blockId)
+   */
+  internLeaf(blockId) {
+    const hash = hashLeaf(blockId);
+    let slot = hash & this.tableMask;
+    for (;;) {
+      const id = this.table[slot];
+      if (id === 0) break;
+      if (this.nodeMask[id] === LEAF_MASK && this.nodeBlock[id] === blockId) return id;
+      slot = (slot + 1) & this.tableMask;
     }
-    
-    return nodeIdx;
+
+    const id = this.addNode(slot, hash);
+    this.nodeMask[id] = LEAF_MASK;
+    this.nodeBlock[id] = blockId;
+    this.leafCount++;
+    this.nodeWords += 3;
+    return id;
   }
-  
+
   /**
-   * Hash node for deduplication
+   * Id of the inner node with this childMask and child ids
    */
-  hashNode(node) {
-    if (node._hash !== undefined) {
-      return node._hash;
-    }
-    
-    if (node.isLeaf) {
-      node._hash = `L${node.blockId}`;
-      return node._hash;
-    }
-    
-    // Hash inner nodes by child structure
-    const parts = [node.childMask];
+  internInner(childMask, children) {
+    const hash = hashInner(childMask, children);
+    let slot = hash & this.tableMask;
+    for (;;) {
+      const id = this.table[slot];
+      if (id === 0) break;
+      if (this.nodeMask[id] === childMask && this.sameChildren(id, children)) return id;
+      slot = (slot + 1) & this.tableMask;
+    }
+
+    const id = this.addNode(slot, hash);
+    this.nodeMask[id] = childMask;
+    this.nodeChildren.set(children, id * 8);
+    this.nodeWords += 2 + popcount(childMask);
+    return id;
+  }
+
+  sameChildren(id, children) {
+    const offset = id * 8;
     for (let i = 0; i < 8; i++) {
-      if (node.childMask & (1 << i)) {
-        parts.push(this.hashNode(node.children[i]));
+      if (this.nodeChildren[offset + i] !== children[i]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Allocate the next node id in a free table slot, growing when half full
+   */
+  addNode(slot, hash) {
+    const id = ++this.nodeCount;
+    if (id >= this.nodeCapacity) {
+      this.growNodes(this.nodeCapacity * 2);
+      slot = this.findFreeSlot(hash);
+    }
+    this.table[slot] = id;
+    return id;
+  }
+
+  findFreeSlot(hash) {
+    let slot = hash & this.tableMask;
+    while (this.table[slot] !== 0) {
+      slot = (slot + 1) & this.tableMask;
+    }
+    return slot;
+  }
+
+  /**
+   * Resize the node store and rehash (table stays at 2× node capacity)
+   */
+  growNodes(capacity) {
+    const nodeMask = new Uint8Array(capacity);
+    const nodeChildren = new Int32Array(capacity * 8);
+    const nodeBlock = new Uint32Array(capacity);
+    if (this.nodeMask) {
+      nodeMask.set(this.nodeMask);
+      nodeChildren.set(this.nodeChildren);
+      nodeBlock.set(this.nodeBlock);
+    }
+    this.nodeMask = nodeMask;
+    this.nodeChildren = nodeChildren;
+    this.nodeBlock = nodeBlock;
+    this.nodeCapacity = capacity;
+
+    this.table = new Int32Array(capacity * 2);
+    this.tableMask = capacity * 2 - 1;
+    const children = new Int32Array(8);
+    for (let id = 1; id < this.nodeCount; id++) {
+      let hash;
+      if (this.nodeMask[id] === LEAF_MASK) {
+        hash = hashLeaf(this.nodeBlock[id]);
+      } else {
+        children.set(this.nodeChildren.subarray(id * 8, id * 8 + 8));
+        hash = hashInner(this.nodeMask[id], children);
       }
+      this.table[this.findFreeSlot(hash)] = id;
     }
-    node._hash = parts.join('|');
-    return node._hash;
   }
-  
+
   /**
-   * Get voxel index from 3D coordinates
+   * Flatten to linear arrays in pre-order, each unique node emitted once
+   * Leaf: [tag=1, leaf_data_idx, 0]; inner: [tag=0, childMask, child indices...]
    */
-  getVoxelIndex(x, y, z) {
-    return z * this.size * this.size + y * this.size + x;
+  flatten(rootId) {
+    const nodes = new Uint32Array(this.nodeWords);
+    const leaves = new Uint32Array(this.leafCount);
+    if (rootId === EMPTY) {
+      return { nodes, leaves };
+    }
+
+    // Flattened index per node id (-1 = not emitted yet)
+    if (!this.emitted || this.emitted.length < this.nodeCapacity) {
+      this.emitted = new Int32Array(this.nodeCapacity);
+    }
+    const emitted = this.emitted;
+    emitted.fill(-1, 0, this.nodeCount + 1);
+    let nodeLength = 0;
+    let leafLength = 0;
+
+    const emit = (id) => {
+      const nodeIdx = nodeLength;
+      emitted[id] = nodeIdx;
+      const childMask = this.nodeMask[id];
+      if (childMask === LEAF_MASK) {
+        nodes[nodeLength++] = 1;
+        nodes[nodeLength++] = leafLength;
+        nodes[nodeLength++] = 0;
+        leaves[leafLength++] = this.nodeBlock[id];
+      } else {
+        nodes[nodeLength++] = 0;
+        nodes[nodeLength++] = childMask;
+        nodeLength += popcount(childMask); // Child slots, filled while descending
+      }
+      return nodeIdx;
+    };
+
+    // Explicit stack: node id, next octant to visit, next child slot to fill
+    const depth = this.maxDepth + 1;
+    const stackId = new Int32Array(depth);
+    const stackOctant = new Int32Array(depth);
+    const stackSlot = new Int32Array(depth);
+    let top = 0;
+
+    const rootIdx = emit(rootId);
+    if (this.nodeMask[rootId] !== LEAF_MASK) {
+      stackId[0] = rootId;
+      stackOctant[0] = 0;
+      stackSlot[0] = rootIdx + 2;
+      top = 1;
+    }
+
+    while (top > 0) {
+      const frame = top - 1;
+      const id = stackId[frame];
+      const childMask = this.nodeMask[id];
+      let octant = stackOctant[frame];
+
+      while (octant < 8 && !(childMask & (1 << octant))) octant++;
+      if (octant === 8) {
+        top--;
+        continue;
+      }
+
+      const child = this.nodeChildren[id * 8 + octant];
+      stackOctant[frame] = octant + 1;
+
+      if (emitted[child] !== -1) {
+        nodes[stackSlot[frame]++] = emitted[child];
+        continue;
+      }
+
+      const childIdx = emit(child);
+      nodes[stackSlot[frame]++] = childIdx;
+      if (this.nodeMask[child] !== LEAF_MASK) {
+        stackId[top] = child;
+        stackOctant[top] = 0;
+        stackSlot[top] = childIdx + 2;
+        top++;
+      }
+    }
+
+    return { nodes, leaves };
   }
 }
+
+function popcount(mask) {
+  mask = mask - ((mask >> 1) & 0x55);
+  mask = (mask & 0x33) + ((mask >> 2) & 0x33);
+  return (mask + (mask >> 4)) & 0x0f;
+}
+
+function hashLeaf(blockId) {
+  return mix(Math.imul(blockId ^ 0x5bd1e995, 0x9e3779b1));
+}
+
+function hashInner(childMask, children) {
+  let hash = Math.imul(childMask + 1, 0x85ebca6b);
+  for (let i = 0; i < 8; i++) {
+    hash = Math.imul(hash ^ children[i], 0x9e3779b1);
+    hash ^= hash >>> 15;
+  }
+  return mix(hash);
+}
+
+// murmur3 fmix32 finalizer
+function mix(hash) {
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
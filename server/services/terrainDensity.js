@@ -0,0 +1,161 @@
+/**
+ * Terrain Density - 3D terrain on top of the 2D heightmap
+ * A block is solid where density > 0. Density starts as the depth below the
+ * heightmap surface, then 3D noise fields reshape it:
+ *   overhangs - noise added to the density near the surface (±overhangStrength
+ *               blocks), so cliffs lean out and arches form
+ *   caves     - "cheese" caves: blobs where one noise field is above caveThreshold,
+ *               at least caveMinDepth blocks below the surface
+ *   tunnels   - "spaghetti" tunnels: tubes where two noise fields are both near
+ *               zero; these may open at the surface
+ * Blocks below minY are never carved.
+ *
+ * Configured by a TerrainDensity node in the world graph, or config.density
+ * (same keys); worlds with neither stay heightmap-only. The noise is integer
+ * hashed so ChunkGeneratorNode's shader computes the same fields.
+ */
+
+export const DENSITY_DEFAULTS = {
+  overhangStrength: 8,     // Blocks the surface may move in or out (0 = off)
+  overhangFrequency: 0.04,
+  caveFrequency: 0.025,    // 0 = no cheese caves
+  caveThreshold: 0.45,     // Higher = fewer, smaller caves (noise is about -1..1)
+  caveMinDepth: 8,         // Cheese caves stay this far below the surface
+  tunnelFrequency: 0.012,  // 0 = no tunnels
+  tunnelRadius: 0.08,      // Tunnel width, in noise units
+  minY: 4                  // Floor that is never carved
+};
+
+/**
+ * Density settings for a world, or null when it has none
+ * A TerrainDensity node in the graph wins over config.density
+ * @param {object} graph - World graph ({ nodes })
+ * @param {object} config - World config
+ * @returns {object|null} DENSITY_DEFAULTS-shaped settings
+ */
+export function resolveTerrainDensity(graph, config = {}) {
+  const node = graph?.nodes?.find(n => n.type === 'TerrainDensity');
+  const source = node ? (node.params || {}) : config.density;
+  if (!source || source.enabled === false) return null;
+
+  const density = {};
+  for (const [key, fallback] of Object.entries(DENSITY_DEFAULTS)) {
+    const value = Number(source[key]);
+    density[key] = Number.isFinite(value) ? value : fallback;
+  }
+  return density;
+}
+
+/**
+ * Block ids of one world column under a density stage, worldY0 up (count blocks)
+ * @param {object} density - resolveTerrainDensity result
+ * @param {number} seed - World seed
+ * @param {number} surfaceHeight - Heightmap surface, in blocks
+ * @param {boolean} carve - false skips caves and tunnels (LOD chunks: they
+ *        don't show from afar and are the expensive part)
+ * @param {Uint32Array} out - Written out[0..count-1]; solid blocks get material 1
+ */
+export function fillDensityColumn(density, seed, worldX, worldZ, surfaceHeight, worldY0, count, out, carve = true) {
+  const {
+    overhangStrength, overhangFrequency,
+    caveFrequency, caveThreshold, caveMinDepth,
+    tunnelFrequency, tunnelRadius, minY
+  } = density;
+  const seeds = getFieldSeeds(seed);
+  const tunnelRadiusSq = tunnelRadius * tunnelRadius;
+
+  for (let i = 0; i < count; i++) {
+    const worldY = worldY0 + i;
+    const depth = surfaceHeight - worldY;
+
+    // Overhangs - only within reach of the surface
+    let value = depth;
+    if (overhangStrength > 0 && Math.abs(depth) < overhangStrength) {
+      value += overhangStrength * gradientNoise3D(
+        worldX * overhangFrequency, worldY * overhangFrequency, worldZ * overhangFrequency, seeds.overhang);
+    }
+
+    let solid = value > 0;
+    if (solid && carve && worldY >= minY) {
+      if (caveFrequency > 0 && depth >= caveMinDepth &&
+          gradientNoise3D(worldX * caveFrequency, worldY * caveFrequency, worldZ * caveFrequency, seeds.cave) > caveThreshold) {
+        solid = false;
+      } else if (tunnelFrequency > 0) {
+        const a = gradientNoise3D(worldX * tunnelFrequency, worldY * tunnelFrequency, worldZ * tunnelFrequency, seeds.tunnelA);
+        if (a * a < tunnelRadiusSq) {
+          const b = gradientNoise3D(worldX * tunnelFrequency, worldY * tunnelFrequency, worldZ * tunnelFrequency, seeds.tunnelB);
+          if (a * a + b * b < tunnelRadiusSq) solid = false;
+        }
+      }
+    }
+
+    out[i] = solid ? 1 : 0;
+  }
+}
+
+/**
+ * Per-field seeds (u32), derived from the world seed
+ */
+export function getFieldSeeds(seed) {
+  const base = hashU32(seed >>> 0, 0x5bd1e995);
+  return {
+    overhang: hashU32(base, 1),
+    cave: hashU32(base, 2),
+    tunnelA: hashU32(base, 3),
+    tunnelB: hashU32(base, 4)
+  };
+}
+
+function hashU32(a, b) {
+  let h = Math.imul(a ^ Math.imul(b, 0x9e3779b1), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Gradient directions - the 12 cube edge midpoints
+const GRADIENTS = new Int8Array([
+  1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+  1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+  0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1
+]);
+
+/**
+ * Gradient index of a lattice corner (same integer math as the WGSL version)
+ */
+function cornerGradient(ix, iy, iz, seed) {
+  let h = Math.imul(ix, 0x8da6b343) ^ Math.imul(iy, 0xd8163841) ^ Math.imul(iz, 0xcb1ab31f) ^ seed;
+  h = Math.imul(h ^ (h >>> 15), 0x2c1b3c6d);
+  h = Math.imul(h ^ (h >>> 12), 0x297a2d39);
+  h = (h ^ (h >>> 15)) >>> 0;
+  return (h % 12) * 3;
+}
+
+function cornerDot(ix, iy, iz, seed, dx, dy, dz) {
+  const g = cornerGradient(ix, iy, iz, seed);
+  return GRADIENTS[g] * dx + GRADIENTS[g + 1] * dy + GRADIENTS[g + 2] * dz;
+}
+
+const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * 3D gradient noise, roughly -1..1
+ */
+export function gradientNoise3D(x, y, z, seed) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const iz = Math.floor(z);
+  const fx = x - ix;
+  const fy = y - iy;
+  const fz = z - iz;
+  const u = fade(fx);
+  const v = fade(fy);
+  const w = fade(fz);
+
+  const x00 = lerp(cornerDot(ix, iy, iz, seed, fx, fy, fz), cornerDot(ix + 1, iy, iz, seed, fx - 1, fy, fz), u);
+  const x10 = lerp(cornerDot(ix, iy + 1, iz, seed, fx, fy - 1, fz), cornerDot(ix + 1, iy + 1, iz, seed, fx - 1, fy - 1, fz), u);
+  const x01 = lerp(cornerDot(ix, iy, iz + 1, seed, fx, fy, fz - 1), cornerDot(ix + 1, iy, iz + 1, seed, fx - 1, fy, fz - 1), u);
+  const x11 = lerp(cornerDot(ix, iy + 1, iz + 1, seed, fx, fy - 1, fz - 1), cornerDot(ix + 1, iy + 1, iz + 1, seed, fx - 1, fy - 1, fz - 1), u);
+
+  return lerp(lerp(x00, x10, v), lerp(x01, x11, v), w);
+}
@@ -0,0 +1,178 @@
+/**
+ * VOX Importer - MagicaVoxel .vox models to prefabs
+ * Reads the first model (SIZE + XYZI chunks) and the palette (RGBA chunk, or
+ * MagicaVoxel's default palette when the file has none); scene graph, layer
+ * and material chunks are skipped. Each palette color used becomes the world
+ * material closest to it (or the block id given for it in blockMap).
+ *
+ * MagicaVoxel is z-up: a voxel at (x, y, z) lands at prefab (x, z, sy - 1 - y),
+ * so the model keeps its handedness and faces the same way as in the editor.
+ */
+
+import { MAX_PREFAB_VOXELS } from './prefabs.js';
+
+const VOX_MAGIC = 0x20584f56; // 'VOX '
+const MAX_VOX_SIZE = 256;
+
+/**
+ * Parse a .vox file
+ * @param {Uint8Array} buffer
+ * @returns {{size: number[], voxels: Uint8Array, palette: Array<number[]>, models: number}}
+ *          size and voxels (x, y, z, colorIndex quads) in MagicaVoxel axes;
+ *          palette[colorIndex] = [r, g, b, a]
+ */
+export function parseVox(buffer) {
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  if (buffer.byteLength < 20 || view.getUint32(0, true) !== VOX_MAGIC) {
+    throw new Error('Not a MagicaVoxel .vox file');
+  }
+  if (readChunkId(buffer, 8) !== 'MAIN') {
+    throw new Error('.vox file has no MAIN chunk');
+  }
+
+  let size = null;
+  let voxels = null;
+  let palette = null;
+  let models = 0;
+
+  // Children of MAIN follow its (empty) content
+  let offset = 20 + view.getUint32(12, true);
+  while (offset + 12 <= buffer.byteLength) {
+    const id = readChunkId(buffer, offset);
+    const contentSize = view.getUint32(offset + 4, true);
+    const childrenSize = view.getUint32(offset + 8, true);
+    const content = offset + 12;
+    if (content + contentSize > buffer.byteLength) {
+      throw new Error(`.vox ${id} chunk runs past the end of the file`);
+    }
+
+    if (id === 'SIZE') {
+      models++;
+      if (!size) {
+        size = [0, 4, 8].map(o => view.getUint32(content + o, true));
+      }
+    } else if (id === 'XYZI' && !voxels) {
+      const count = view.getUint32(content, true);
+      if (count * 4 > contentSize - 4) throw new Error('.vox XYZI chunk is truncated');
+      voxels = buffer.subarray(content + 4, content + 4 + count * 4);
+    } else if (id === 'RGBA') {
+      // Entry i is color index i + 1 (index 0 is empty)
+      palette = [[0, 0, 0, 0]];
+      for (let i = 0; i < 255; i++) {
+        palette.push(Array.from(buffer.subarray(content + i * 4, content + i * 4 + 4)));
+      }
+    }
+
+    offset = content + contentSize + childrenSize;
+  }
+
+  if (!size || !voxels) throw new Error('.vox file has no model');
+  if (!size.every(n => n >= 1 && n <= MAX_VOX_SIZE)) {
+    throw new Error(`.vox model size ${size.join('×')} is out of range (1-${MAX_VOX_SIZE} per axis)`);
+  }
+  if (models > 1) {
+    console.warn(`⚠️  .vox file has ${models} models - importing the first`);
+  }
+
+  return { size, voxels, palette: palette || getDefaultPalette(), models };
+}
+
+/**
+ * A parsed .vox model as a prefab
+ * @param {object} vox - parseVox result
+ * @param {object} options - { name, materials, anchor, blockMap }: materials is
+ *        the world's resolveBlockMaterials table; anchor defaults to the middle
+ *        of the bottom layer; blockMap ({ colorIndex: blockId }) overrides the
+ *        color matching
+ * @returns {{prefab: object, mapping: object}} mapping holds the block id each
+ *          color index used became
+ */
+export function voxToPrefab(vox, { name, materials = [], anchor = null, blockMap = {} }) {
+  const [vx, vy, vz] = vox.size;
+  const size = [vx, vz, vy];
+  // A full 256³ model is 8× what a prefab may hold - refuse before allocating
+  if (vx * vy * vz > MAX_PREFAB_VOXELS) {
+    throw new Error(`.vox model is ${vx}×${vy}×${vz} = ${vx * vy * vz} voxels, prefabs hold at most ${MAX_PREFAB_VOXELS}`);
+  }
+  const blocks = new Array(vx * vy * vz).fill(0);
+  const mapping = {};
+
+  const candidates = [];
+  materials.forEach((material, id) => {
+    // Air and other fully transparent blocks never come out of a color
+    if (id !== 0 && material?.color && material.transparent < 1) candidates.push({ id, color: material.color });
+  });
+
+  for (let i = 0; i + 3 < vox.voxels.length; i += 4) {
+    const x = vox.voxels[i];
+    const y = vox.voxels[i + 1];
+    const z = vox.voxels[i + 2];
+    const colorIndex = vox.voxels[i + 3];
+    if (x >= vx || y >= vy || z >= vz || colorIndex === 0) continue;
+
+    if (!(colorIndex in mapping)) {
+      const block = blockMap[colorIndex] ?? findClosestMaterial(vox.palette[colorIndex], candidates);
+      if (!Number.isInteger(block) || block < 0) {
+        throw new Error(`No block for .vox color ${colorIndex} (the world has no material colors - pass blockMap)`);
+      }
+      mapping[colorIndex] = block;
+    }
+    blocks[x + vx * (z + vz * (vy - 1 - y))] = mapping[colorIndex];
+  }
+
+  return {
+    prefab: {
+      name,
+      size,
+      anchor: anchor || [Math.floor(size[0] / 2), 0, Math.floor(size[2] / 2)],
+      blocks
+    },
+    mapping
+  };
+}
+
+/**
+ * Block id whose color is nearest (squared RGB distance), -1 if none
+ */
+function findClosestMaterial(rgba, candidates) {
+  let best = -1;
+  let bestDistance = Infinity;
+  for (const { id, color } of candidates) {
+    const dr = color[0] - rgba[0];
+    const dg = color[1] - rgba[1];
+    const db = color[2] - rgba[2];
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = id;
+    }
+  }
+  return best;
+}
+
+function readChunkId(buffer, offset) {
+  return String.fromCharCode(...buffer.subarray(offset, offset + 4));
+}
+
+/**
+ * MagicaVoxel's default palette: the 6×6×6 color cube (components ff, cc, 99,
+ * 66, 33, 00; black left out), then 10-step ramps of red, green, blue and grey
+ */
+function getDefaultPalette() {
+  const palette = [[0, 0, 0, 0]];
+  const cube = [0xff, 0xcc, 0x99, 0x66, 0x33, 0x00];
+  for (const r of cube) {
+    for (const g of cube) {
+      for (const b of cube) {
+        if (r || g || b) palette.push([r, g, b, 255]);
+      }
+    }
+  }
+
+  const ramp = [0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+  for (const v of ramp) palette.push([v, 0, 0, 255]);
+  for (const v of ramp) palette.push([0, v, 0, 255]);
+  for (const v of ramp) palette.push([0, 0, v, 255]);
+  for (const v of ramp) palette.push([v, v, v, 255]);
+  return palette;
+}
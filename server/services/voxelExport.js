@@ -0,0 +1,358 @@
+/**
+ * Voxel Export - block grids to files standard voxel tools open
+ * A grid is { blocks, size: [sx, sy, sz] } with blocks x fastest, then y, then
+ * z (the prefab layout, services/prefabs.js); 0 is air and is left out.
+ *
+ *   .vox  - MagicaVoxel. Models are at most 256³, so bigger grids are split into
+ *           256³ models placed by a scene graph (nTRN / nGRP / nSHP). Axes are
+ *           turned z-up the same way the importer (services/voxImporter.js) turns
+ *           them back, so a single-model export re-imports unchanged. Each block id
+ *           becomes a palette color (its material color), at most 255 of them.
+ *   .schem - Sponge Schematic v2 (gzipped NBT), as read by WorldEdit. Blocks
+ *           become the material's `minecraft` block state, else one picked by
+ *           material name (MINECRAFT_BLOCKS), else stone.
+ */
+
+import zlib from 'zlib';
+
+const VOX_MODEL_SIZE = 256;
+const VOX_VERSION = 150;
+const SCHEM_VERSION = 2;
+const SCHEM_DATA_VERSION = 2586; // Minecraft 1.16.5
+
+const FALLBACK_COLOR = [128, 128, 128];
+const FALLBACK_BLOCK = 'minecraft:stone';
+
+// Material name (lower case) -> block state, for materials without `minecraft`
+export const MINECRAFT_BLOCKS = {
+  air: 'minecraft:air',
+  grass: 'minecraft:grass_block',
+  dirt: 'minecraft:dirt',
+  stone: 'minecraft:stone',
+  sand: 'minecraft:sand',
+  snow: 'minecraft:snow_block',
+  water: 'minecraft:water',
+  'tree seed': 'minecraft:grass_block',
+  bedrock: 'minecraft:bedrock',
+  wood: 'minecraft:oak_log',
+  leaves: 'minecraft:oak_leaves[persistent=true]'
+};
+
+/**
+ * Encode a grid as a MagicaVoxel .vox file
+ * @param {Array<object>} materials - resolveBlockMaterials table (palette colors)
+ * @returns {{bytes: Buffer, models: number}}
+ */
+export function encodeVox({ blocks, size }, materials = []) {
+  const [sx, sy, sz] = size;
+  // MagicaVoxel axes: x, depth (our z, flipped) and up (our y)
+  const voxSize = [sx, sz, sy];
+  const tileCounts = voxSize.map(n => Math.ceil(n / VOX_MODEL_SIZE));
+  const tileOf = (vx, vy, vz) => Math.floor(vx / VOX_MODEL_SIZE) +
+    tileCounts[0] * (Math.floor(vy / VOX_MODEL_SIZE) + tileCounts[1] * Math.floor(vz / VOX_MODEL_SIZE));
+
+  // First pass: palette index per block id (first-seen order), voxels per 256³ tile
+  const paletteIndex = new Map();
+  const voxelCounts = new Uint32Array(tileCounts[0] * tileCounts[1] * tileCounts[2]);
+  for (let z = 0; z < sz; z++) {
+    for (let y = 0; y < sy; y++) {
+      for (let x = 0; x < sx; x++) {
+        const block = blocks[x + sx * (y + sy * z)];
+        if (block === 0) continue;
+        if (!paletteIndex.has(block)) {
+          if (paletteIndex.size === 255) {
+            throw new Error('.vox holds at most 255 block types - export a smaller box');
+          }
+          paletteIndex.set(block, paletteIndex.size + 1);
+        }
+        voxelCounts[tileOf(x, sz - 1 - z, y)]++;
+      }
+    }
+  }
+
+  // One model per non-empty tile (an empty grid still needs one)
+  const models = [];
+  const modelByTile = new Map();
+  voxelCounts.forEach((count, tile) => {
+    if (count === 0) return;
+    const origin = [
+      tile % tileCounts[0],
+      Math.floor(tile / tileCounts[0]) % tileCounts[1],
+      Math.floor(tile / (tileCounts[0] * tileCounts[1]))
+    ].map(t => t * VOX_MODEL_SIZE);
+    modelByTile.set(tile, models.length);
+    models.push({
+      origin,
+      size: origin.map((o, i) => Math.min(VOX_MODEL_SIZE, voxSize[i] - o)),
+      xyzi: Buffer.alloc(4 + count * 4),
+      written: 0
+    });
+  });
+  if (models.length === 0) {
+    models.push({ origin: [0, 0, 0], size: voxSize.map(n => Math.min(n, VOX_MODEL_SIZE)), xyzi: Buffer.alloc(4), written: 0 });
+  }
+
+  // Second pass: x, y, z, color index per voxel, relative to its model
+  for (let z = 0; z < sz; z++) {
+    for (let y = 0; y < sy; y++) {
+      for (let x = 0; x < sx; x++) {
+        const block = blocks[x + sx * (y + sy * z)];
+        if (block === 0) continue;
+        const vy = sz - 1 - z;
+        const model = models[modelByTile.get(tileOf(x, vy, y))];
+        const offset = 4 + model.written * 4;
+        model.xyzi[offset] = x % VOX_MODEL_SIZE;
+        model.xyzi[offset + 1] = vy % VOX_MODEL_SIZE;
+        model.xyzi[offset + 2] = y % VOX_MODEL_SIZE;
+        model.xyzi[offset + 3] = paletteIndex.get(block);
+        model.written++;
+      }
+    }
+  }
+
+  const children = [];
+  for (const model of models) {
+    model.xyzi.writeUInt32LE(model.written, 0);
+    children.push(voxChunk('SIZE', int32s(model.size)), voxChunk('XYZI', model.xyzi));
+  }
+  if (models.length > 1) {
+    children.push(...encodeSceneGraph(models));
+  }
+
+  // Entry i is color index i + 1
+  const rgba = Buffer.alloc(256 * 4);
+  for (const [block, colorIndex] of paletteIndex) {
+    const color = materials[block]?.color || FALLBACK_COLOR;
+    rgba.set([...color, 255], (colorIndex - 1) * 4);
+  }
+  children.push(voxChunk('RGBA', rgba));
+
+  const content = Buffer.concat(children);
+  const header = Buffer.alloc(20);
+  header.write('VOX ', 0, 'latin1');
+  header.writeUInt32LE(VOX_VERSION, 4);
+  header.write('MAIN', 8, 'latin1');
+  header.writeUInt32LE(0, 12);
+  header.writeUInt32LE(content.length, 16);
+  return { bytes: Buffer.concat([header, content]), models: models.length };
+}
+
+/**
+ * Encode a grid as a gzipped Sponge Schematic (v2)
+ * @param {Array<object>} materials - resolveBlockMaterials table (block states)
+ * @param {object} metadata - { name } stored in the schematic's Metadata
+ * @returns {Buffer}
+ */
+export function encodeSchem({ blocks, size }, materials = [], metadata = {}) {
+  const [sx, sy, sz] = size;
+  if (size.some(n => n > 0xFFFF)) {
+    throw new Error('.schem dimensions are at most 65535 blocks');
+  }
+
+  // Palette id per block id (air is always 0) and its varint length
+  const palette = new Map([['minecraft:air', 0]]);
+  const paletteByBlock = new Map([[0, 0]]);
+  let dataLength = 0;
+  for (let i = 0; i < blocks.length; i++) {
+    let id = paletteByBlock.get(blocks[i]);
+    if (id === undefined) {
+      const state = getMinecraftBlock(materials[blocks[i]]);
+      if (!palette.has(state)) palette.set(state, palette.size);
+      id = palette.get(state);
+      paletteByBlock.set(blocks[i], id);
+    }
+    dataLength += id < 0x80 ? 1 : id < 0x4000 ? 2 : 3;
+  }
+
+  // Varint palette ids, index = x + z·Width + y·Width·Length
+  const data = new Uint8Array(dataLength);
+  let offset = 0;
+  for (let y = 0; y < sy; y++) {
+    for (let z = 0; z < sz; z++) {
+      for (let x = 0; x < sx; x++) {
+        let id = paletteByBlock.get(blocks[x + sx * (y + sy * z)]);
+        while (id >= 0x80) {
+          data[offset++] = (id & 0x7F) | 0x80;
+          id >>>= 7;
+        }
+        data[offset++] = id;
+      }
+    }
+  }
+
+  const nbt = new NbtWriter();
+  nbt.beginCompound('Schematic');
+  nbt.int('Version', SCHEM_VERSION);
+  nbt.int('DataVersion', SCHEM_DATA_VERSION);
+  nbt.beginCompound('Metadata');
+  nbt.string('Name', metadata.name || 'export');
+  nbt.long('Date', BigInt(Date.now()));
+  nbt.endCompound();
+  nbt.short('Width', sx);
+  nbt.short('Height', sy);
+  nbt.short('Length', sz);
+  nbt.intArray('Offset', [0, 0, 0]);
+  nbt.int('PaletteMax', palette.size);
+  nbt.beginCompound('Palette');
+  for (const [state, id] of palette) nbt.int(state, id);
+  nbt.endCompound();
+  nbt.byteArray('BlockData', data);
+  nbt.emptyCompoundList('BlockEntities');
+  nbt.endCompound();
+
+  return zlib.gzipSync(nbt.toBuffer());
+}
+
+/**
+ * Block state for a material table entry
+ */
+export function getMinecraftBlock(material) {
+  if (material?.minecraft) return material.minecraft;
+  return MINECRAFT_BLOCKS[material?.name?.toLowerCase()] || FALLBACK_BLOCK;
+}
+
+/**
+ * Root transform -> group -> one transform + shape per model, each model's
+ * centre placed where its tile sits in the grid
+ */
+function encodeSceneGraph(models) {
+  const chunks = [];
+  const childIds = models.map((_, i) => 2 + i * 2);
+
+  chunks.push(voxChunk('nTRN', Buffer.concat([
+    int32s([0]), voxDict({}), int32s([1, -1, -1, 1]), voxDict({})
+  ])));
+  chunks.push(voxChunk('nGRP', Buffer.concat([
+    int32s([1]), voxDict({}), int32s([models.length, ...childIds])
+  ])));
+
+  models.forEach((model, i) => {
+    const translation = model.origin.map((o, axis) => o + Math.floor(model.size[axis] / 2));
+    chunks.push(voxChunk('nTRN', Buffer.concat([
+      int32s([childIds[i]]), voxDict({}), int32s([childIds[i] + 1, -1, 0, 1]), voxDict({ _t: translation.join(' ') })
+    ])));
+    chunks.push(voxChunk('nSHP', Buffer.concat([
+      int32s([childIds[i] + 1]), voxDict({}), int32s([1, i]), voxDict({})
+    ])));
+  });
+  return chunks;
+}
+
+function voxChunk(id, content) {
+  const header = Buffer.alloc(12);
+  header.write(id, 0, 'latin1');
+  header.writeUInt32LE(content.length, 4);
+  header.writeUInt32LE(0, 8);
+  return Buffer.concat([header, content]);
+}
+
+function voxDict(entries) {
+  const parts = [int32s([Object.keys(entries).length])];
+  for (const [key, value] of Object.entries(entries)) {
+    parts.push(voxString(key), voxString(value));
+  }
+  return Buffer.concat(parts);
+}
+
+function voxString(value) {
+  const bytes = Buffer.from(value, 'utf-8');
+  return Buffer.concat([int32s([bytes.length]), bytes]);
+}
+
+function int32s(values) {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => buffer.writeInt32LE(value, i * 4));
+  return buffer;
+}
+
+// NBT tag ids
+const TAG_END = 0;
+const TAG_SHORT = 2;
+const TAG_INT = 3;
+const TAG_LONG = 4;
+const TAG_BYTE_ARRAY = 7;
+const TAG_STRING = 8;
+const TAG_LIST = 9;
+const TAG_COMPOUND = 10;
+const TAG_INT_ARRAY = 11;
+
+/**
+ * Minimal big-endian NBT writer (just the tags schematics use)
+ */
+class NbtWriter {
+  constructor() {
+    this.parts = [];
+  }
+
+  tag(type, name) {
+    const nameBytes = Buffer.from(name, 'utf-8');
+    const header = Buffer.alloc(3);
+    header.writeUInt8(type, 0);
+    header.writeUInt16BE(nameBytes.length, 1);
+    this.parts.push(header, nameBytes);
+  }
+
+  beginCompound(name) {
+    this.tag(TAG_COMPOUND, name);
+  }
+
+  endCompound() {
+    this.parts.push(Buffer.from([TAG_END]));
+  }
+
+  short(name, value) {
+    this.tag(TAG_SHORT, name);
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value);
+    this.parts.push(buffer);
+  }
+
+  int(name, value) {
+    this.tag(TAG_INT, name);
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32BE(value);
+    this.parts.push(buffer);
+  }
+
+  long(name, value) {
+    this.tag(TAG_LONG, name);
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigInt64BE(value);
+    this.parts.push(buffer);
+  }
+
+  string(name, value) {
+    this.tag(TAG_STRING, name);
+    const bytes = Buffer.from(value, 'utf-8');
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(bytes.length);
+    this.parts.push(length, bytes);
+  }
+
+  byteArray(name, bytes) {
+    this.tag(TAG_BYTE_ARRAY, name);
+    const length = Buffer.alloc(4);
+    length.writeInt32BE(bytes.length);
+    this.parts.push(length, Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+  }
+
+  intArray(name, values) {
+    this.tag(TAG_INT_ARRAY, name);
+    const buffer = Buffer.alloc(4 + values.length * 4);
+    buffer.writeInt32BE(values.length, 0);
+    values.forEach((value, i) => buffer.writeInt32BE(value, 4 + i * 4));
+    this.parts.push(buffer);
+  }
+
+  emptyCompoundList(name) {
+    this.tag(TAG_LIST, name);
+    const buffer = Buffer.alloc(5);
+    buffer.writeUInt8(TAG_COMPOUND, 0);
+    buffer.writeInt32BE(0, 1);
+    this.parts.push(buffer);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.parts);
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * World Events - in-process pub/sub for world changes
+ * Routes publish (invalidations, ...); push channels (SSE) forward to clients
+ */
+
+import { EventEmitter } from 'events';
+
+export class WorldEventHub extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per connected client
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Publish an event for a world
+   * @param {string} worldId - World the event belongs to
+   * @param {string} type - Event type (e.g. 'invalidate')
+   * @param {object} data - Event payload
+   */
+  publish(worldId, type, data = {}) {
+    this.emit('event', { worldId, type, timestamp: Date.now(), ...data });
+  }
+
+  /**
+   * Subscribe to one world's events
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(worldId, listener) {
+    const filtered = (event) => {
+      if (event.worldId === worldId) listener(event);
+    };
+    this.on('event', filtered);
+    return () => this.off('event', filtered);
+  }
+}
+
+export const worldEvents = new WorldEventHub();
@@ -0,0 +1,92 @@
+/**
+ * Request Bounds Check
+ * Mounts the V2 routes on a free port and sends requests with coordinates far
+ * outside the world (where stepping a coordinate by a region no longer moves
+ * it), expecting a 400 - not a hang - for each. Requests are cut off after
+ * REQUEST_TIMEOUT_MS so a regression fails instead of blocking the check.
+ * Usage: node server/test-bounds.js [worldId]
+ */
+
+import express from 'express';
+import router from './routes/chunksv2.js';
+
+const worldId = process.argv[2] || 'test_world';
+const REQUEST_TIMEOUT_MS = 10000;
+const HUGE = 1e20;
+
+const CASES = [
+  {
+    name: 'edit at x = 1e20',
+    method: 'POST',
+    path: `/worlds/${worldId}/edits`,
+    body: { type: 'set', x: HUGE, y: 0, z: 0, block: 1 }
+  },
+  {
+    name: 'chunk at cx = 1e18',
+    method: 'GET',
+    path: `/worlds/${worldId}/chunks/1000000000000000000/0/0`
+  },
+  {
+    name: 'batch entry at cx = 1e18',
+    method: 'POST',
+    path: `/worlds/${worldId}/chunks/batch`,
+    body: { chunks: [[0, 0, 0], [1e18, 0, 0]] }
+  },
+  {
+    name: 'invalidation box at x = 1e20',
+    method: 'POST',
+    path: `/worlds/${worldId}/invalidate-region`,
+    body: { box: { minX: HUGE, minZ: 0, maxX: HUGE, maxZ: 0 } }
+  },
+  {
+    name: 'export bbox 33554432×1×1',
+    method: 'GET',
+    path: `/worlds/${worldId}/export?bbox=0,0,0,33554431,0,0`
+  }
+];
+
+async function send(baseUrl, { method, path, body }) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  await response.arrayBuffer();
+  return response.status;
+}
+
+async function testBounds() {
+  const app = express();
+  app.use(express.json({ limit: '50mb' }));
+  app.use('/api/v2', router);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://localhost:${server.address().port}/api/v2`;
+  console.log(`🔍 Sending out-of-bounds requests for '${worldId}'...\n`);
+
+  let passed = true;
+  for (const test of CASES) {
+    let status;
+    try {
+      status = await send(baseUrl, test);
+    } catch (error) {
+      status = error.name === 'TimeoutError' ? 'timed out' : error.message;
+    }
+    const ok = status === 400;
+    console.log(`  ${ok ? '✅' : '❌'} ${test.name}: ${status}`);
+    passed = passed && ok;
+  }
+
+  server.close();
+  console.log(passed ? '\n✅ Bounds check PASSED!' : '\n❌ Bounds check FAILED!');
+  return passed;
+}
+
+testBounds().then(success => {
+  process.exit(success ? 0 : 1);
+}).catch(error => {
+  console.error('❌ Bounds check error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,184 @@
+/**
+ * CPU/GPU Parity Check for graph nodes
+ * Runs a world graph on the CPU backend (twice, for determinism) and,
+ * when a GPU adapter exists, on the GPU backend, then compares outputs.
+ * Without a GPU adapter the CPU outputs are compared against GPU values
+ * recorded earlier with --record on a host that has one.
+ * Usage: node server/test-cpu-parity.js [--record] [worldId] [resolution]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { GraphExecutor } from './services/graphExecutor.js';
+
+const args = process.argv.slice(2);
+const record = args.includes('--record');
+const [worldArg, resolutionArg] = args.filter(arg => arg !== '--record');
+const worldId = worldArg || 'real_world';
+const resolution = parseInt(resolutionArg) || 128;
+
+// Float maps may differ by f32 vs f64 math; classified maps may flip on rule boundaries
+const FLOAT_TOLERANCE = 1e-3;
+const MAX_MISMATCH_RATIO = 0.01;
+
+// Recorded GPU values keep every SAMPLE_STRIDE-th cell of each output
+const SAMPLE_STRIDE = 61;
+const SEED = 12345;
+const FIXTURE_DIR = path.join('server', 'fixtures');
+const fixturePath = path.join(FIXTURE_DIR, `gpu-parity-${worldId}-${resolution}.json`);
+
+const region = { x: 512, z: -512, width: resolution, height: resolution };
+
+async function loadGraph() {
+  const graphPath = path.join('storage', 'worlds', worldId, 'graph.json');
+  const text = await fs.readFile(graphPath, 'utf-8');
+  const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  return data.graph || data;
+}
+
+/**
+ * Compare two outputs; returns { ok, detail }
+ */
+function compare(a, b) {
+  if (!a || !b) {
+    return { ok: a === b, detail: 'missing on one backend' };
+  }
+  if (a.length !== b.length) {
+    return { ok: false, detail: `length ${a.length} vs ${b.length}` };
+  }
+
+  if (a instanceof Float32Array) {
+    let maxDiff = 0;
+    for (let i = 0; i < a.length; i++) {
+      maxDiff = Math.max(maxDiff, Math.abs(a[i] - b[i]));
+    }
+    return { ok: maxDiff <= FLOAT_TOLERANCE, detail: `max diff ${maxDiff.toExponential(2)}` };
+  }
+
+  let mismatches = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) mismatches++;
+  }
+  const ratio = mismatches / a.length;
+  return { ok: ratio <= MAX_MISMATCH_RATIO, detail: `${(ratio * 100).toFixed(2)}% cells differ` };
+}
+
+function compareResults(label, resultsA, resultsB) {
+  let passed = true;
+  console.log(`\n🔍 ${label}`);
+
+  for (const [nodeId, resultA] of resultsA.entries()) {
+    const resultB = resultsB.get(nodeId);
+    for (const [output, dataA] of Object.entries(resultA)) {
+      if (!ArrayBuffer.isView(dataA) || output === 'blockMapVis') continue;
+
+      const { ok, detail } = compare(dataA, resultB?.[output]);
+      console.log(`  ${ok ? '✅' : '❌'} ${nodeId}.${output}: ${detail}`);
+      passed = passed && ok;
+    }
+  }
+
+  return passed;
+}
+
+async function runBackend(executor, graph, backend) {
+  const engine = backend === 'gpu' ? executor.gpuEngine : executor.cpuEngine;
+  await engine.execute(graph, {
+    resolution,
+    seed: SEED,
+    offsetX: region.x,
+    offsetZ: region.z
+  });
+  // Copy - the engine reuses its result map between runs
+  return new Map(engine.getAllResults());
+}
+
+/**
+ * Every SAMPLE_STRIDE-th cell of each typed-array output, keyed 'nodeId.output'
+ */
+function sampleResults(results) {
+  const samples = {};
+  for (const [nodeId, result] of results.entries()) {
+    for (const [output, data] of Object.entries(result)) {
+      if (!ArrayBuffer.isView(data) || output === 'blockMapVis') continue;
+      const values = [];
+      for (let i = 0; i < data.length; i += SAMPLE_STRIDE) values.push(data[i]);
+      samples[`${nodeId}.${output}`] = { type: data.constructor.name, values };
+    }
+  }
+  return samples;
+}
+
+async function recordGpuValues(gpu) {
+  const fixture = { worldId, resolution, seed: SEED, region, stride: SAMPLE_STRIDE, samples: sampleResults(gpu) };
+  await fs.mkdir(FIXTURE_DIR, { recursive: true });
+  await fs.writeFile(fixturePath, JSON.stringify(fixture) + '\n');
+  console.log(`\n💾 Recorded GPU values to ${fixturePath}`);
+}
+
+async function loadGpuValues() {
+  try {
+    return JSON.parse(await fs.readFile(fixturePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function compareRecorded(cpu, fixture) {
+  let passed = true;
+  console.log(`\n🔍 CPU vs recorded GPU (${fixturePath})`);
+
+  const cpuSamples = sampleResults(cpu);
+  for (const [key, recorded] of Object.entries(fixture.samples)) {
+    const sampled = cpuSamples[key];
+    const TypedArray = globalThis[recorded.type];
+    const { ok, detail } = compare(
+      sampled && TypedArray.from(sampled.values),
+      TypedArray.from(recorded.values)
+    );
+    console.log(`  ${ok ? '✅' : '❌'} ${key}: ${detail}`);
+    passed = passed && ok;
+  }
+
+  return passed;
+}
+
+async function testParity() {
+  console.log(`🔍 Checking CPU node evaluators on '${worldId}' at ${resolution}×${resolution}...`);
+
+  const graph = await loadGraph();
+  const executor = new GraphExecutor();
+  await executor.initialize();
+
+  const cpuA = await runBackend(executor, graph, 'cpu');
+  const cpuB = await runBackend(executor, graph, 'cpu');
+  let passed = compareResults('CPU determinism (run 1 vs run 2)', cpuA, cpuB);
+
+  if (executor.gpuEngine) {
+    const gpu = await runBackend(executor, graph, 'gpu');
+    passed = compareResults('CPU vs GPU', cpuA, gpu) && passed;
+    if (record) await recordGpuValues(gpu);
+  } else if (record) {
+    console.log('\n❌ No GPU adapter - cannot record GPU values');
+    passed = false;
+  } else {
+    const fixture = await loadGpuValues();
+    if (fixture) {
+      passed = compareRecorded(cpuA, fixture) && passed;
+    } else {
+      console.log(`\n⚠️  No GPU adapter and no recorded GPU values at ${fixturePath} - run with --record on a GPU host`);
+    }
+  }
+
+  executor.destroy();
+  console.log(passed ? '\n✅ Parity check PASSED!' : '\n❌ Parity check FAILED!');
+  return passed;
+}
+
+testParity().then(success => {
+  process.exit(success ? 0 : 1);
+}).catch(error => {
+  console.error('❌ Parity check error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,170 @@
+/**
+ * Region Seam Check
+ * Generates a region and its east and south neighbours (CPU backend) and checks
+ * that heights and their derivatives run on across the borders and that trails
+ * crossing a border continue on the other side. Also reports how much of a
+ * region's apron matches the neighbouring region (erosion and rivers that start
+ * beyond the apron make it differ a little, so that isn't asserted).
+ * Usage: node server/test-seams.js [worldId] [apron]
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { GraphExecutor, getRegionApron } from './services/graphExecutor.js';
+
+const worldId = process.argv[2] || 'real_world';
+const REGION_SIZE = 512;
+
+// A border step may be this much steeper than the steepest interior step
+const DERIVATIVE_SLACK = 1.5;
+const FLOAT_TOLERANCE = 1e-6;
+
+async function loadWorld() {
+  const worldDir = path.join('storage', 'worlds', worldId);
+  const text = await fs.readFile(path.join(worldDir, 'graph.json'), 'utf-8');
+  const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+
+  let config = { seed: 12345 };
+  try {
+    config = JSON.parse((await fs.readFile(path.join(worldDir, 'config.json'), 'utf-8')).replace(/^\uFEFF/, ''));
+  } catch {
+    // No config - defaults
+  }
+  return { graph: data.graph || data, config };
+}
+
+/**
+ * Sample (x, y) of a map, reading across the border along `vertical`
+ * (vertical = east/west border: x runs across it; otherwise y does)
+ */
+function sampler(map, vertical) {
+  return (across, along) => vertical
+    ? map[along * REGION_SIZE + across]
+    : map[across * REGION_SIZE + along];
+}
+
+/**
+ * Largest second difference of heights across the border vs inside region A
+ */
+function checkHeights(a, b, vertical) {
+  const sa = sampler(a, vertical);
+  const sb = sampler(b, vertical);
+  const last = REGION_SIZE - 1;
+
+  let interior = 0;
+  let border = 0;
+  for (let along = 0; along < REGION_SIZE; along++) {
+    for (let across = 1; across < last; across++) {
+      interior = Math.max(interior, Math.abs(sa(across - 1, along) - 2 * sa(across, along) + sa(across + 1, along)));
+    }
+    border = Math.max(border,
+      Math.abs(sa(last - 1, along) - 2 * sa(last, along) + sb(0, along)),
+      Math.abs(sa(last, along) - 2 * sb(0, along) + sb(1, along)));
+  }
+
+  return {
+    ok: border <= interior * DERIVATIVE_SLACK + FLOAT_TOLERANCE,
+    detail: `max |Δ²h| border ${border.toExponential(2)}, interior ${interior.toExponential(2)}`
+  };
+}
+
+/**
+ * Share of region A's apron (towards B) that equals B's own samples
+ */
+function overlapAgreement(extended, b, apron, vertical) {
+  const width = REGION_SIZE + 2 * apron;
+  const sb = sampler(b, vertical);
+
+  let equal = 0;
+  for (let along = 0; along < REGION_SIZE; along++) {
+    for (let across = 0; across < apron; across++) {
+      const ex = apron + REGION_SIZE + across;
+      const ey = apron + along;
+      const value = vertical ? extended[ey * width + ex] : extended[ex * width + ey];
+      if (Math.abs(value - sb(across, along)) <= FLOAT_TOLERANCE) equal++;
+    }
+  }
+  return equal / (REGION_SIZE * apron);
+}
+
+/**
+ * Border rows/columns where a trail reaches the border on one side only
+ */
+function trailDeadEnds(a, b, vertical) {
+  const sa = sampler(a, vertical);
+  const sb = sampler(b, vertical);
+  const nearby = (sample, across, along) => {
+    for (let d = -2; d <= 2; d++) {
+      const at = along + d;
+      if (at >= 0 && at < REGION_SIZE && sample(across, at) > 0) return true;
+    }
+    return false;
+  };
+
+  let crossings = 0;
+  let deadEnds = 0;
+  for (let along = 0; along < REGION_SIZE; along++) {
+    const onA = sa(REGION_SIZE - 1, along) > 0;
+    const onB = sb(0, along) > 0;
+    if (onA || onB) crossings++;
+    if ((onA && !nearby(sb, 0, along)) || (onB && !nearby(sa, REGION_SIZE - 1, along))) deadEnds++;
+  }
+  return { crossings, deadEnds };
+}
+
+async function testSeams() {
+  const { graph, config } = await loadWorld();
+  const apron = process.argv[3] !== undefined ? parseInt(process.argv[3]) : getRegionApron(config);
+  console.log(`🔍 Checking region seams on '${worldId}' (apron ${apron})...`);
+
+  const executor = new GraphExecutor();
+  await executor.initialize();
+
+  const seed = config.seed || 12345;
+  const generate = (x, z, crop = true) => executor.execute(graph, {
+    x, z, width: REGION_SIZE, height: REGION_SIZE, seed
+  }, config, { backend: 'cpu', apron, crop });
+
+  const origin = await generate(0, 0, false);
+  const region = executor.cropResults(origin, apron, REGION_SIZE);
+  const neighbours = {
+    east: { vertical: true, data: await generate(REGION_SIZE, 0) },
+    south: { vertical: false, data: await generate(0, REGION_SIZE) }
+  };
+
+  let passed = true;
+  for (const [name, { vertical, data }] of Object.entries(neighbours)) {
+    console.log(`\n🔍 ${name} border`);
+
+    const heights = checkHeights(region.heightmap, data.heightmap, vertical);
+    console.log(`  ${heights.ok ? '✅' : '❌'} heightmap continuity: ${heights.detail}`);
+    passed = passed && heights.ok;
+
+    if (apron > 0) {
+      for (const [map, values] of Object.entries(data)) {
+        if (!ArrayBuffer.isView(values) || values.length !== REGION_SIZE * REGION_SIZE) continue;
+
+        const agreement = overlapAgreement(origin[map], values, apron, vertical);
+        console.log(`  ℹ️  ${map} apron vs neighbour: ${(agreement * 100).toFixed(2)}% equal`);
+      }
+    }
+
+    if (region.trailmap && data.trailmap) {
+      const { crossings, deadEnds } = trailDeadEnds(region.trailmap, data.trailmap, vertical);
+      const ok = apron === 0 || deadEnds === 0;
+      console.log(`  ${ok ? '✅' : '❌'} trails: ${crossings} border cells, ${deadEnds} dead end(s)`);
+      passed = passed && ok;
+    }
+  }
+
+  executor.destroy();
+  console.log(passed ? '\n✅ Seam check PASSED!' : '\n❌ Seam check FAILED!');
+  return passed;
+}
+
+testSeams().then(success => {
+  process.exit(success ? 0 : 1);
+}).catch(error => {
+  console.error('❌ Seam check error:', error);
+  process.exit(1);
+});